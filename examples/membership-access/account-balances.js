@@ -0,0 +1,528 @@
+/**
+ * Account Balances
+ *
+ * Paying one-time purchases (orders) from the payer's credit in
+ * `account_balances`: wallets, promotional credits, refund balances. A
+ * purchase's `payment_source` says how it is paid:
+ *
+ * - 'payment_method' (default): the payment method is charged
+ * - 'balance': the account balance pays the whole order
+ * - 'mixed': the account balance pays what it can, and the payment method
+ *   is charged the rest
+ *
+ * Balances that expire are used first. A balance can go down to its
+ * `minimum_balance_cents`, or below zero by its `credit_limit_cents`;
+ * frozen and suspended balances aren't used. Every debit is recorded in
+ * `account_transactions` with the balance before and after it.
+ *
+ * Only one-time purchases can be paid from balances here. Subscriptions
+ * are renewed by the payment provider, so recurring purchases must use
+ * 'payment_method' and are rejected otherwise; recurring charges that should
+ * come out of a balance are set up as billing schedules instead (see
+ * ./billing-schedules, `payment_priority`).
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { CheckoutError, chargeOrder, getGuestColumns, getOrderPaymentAmounts } = require('./checkout');
+const { invoiceOrder } = require('./invoices');
+
+const PAYMENT_SOURCES = ['payment_method', 'balance', 'mixed'];
+
+// Attempts at moving a balance when concurrent requests change it first
+const MAX_BALANCE_ATTEMPTS = 5;
+
+/**
+ * Thrown in a transaction that moves a balance a concurrent request changed
+ * meanwhile, to roll it back and try again (see retryBalanceChanges)
+ */
+class BalanceChangedError extends Error {}
+
+/**
+ * Check a purchase's payment source
+ *
+ * @param {string} paymentSource - 'payment_method', 'balance' or 'mixed'
+ * @param {Object} params
+ * @param {boolean} params.isRecurring - The purchase starts a subscription
+ * @param {string} params.paymentMethodId - payment_methods ID from the request
+ */
+function assertPaymentSource(paymentSource, { isRecurring, paymentMethodId }) {
+  if (!PAYMENT_SOURCES.includes(paymentSource)) {
+    throw new CheckoutError(`payment_source must be one of: ${PAYMENT_SOURCES.join(', ')}`);
+  }
+  if (isRecurring && paymentSource !== 'payment_method') {
+    throw new CheckoutError('Recurring purchases can only be paid with a payment method');
+  }
+  if (paymentSource !== 'balance' && !paymentMethodId) {
+    throw new CheckoutError('payment_method_id is required');
+  }
+}
+
+/**
+ * Find the balances a payer can pay with in a currency, in the order they
+ * are used: the ones that expire first, then the oldest
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} params
+ * @param {Object} params.billing - { user_id, organization_id } of the payer
+ * @param {Object} params.guest - external_entities row of a guest payer
+ * @param {string} params.currency - Currency of the purchase
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object[]>} account_balances rows, with `available_cents`
+ */
+async function findUsableBalances(store, { billing = {}, guest = null, currency, now = new Date() }) {
+  let where;
+  if (billing.organization_id) {
+    where = { organization_id: billing.organization_id };
+  } else if (billing.user_id) {
+    where = { user_id: billing.user_id, organization_id: null };
+  } else if (guest) {
+    where = { customer_id: guest.id, user_id: null, organization_id: null };
+  } else {
+    return [];
+  }
+
+  const balances = await store.account_balances.findAll({
+    where: { ...where, currency, status: 'active' },
+    order: [['created_at', 'ASC']]
+  });
+
+  return balances
+    .filter(balance => !balance.expires_at || new Date(balance.expires_at) > now)
+    .map(balance => ({ ...balance, available_cents: getAvailableCents(balance) }))
+    .filter(balance => balance.available_cents > 0)
+    .sort((a, b) => (a.expires_at ? new Date(a.expires_at).getTime() : Infinity)
+      - (b.expires_at ? new Date(b.expires_at).getTime() : Infinity));
+}
+
+/**
+ * Pay an order from its payment source. Balance debits are made first, in
+ * one transaction, and recorded with a payments row of their own; the
+ * payment method is charged the rest (see chargeOrder). If that charge is
+ * declined or fails, the debits are given back; otherwise the order is
+ * invoiced.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} payment - Result of preparePayment; null when the order is
+ *   paid from the balance only
+ * @param {Object} params
+ * @param {string} params.paymentSource - 'payment_method', 'balance' or 'mixed'
+ * @param {Object} params.order - orders row
+ * @param {Object} params.billing - { user_id, organization_id } of the payer
+ * @param {Object} params.guest - external_entities row of a guest payer
+ * @param {string} params.projectId - Project the purchase is for, if any
+ * @param {string} params.description - Payment description
+ * @param {Object} params.metadata - Metadata sent to the provider
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object>} { payment, charge, balanceDebit }: the payments
+ *   row of the charge (or of the balance debit, for orders the balance
+ *   pays in full, whose `charge` is { status: 'succeeded' }), the adapter
+ *   result and the debit (see formatBalanceDebit), if any
+ */
+async function payOrder(store, payment, {
+  paymentSource = 'payment_method',
+  order,
+  billing,
+  guest = null,
+  projectId = null,
+  description,
+  metadata = {},
+  now = new Date()
+}) {
+  if (paymentSource === 'payment_method') {
+    const result = await chargeOrder(store, payment, { order, billing, projectId, description, metadata });
+    await invoiceOrderPayment(store, order, result, description, now);
+    return { ...result, balanceDebit: null };
+  }
+
+  let balanceDebit;
+  try {
+    balanceDebit = await debitBalances(store, {
+      billing,
+      guest,
+      amountCents: order.total_cents,
+      currency: order.currency,
+      order,
+      projectId,
+      description,
+      requireFull: paymentSource === 'balance',
+      now
+    });
+  } catch (error) {
+    await store.orders.update(order.id, { status: 'cancelled' });
+    throw error;
+  }
+
+  const remainingCents = order.total_cents - balanceDebit.amount_cents;
+  if (remainingCents === 0) {
+    await store.orders.update(order.id, { status: 'paid', completed_at: now.toISOString() });
+    const result = { payment: balanceDebit.payment, charge: { status: 'succeeded' } };
+    await invoiceOrderPayment(store, order, result, description, now);
+    return { ...result, balanceDebit };
+  }
+
+  let result;
+  try {
+    result = await chargeOrder(store, payment, {
+      order,
+      billing,
+      projectId,
+      description,
+      metadata,
+      amountCents: remainingCents
+    });
+  } catch (error) {
+    await reverseBalanceDebits(store, { orderId: order.id, reason: 'Payment failed' });
+    await store.orders.update(order.id, { status: 'cancelled' });
+    throw error;
+  }
+
+  if (result.charge.status === 'failed') {
+    await reverseBalanceDebits(store, { orderId: order.id, reason: 'Payment failed' });
+  }
+  await invoiceOrderPayment(store, order, result, description, now);
+  return { ...result, balanceDebit };
+}
+
+/**
+ * Invoice an order unless its payment failed: paid, or open while the
+ * payment waits on the customer (see invoiceOrder in ./invoices)
+ */
+async function invoiceOrderPayment(store, order, { payment, charge }, description, now) {
+  if (charge.status === 'failed') {
+    return;
+  }
+  await invoiceOrder(store, order, {
+    payment,
+    paid: charge.status === 'succeeded',
+    paymentLinkUrl: charge.approval_url || null,
+    description,
+    now
+  });
+}
+
+/**
+ * Debit an amount from the payer's balances, in one transaction: read the
+ * balances again, take from each what it has available and record the
+ * debits and the payment they make. If a concurrent request changes one of
+ * the balances first, it's all done again. Amounts the balances don't
+ * cover are left to be paid otherwise, unless `requireFull`.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} params
+ * @param {Object} params.billing - { user_id, organization_id } of the payer
+ * @param {Object} params.guest - external_entities row of a guest payer
+ * @param {number} params.amountCents - Amount to debit
+ * @param {string} params.currency - Currency of the amount
+ * @param {Object} params.order - orders row the amount is for, if any
+ * @param {string} params.accountBalanceId - Only debit this balance
+ * @param {string} params.projectId - Project the payment is for, if any
+ * @param {string} params.description - Description of the debits and payment
+ * @param {Object} params.payment - Other payments columns (reference_code,
+ *   category, metadata), e.g. of billing schedule charges
+ * @param {boolean} params.requireFull - Debit nothing unless the balances
+ *   cover the whole amount
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object>} { amount_cents, payment, transactions }
+ * @throws {CheckoutError} 402 if `requireFull` and the balances don't cover
+ *   it, 409 if they keep changing
+ */
+async function debitBalances(store, {
+  billing,
+  guest = null,
+  amountCents,
+  currency,
+  order = null,
+  accountBalanceId = null,
+  projectId = null,
+  description,
+  payment = {},
+  requireFull = false,
+  now = new Date()
+}) {
+  return retryBalanceChanges(store, async (tx) => {
+    const balances = (await findUsableBalances(tx, { billing, guest, currency, now }))
+      .filter(balance => !accountBalanceId || balance.id === accountBalanceId);
+    const availableCents = balances.reduce((sum, balance) => sum + balance.available_cents, 0);
+    if (requireFull && availableCents < amountCents) {
+      throw new CheckoutError('Insufficient account balance', 402);
+    }
+
+    const debitedCents = Math.min(availableCents, amountCents);
+    if (debitedCents === 0) {
+      return { amount_cents: 0, payment: null, transactions: [] };
+    }
+
+    const { metadata = {}, ...columns } = payment;
+    const paymentRow = await tx.payments.create({
+      id: uuidv4(),
+      order_id: order ? order.id : null,
+      ...billing,
+      ...getGuestColumns(billing, guest || {}, 'is_guest_payment'),
+      project_id: projectId,
+      ...(order
+        ? getOrderPaymentAmounts(order, debitedCents)
+        : { subtotal_cents: debitedCents, tax_cents: 0, discount_cents: 0, total_cents: debitedCents }),
+      currency,
+      status: 'succeeded',
+      description,
+      category: 'account_balance',
+      ...columns,
+      metadata: JSON.stringify({ ...metadata, payment_source: 'account_balance' }),
+      completed_at: now.toISOString()
+    });
+
+    const transactions = [];
+    let remainingCents = debitedCents;
+    for (const balance of balances) {
+      if (remainingCents === 0) {
+        break;
+      }
+      const debitCents = Math.min(balance.available_cents, remainingCents);
+      remainingCents -= debitCents;
+      const transaction = await recordTransaction(tx, balance, {
+        transactionType: 'debit',
+        amountCents: debitCents,
+        orderId: order ? order.id : null,
+        paymentId: paymentRow.id,
+        description,
+        now
+      });
+      if (!transaction) {
+        throw new BalanceChangedError();
+      }
+      transactions.push(transaction);
+    }
+
+    return { amount_cents: debitedCents, payment: paymentRow, transactions };
+  });
+}
+
+/**
+ * Give back the balance debits of an order or of a balance payment, e.g.
+ * when the payment method was declined for the rest of it. Each debit is
+ * marked 'reversed' and a 'refund' transaction credits its balance; the
+ * balance payment is marked 'refunded'. Debits already given back, or
+ * being given back by a concurrent request, are skipped.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} params
+ * @param {string} params.orderId - orders.id
+ * @param {string} params.paymentId - payments.id of a balance payment, for
+ *   debits without an order
+ * @param {string} params.reason - Description of the credits
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<number>} The amount given back
+ */
+async function reverseBalanceDebits(store, { orderId = null, paymentId = null, reason, now = new Date() }) {
+  return store.transaction(async (tx) => {
+    const debits = await tx.account_transactions.findAll({
+      where: {
+        ...(orderId ? { order_id: orderId } : { payment_id: paymentId }),
+        transaction_type: 'debit',
+        status: 'completed'
+      }
+    });
+
+    let creditedCents = 0;
+    const reversed = [];
+    for (const debit of debits) {
+      const claimed = await tx.account_transactions.updateWhere(
+        { id: debit.id, status: 'completed' },
+        { status: 'reversed' }
+      );
+      if (claimed === 0) {
+        continue;
+      }
+
+      await creditBalance(tx, debit.account_balance_id, {
+        transactionType: 'refund',
+        amountCents: debit.amount_cents,
+        orderId: debit.order_id,
+        paymentId: debit.payment_id,
+        description: `${reason}: ${debit.description}`,
+        now
+      });
+      reversed.push(debit);
+      creditedCents += debit.amount_cents;
+    }
+
+    const paymentIds = [...new Set(reversed.map(debit => debit.payment_id).filter(Boolean))];
+    for (const paymentId of paymentIds) {
+      await tx.payments.update(paymentId, { status: 'refunded' });
+    }
+
+    return creditedCents;
+  });
+}
+
+/**
+ * Credit part of a balance payment back to the balances it was debited
+ * from, the last debited first, e.g. for the refund of a cancellation. If
+ * a concurrent request changes one of the balances first, the refunds
+ * already made are read again and it's all done again.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} payment - payments row of the balance debit
+ * @param {Object} params
+ * @param {number} params.amountCents - Amount to credit back
+ * @param {string} params.description - Description of the credits
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<number>} The amount credited back
+ * @throws {CheckoutError} 409 if the balances keep changing
+ */
+async function refundBalancePayment(store, payment, { amountCents, description, now = new Date() }) {
+  return retryBalanceChanges(store, async (tx) => {
+    const debits = await tx.account_transactions.findAll({
+      where: { payment_id: payment.id, transaction_type: 'debit', status: 'completed' }
+    });
+    const refunds = await tx.account_transactions.findAll({
+      where: { payment_id: payment.id, transaction_type: 'refund' }
+    });
+
+    // Amount already credited back to each balance
+    const refunded = new Map();
+    for (const refund of refunds) {
+      const balanceId = refund.account_balance_id;
+      refunded.set(balanceId, (refunded.get(balanceId) || 0) + refund.amount_cents);
+    }
+
+    let remainingCents = amountCents;
+    for (const debit of debits.reverse()) {
+      const creditCents = Math.min(remainingCents, debit.amount_cents - (refunded.get(debit.account_balance_id) || 0));
+      if (creditCents <= 0) {
+        continue;
+      }
+
+      const balance = await tx.account_balances.findById(debit.account_balance_id);
+      const transaction = await recordTransaction(tx, balance, {
+        transactionType: 'refund',
+        amountCents: creditCents,
+        orderId: debit.order_id,
+        paymentId: payment.id,
+        description,
+        now
+      });
+      if (!transaction) {
+        throw new BalanceChangedError();
+      }
+      remainingCents -= creditCents;
+    }
+
+    return amountCents - remainingCents;
+  });
+}
+
+/**
+ * Check if a payments row was paid from the account balance
+ */
+function isBalancePayment(payment) {
+  return JSON.parse(payment.metadata || '{}').payment_source === 'account_balance';
+}
+
+/**
+ * Format a balance debit for API responses
+ */
+function formatBalanceDebit(balanceDebit) {
+  return {
+    amount_cents: balanceDebit.amount_cents,
+    payment_id: balanceDebit.payment ? balanceDebit.payment.id : null,
+    transactions: balanceDebit.transactions.map(transaction => ({
+      id: transaction.id,
+      account_balance_id: transaction.account_balance_id,
+      amount_cents: transaction.amount_cents,
+      balance_before_cents: transaction.balance_before_cents,
+      balance_after_cents: transaction.balance_after_cents
+    }))
+  };
+}
+
+/**
+ * Record a balance movement and apply it to the balance. Amounts are
+ * positive; debits take them from the balance, credits and refunds add them.
+ * The balance is compared and set, so nothing is recorded (and null is
+ * returned) if a concurrent request changed it since it was read.
+ */
+async function recordTransaction(store, balance, { transactionType, amountCents, orderId, paymentId, description, now }) {
+  const balanceAfterCents = transactionType === 'debit'
+    ? balance.current_balance_cents - amountCents
+    : balance.current_balance_cents + amountCents;
+  const updated = await store.account_balances.updateWhere(
+    { id: balance.id, current_balance_cents: balance.current_balance_cents },
+    { current_balance_cents: balanceAfterCents, last_transaction_at: now.toISOString() }
+  );
+  if (updated === 0) {
+    return null;
+  }
+
+  return store.account_transactions.create({
+    id: uuidv4(),
+    account_balance_id: balance.id,
+    transaction_type: transactionType,
+    amount_cents: amountCents,
+    balance_before_cents: balance.current_balance_cents,
+    balance_after_cents: balanceAfterCents,
+    currency: balance.currency,
+    order_id: orderId,
+    payment_id: paymentId,
+    description,
+    status: 'completed',
+    completed_at: now.toISOString()
+  });
+}
+
+/**
+ * Credit a balance, reading it again when a concurrent request changes it
+ * first. A credit doesn't depend on what the balance holds, so the rest of
+ * its transaction stands.
+ */
+async function creditBalance(store, balanceId, params) {
+  for (let attempt = 1; attempt <= MAX_BALANCE_ATTEMPTS; attempt += 1) {
+    const balance = await store.account_balances.findById(balanceId);
+    const transaction = await recordTransaction(store, balance, params);
+    if (transaction) {
+      return transaction;
+    }
+  }
+
+  throw new CheckoutError('Account balance is being changed by another request; try again', 409);
+}
+
+/**
+ * Run `fn` in a transaction, and again in a new one each time it throws
+ * BalanceChangedError, so every attempt reads what the concurrent request
+ * wrote
+ */
+async function retryBalanceChanges(store, fn) {
+  for (let attempt = 1; attempt <= MAX_BALANCE_ATTEMPTS; attempt += 1) {
+    try {
+      return await store.transaction(fn);
+    } catch (error) {
+      if (!(error instanceof BalanceChangedError)) {
+        throw error;
+      }
+    }
+  }
+
+  throw new CheckoutError('Account balance is being changed by another request; try again', 409);
+}
+
+/**
+ * Get how much can be taken from a balance: down to its minimum, or below
+ * zero by its credit limit
+ */
+function getAvailableCents(balance) {
+  const floorCents = (balance.minimum_balance_cents || 0) - (balance.credit_limit_cents || 0);
+  return Math.max(0, balance.current_balance_cents - floorCents);
+}
+
+module.exports = {
+  PAYMENT_SOURCES,
+  assertPaymentSource,
+  findUsableBalances,
+  payOrder,
+  debitBalances,
+  reverseBalanceDebits,
+  refundBalancePayment,
+  isBalancePayment,
+  formatBalanceDebit
+};
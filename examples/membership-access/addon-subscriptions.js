@@ -0,0 +1,939 @@
+/**
+ * Addon Subscriptions
+ *
+ * The addons bought for memberships, one `entity_addons` row each. An addon
+ * is 'pending' while its first payment waits on the customer, 'active'
+ * until its end date (for good, for permanent addons), then 'expired' (see
+ * ./expiry-sweep), or 'cancelled' when cancelled right away or when its
+ * payment fails. Buying an addon the membership already has extends it
+ * instead of adding another, recurring addons are extended by their
+ * subscription's payments (see handleAddonWebhook), and each renewal and
+ * cancellation is logged to `payment_events`.
+ *
+ * Addons whose catalog entry doesn't require a membership
+ * (`requires_membership` false) are standalone: they belong to the user,
+ * organization or guest who bought them (see ADDON_OWNERS in
+ * ./membership-owners) rather than to a membership, and grant access
+ * whether or not the owner has one.
+ *
+ * Addons used to be kept in the `entity_memberships.addons` JSON column;
+ * migrateMembershipAddons moves them to `entity_addons`.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const {
+  CheckoutError,
+  preparePayment,
+  startSubscription,
+  cancelProviderSubscription,
+  getGuestColumns,
+  getPaymentAction
+} = require('./checkout');
+const { assertPaymentSource, payOrder } = require('./account-balances');
+const { CANCEL_MODES } = require('./cancellations');
+const {
+  applyCoupon,
+  withCouponReserved,
+  releaseCoupon,
+  recordCouponUsage,
+  getSubscriptionDiscount
+} = require('./coupons');
+const { findAddonOffering } = require('./feature-catalog');
+const { findOrCreateProduct, recordSubscriptionPayment } = require('./payment-records');
+const { calculatePurchaseTax, getTaxedAmounts, getTaxMetadata } = require('./taxes');
+const { getBillingInterval, getRenewalPeriod, latestDate } = require('./billing-periods');
+const { ADDON_OWNERS, getAddonOwner } = require('./membership-owners');
+
+const ADDON_STATUSES = ['pending', 'active', 'expired', 'cancelled'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Canonical events of successful subscription payments
+const SUBSCRIPTION_PAYMENT_EVENTS = ['subscription.renewed', 'subscription.payment_succeeded'];
+
+/**
+ * Find the addons that grant their feature: active and before their end
+ * date, of memberships or standalone addons of owners
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} params
+ * @param {Object[]} params.memberships - entity_memberships rows
+ * @param {Object[]} params.owners - Owners ({ type, id }) whose standalone
+ *   addons to include (see findAccessibleOwners in ./membership-owners)
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object[]>} entity_addons rows, those of memberships first
+ */
+async function findCurrentAddons(store, { memberships, owners = [], now = new Date() }) {
+  const addons = await store.entity_addons.findAll({
+    where: { membership_id: memberships.map(membership => membership.id), status: 'active' },
+    order: [['start_date', 'ASC']]
+  });
+
+  for (const owner of Object.values(ADDON_OWNERS)) {
+    const ids = owners.filter(candidate => candidate.type === owner.type).map(candidate => candidate.id);
+    if (ids.length > 0) {
+      addons.push(...await store.entity_addons.findAll({
+        where: { [owner.column]: ids, membership_id: null, status: 'active' },
+        order: [['start_date', 'ASC']]
+      }));
+    }
+  }
+
+  return addons.filter(addon => isCurrent(addon, now));
+}
+
+/**
+ * Find the addon a membership, or an owner standalone, has for a feature,
+ * if it's current or waiting on payment; the one ending last if there are
+ * several
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} params
+ * @param {string} params.membershipId - The ID of the membership
+ * @param {Object} params.owner - { type, id } of the owner, for standalone addons
+ * @param {string} params.featureId - The ID of the feature
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object|null>} entity_addons row
+ */
+async function findExistingAddon(store, { membershipId = null, owner = null, featureId, now = new Date() }) {
+  const holder = membershipId
+    ? { membership_id: membershipId }
+    : { [getOwnerColumn(owner)]: owner.id, membership_id: null };
+
+  const addons = (await store.entity_addons.findAll({
+    where: { ...holder, feature_id: featureId, status: ['pending', 'active'] }
+  })).filter(addon => addon.status === 'pending' || isCurrent(addon, now));
+
+  // Permanent addons first, then by end date
+  addons.sort((a, b) => (b.end_date ? new Date(b.end_date).getTime() : Infinity)
+    - (a.end_date ? new Date(a.end_date).getTime() : Infinity));
+  return addons[0] || null;
+}
+
+/**
+ * Buy an addon for a membership, or another period of an addon it has.
+ * Addons that don't require a membership are bought standalone, for the
+ * owner, whether or not a membership is given.
+ *
+ * A recurring purchase starts a subscription for the addon, a one-time
+ * purchase charges an order. Buying an addon the membership already has
+ * (or renewing one, with `extend`) charges an order for another
+ * `duration_days`, added to the addon's end date; an extension waiting on
+ * customer action is added when the order is paid (see handleAddonWebhook).
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} providers - Provider registry (see ./providers)
+ * @param {Object} params
+ * @param {Object} params.membership - entity_memberships row the addon is for;
+ *   null if the owner has none
+ * @param {Object} params.owner - { type: 'user' | 'organization' | 'guest', id }
+ *   of the buyer, who owns standalone addons
+ * @param {Object} params.billing - { user_id, organization_id } of the payer
+ * @param {string} params.featureId - The addon's feature
+ * @param {string} params.paymentMethodId - payment_methods ID; not needed
+ *   for purchases paid from the account balance
+ * @param {string} params.providerId - Payment provider ID (defaults to the payment method's)
+ * @param {string} params.paymentSource - 'payment_method' (default), 'balance'
+ *   or 'mixed', for one-time purchases (see ./account-balances)
+ * @param {boolean} params.isRecurring - Buy the addon as a subscription
+ * @param {string} params.currency - Defaults to the membership's currency, or
+ *   to the addon's price if it has one currency
+ * @param {string} params.couponCode - Coupon discounting the purchase (see ./coupons)
+ * @param {Object} params.billingAddress - Address the purchase is taxed at;
+ *   defaults to the payer's billing address on file (see ./taxes)
+ * @param {Object} params.tax - Overrides of DEFAULT_TAX (see ./taxes)
+ * @param {Object} params.extend - entity_addons row to extend, for renewals
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object>} { addon, extended, charge, payment_action, discount,
+ *   tax, balance_debit }: `extended` is true when an existing addon was
+ *   extended; `charge` is the order's charge, if any, and `addon` null when
+ *   it failed; `discount` is the applied coupon, if any, `tax` the
+ *   purchase's tax and `balance_debit` what the account balance paid
+ */
+async function purchaseAddon(store, providers, {
+  membership = null,
+  owner,
+  billing,
+  featureId,
+  paymentMethodId,
+  providerId = null,
+  paymentSource = 'payment_method',
+  isRecurring = false,
+  currency = null,
+  couponCode = null,
+  billingAddress = null,
+  tax = {},
+  extend = null,
+  now = new Date()
+}) {
+  // Find the addon and its current price, in the membership's currency
+  // unless another is requested
+  const membershipType = membership ? await store.membership_types.findById(membership.membership_type_id) : null;
+  const { addon, price } = await findAddonOffering(store, featureId, currency || (membershipType && membershipType.currency));
+
+  const isStandalone = extend ? !extend.membership_id : !addon.requires_membership;
+  if (!isStandalone && !membership) {
+    throw new CheckoutError(`Addon ${featureId} requires an active membership`);
+  }
+
+  // Buying an addon the membership (or the owner) has extends it
+  const existing = extend || await findExistingAddon(store, isStandalone
+    ? { owner, featureId, now }
+    : { membershipId: membership.id, featureId, now });
+  if (existing) {
+    assertExtendable(existing, { featureId, isRecurring });
+  }
+
+  const interval = isRecurring && addon.duration_days ? getBillingInterval(addon) : null;
+  if (isRecurring && addon.duration_days && !interval) {
+    throw new CheckoutError(`Addon ${featureId} has no billing interval for ${addon.duration_days} days`);
+  }
+  assertPaymentSource(paymentSource, { isRecurring: Boolean(interval), paymentMethodId });
+
+  // Guests pay as their customer record
+  const guest = owner.type === 'guest' ? await store.external_entities.findById(owner.id) : null;
+
+  const coupon = couponCode ? await applyCoupon(store, {
+    code: couponCode,
+    billing,
+    guest,
+    productId: getAddonProductId(featureId, price),
+    subtotalCents: price.price_cents,
+    currency: price.currency,
+    isRecurring: Boolean(interval),
+    now
+  }) : null;
+  const couponContext = { feature_id: featureId, is_addon: true };
+
+  const taxed = await calculatePurchaseTax(store, {
+    billing,
+    guest,
+    address: billingAddress,
+    productId: getAddonProductId(featureId, price),
+    productType: interval ? 'subscription' : 'digital',
+    priceCents: price.price_cents,
+    discountCents: coupon ? coupon.discount_cents : 0,
+    tax,
+    now
+  });
+
+  // Resolve the payment provider, customer and payment method, unless the
+  // account balance pays for all of it
+  const payment = paymentSource === 'balance' ? null : await preparePayment(store, providers, {
+    billing,
+    guest,
+    paymentMethodId,
+    providerId
+  });
+  const customer = payment ? payment.customer : guest;
+
+  const productMetadata = JSON.stringify({
+    feature_id: featureId,
+    is_addon: true,
+    addon_price_id: price.id
+  });
+
+  let subscriptionId = null;
+  let orderId = null;
+  let charge = null;
+  let balanceDebit = null;
+  let paymentResult;
+
+  if (interval) {
+    // Create a subscription for the addon
+    const product = await findOrCreateProduct(store, {
+      id: getAddonProductId(featureId, price),
+      name: addon.name,
+      description: addon.description,
+      product_type: 'subscription',
+      is_recurring: true,
+      subtotal_cents: price.price_cents,
+      currency: price.currency,
+      billing_interval: interval.billingInterval,
+      metadata: productMetadata
+    });
+
+    const { subscription, providerSubscription, firstPayment } = await withCouponReserved(store, coupon, () => startSubscription(store, payment, {
+      billing,
+      product,
+      billingInterval: interval.billingInterval,
+      intervalMultiplier: interval.intervalMultiplier,
+      metadata: {
+        feature_id: featureId,
+        is_addon: true
+      },
+      discount: coupon ? getSubscriptionDiscount(coupon) : null,
+      tax: taxed
+    }));
+
+    // Nothing is recorded for declined payments
+    if (!subscription) {
+      if (coupon) {
+        await releaseCoupon(store, coupon);
+      }
+      return { addon: null, extended: false, charge: providerSubscription, payment_action: null, discount: null, tax: null, balance_debit: null };
+    }
+
+    if (coupon) {
+      await recordCouponUsage(store, coupon, {
+        billing,
+        guest,
+        customer: payment.customer,
+        subscriptionId: subscription.id,
+        paymentId: firstPayment ? firstPayment.id : null,
+        context: couponContext
+      });
+    }
+
+    subscriptionId = subscription.id;
+    paymentResult = providerSubscription;
+  } else {
+    // Create an order for a one-time purchase; the addon an extension is
+    // for is kept in its metadata
+    const order = await store.orders.create({
+      id: uuidv4(),
+      order_number: `ORD-${Date.now()}`,
+      ...billing,
+      ...getGuestColumns(billing, customer || {}, 'is_guest_order'),
+      customer_id: customer ? customer.id : null,
+      status: 'pending',
+      ...getTaxedAmounts(taxed),
+      currency: price.currency,
+      billing_address: taxed.address ? JSON.stringify(taxed.address) : null,
+      metadata: JSON.stringify({
+        feature_id: featureId,
+        is_addon: true,
+        addon_price_id: price.id,
+        extends_addon_id: existing ? existing.id : undefined,
+        tax: getTaxMetadata(taxed)
+      })
+    });
+
+    const product = await findOrCreateProduct(store, {
+      id: getAddonProductId(featureId, price),
+      name: addon.name,
+      description: addon.description,
+      product_type: 'digital',
+      is_recurring: false,
+      subtotal_cents: price.price_cents,
+      currency: price.currency,
+      metadata: productMetadata
+    });
+
+    await store.order_items.create({
+      id: uuidv4(),
+      order_id: order.id,
+      product_id: product.id,
+      quantity: 1,
+      unit_price_cents: price.price_cents,
+      total_cents: price.price_cents
+    });
+
+    // Pay the order from the account balance and/or the payment method
+    let orderPayment;
+    ({ payment: orderPayment, charge, balanceDebit } = await withCouponReserved(store, coupon, () => payOrder(store, payment, {
+      paymentSource,
+      order,
+      billing,
+      guest,
+      description: addon.name,
+      metadata: {
+        feature_id: featureId
+      },
+      now
+    })));
+
+    // Nothing is recorded for declined payments
+    if (charge.status === 'failed') {
+      if (coupon) {
+        await releaseCoupon(store, coupon);
+      }
+      return { addon: null, extended: false, charge, payment_action: null, discount: null, tax: null, balance_debit: null };
+    }
+
+    if (coupon) {
+      await recordCouponUsage(store, coupon, {
+        billing,
+        guest,
+        customer,
+        orderId: order.id,
+        paymentId: orderPayment ? orderPayment.id : null,
+        context: couponContext
+      });
+    }
+
+    orderId = order.id;
+    paymentResult = charge;
+  }
+
+  // The addon stays pending while the payment waits on the customer
+  const isPaid = ['succeeded', 'active', 'trialing'].includes(paymentResult.status);
+  const paymentAction = isPaid ? null : getPaymentAction(paymentResult);
+
+  if (existing) {
+    const extended = await store.transaction(async (tx) => {
+      // Read the addon again in the transaction, so concurrent purchases
+      // add up instead of overwriting each other
+      const current = await tx.entity_addons.findById(existing.id);
+      return isPaid
+        ? extendAddon(tx, current, { durationDays: addon.duration_days, orderId, now })
+        : current;
+    });
+    return {
+      addon: extended,
+      extended: isPaid,
+      charge,
+      payment_action: paymentAction,
+      discount: coupon,
+      tax: taxed,
+      balance_debit: balanceDebit
+    };
+  }
+
+  // The purchased addon keeps the price it was bought at
+  const created = await store.entity_addons.create({
+    id: uuidv4(),
+    membership_id: isStandalone ? null : membership.id,
+    ...(isStandalone ? { [getOwnerColumn(owner)]: owner.id } : {}),
+    addon_id: addon.id,
+    feature_id: featureId,
+    addon_price_id: price.id,
+    name: addon.name,
+    price_cents: price.price_cents,
+    currency: price.currency,
+    subscription_id: subscriptionId,
+    order_id: orderId,
+    status: isPaid ? 'active' : 'pending',
+    start_date: now.toISOString(),
+    end_date: addon.duration_days ? addDays(now, addon.duration_days) : null,
+    auto_renew: Boolean(interval)
+  });
+
+  return {
+    addon: created,
+    extended: false,
+    charge,
+    payment_action: paymentAction,
+    discount: coupon,
+    tax: taxed,
+    balance_debit: balanceDebit
+  };
+}
+
+/**
+ * Check that an addon can be extended by a one-time purchase: it has an end
+ * date, isn't renewed by a subscription and isn't waiting on payment
+ */
+function assertExtendable(existing, { featureId, isRecurring }) {
+  if (existing.status === 'pending') {
+    throw new CheckoutError(`A purchase of addon ${featureId} is waiting on payment`, 409);
+  }
+  if (existing.status === 'active' && !existing.end_date) {
+    throw new CheckoutError(`Addon ${featureId} is already purchased`, 409);
+  }
+  if (existing.subscription_id && existing.status === 'active') {
+    throw new CheckoutError(`Addon ${featureId} renews with its subscription`, 409);
+  }
+  if (isRecurring) {
+    throw new CheckoutError(`Addon ${featureId} is active until ${existing.end_date}; buy it without is_recurring to extend it`, 409);
+  }
+}
+
+/**
+ * Add a paid period to an addon: `durationDays` from its end date, or from
+ * now if it has ended. Addons whose catalog entry became permanent become
+ * permanent.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} addon - entity_addons row
+ * @param {Object} params
+ * @param {number} params.durationDays - Length of the period; null for permanent
+ * @param {string} params.orderId - The order that paid for it
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object>} The extended addon
+ */
+async function extendAddon(store, addon, { durationDays, orderId = null, now = new Date() }) {
+  const ended = addon.status !== 'active' || !isCurrent(addon, now);
+  const start = ended ? now.toISOString() : latestDate(addon.end_date, now);
+  const endDate = durationDays ? addDays(new Date(start), durationDays) : null;
+
+  const extended = await store.entity_addons.update(addon.id, {
+    status: 'active',
+    end_date: endDate,
+    order_id: orderId || addon.order_id,
+    cancel_at_period_end: false,
+    cancelled_at: null,
+    renewed_at: now.toISOString()
+  });
+  await logEvent(store, addon.id, 'renewed', {
+    order_id: orderId,
+    previous_end_date: addon.end_date,
+    end_date: endDate
+  });
+
+  return extended;
+}
+
+/**
+ * Renew an addon: undo the end-of-period cancellation of a recurring addon,
+ * or buy another period of a one-time addon, active or expired (see
+ * purchaseAddon)
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} providers - Provider registry (see ./providers)
+ * @param {Object} params
+ * @param {Object} params.addon - entity_addons row
+ * @param {Object} params.membership - The addon's entity_memberships row;
+ *   null for standalone addons
+ * @param {Object} params.owner - { type, id } of the payer (see purchaseAddon)
+ * @param {Object} params.billing - { user_id, organization_id } of the payer
+ * @param {string} params.paymentMethodId - payment_methods ID, for one-time addons
+ * @param {string} params.providerId - Payment provider ID (defaults to the payment method's)
+ * @param {string} params.paymentSource - 'payment_method' (default), 'balance'
+ *   or 'mixed' (see ./account-balances)
+ * @param {Object} params.tax - Overrides of DEFAULT_TAX (see ./taxes)
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object>} { addon, extended, charge, payment_action, tax,
+ *   balance_debit } (see purchaseAddon)
+ */
+async function renewAddon(store, providers, {
+  addon,
+  membership = null,
+  owner,
+  billing,
+  paymentMethodId,
+  providerId = null,
+  paymentSource = 'payment_method',
+  tax = {},
+  now = new Date()
+}) {
+  if (addon.subscription_id) {
+    if (!addon.cancel_at_period_end || addon.status !== 'active' || !isCurrent(addon, now)) {
+      throw new CheckoutError('Recurring addons renew with their subscription; only those cancelled at the end of a period that hasn\'t ended can be renewed');
+    }
+    return {
+      addon: await reactivateAddon(store, providers, addon),
+      extended: false,
+      charge: null,
+      payment_action: null,
+      discount: null,
+      tax: null,
+      balance_debit: null
+    };
+  }
+
+  if (!addon.end_date) {
+    throw new CheckoutError('Permanent addons don\'t need renewing');
+  }
+  if (['pending', 'cancelled'].includes(addon.status)) {
+    throw new CheckoutError(`Addons that are ${addon.status} can't be renewed; purchase the addon again`);
+  }
+
+  return purchaseAddon(store, providers, {
+    membership,
+    owner,
+    billing,
+    featureId: addon.feature_id,
+    paymentMethodId,
+    providerId,
+    paymentSource,
+    currency: addon.currency,
+    tax,
+    extend: addon,
+    now
+  });
+}
+
+/**
+ * Undo the end-of-period cancellation of a recurring addon: its
+ * subscription renews again
+ */
+async function reactivateAddon(store, providers, addon) {
+  const subscription = await store.subscriptions.findById(addon.subscription_id);
+
+  if (subscription) {
+    if (subscription.provider_subscription_id) {
+      const resolved = await providers.resolve(subscription.provider_id);
+      if (!resolved) {
+        throw new CheckoutError('Payment provider not available');
+      }
+      await resolved.adapter.reactivateSubscription(subscription.provider_subscription_id);
+    }
+    await store.subscriptions.update(subscription.id, {
+      cancel_at_period_end: false,
+      next_billing_date: subscription.current_period_end
+    });
+  }
+
+  const reactivated = await store.entity_addons.update(addon.id, {
+    auto_renew: Boolean(subscription),
+    cancel_at_period_end: false,
+    cancelled_at: null
+  });
+  await logEvent(store, addon.id, 'reactivated', { end_date: addon.end_date });
+
+  return reactivated;
+}
+
+/**
+ * Cancel an addon and its subscription
+ *
+ * End-of-period cancellations stop renewals and leave the addon active
+ * until its end date; addons that are pending, permanent or past their end
+ * date are cancelled right away. Immediate cancellations end access now.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} providers - Provider registry (see ./providers)
+ * @param {Object} params
+ * @param {Object} params.addon - entity_addons row
+ * @param {string} params.mode - 'end_of_period' (default) or 'immediate'
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object>} The cancelled addon
+ */
+async function cancelAddon(store, providers, { addon, mode = 'end_of_period', now = new Date() }) {
+  if (!CANCEL_MODES.includes(mode)) {
+    throw new CheckoutError(`mode must be one of: ${CANCEL_MODES.join(', ')}`);
+  }
+  if (['expired', 'cancelled'].includes(addon.status)) {
+    throw new CheckoutError('Addon has already ended');
+  }
+  if (addon.cancel_at_period_end) {
+    throw new CheckoutError('Addon is already cancelled');
+  }
+
+  const atPeriodEnd = mode === 'end_of_period'
+    && addon.status === 'active'
+    && Boolean(addon.end_date)
+    && new Date(addon.end_date) > now;
+
+  const subscription = addon.subscription_id
+    ? await store.subscriptions.findById(addon.subscription_id)
+    : null;
+
+  if (subscription) {
+    await cancelProviderSubscription(providers, subscription, { atPeriodEnd });
+    await store.subscriptions.update(subscription.id, atPeriodEnd
+      ? { cancel_at_period_end: true, next_billing_date: null }
+      : { status: 'cancelled', billing_status: 'cancelled', cancel_at_period_end: false, next_billing_date: null });
+  }
+
+  const cancelled = await store.entity_addons.update(addon.id, atPeriodEnd
+    ? { auto_renew: false, cancel_at_period_end: true, cancelled_at: now.toISOString() }
+    : {
+      status: 'cancelled',
+      end_date: now.toISOString(),
+      auto_renew: false,
+      cancel_at_period_end: false,
+      cancelled_at: now.toISOString()
+    });
+  await logEvent(store, addon.id, 'cancelled', {
+    mode: atPeriodEnd ? 'end_of_period' : 'immediate',
+    end_date: cancelled.end_date
+  });
+
+  return cancelled;
+}
+
+/**
+ * Find the addons a webhook event is about: those of its subscription or
+ * order, or the addon an order extends
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} event - Canonical webhook event (see ./webhooks)
+ * @returns {Promise<Object[]>} entity_addons rows
+ */
+async function findWebhookAddons(store, event) {
+  if (event.type.startsWith('subscription.')) {
+    return store.entity_addons.findAll({ where: { subscription_id: event.data.subscription.id } });
+  }
+  if (!event.type.startsWith('order.')) {
+    return [];
+  }
+
+  const addons = await store.entity_addons.findAll({ where: { order_id: event.data.order.id } });
+  if (addons.length > 0) {
+    return addons;
+  }
+
+  const order = await store.orders.findById(event.data.order.id);
+  const { extends_addon_id: extendsAddonId } = JSON.parse((order && order.metadata) || '{}');
+  const extended = extendsAddonId ? await store.entity_addons.findById(extendsAddonId) : null;
+  return extended ? [extended] : [];
+}
+
+/**
+ * Handle a webhook event about an addon's subscription or order
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} event - Canonical webhook event (see ./webhooks)
+ * @param {Object} options
+ * @param {Object} options.adapter - Adapter of the provider that sent the event
+ * @returns {Promise<boolean>} Whether the event was about an addon
+ */
+async function handleAddonWebhook(store, event, { adapter } = {}) {
+  const [addon] = await findWebhookAddons(store, event);
+  if (!addon) {
+    return false;
+  }
+
+  if (event.type.startsWith('subscription.')) {
+    await handleAddonSubscriptionEvent(store, addon, event, { adapter });
+  } else {
+    await handleAddonOrderEvent(store, addon, event);
+  }
+  return true;
+}
+
+/**
+ * Handle a subscription event of a recurring addon
+ */
+async function handleAddonSubscriptionEvent(store, addon, event, { adapter }) {
+  const subscription = await store.subscriptions.findById(addon.subscription_id);
+  const providerPeriodEnd = event.data.subscription.current_period_end || null;
+
+  // Record the payments the provider reports, so they can be refunded
+  const providerPaymentId = event.data.subscription.provider_payment_id;
+  if (providerPaymentId && SUBSCRIPTION_PAYMENT_EVENTS.includes(event.type)) {
+    await recordSubscriptionPayment(store, subscription, { providerPaymentId, adapter });
+  }
+
+  switch (event.type) {
+    case 'subscription.renewed':
+      // A subscription's first payment can arrive as a renewal; it pays for
+      // the period the addon was bought with
+      if (subscription.status !== 'incomplete') {
+        const period = getRenewalPeriod(addon, subscription, providerPeriodEnd);
+        await store.subscriptions.update(subscription.id, {
+          status: 'active',
+          billing_status: 'active',
+          billing_retry_count: 0,
+          current_period_start: period.start,
+          current_period_end: period.end,
+          next_billing_date: period.end
+        });
+        await store.entity_addons.update(addon.id, {
+          status: 'active',
+          end_date: period.end,
+          renewed_at: new Date().toISOString()
+        });
+        await logEvent(store, addon.id, 'renewed', {
+          subscription_id: subscription.id,
+          previous_end_date: addon.end_date,
+          end_date: period.end
+        });
+        break;
+      }
+      // falls through
+
+    case 'subscription.payment_succeeded':
+      // The current period is paid for
+      await store.subscriptions.update(subscription.id, {
+        status: 'active',
+        billing_status: 'active',
+        billing_retry_count: 0
+      });
+      await store.entity_addons.update(addon.id, {
+        status: 'active',
+        end_date: latestDate(addon.end_date, subscription.current_period_end, providerPeriodEnd)
+      });
+      break;
+
+    case 'subscription.cancelled':
+      // Cancelled with the provider: the addon doesn't renew and stays
+      // active until the end of the period
+      await store.entity_addons.update(addon.id, addon.status === 'active'
+        ? { auto_renew: false, cancel_at_period_end: true, cancelled_at: addon.cancelled_at || new Date().toISOString() }
+        : { auto_renew: false });
+      break;
+
+    case 'subscription.payment_failed':
+      // Addons aren't retried by dunning (see ./dunning): the addon stays
+      // active until its end date, and is extended if a later payment
+      // succeeds
+      break;
+
+    case 'subscription.expired':
+    case 'subscription.deleted':
+      if (addon.status !== 'cancelled') {
+        await store.entity_addons.update(addon.id, { status: 'expired', auto_renew: false });
+      }
+      break;
+  }
+}
+
+/**
+ * Handle an order event of a one-time addon or of an extension
+ */
+async function handleAddonOrderEvent(store, addon, event) {
+  const orderId = event.data.order.id;
+
+  // Orders of extensions are linked to the addon once they're paid
+  if (addon.order_id !== orderId) {
+    if (['order.payment_succeeded', 'order.completed'].includes(event.type)) {
+      const catalogAddon = addon.addon_id ? await store.addons.findById(addon.addon_id) : null;
+      await extendAddon(store, addon, {
+        durationDays: catalogAddon ? catalogAddon.duration_days : null,
+        orderId
+      });
+    }
+    return;
+  }
+
+  switch (event.type) {
+    case 'order.payment_succeeded':
+    case 'order.completed':
+      if (addon.status === 'pending') {
+        await store.entity_addons.update(addon.id, { status: 'active' });
+      }
+      break;
+
+    case 'order.payment_failed':
+    case 'order.cancelled':
+      if (addon.status === 'pending') {
+        await store.entity_addons.update(addon.id, { status: 'cancelled', cancelled_at: new Date().toISOString() });
+      }
+      break;
+
+    case 'order.refunded':
+      await store.entity_addons.update(addon.id, {
+        status: 'cancelled',
+        end_date: new Date().toISOString(),
+        cancelled_at: new Date().toISOString()
+      });
+      break;
+  }
+}
+
+/**
+ * Move the addons kept in `entity_memberships.addons` to `entity_addons`.
+ * Each membership is migrated in a transaction that also clears its
+ * `addons`, so the migration can run again (e.g. at every start) and picks
+ * up where it stopped.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @returns {Promise<Object>} { memberships, addons }: the number migrated
+ */
+async function migrateMembershipAddons(store) {
+  const memberships = await store.entity_memberships.findAll({ where: { addons: { ne: null } } });
+  const migrated = { memberships: 0, addons: 0 };
+
+  for (const { id } of memberships) {
+    const count = await store.transaction(async (tx) => {
+      const membership = await tx.entity_memberships.findById(id);
+      const entries = JSON.parse(membership.addons || '[]');
+
+      for (const entry of entries) {
+        const catalogAddon = await tx.addons.findOne({ where: { feature_id: entry.feature_id } });
+        await tx.entity_addons.create({
+          id: uuidv4(),
+          membership_id: membership.id,
+          addon_id: catalogAddon ? catalogAddon.id : null,
+          feature_id: entry.feature_id,
+          addon_price_id: entry.addon_price_id || null,
+          name: entry.name || (catalogAddon ? catalogAddon.name : entry.feature_id),
+          price_cents: entry.price_cents === undefined ? null : entry.price_cents,
+          currency: entry.currency || null,
+          subscription_id: entry.subscription_id || null,
+          order_id: entry.order_id || null,
+          status: ADDON_STATUSES.includes(entry.status) ? entry.status : 'active',
+          start_date: entry.start_date || membership.start_date,
+          end_date: entry.end_date || null,
+          auto_renew: Boolean(entry.auto_renew)
+        });
+      }
+
+      await tx.entity_memberships.update(membership.id, { addons: null });
+      return entries.length;
+    });
+
+    migrated.memberships++;
+    migrated.addons += count;
+  }
+
+  return migrated;
+}
+
+/**
+ * Format an addon for API responses: addons of a membership have its
+ * `membership_id`, standalone addons their `owner`
+ *
+ * @param {Object} addon - entity_addons row
+ * @returns {Object}
+ */
+function formatPurchasedAddon(addon) {
+  return {
+    id: addon.id,
+    membership_id: addon.membership_id,
+    owner: addon.membership_id ? null : getAddonOwner(addon),
+    feature_id: addon.feature_id,
+    name: addon.name,
+    status: addon.status,
+    addon_price_id: addon.addon_price_id,
+    price_cents: addon.price_cents,
+    currency: addon.currency,
+    subscription_id: addon.subscription_id,
+    order_id: addon.order_id,
+    start_date: addon.start_date,
+    end_date: addon.end_date,
+    auto_renew: Boolean(addon.auto_renew),
+    cancel_at_period_end: Boolean(addon.cancel_at_period_end),
+    cancelled_at: addon.cancelled_at || null,
+    renewed_at: addon.renewed_at || null,
+    created_at: addon.created_at
+  };
+}
+
+/**
+ * Product ID of an addon price. Each price version gets its own product, so
+ * subscriptions and orders keep the price they were bought at.
+ */
+function getAddonProductId(featureId, price) {
+  return `addon_${featureId}_${price.currency.toLowerCase()}_v${price.version}`;
+}
+
+/**
+ * Get the entity_addons column holding a standalone addon's owner
+ */
+function getOwnerColumn(owner) {
+  const ownerType = Object.values(ADDON_OWNERS).find(candidate => candidate.type === owner.type);
+  if (!ownerType) {
+    throw new CheckoutError(`Addons can't be owned by a ${owner.type}`);
+  }
+  return ownerType.column;
+}
+
+/**
+ * Whether an active addon is before its end date
+ */
+function isCurrent(addon, now) {
+  return !addon.end_date || new Date(addon.end_date) > now;
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS).toISOString();
+}
+
+async function logEvent(store, addonId, eventType, data) {
+  await store.payment_events.create({
+    id: uuidv4(),
+    entity_type: 'addon',
+    entity_id: addonId,
+    event_type: eventType,
+    data: JSON.stringify(data)
+  });
+}
+
+module.exports = {
+  ADDON_STATUSES,
+  findCurrentAddons,
+  findExistingAddon,
+  purchaseAddon,
+  extendAddon,
+  renewAddon,
+  cancelAddon,
+  findWebhookAddons,
+  handleAddonWebhook,
+  migrateMembershipAddons,
+  formatPurchasedAddon,
+  getAddonProductId
+};
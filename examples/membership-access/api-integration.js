@@ -6,16 +6,50 @@
  */
 
 const express = require('express');
-const app = express();
 const bodyParser = require('body-parser');
 
 // Import route handlers
 const paymentRoutes = require('../payment-routes');
-const membershipRoutes = require('./standardized-api-routes');
+const { createMembershipRouter } = require('./standardized-api-routes');
+const { seedFeatureCatalog } = require('./feature-catalog');
+const { recordSubscriptionPayment } = require('./payment-records');
+const { latestDate } = require('./billing-periods');
+const { CheckoutError } = require('./checkout');
+const { formatAppliedCoupon } = require('./coupons');
+const { formatTax } = require('./taxes');
+const { reverseBalanceDebits, formatBalanceDebit } = require('./account-balances');
+const { settleOrderInvoice } = require('./invoices');
+const {
+  ADDON_STATUSES,
+  purchaseAddon,
+  renewAddon,
+  cancelAddon,
+  findWebhookAddons,
+  handleAddonWebhook,
+  migrateMembershipAddons,
+  formatPurchasedAddon
+} = require('./addon-subscriptions');
+const { createProviderRegistry, PaymentProviderError, WebhookSignatureError, WebhookPayloadError } = require('./providers');
+const { recordWebhook, processWebhook, translateWebhookEvent } = require('./webhooks');
+const {
+  MEMBERSHIP_OWNERS,
+  ADDON_OWNERS,
+  ACCESS_STATUSES,
+  getMembershipOwner,
+  getAddonOwner,
+  getBillingColumns
+} = require('./membership-owners');
+const {
+  createEntitlementEvents,
+  trackEntitlementChanges,
+  publishEntitlementChanges
+} = require('./entitlement-events');
+const { isInTrial, getTrialConversion } = require('./trials');
+const { renewMembership } = require('./renewals');
+const { recordPaymentFailure } = require('./dunning');
 
-// Middleware
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
+// Canonical events of successful subscription payments
+const SUBSCRIPTION_PAYMENT_EVENTS = ['subscription.renewed', 'subscription.payment_succeeded'];
 
 // Authentication middleware (simplified example)
 const authMiddleware = (req, res, next) => {
@@ -30,32 +64,74 @@ const authMiddleware = (req, res, next) => {
   const token = authHeader.split(' ')[1];
   
   // Mock user authentication - in a real app, you would verify the token
-  // and fetch the user from your database
+  // and fetch the user from your database. The mock token is the user's ID;
+  // the user is never taken from the query or path, which the caller picks.
   req.user = {
-    id: req.query.user_id || req.params.userId || 'user_123',
+    id: token,
     token: token
   };
   
   next();
 };
 
-// Apply authentication middleware to protected routes
+// Admin authorization middleware (simplified example): the user that
+// authMiddleware authenticated must be an admin (`users.user_type`)
+const createAdminMiddleware = (store) => async (req, res, next) => {
+  try {
+    const user = req.user ? await store.users.findById(req.user.id) : null;
+    if (!user || user.user_type !== 'admin') {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    next();
+  } catch (error) {
+    console.error('Error authorizing admin:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Routes that require authentication
 const protectedRoutes = [
   '/api/payment/users/:userId/memberships',
   '/api/payment/users/:userId/memberships/:membershipId',
   '/api/payment/users/:userId/memberships/:membershipId/cancel',
-  '/api/payment/access/verify'
+  '/api/payment/users/:userId/memberships/:membershipId/reactivate',
+  '/api/payment/users/:userId/memberships/:membershipId/pause',
+  '/api/payment/users/:userId/memberships/:membershipId/resume',
+  '/api/payment/users/:userId/memberships/:membershipId/change',
+  '/api/payment/organizations/:orgId/memberships',
+  '/api/payment/organizations/:orgId/memberships/:membershipId',
+  '/api/payment/organizations/:orgId/memberships/:membershipId/cancel',
+  '/api/payment/organizations/:orgId/memberships/:membershipId/reactivate',
+  '/api/payment/organizations/:orgId/memberships/:membershipId/pause',
+  '/api/payment/organizations/:orgId/memberships/:membershipId/resume',
+  '/api/payment/organizations/:orgId/memberships/:membershipId/change',
+  '/api/payment/projects/:projectId/memberships',
+  '/api/payment/projects/:projectId/memberships/:membershipId',
+  '/api/payment/projects/:projectId/memberships/:membershipId/cancel',
+  '/api/payment/projects/:projectId/memberships/:membershipId/reactivate',
+  '/api/payment/projects/:projectId/memberships/:membershipId/pause',
+  '/api/payment/projects/:projectId/memberships/:membershipId/resume',
+  '/api/payment/projects/:projectId/memberships/:membershipId/change',
+  '/api/payment/access/verify',
+  '/api/payment/reports/cancellations',
+  '/api/payment/coupons/validate',
+  '/api/payment/tax/quote',
+  '/api/payment/users/:userId/usage',
+  '/api/payment/usage',
+  '/api/payment/users/:userId/invoices',
+  '/api/payment/organizations/:orgId/invoices',
+  '/api/payment/users/:userId/entitlements',
+  '/api/payment/users/:userId/entitlements/token',
+  '/api/payment/users/:userId/entitlements/events'
 ];
 
-protectedRoutes.forEach(route => {
-  app.use(route, authMiddleware);
-});
-
-// Mount the payment API routes
-app.use('/api/payment', paymentRoutes);
-
-// Mount the membership API routes
-app.use('/api/payment', membershipRoutes);
+// Routes whose changes (POST, PUT, DELETE) require an authenticated admin:
+// the feature and add-on catalog, which sets prices and limits. Reading
+// them, and checking access to a feature (GET /features/check), is public.
+const adminRoutes = [
+  '/api/payment/features',
+  '/api/payment/addons'
+];
 
 /**
  * Example of how the API routes work together
@@ -63,47 +139,494 @@ app.use('/api/payment', membershipRoutes);
  * 1. User purchases a membership:
  *    POST /api/payment/users/:userId/memberships
  *    - Creates a subscription or order in the payment system
- *    - Creates a user_membership record
+ *    - Creates an entity_memberships record
  * 
  * 2. Payment webhook receives an event:
- *    POST /api/payment/webhooks
- *    - Payment system processes the webhook
+ *    POST /api/payment/webhooks/:providerId
+ *    - Verifies the signature and records the event (once per event ID)
  *    - Updates subscription/order status
  *    - Triggers membership status update
  * 
  * 3. Application checks if user has access to a feature:
  *    GET /api/payment/access/verify?user_id=123&feature_id=hd
- *    - Checks user's memberships and addons
+ *    - Checks the memberships and addons of the user and of their
+ *      organizations and projects
  *    - Returns access status and options
  */
 
-// Webhook handler for payment events that affect memberships
-app.post('/api/payment/webhooks', async (req, res) => {
-  try {
-    const event = req.body;
-    
-    // Process the webhook event
-    if (event.type.startsWith('subscription.')) {
-      await handleSubscriptionWebhook(event);
-    } else if (event.type.startsWith('order.')) {
-      await handleOrderWebhook(event);
+/**
+ * Create the payment API application
+ *
+ * @param {Object} options
+ * @param {Object} options.store - Data-access layer (see ./store)
+ * @param {Object} options.providers - Payment provider registry (see ./providers);
+ *   defaults to one built from the store's payment_providers
+ * @param {Object} options.dunning - Retry schedule and grace period for failed
+ *   subscription payments (see DEFAULT_DUNNING in ./dunning)
+ * @param {Object} options.cancellation - Reason requirements for cancellations
+ *   (see DEFAULT_CANCELLATION in ./cancellations)
+ * @param {Object} options.tokens - Signing keys and lifetime of entitlement
+ *   tokens (see DEFAULT_TOKENS in ./entitlement-tokens)
+ * @param {EventEmitter} options.events - Emitter of entitlement changes, to
+ *   listen to them in the app (see ./entitlement-events)
+ * @param {Object} options.tax - Tax settings of purchases (see DEFAULT_TAX
+ *   in ./taxes)
+ * @returns {express.Application}
+ */
+function createApp({
+  store,
+  providers = createProviderRegistry({ store }),
+  dunning = {},
+  cancellation = {},
+  tokens = {},
+  events = createEntitlementEvents(),
+  tax = {}
+}) {
+  const app = express();
+
+  // Middleware; the raw body is kept for webhook signature verification
+  const keepRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+  };
+  app.use(bodyParser.json({ verify: keepRawBody }));
+  app.use(bodyParser.urlencoded({ extended: true, verify: keepRawBody }));
+
+  // Apply authentication middleware to protected routes
+  protectedRoutes.forEach(route => {
+    app.use(route, authMiddleware);
+  });
+
+  const adminMiddleware = createAdminMiddleware(store);
+  const isRead = (req) => ['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+  adminRoutes.forEach(route => {
+    app.use(route, (req, res, next) => (isRead(req) ? next() : authMiddleware(req, res, next)));
+    app.use(route, (req, res, next) => (isRead(req) ? next() : adminMiddleware(req, res, next)));
+  });
+
+  // Mount the payment API routes
+  app.use('/api/payment', paymentRoutes);
+
+  // Mount the membership API routes
+  app.use('/api/payment', createMembershipRouter({ store, providers, cancellation, tokens, events, tax }));
+
+  /**
+   * Payment provider webhooks
+   * POST /api/payment/webhooks/:providerId
+   *
+   * The event is verified with the provider's signature scheme, stored in
+   * payment_webhooks and handled once per provider event ID; duplicate
+   * deliveries are acknowledged without being handled again. The provider's
+   * native event is translated into canonical events before it is handled.
+   */
+  app.post('/api/payment/webhooks/:providerId', async (req, res) => {
+    try {
+      const resolved = await providers.resolve(req.params.providerId);
+      if (!resolved) {
+        return res.status(404).json({ error: 'Payment provider not found' });
+      }
+
+      const { provider, adapter } = resolved;
+
+      let event;
+      try {
+        event = await adapter.verifyWebhook({ rawBody: req.rawBody || '', headers: req.headers });
+      } catch (error) {
+        if (error instanceof WebhookSignatureError) {
+          return res.status(400).json({ error: 'Invalid webhook signature' });
+        }
+        if (error instanceof WebhookPayloadError) {
+          return res.status(400).json({ error: 'Invalid webhook payload' });
+        }
+        throw error;
+      }
+
+      if (!event.provider_event_id) {
+        return res.status(400).json({ error: 'Webhook event has no ID' });
+      }
+
+      const webhook = await recordWebhook(store, provider.id, event);
+      const changes = trackEntitlementChanges(store, events);
+      const processed = await processWebhook(store, webhook, async (tx) => {
+        const canonicalEvents = await translateWebhookEvent(tx, provider.id, adapter, event.payload);
+        for (const canonicalEvent of canonicalEvents) {
+          for (const owner of await findEventOwners(tx, canonicalEvent)) {
+            await changes.watch(owner, { db: tx });
+          }
+          await handleWebhookEvent(tx, canonicalEvent, { dunning, adapter });
+        }
+      });
+
+      res.json({ received: true, duplicate: !processed });
+
+      changes.publish().catch((error) => {
+        console.error('Error publishing entitlement changes:', error);
+      });
+    } catch (error) {
+      console.error('Error processing webhook:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
-    
-    res.json({ received: true });
-  } catch (error) {
-    console.error('Error processing webhook:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  // Addon routes for each owner type: /users/:userId/addons,
+  // /organizations/:orgId/addons and /guests/:guestId/addons
+  for (const [segment, owner] of Object.entries(ADDON_OWNERS)) {
+    const basePath = `/api/payment/${segment}/:${owner.param}/addons`;
+
+    // Emits the features the owner's users gain or lose through a request
+    const publishChanges = publishEntitlementChanges({
+      store,
+      events,
+      getOwner: req => ({ type: owner.type, id: req.params[owner.param] })
+    });
+
+    /**
+     * Get an owner's addons: those of the owner's memberships and the
+     * owner's standalone addons
+     * GET /api/payment/users/:userId/addons
+     * GET /api/payment/organizations/:orgId/addons
+     * GET /api/payment/guests/:guestId/addons
+     *
+     * Query parameters:
+     * - status: Only addons with this status ('pending', 'active', 'expired', 'cancelled')
+     */
+    app.get(basePath, authMiddleware, async (req, res) => {
+      try {
+        const ownerId = req.params[owner.param];
+        const { status } = req.query;
+        if (status && !ADDON_STATUSES.includes(status)) {
+          return res.status(400).json({ error: `status must be one of: ${ADDON_STATUSES.join(', ')}` });
+        }
+
+        const memberships = await findOwnerMemberships(store, owner, ownerId);
+        const addons = [
+          ...await store.entity_addons.findAll({
+            where: { membership_id: memberships.map(membership => membership.id), ...(status ? { status } : {}) }
+          }),
+          ...await store.entity_addons.findAll({
+            where: { [owner.column]: ownerId, membership_id: null, ...(status ? { status } : {}) }
+          })
+        ].sort((a, b) => new Date(b.start_date) - new Date(a.start_date));
+
+        res.json(addons.map(formatPurchasedAddon));
+      } catch (error) {
+        console.error('Error fetching addons:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    /**
+     * Purchase an addon for an owner. Addons that require a membership are
+     * added to one of the owner's memberships; the others are standalone,
+     * owned by the owner. Buying an addon the owner already has extends it
+     * (see purchaseAddon).
+     * POST /api/payment/users/:userId/addons
+     * POST /api/payment/organizations/:orgId/addons
+     * POST /api/payment/guests/:guestId/addons
+     *
+     * Request body:
+     * - feature_id: The addon's feature
+     * - payment_method_id: The payment method to charge; not needed with
+     *   payment_source 'balance'
+     * - provider_id: (Optional) Defaults to the payment method's provider
+     * - payment_source: (Optional) 'payment_method' (default), 'balance' or
+     *   'mixed', for one-time purchases (see ./account-balances)
+     * - is_recurring: (Optional) Buy the addon as a subscription
+     * - currency: (Optional) Defaults to the membership's currency
+     * - membership_id: (Optional) The membership to add the addon to;
+     *   defaults to the owner's first active membership
+     * - coupon_code: (Optional) Coupon discounting the purchase (see ./coupons)
+     * - billing_address: (Optional) { country, state, city, postal_code } the
+     *   purchase is taxed at; defaults to the payer's billing address on
+     *   file (see ./taxes)
+     */
+    app.post(basePath, authMiddleware, publishChanges, async (req, res) => {
+      try {
+        const ownerId = req.params[owner.param];
+        const {
+          feature_id,
+          payment_method_id,
+          provider_id,
+          payment_source = 'payment_method',
+          is_recurring,
+          currency,
+          membership_id,
+          coupon_code,
+          billing_address
+        } = req.body;
+
+        // Validate required fields
+        if (!feature_id) {
+          return res.status(400).json({ error: 'feature_id is required' });
+        }
+
+        if (!payment_method_id && payment_source !== 'balance') {
+          return res.status(400).json({ error: 'payment_method_id is required' });
+        }
+
+        if (billing_address && !billing_address.country) {
+          return res.status(400).json({ error: 'billing_address.country is required' });
+        }
+
+        const ownerRecord = await store[owner.table].findById(ownerId);
+        if (!ownerRecord) {
+          return res.status(404).json({ error: `${owner.label} not found` });
+        }
+
+        // Get the owner's active memberships (including free trials)
+        const memberships = await findOwnerMemberships(store, owner, ownerId, { status: ACCESS_STATUSES });
+        const membership = membership_id
+          ? memberships.find(candidate => candidate.id === membership_id)
+          : memberships[0] || null;
+        if (membership_id && !membership) {
+          return res.status(404).json({ error: 'Membership not found' });
+        }
+
+        // The addon is billed to the owner
+        const result = await purchaseAddon(store, providers, {
+          membership,
+          owner: { type: owner.type, id: ownerId },
+          billing: getBillingColumns(owner, ownerRecord),
+          featureId: feature_id,
+          paymentMethodId: payment_method_id,
+          providerId: provider_id,
+          paymentSource: payment_source,
+          isRecurring: Boolean(is_recurring),
+          currency,
+          couponCode: coupon_code,
+          billingAddress: billing_address,
+          tax
+        });
+
+        if (!result.addon) {
+          return res.status(402).json({ error: 'Payment failed', message: result.charge.error_message });
+        }
+
+        res.status(result.extended ? 200 : 201).json({
+          success: true,
+          extended: result.extended,
+          addon: formatPurchasedAddon(result.addon),
+          discount: result.discount ? formatAppliedCoupon(result.discount) : undefined,
+          tax: formatTax(result.tax),
+          balance_debit: result.balance_debit ? formatBalanceDebit(result.balance_debit) : undefined,
+          payment_action: result.payment_action || undefined
+        });
+      } catch (error) {
+        if (error instanceof CheckoutError) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        if (error instanceof PaymentProviderError) {
+          return res.status(502).json({ error: 'Payment provider error', message: error.message });
+        }
+        console.error('Error purchasing addon:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    /**
+     * Renew an owner's addon: reactivate a recurring addon cancelled at the
+     * end of the period, or buy another period of a one-time addon
+     * POST /api/payment/users/:userId/addons/:addonId/renew
+     * POST /api/payment/organizations/:orgId/addons/:addonId/renew
+     * POST /api/payment/guests/:guestId/addons/:addonId/renew
+     *
+     * Request body (for one-time addons):
+     * - payment_method_id: The payment method to charge; not needed with
+     *   payment_source 'balance'
+     * - provider_id: (Optional) Defaults to the payment method's provider
+     * - payment_source: (Optional) 'payment_method' (default), 'balance' or
+     *   'mixed' (see ./account-balances)
+     */
+    app.post(`${basePath}/:addonId/renew`, authMiddleware, publishChanges, async (req, res) => {
+      try {
+        const ownerId = req.params[owner.param];
+        const { payment_method_id, provider_id, payment_source = 'payment_method' } = req.body;
+
+        const ownerRecord = await store[owner.table].findById(ownerId);
+        if (!ownerRecord) {
+          return res.status(404).json({ error: `${owner.label} not found` });
+        }
+
+        const { addon, membership } = await findOwnerAddon(store, owner, ownerId, req.params.addonId);
+        if (!addon) {
+          return res.status(404).json({ error: 'Addon not found' });
+        }
+
+        const result = await renewAddon(store, providers, {
+          addon,
+          membership,
+          owner: { type: owner.type, id: ownerId },
+          billing: getBillingColumns(owner, ownerRecord),
+          paymentMethodId: payment_method_id,
+          providerId: provider_id,
+          paymentSource: payment_source,
+          tax
+        });
+
+        if (!result.addon) {
+          return res.status(402).json({ error: 'Payment failed', message: result.charge.error_message });
+        }
+
+        res.json({
+          success: true,
+          extended: result.extended,
+          addon: formatPurchasedAddon(result.addon),
+          tax: result.tax ? formatTax(result.tax) : undefined,
+          balance_debit: result.balance_debit ? formatBalanceDebit(result.balance_debit) : undefined,
+          payment_action: result.payment_action || undefined
+        });
+      } catch (error) {
+        if (error instanceof CheckoutError) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        if (error instanceof PaymentProviderError) {
+          return res.status(502).json({ error: 'Payment provider error', message: error.message });
+        }
+        console.error('Error renewing addon:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    /**
+     * Cancel an owner's addon
+     * DELETE /api/payment/users/:userId/addons/:addonId
+     * DELETE /api/payment/organizations/:orgId/addons/:addonId
+     * DELETE /api/payment/guests/:guestId/addons/:addonId
+     *
+     * Query parameters:
+     * - mode: 'end_of_period' (default) keeps the addon until its end date;
+     *   'immediate' ends it now
+     */
+    app.delete(`${basePath}/:addonId`, authMiddleware, publishChanges, async (req, res) => {
+      try {
+        const { addon } = await findOwnerAddon(store, owner, req.params[owner.param], req.params.addonId);
+        if (!addon) {
+          return res.status(404).json({ error: 'Addon not found' });
+        }
+
+        const cancelled = await cancelAddon(store, providers, {
+          addon,
+          mode: req.query.mode || undefined
+        });
+
+        res.json({ success: true, addon: formatPurchasedAddon(cancelled) });
+      } catch (error) {
+        if (error instanceof CheckoutError) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        if (error instanceof PaymentProviderError) {
+          return res.status(502).json({ error: 'Payment provider error', message: error.message });
+        }
+        console.error('Error cancelling addon:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+  }
+
+  return app;
+}
+
+/**
+ * Find the memberships of an addon owner; guests have none
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} owner - ADDON_OWNERS entry
+ * @param {string} ownerId - The owner's ID
+ * @param {Object} options
+ * @param {string[]} options.status - Only memberships with these statuses
+ * @returns {Promise<Object[]>} entity_memberships rows
+ */
+async function findOwnerMemberships(store, owner, ownerId, { status = null } = {}) {
+  if (!Object.values(MEMBERSHIP_OWNERS).includes(owner)) {
+    return [];
   }
-});
+
+  return store.entity_memberships.findAll({
+    where: { [owner.column]: ownerId, ...(status ? { status } : {}) }
+  });
+}
+
+/**
+ * Find an addon of an owner: standalone, or of one of the owner's
+ * memberships
+ *
+ * @returns {Promise<Object>} { addon, membership }: `membership` is null for
+ *   standalone addons; both are null if the owner has no such addon
+ */
+async function findOwnerAddon(store, owner, ownerId, addonId) {
+  const addon = await store.entity_addons.findById(addonId);
+  if (!addon) {
+    return { addon: null, membership: null };
+  }
+
+  if (!addon.membership_id) {
+    return addon[owner.column] === ownerId ? { addon, membership: null } : { addon: null, membership: null };
+  }
+
+  const [membership] = (await findOwnerMemberships(store, owner, ownerId))
+    .filter(candidate => candidate.id === addon.membership_id);
+  return membership ? { addon, membership } : { addon: null, membership: null };
+}
+
+/**
+ * Handle a webhook event that may affect memberships
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} event - Canonical webhook event (see ./webhooks)
+ * @param {Object} options
+ * @param {Object} options.dunning - Overrides of DEFAULT_DUNNING (see ./dunning)
+ * @param {Object} options.adapter - Adapter of the provider that sent the event
+ */
+async function handleWebhookEvent(store, event, options = {}) {
+  // Account balance debits of orders that weren't paid are given back, and
+  // the open invoices of orders are paid or voided (see ./invoices)
+  if (['order.payment_failed', 'order.cancelled'].includes(event.type)) {
+    await reverseBalanceDebits(store, { orderId: event.data.order.id, reason: 'Order not paid' });
+    await settleOrderInvoice(store, event.data.order.id, { paid: false });
+  } else if (['order.payment_succeeded', 'order.completed'].includes(event.type)) {
+    await settleOrderInvoice(store, event.data.order.id, { paid: true });
+  }
+
+  // Addons have their own subscriptions and orders
+  if (await handleAddonWebhook(store, event, options)) {
+    return;
+  }
+
+  if (event.type.startsWith('subscription.')) {
+    await handleSubscriptionWebhook(store, event, options);
+  } else if (event.type.startsWith('order.')) {
+    await handleOrderWebhook(store, event);
+  }
+}
+
+/**
+ * Find the owners of the memberships and addons a webhook event is about
+ */
+async function findEventOwners(store, event) {
+  const addons = await findWebhookAddons(store, event);
+  if (addons.length > 0) {
+    const memberships = new Map((await store.entity_memberships.findAll({
+      where: { id: addons.map(addon => addon.membership_id) }
+    })).map(membership => [membership.id, membership]));
+    return addons.map(addon => getAddonOwner(addon, memberships.get(addon.membership_id)));
+  }
+
+  let memberships = [];
+  if (event.type.startsWith('subscription.')) {
+    memberships = await store.entity_memberships.findAll({ where: { subscription_id: event.data.subscription.id } });
+  } else if (event.type.startsWith('order.')) {
+    memberships = await store.entity_memberships.findAll({ where: { order_id: event.data.order.id } });
+  }
+  return memberships.map(getMembershipOwner);
+}
 
 /**
  * Handle subscription-related webhook events
  */
-async function handleSubscriptionWebhook(event) {
+async function handleSubscriptionWebhook(store, event, { dunning = {}, adapter } = {}) {
   const subscriptionId = event.data.subscription.id;
   
   // Find memberships associated with this subscription
-  const memberships = await db.user_memberships.findAll({
+  const memberships = await store.entity_memberships.findAll({
     where: { subscription_id: subscriptionId }
   });
   
@@ -113,41 +636,72 @@ async function handleSubscriptionWebhook(event) {
   }
   
   const membership = memberships[0];
-  const membershipType = await db.membership_types.findById(membership.membership_type_id);
-  
+  const subscription = await store.subscriptions.findById(subscriptionId);
+
+  // Record the payments the provider reports, so they can be refunded
+  const providerPaymentId = event.data.subscription.provider_payment_id;
+  if (providerPaymentId && SUBSCRIPTION_PAYMENT_EVENTS.includes(event.type)) {
+    await recordSubscriptionPayment(store, subscription, { providerPaymentId, adapter });
+  }
+
   switch (event.type) {
     case 'subscription.renewed':
+      // A subscription's first payment can arrive as a renewal (e.g. PayPal
+      // sales); it pays for the period the membership was created with
+      if (subscription.status !== 'incomplete') {
+        // Extend the membership by one billing period; this also converts
+        // a trial and reactivates a past-due or suspended membership
+        await renewMembership(store, {
+          membership,
+          subscription,
+          providerPeriodEnd: event.data.subscription.current_period_end
+        });
+        break;
+      }
+      // falls through
+
     case 'subscription.payment_succeeded':
-      // Extend the membership end date
-      const newEndDate = new Date();
-      newEndDate.setDate(newEndDate.getDate() + membershipType.duration_days);
-      
-      await db.user_memberships.update(membership.id, {
+      // Payments during a trial (e.g. a $0 first invoice) leave it running
+      if (isInTrial(subscription)) {
+        break;
+      }
+
+      // The current period is paid for
+      await store.subscriptions.update(subscription.id, {
+        status: 'active',
+        billing_status: 'active',
+        billing_retry_count: 0
+      });
+      await store.entity_memberships.update(membership.id, {
         status: 'active',
-        end_date: newEndDate.toISOString()
+        end_date: latestDate(membership.end_date, subscription.current_period_end, event.data.subscription.current_period_end),
+        grace_until: null,
+        ...getTrialConversion(membership)
       });
       break;
       
     case 'subscription.cancelled':
-      // Mark the membership to not auto-renew
-      await db.user_memberships.update(membership.id, {
-        auto_renew: false
-      });
+      // Cancelled with the provider: the membership doesn't renew and
+      // keeps access until the end of the period
+      await store.entity_memberships.update(membership.id, ACCESS_STATUSES.includes(membership.status)
+        ? { auto_renew: false, cancel_at_period_end: true, cancelled_at: membership.cancelled_at || new Date().toISOString() }
+        : { auto_renew: false });
       break;
       
     case 'subscription.payment_failed':
-      // Mark the membership as at risk
-      await db.user_memberships.update(membership.id, {
-        status: 'payment_failed'
-      });
+      // Keep access during the grace period while the payment is retried,
+      // and suspend the membership when the retries run out
+      await recordPaymentFailure(store, { membership, subscription, dunning });
       break;
       
     case 'subscription.expired':
     case 'subscription.deleted':
-      // Mark the membership as expired
-      await db.user_memberships.update(membership.id, {
-        status: 'expired'
-      });
+      // Mark the membership as expired, unless it was cancelled right away
+      if (membership.status !== 'cancelled') {
+        await store.entity_memberships.update(membership.id, {
+          status: 'expired'
+        });
+      }
       break;
   }
 }
@@ -155,11 +709,11 @@ async function handleSubscriptionWebhook(event) {
 /**
  * Handle order-related webhook events
  */
-async function handleOrderWebhook(event) {
+async function handleOrderWebhook(store, event) {
   const orderId = event.data.order.id;
   
   // Find memberships associated with this order
-  const memberships = await db.user_memberships.findAll({
+  const memberships = await store.entity_memberships.findAll({
     where: { order_id: orderId }
   });
   
@@ -174,7 +728,7 @@ async function handleOrderWebhook(event) {
     case 'order.payment_succeeded':
     case 'order.completed':
       // Activate the membership
-      await db.user_memberships.update(membership.id, {
+      await store.entity_memberships.update(membership.id, {
         status: 'active'
       });
       break;
@@ -182,212 +736,50 @@ async function handleOrderWebhook(event) {
     case 'order.payment_failed':
     case 'order.cancelled':
       // Mark the membership as cancelled
-      await db.user_memberships.update(membership.id, {
+      await store.entity_memberships.update(membership.id, {
         status: 'cancelled'
       });
       break;
       
     case 'order.refunded':
       // Mark the membership as refunded
-      await db.user_memberships.update(membership.id, {
+      await store.entity_memberships.update(membership.id, {
         status: 'refunded'
       });
       break;
   }
 }
 
-/**
- * Purchase an addon for a user
- * POST /api/payment/users/:userId/addons
- */
-app.post('/api/payment/users/:userId/addons', authMiddleware, async (req, res) => {
-  try {
-    const userId = req.params.userId;
-    const { feature_id, payment_method_id, is_recurring } = req.body;
-    
-    // Validate required fields
-    if (!feature_id) {
-      return res.status(400).json({ error: 'feature_id is required' });
-    }
-    
-    if (!payment_method_id) {
-      return res.status(400).json({ error: 'payment_method_id is required' });
-    }
-    
-    // Check if the feature exists and is an addon
-    const feature = AVAILABLE_FEATURES[feature_id];
-    if (!feature || !feature.is_addon) {
-      return res.status(400).json({ error: 'Invalid addon feature' });
-    }
-    
-    // Get user's active memberships
-    const userMemberships = await db.user_memberships.findAll({
-      where: {
-        user_id: userId,
-        status: 'active'
-      }
-    });
-    
-    if (!userMemberships || userMemberships.length === 0) {
-      return res.status(400).json({ 
-        error: 'User must have an active membership to purchase addons' 
-      });
-    }
-    
-    // Use the first active membership
-    const membership = userMemberships[0];
-    
-    // Process the addon purchase
-    let subscriptionId = null;
-    let orderId = null;
-    
-    if (is_recurring && feature.duration_days) {
-      // Create a subscription for the addon
-      const productId = `addon_${feature_id}`;
-      
-      // Create product if it doesn't exist
-      let product = await db.products.findOne({ id: productId });
-      if (!product) {
-        product = await db.products.create({
-          id: productId,
-          name: feature.name,
-          description: feature.description,
-          product_type: 'subscription',
-          is_recurring: true,
-          price_cents: feature.price_cents,
-          currency: feature.currency,
-          billing_interval: 'monthly',
-          metadata: JSON.stringify({
-            feature_id: feature_id,
-            is_addon: true
-          })
-        });
-      }
-      
-      // Create the subscription
-      const subscription = await db.subscriptions.create({
-        id: uuidv4(),
-        user_id: userId,
-        product_id: productId,
-        payment_method_id: payment_method_id,
-        provider_id: 'stripe', // This should be configurable
-        status: 'active',
-        current_period_start: new Date().toISOString(),
-        current_period_end: new Date(Date.now() + feature.duration_days * 24 * 60 * 60 * 1000).toISOString(),
-        price_cents: feature.price_cents,
-        currency: feature.currency,
-        metadata: JSON.stringify({
-          feature_id: feature_id,
-          is_addon: true
-        })
-      });
-      
-      subscriptionId = subscription.id;
-    } else {
-      // Create an order for one-time addon purchase
-      const order = await db.orders.create({
-        id: uuidv4(),
-        order_number: `ORD-${Date.now()}`,
-        user_id: userId,
-        status: 'pending',
-        subtotal_cents: feature.price_cents,
-        tax_cents: 0,
-        discount_cents: 0,
-        total_cents: feature.price_cents,
-        currency: feature.currency,
-        metadata: JSON.stringify({
-          feature_id: feature_id,
-          is_addon: true
-        })
-      });
-      
-      // Create order item
-      await db.order_items.create({
-        id: uuidv4(),
-        order_id: order.id,
-        product_id: `addon_${feature_id}`,
-        quantity: 1,
-        unit_price_cents: feature.price_cents,
-        total_cents: feature.price_cents
-      });
-      
-      // Process payment
-      const payment = await db.payments.create({
-        id: uuidv4(),
-        order_id: order.id,
-        user_id: userId,
-        payment_method_id: payment_method_id,
-        provider_id: 'stripe', // This should be configurable
-        amount_cents: feature.price_cents,
-        currency: feature.currency,
-        status: 'completed',
-        completed_at: new Date().toISOString()
-      });
-      
-      // Update order status
-      await db.orders.update(order.id, {
-        status: 'paid',
-        completed_at: new Date().toISOString()
-      });
-      
-      orderId = order.id;
-    }
-    
-    // Update the membership with the new addon
-    const startDate = new Date();
-    let endDate = null;
-    
-    // If the addon has a duration
-    if (feature.duration_days) {
-      endDate = new Date();
-      endDate.setDate(endDate.getDate() + feature.duration_days);
-    }
-    
-    // Get current addons
-    const addons = JSON.parse(membership.addons || '[]');
-    
-    // Add the new addon
-    addons.push({
-      feature_id: feature_id,
-      name: feature.name,
-      subscription_id: subscriptionId,
-      order_id: orderId,
-      start_date: startDate.toISOString(),
-      end_date: endDate ? endDate.toISOString() : null,
-      auto_renew: !!is_recurring
-    });
-    
-    // Update the membership
-    await db.user_memberships.update(membership.id, {
-      addons: JSON.stringify(addons)
-    });
-    
-    // Get the updated membership
-    const updatedMembership = await db.user_memberships.findById(membership.id);
-    
-    res.status(201).json({
-      success: true,
-      addon: {
-        feature_id: feature_id,
-        name: feature.name,
-        subscription_id: subscriptionId,
-        order_id: orderId,
-        start_date: startDate.toISOString(),
-        end_date: endDate ? endDate.toISOString() : null,
-        auto_renew: !!is_recurring
-      },
-      membership: updatedMembership
+// Start the server
+if (require.main === module) {
+  const Database = require('better-sqlite3');
+  const { createSqliteStore } = require('./store');
+  const { createJobRunner } = require('./jobs');
+
+  const store = createSqliteStore(new Database(process.env.DATABASE_PATH || 'payments.db'));
+  const events = createEntitlementEvents();
+  // Entitlement token signing keys: PEM keys separated by blank lines, the
+  // signing key first (see ./entitlement-tokens)
+  const signingKeys = (process.env.ENTITLEMENT_SIGNING_KEYS || '').split(/\n\s*\n/).filter(key => key.trim());
+  const app = createApp({ store, tokens: { signing_keys: signingKeys }, events });
+
+  // Add the features and addons of features-config.js that aren't in the
+  // catalog yet, then move addons left in entity_memberships.addons to
+  // entity_addons
+  seedFeatureCatalog(store).then(() => migrateMembershipAddons(store)).then(() => {
+    const PORT = process.env.PORT || 3000;
+    app.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
     });
-  } catch (error) {
-    console.error('Error purchasing addon:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
 
-// Start the server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+    // Expiry sweeps, payment retries, resumptions and billing schedules
+    // run in this process, so the features users lose are pushed to
+    // connected clients
+    createJobRunner({ store, events }).start();
+  }).catch((error) => {
+    console.error('Error preparing the database:', error);
+    process.exit(1);
+  });
+}
 
-module.exports = app;
+module.exports = { createApp };
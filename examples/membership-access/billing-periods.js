@@ -0,0 +1,170 @@
+/**
+ * Billing Periods
+ *
+ * Date arithmetic for subscription billing intervals
+ * (`subscriptions.billing_interval` × `interval_multiplier`).
+ */
+
+// subscriptions.interval_multiplier is at most 12
+const MAX_INTERVAL_MULTIPLIER = 12;
+
+// Average length of a calendar month
+const DAYS_PER_MONTH = 365.25 / 12;
+
+/**
+ * Add billing intervals to a date. Monthly and yearly intervals follow the
+ * calendar and clamp to the end of shorter months (Jan 31 + 1 month is
+ * Feb 28/29). Dates billed on a day of the month pass `billingDay`, so a
+ * clamped date goes back to that day in longer months (Feb 28 + 1 month is
+ * Mar 31 for day 31).
+ *
+ * @param {Date|string} date - Start of the period
+ * @param {string} billingInterval - 'daily', 'weekly', 'monthly' or 'yearly'
+ * @param {number} intervalMultiplier - Number of intervals (default 1)
+ * @param {number} billingDay - Day of the month (1-31) of monthly and
+ *   yearly dates; defaults to the day of `date`
+ * @returns {Date} End of the period
+ */
+function addBillingInterval(date, billingInterval, intervalMultiplier = 1, billingDay = null) {
+  const start = new Date(date);
+  const count = intervalMultiplier || 1;
+
+  switch (billingInterval) {
+    case 'daily':
+      return new Date(start.getTime() + count * 24 * 60 * 60 * 1000);
+    case 'weekly':
+      return new Date(start.getTime() + count * 7 * 24 * 60 * 60 * 1000);
+    case 'monthly':
+      return addMonths(start, count, billingDay);
+    case 'yearly':
+      return addMonths(start, count * 12, billingDay);
+    default:
+      throw new Error(`Unknown billing interval: ${billingInterval}`);
+  }
+}
+
+function addMonths(date, months, billingDay = null) {
+  const result = new Date(date);
+  const day = billingDay || result.getUTCDate();
+
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+
+  const daysInMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, daysInMonth));
+  return result;
+}
+
+/**
+ * Billing interval of a recurring membership type or addon. An explicit
+ * `billing_interval` / `interval_multiplier` (on the record or in its
+ * metadata) wins; otherwise it is derived from `duration_days`: whole
+ * years, up to 12 weeks or days, or the nearest whole number of calendar
+ * months (30 days is monthly, 90 quarterly, 180 half-yearly). Other
+ * durations (e.g. 45 days) are billed at the interval closest to them in
+ * length, since billing intervals can't span a fixed number of days
+ * beyond 12.
+ *
+ * @param {Object} item - membership_types row or feature config
+ * @returns {Object|null} { billingInterval, intervalMultiplier }, or null if
+ *   the item has no duration
+ */
+function getBillingInterval(item) {
+  const metadata = typeof item.metadata === 'string' ? JSON.parse(item.metadata || '{}') : item.metadata || {};
+  const billingInterval = item.billing_interval || metadata.billing_interval;
+  if (billingInterval) {
+    return {
+      billingInterval,
+      intervalMultiplier: item.interval_multiplier || metadata.interval_multiplier || 1
+    };
+  }
+
+  const days = item.duration_days;
+  if (!days || days < 1) {
+    return null;
+  }
+  if (days % 365 === 0 || days === 366) {
+    return { billingInterval: 'yearly', intervalMultiplier: Math.max(1, Math.floor(days / 365)) };
+  }
+  if (days % 7 === 0 && days / 7 <= MAX_INTERVAL_MULTIPLIER) {
+    return { billingInterval: 'weekly', intervalMultiplier: days / 7 };
+  }
+  if (days <= MAX_INTERVAL_MULTIPLIER) {
+    return { billingInterval: 'daily', intervalMultiplier: days };
+  }
+
+  const months = Math.round(days / DAYS_PER_MONTH);
+  if (months >= 1 && months <= MAX_INTERVAL_MULTIPLIER && Math.abs(days - months * DAYS_PER_MONTH) <= Math.max(3, months / 2)) {
+    return { billingInterval: 'monthly', intervalMultiplier: months };
+  }
+
+  return getNearestBillingInterval(days);
+}
+
+/**
+ * The weekly, monthly or yearly interval closest in length to a number of
+ * days
+ */
+function getNearestBillingInterval(days) {
+  let nearest = { billingInterval: 'yearly', intervalMultiplier: MAX_INTERVAL_MULTIPLIER };
+  let nearestDifference = Infinity;
+
+  for (const [billingInterval, length] of [['weekly', 7], ['monthly', DAYS_PER_MONTH], ['yearly', 365]]) {
+    const intervalMultiplier = Math.round(days / length);
+    const difference = Math.abs(days - intervalMultiplier * length);
+    if (intervalMultiplier >= 1 && intervalMultiplier <= MAX_INTERVAL_MULTIPLIER && difference < nearestDifference) {
+      nearest = { billingInterval, intervalMultiplier };
+      nearestDifference = difference;
+    }
+  }
+
+  return nearest;
+}
+
+/**
+ * Day of the month a subscription is billed on. Monthly and yearly
+ * subscriptions keep it in `metadata.billing_day` (see startSubscription in
+ * ./checkout), so periods that end on a clamped day (Feb 28 for the 31st)
+ * go back to it afterwards.
+ *
+ * @param {Object} subscription - subscriptions row
+ * @returns {number|null} Day of the month, or null if none is kept
+ */
+function getBillingDay(subscription) {
+  return JSON.parse(subscription.metadata || '{}').billing_day || null;
+}
+
+/**
+ * The period a subscription renewal pays for. It starts at the later of the
+ * membership's end date and the subscription's current period end, so days
+ * left in the current period are kept and late renewals don't shorten the
+ * membership. Monthly and yearly periods end on the subscription's billing
+ * day (see getBillingDay). A period end reported by the provider is used
+ * as is.
+ *
+ * @param {Object} membership - entity_memberships row
+ * @param {Object} subscription - subscriptions row
+ * @param {string} [providerPeriodEnd] - End of the renewed period, as reported by the provider
+ * @returns {Object} { start, end } as ISO strings
+ */
+function getRenewalPeriod(membership, subscription, providerPeriodEnd = null) {
+  const start = latestDate(membership.end_date, subscription.current_period_end) || new Date().toISOString();
+  const end = providerPeriodEnd
+    ? latestDate(start, providerPeriodEnd)
+    : addBillingInterval(start, subscription.billing_interval, subscription.interval_multiplier, getBillingDay(subscription)).toISOString();
+
+  return { start, end };
+}
+
+/**
+ * The latest of the given dates, ignoring empty ones
+ *
+ * @param {...(Date|string|null)} dates
+ * @returns {string|null} ISO string, or null if all dates are empty
+ */
+function latestDate(...dates) {
+  const times = dates.filter(Boolean).map(date => new Date(date).getTime());
+  return times.length > 0 ? new Date(Math.max(...times)).toISOString() : null;
+}
+
+module.exports = { addBillingInterval, getBillingInterval, getBillingDay, getRenewalPeriod, latestDate };
@@ -0,0 +1,570 @@
+/**
+ * Billing Schedules
+ *
+ * Runs the charges of `billing_schedules`: recurring charges (installments,
+ * fees, memberships billed without a provider subscription), one-time
+ * charges on a date and metered charges. Each run charges the schedules
+ * that are due and records every attempt in `billing_schedule_executions`.
+ *
+ * A schedule is paid from the payer's account balance (see
+ * ./account-balances) and/or its payment method, by `payment_priority`:
+ *
+ * - balance_first: the balance pays what it can, the payment method the rest
+ * - payment_method_first: the payment method; if it's declined, or the
+ *   schedule has none, the balance if it covers the amount
+ * - balance_only / payment_method_only
+ *
+ * Metered schedules charge their `amount_cents` plus the usage reported
+ * for them up to the billing date (see ./metered-billing). Each execution
+ * keeps the invoice line items of its charge in its metadata.
+ *
+ * Each billing date is invoiced (see ./invoices): the invoice is opened at
+ * the first attempt, paid when a charge succeeds and uncollectible when the
+ * retries run out. Executions reference it with `invoice_id`.
+ *
+ * A paid charge moves `next_billing_date` one period (interval ×
+ * multiplier) on from the date it was due. Monthly and yearly schedules
+ * keep their day of the month: a schedule billed on the 31st is billed on
+ * Feb 28 and then Mar 31. One-time schedules, and schedules whose next date
+ * is after their `end_date`, are then 'completed'. Memberships billed by a
+ * schedule (`billing_schedule_id`) are extended to its next billing date.
+ *
+ * A failed charge is retried after `retry_intervals_days`, up to
+ * `max_retries` times; after that the schedule is 'failed'. Errors of the
+ * payment provider itself don't count: the charge is tried again on the
+ * next run. Each run claims a schedule before charging it, so runs that
+ * overlap charge it once.
+ *
+ * Run it periodically (see ./jobs), or from the command line:
+ *
+ *   node billing-schedules.js [--dry-run] [--now=2024-01-31T00:00:00Z]
+ *
+ * `--dry-run` lists the charges that are due without making them, and
+ * `--now` runs the schedules as of another time.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { PaymentProviderError } = require('./providers');
+const { CheckoutError, preparePayment } = require('./checkout');
+const { debitBalances, reverseBalanceDebits } = require('./account-balances');
+const { addBillingInterval, latestDate } = require('./billing-periods');
+const { getMetering, validateMetering, rateUsage, markUsageBilled } = require('./metered-billing');
+const { invoiceScheduleCharge } = require('./invoices');
+
+const PAYMENT_PRIORITIES = ['balance_first', 'payment_method_first', 'balance_only', 'payment_method_only'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Membership statuses that a paid schedule extends
+const EXTENDED_STATUSES = ['active', 'trialing'];
+
+/**
+ * Default billing schedule settings; runBillingSchedules accepts overrides
+ * as `billingSchedules`
+ */
+const DEFAULT_BILLING_SCHEDULES = {
+  // Days from each failed attempt to the next retry; the last interval
+  // repeats when max_retries allows more retries
+  retry_intervals_days: [1, 2, 4]
+};
+
+/**
+ * Charge the billing schedules that are due. Schedules are charged one
+ * period per run, oldest first; a schedule more than a period behind is
+ * due again on the next run.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} providers - Provider registry (see ./providers)
+ * @param {Object} options
+ * @param {Object} options.billingSchedules - Overrides of DEFAULT_BILLING_SCHEDULES
+ * @param {boolean} options.dryRun - List the charges without making them
+ * @param {Date} options.now - Defaults to the current time
+ * @returns {Promise<Object[]>} { billing_schedule_id, execution_id, status,
+ *   amount_cents, charged_amount_cents, payment_source, next_billing_date,
+ *   invoice_id, error_message } per schedule; `status` is 'success',
+ *   'failed', 'error' (provider errors, invalid metering), 'completed'
+ *   (ended without a charge) or 'dry_run'. Schedules that a concurrent run
+ *   charges are left out.
+ */
+async function runBillingSchedules(store, providers, { billingSchedules = {}, dryRun = false, now = new Date() } = {}) {
+  const config = { ...DEFAULT_BILLING_SCHEDULES, ...billingSchedules };
+  const due = await store.billing_schedules.findAll({
+    where: { status: 'active', next_billing_date: { lte: now.toISOString() } },
+    order: [['next_billing_date', 'ASC']]
+  });
+
+  const results = [];
+  for (const schedule of due) {
+    const dueDate = getDueDate(schedule);
+    const result = {
+      billing_schedule_id: schedule.id,
+      execution_id: null,
+      status: null,
+      amount_cents: schedule.amount_cents,
+      charged_amount_cents: 0,
+      payment_source: null,
+      next_billing_date: schedule.next_billing_date,
+      invoice_id: null,
+      error_message: null
+    };
+
+    // Schedules that ended before their next charge was due
+    if (schedule.end_date && new Date(dueDate) > new Date(schedule.end_date)) {
+      if (!dryRun) {
+        await store.billing_schedules.update(schedule.id, { status: 'completed' });
+      }
+      results.push({ ...result, status: 'completed' });
+      continue;
+    }
+
+    try {
+      const charge = await getScheduleCharge(store, schedule, { dueDate, now });
+      if (dryRun) {
+        results.push({
+          ...result,
+          status: 'dry_run',
+          amount_cents: charge.amountCents,
+          next_billing_date: getNextBillingDate(schedule, dueDate).toISOString()
+        });
+        continue;
+      }
+
+      const executed = await executeSchedule(store, providers, schedule, {
+        config,
+        dueDate,
+        charge,
+        result: { ...result, amount_cents: charge.amountCents },
+        now
+      });
+      // Left out when another run charged the schedule first
+      if (executed) {
+        results.push(executed);
+      }
+    } catch (error) {
+      if (!(error instanceof PaymentProviderError) && !(error instanceof CheckoutError)) {
+        throw error;
+      }
+      // Provider errors and invalid metering: try again on the next run
+      console.error(`Error charging billing schedule ${schedule.id}:`, error);
+      results.push({ ...result, status: 'error', error_message: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Charge a schedule, record the execution and move the schedule on to its
+ * next billing date or retry. Returns null when another run claimed the
+ * schedule first.
+ */
+async function executeSchedule(store, providers, schedule, { config, dueDate, charge, result, now }) {
+  const { amountCents, lineItems, usage } = charge;
+  const metadata = JSON.parse(schedule.metadata || '{}');
+
+  // Retry until max_retries retries have failed too
+  const attempts = (schedule.retry_count || 0) + 1;
+  const retriesLeft = attempts <= schedule.max_retries;
+
+  // Claim the billing date before charging it, so that concurrent runs
+  // charge it once. The claim moves the schedule on to its next retry, as
+  // if the charge failed, in case this run stops before recording it.
+  const claimedDate = addDays(now, getRetryInterval(config, attempts));
+  const claimed = await store.billing_schedules.updateWhere(
+    {
+      id: schedule.id,
+      status: 'active',
+      next_billing_date: schedule.next_billing_date,
+      retry_count: schedule.retry_count === undefined ? null : schedule.retry_count
+    },
+    { next_billing_date: claimedDate, metadata: JSON.stringify({ ...metadata, due_date: dueDate }) }
+  );
+  if (claimed === 0) {
+    return null;
+  }
+
+  let charged;
+  try {
+    charged = amountCents > 0
+      ? await chargeSchedule(store, providers, schedule, amountCents, now)
+      : { status: 'succeeded', payment: null, balanceDebit: null, paymentSource: null, error_message: null };
+  } catch (error) {
+    if (error instanceof PaymentProviderError || error instanceof CheckoutError) {
+      // Nothing was charged: release the claim for the next run
+      await store.billing_schedules.updateWhere(
+        { id: schedule.id, next_billing_date: claimedDate },
+        { next_billing_date: schedule.next_billing_date, metadata: schedule.metadata }
+      );
+    }
+    throw error;
+  }
+  const succeeded = charged.status === 'succeeded';
+
+  const invoice = await invoiceScheduleCharge(store, schedule, {
+    dueDate,
+    amountCents,
+    lineItems,
+    status: succeeded ? 'paid' : retriesLeft ? 'open' : 'uncollectible',
+    payment: charged.payment,
+    now
+  });
+
+  const execution = await store.billing_schedule_executions.create({
+    id: uuidv4(),
+    billing_schedule_id: schedule.id,
+    invoice_id: invoice.id,
+    execution_status: succeeded ? 'success' : 'failed',
+    attempted_amount_cents: amountCents,
+    charged_amount_cents: succeeded ? amountCents : 0,
+    payment_id: charged.payment ? charged.payment.id : null,
+    account_transaction_id: charged.balanceDebit && charged.balanceDebit.transactions.length > 0
+      ? charged.balanceDebit.transactions[0].id
+      : null,
+    payment_source: charged.paymentSource,
+    error_message: charged.error_message || null,
+    executed_at: now.toISOString(),
+    metadata: JSON.stringify({
+      due_date: dueDate,
+      retry_count: schedule.retry_count || 0,
+      balance_payment_id: charged.balanceDebit && charged.balanceDebit.payment ? charged.balanceDebit.payment.id : undefined,
+      usage_quantity: usage ? usage.quantity : undefined,
+      line_items: lineItems
+    })
+  });
+
+  let changes;
+  if (succeeded) {
+    const next = getNextBillingDate(schedule, dueDate);
+    const completed = schedule.schedule_type === 'one_time'
+      || Boolean(schedule.end_date && next > new Date(schedule.end_date));
+    changes = {
+      status: completed ? 'completed' : 'active',
+      next_billing_date: next.toISOString(),
+      last_billed_at: now.toISOString(),
+      retry_count: 0,
+      last_failure_reason: null,
+      metadata: JSON.stringify({ ...metadata, due_date: undefined, billing_day: getBillingDay(schedule, dueDate) })
+    };
+    if (usage) {
+      await markUsageBilled(store, usage.records, { periodEnd: dueDate, now });
+    }
+    if (!completed) {
+      await extendMemberships(store, schedule, next);
+    }
+  } else {
+    changes = {
+      status: retriesLeft ? 'active' : 'failed',
+      next_billing_date: retriesLeft ? addDays(now, getRetryInterval(config, attempts)) : schedule.next_billing_date,
+      retry_count: attempts,
+      last_failure_reason: charged.error_message || null,
+      metadata: JSON.stringify({ ...metadata, due_date: dueDate })
+    };
+  }
+  await store.billing_schedules.update(schedule.id, changes);
+
+  return {
+    ...result,
+    execution_id: execution.id,
+    status: execution.execution_status,
+    charged_amount_cents: execution.charged_amount_cents,
+    payment_source: charged.paymentSource,
+    next_billing_date: changes.next_billing_date,
+    invoice_id: invoice.id,
+    error_message: execution.error_message
+  };
+}
+
+/**
+ * Get what a schedule charges on a billing date: its amount, plus the
+ * usage reported up to the date for metered schedules
+ *
+ * @returns {Promise<Object>} { amountCents, lineItems, usage }: `usage` is
+ *   the rated usage of metered schedules (see rateUsage in ./metered-billing)
+ */
+async function getScheduleCharge(store, schedule, { dueDate, now }) {
+  const metadata = JSON.parse(schedule.metadata || '{}');
+  const base = schedule.amount_cents > 0
+    ? [{ description: schedule.description, quantity: 1, unit_price_cents: schedule.amount_cents, total_cents: schedule.amount_cents }]
+    : [];
+
+  const metering = await getMetering(store, { schedule });
+  if (!metering) {
+    return { amountCents: schedule.amount_cents, lineItems: metadata.line_items || base, usage: null };
+  }
+
+  validateMetering(metering);
+  const usage = await rateUsage(store, {
+    target: { billing_schedule_id: schedule.id },
+    metering,
+    periodEnd: dueDate,
+    description: schedule.description,
+    now
+  });
+  return {
+    amountCents: schedule.amount_cents + usage.amount_cents,
+    lineItems: [...base, ...usage.line_items],
+    usage
+  };
+}
+
+/**
+ * Charge an amount by a schedule's payment priority
+ *
+ * @returns {Promise<Object>} { status, payment, balanceDebit, paymentSource,
+ *   error_message }: `payment` is the payments row of the payment method's
+ *   charge, or else of the balance debit
+ */
+async function chargeSchedule(store, providers, schedule, amountCents, now) {
+  const priority = schedule.payment_priority || 'balance_first';
+  if (!PAYMENT_PRIORITIES.includes(priority)) {
+    return failed(`Unknown payment priority: ${priority}`);
+  }
+
+  const payer = await getPayer(store, schedule);
+  const useBalance = priority !== 'payment_method_only';
+  const usePaymentMethod = priority !== 'balance_only' && Boolean(schedule.payment_method_id);
+
+  if (priority === 'payment_method_first' || priority === 'payment_method_only') {
+    const card = usePaymentMethod
+      ? await chargePaymentMethod(store, providers, schedule, { ...payer, amountCents, now })
+      : failed('Billing schedule has no payment method');
+    if (card.status === 'succeeded' || !useBalance) {
+      return card;
+    }
+    const balance = await debitSchedule(store, schedule, { ...payer, amountCents, requireFull: true, now });
+    return balance.status === 'succeeded' ? balance : { ...balance, payment: card.payment, error_message: card.error_message };
+  }
+
+  // Balance first: the payment method pays what the balance doesn't
+  const balance = await debitSchedule(store, schedule, { ...payer, amountCents, requireFull: !usePaymentMethod, now });
+  if (balance.status !== 'succeeded') {
+    return balance;
+  }
+  if (balance.balanceDebit.amount_cents === 0) {
+    return chargePaymentMethod(store, providers, schedule, { ...payer, amountCents, now });
+  }
+  const remainingCents = amountCents - balance.balanceDebit.amount_cents;
+  if (remainingCents === 0) {
+    return balance;
+  }
+
+  const card = await chargeRemainder(store, providers, schedule, { ...payer, amountCents: remainingCents, now }, balance);
+  return { ...card, balanceDebit: balance.balanceDebit, paymentSource: card.status === 'succeeded' ? 'mixed' : null };
+}
+
+/**
+ * Charge the part of a schedule's amount the balance didn't pay, giving
+ * the balance debit back if it can't be charged
+ */
+async function chargeRemainder(store, providers, schedule, params, balance) {
+  try {
+    const card = await chargePaymentMethod(store, providers, schedule, params);
+    if (card.status !== 'succeeded') {
+      await reverseBalanceDebits(store, { paymentId: balance.payment.id, reason: 'Payment failed' });
+    }
+    return card;
+  } catch (error) {
+    await reverseBalanceDebits(store, { paymentId: balance.payment.id, reason: 'Payment failed' });
+    throw error;
+  }
+}
+
+/**
+ * Debit a schedule's amount, or the part of it they cover, from the payer's
+ * balances (or the schedule's `account_balance_id`)
+ */
+async function debitSchedule(store, schedule, { billing, guest, amountCents, requireFull, now }) {
+  try {
+    const balanceDebit = await debitBalances(store, {
+      billing,
+      guest,
+      amountCents,
+      currency: schedule.currency,
+      accountBalanceId: schedule.account_balance_id || null,
+      description: schedule.description,
+      payment: getPaymentColumns(schedule),
+      requireFull,
+      now
+    });
+    return {
+      status: 'succeeded',
+      payment: balanceDebit.payment,
+      balanceDebit,
+      paymentSource: 'account_balance',
+      error_message: null
+    };
+  } catch (error) {
+    if (!(error instanceof CheckoutError)) {
+      throw error;
+    }
+    return failed(error.message);
+  }
+}
+
+/**
+ * Charge an amount to a schedule's payment method and record the payment.
+ * Schedules are charged without the customer: charges that need their
+ * action fail.
+ */
+async function chargePaymentMethod(store, providers, schedule, { billing, guest, amountCents, now }) {
+  let payment;
+  try {
+    payment = await preparePayment(store, providers, { billing, guest, paymentMethodId: schedule.payment_method_id });
+  } catch (error) {
+    if (!(error instanceof CheckoutError)) {
+      throw error;
+    }
+    return failed(error.message);
+  }
+
+  const { provider, adapter, customer, paymentMethod } = payment;
+  const charge = await adapter.charge({
+    provider_customer_id: customer.payment_provider_customer_id,
+    provider_payment_method_id: paymentMethod.provider_payment_method_id,
+    amount_cents: amountCents,
+    currency: schedule.currency,
+    description: schedule.description,
+    metadata: { billing_schedule_id: schedule.id }
+  });
+
+  const { metadata, ...columns } = getPaymentColumns(schedule);
+  const row = await store.payments.create({
+    id: uuidv4(),
+    ...billing,
+    is_guest_payment: Boolean(guest),
+    guest_email: guest ? guest.external_email : null,
+    payment_method_id: paymentMethod.id,
+    provider_id: provider.id,
+    provider_payment_id: charge.provider_payment_id,
+    subtotal_cents: amountCents,
+    tax_cents: 0,
+    discount_cents: 0,
+    total_cents: amountCents,
+    currency: schedule.currency,
+    status: charge.status,
+    description: schedule.description,
+    error_message: charge.error_message || null,
+    ...columns,
+    metadata: JSON.stringify({ ...metadata, payment_source: 'payment_method' }),
+    completed_at: charge.status === 'succeeded' ? now.toISOString() : null
+  });
+
+  if (charge.status !== 'succeeded') {
+    return { ...failed(charge.error_message || 'Payment requires customer action'), payment: row };
+  }
+  return { status: 'succeeded', payment: row, balanceDebit: null, paymentSource: 'payment_method', error_message: null };
+}
+
+/**
+ * Extend the memberships a schedule bills to its next billing date
+ */
+async function extendMemberships(store, schedule, next) {
+  const memberships = await store.entity_memberships.findAll({
+    where: { billing_schedule_id: schedule.id, status: EXTENDED_STATUSES }
+  });
+  for (const membership of memberships) {
+    if (membership.end_date) {
+      await store.entity_memberships.update(membership.id, { end_date: latestDate(membership.end_date, next) });
+    }
+  }
+}
+
+/**
+ * Get who pays a schedule: its user or organization, or else the guest
+ * customer it's for
+ */
+async function getPayer(store, schedule) {
+  if (schedule.user_id || schedule.organization_id) {
+    return {
+      billing: { user_id: schedule.user_id || null, organization_id: schedule.organization_id || null },
+      guest: null
+    };
+  }
+  return {
+    billing: { user_id: null, organization_id: null },
+    guest: await store.external_entities.findById(schedule.customer_id)
+  };
+}
+
+/**
+ * Get the payments columns of a schedule's charges
+ */
+function getPaymentColumns(schedule) {
+  return {
+    reference_code: schedule.reference_code || null,
+    ...(schedule.category ? { category: schedule.category } : {}),
+    metadata: { billing_schedule_id: schedule.id }
+  };
+}
+
+/**
+ * Get the date the charge of a schedule was due: its next billing date, or
+ * the date its retries are for
+ */
+function getDueDate(schedule) {
+  return JSON.parse(schedule.metadata || '{}').due_date || schedule.next_billing_date;
+}
+
+/**
+ * Get the billing date after the one that was due
+ *
+ * @param {Object} schedule - billing_schedules row
+ * @param {string} dueDate - The billing date that was due (see getDueDate)
+ * @returns {Date}
+ */
+function getNextBillingDate(schedule, dueDate) {
+  return addBillingInterval(dueDate, schedule.billing_interval, schedule.interval_multiplier, getBillingDay(schedule, dueDate));
+}
+
+/**
+ * Get the day of the month a schedule is billed on: the day of its first
+ * billing date, kept in its metadata
+ */
+function getBillingDay(schedule, dueDate) {
+  return JSON.parse(schedule.metadata || '{}').billing_day || new Date(dueDate).getUTCDate();
+}
+
+function failed(errorMessage) {
+  return { status: 'failed', payment: null, balanceDebit: null, paymentSource: null, error_message: errorMessage };
+}
+
+function getRetryInterval(config, attempts) {
+  const intervals = config.retry_intervals_days;
+  return intervals[Math.min(attempts, intervals.length) - 1];
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS).toISOString();
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const nowArg = args.find(arg => arg.startsWith('--now='));
+  const now = nowArg ? new Date(nowArg.slice('--now='.length)) : new Date();
+  if (Number.isNaN(now.getTime())) {
+    console.error('--now must be an ISO 8601 date');
+    process.exit(1);
+  }
+
+  const Database = require('better-sqlite3');
+  const { createSqliteStore } = require('./store');
+  const { createProviderRegistry } = require('./providers');
+
+  const store = createSqliteStore(new Database(process.env.DATABASE_PATH || 'payments.db'));
+  runBillingSchedules(store, createProviderRegistry({ store }), { dryRun: args.includes('--dry-run'), now })
+    .then((results) => {
+      console.log(JSON.stringify(results, null, 2));
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Error running billing schedules:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  PAYMENT_PRIORITIES,
+  DEFAULT_BILLING_SCHEDULES,
+  runBillingSchedules,
+  getNextBillingDate
+};
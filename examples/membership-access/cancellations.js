@@ -0,0 +1,404 @@
+/**
+ * Cancellations
+ *
+ * Cancelling memberships and undoing cancellations. A membership cancelled
+ * at the end of the period keeps access until its `end_date` and can be
+ * reactivated until then; an immediate cancellation ends access right away
+ * and can refund the unused share of the last payment. Cancellations record
+ * a reason code, which getCancellationReport summarizes for churn
+ * reporting.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { CheckoutError, cancelProviderSubscription } = require('./checkout');
+const { refundBalancePayment, isBalancePayment } = require('./account-balances');
+const { ACCESS_STATUSES, getMembershipOwner } = require('./membership-owners');
+
+const CANCEL_MODES = ['end_of_period', 'immediate'];
+
+// Reason codes accepted for `cancellation_reason`
+const CANCELLATION_REASONS = [
+  'too_expensive',
+  'not_using',
+  'switching_provider',
+  'missing_features',
+  'technical_issues',
+  'temporary_pause',
+  'duplicate_subscription',
+  'other'
+];
+
+/**
+ * Default cancellation settings; createApp accepts overrides as
+ * `cancellation`
+ */
+const DEFAULT_CANCELLATION = {
+  // Whether cancellations must give a reason
+  require_reason: false,
+  // Accepted reason codes
+  reasons: CANCELLATION_REASONS
+};
+
+/**
+ * Cancel a membership and its subscription or billing schedule
+ *
+ * End-of-period cancellations stop renewals and leave the membership's
+ * access until `end_date`; memberships without access or an end date are
+ * cancelled right away. Immediate cancellations with `refund` refund the
+ * unused share of the membership's last payment, before anything else is
+ * changed.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} providers - Provider registry (see ./providers)
+ * @param {Object} params
+ * @param {Object} params.membership - entity_memberships row
+ * @param {string} params.mode - 'end_of_period' (default) or 'immediate'
+ * @param {string} params.reason - Reason code
+ * @param {string} params.comment - Free-text details, kept in the membership's metadata
+ * @param {boolean} params.refund - Refund the unused share of the last payment
+ * @param {Object} params.cancellation - Overrides of DEFAULT_CANCELLATION
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object>} { membership, refund }
+ */
+async function cancelMembership(store, providers, {
+  membership,
+  mode = 'end_of_period',
+  reason = null,
+  comment = null,
+  refund = false,
+  cancellation = {},
+  now = new Date()
+}) {
+  const config = { ...DEFAULT_CANCELLATION, ...cancellation };
+
+  if (!CANCEL_MODES.includes(mode)) {
+    throw new CheckoutError(`mode must be one of: ${CANCEL_MODES.join(', ')}`);
+  }
+  if (!reason && config.require_reason) {
+    throw new CheckoutError('reason is required');
+  }
+  if (reason && !config.reasons.includes(reason)) {
+    throw new CheckoutError(`reason must be one of: ${config.reasons.join(', ')}`);
+  }
+  if (refund && mode !== 'immediate') {
+    throw new CheckoutError('Only immediate cancellations can be refunded');
+  }
+  if (membership.status === 'cancelled' || membership.cancel_at_period_end) {
+    throw new CheckoutError('Membership is already cancelled');
+  }
+  if (['expired', 'refunded'].includes(membership.status)) {
+    throw new CheckoutError('Membership has already ended');
+  }
+
+  const atPeriodEnd = mode === 'end_of_period'
+    && ACCESS_STATUSES.includes(membership.status)
+    && Boolean(membership.end_date)
+    && new Date(membership.end_date) > now;
+
+  const subscription = membership.subscription_id
+    ? await store.subscriptions.findById(membership.subscription_id)
+    : null;
+
+  const refundResult = refund
+    ? await refundUnusedTime(store, providers, { membership, subscription, now })
+    : null;
+
+  if (subscription) {
+    await cancelProviderSubscription(providers, subscription, { atPeriodEnd });
+    await store.subscriptions.update(subscription.id, atPeriodEnd
+      ? { cancel_at_period_end: true, next_billing_date: null }
+      : { status: 'cancelled', billing_status: 'cancelled', cancel_at_period_end: false, next_billing_date: null });
+  }
+
+  if (membership.billing_schedule_id) {
+    await store.billing_schedules.update(membership.billing_schedule_id, { status: 'cancelled' });
+  }
+
+  const changes = {
+    auto_renew: false,
+    cancelled_at: now.toISOString(),
+    cancellation_reason: reason,
+    metadata: JSON.stringify({
+      ...JSON.parse(membership.metadata || '{}'),
+      cancellation_comment: comment || undefined
+    })
+  };
+
+  const cancelled = await store.entity_memberships.update(membership.id, atPeriodEnd
+    ? { ...changes, cancel_at_period_end: true }
+    : {
+      ...changes,
+      status: 'cancelled',
+      end_date: now.toISOString(),
+      cancel_at_period_end: false,
+      grace_until: null,
+      resumes_at: null
+    });
+
+  return { membership: cancelled, refund: refundResult };
+}
+
+/**
+ * Undo an end-of-period cancellation before the period ends: the
+ * subscription renews again and the cancellation reason is cleared
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} providers - Provider registry (see ./providers)
+ * @param {Object} params
+ * @param {Object} params.membership - entity_memberships row
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object>} The reactivated membership
+ */
+async function reactivateMembership(store, providers, { membership, now = new Date() }) {
+  if (!membership.cancel_at_period_end || !ACCESS_STATUSES.includes(membership.status)
+    || !(new Date(membership.end_date) > now)) {
+    throw new CheckoutError('Only memberships cancelled at the end of a period that hasn\'t ended can be reactivated');
+  }
+
+  const subscription = membership.subscription_id
+    ? await store.subscriptions.findById(membership.subscription_id)
+    : null;
+
+  if (subscription) {
+    if (subscription.provider_subscription_id) {
+      const resolved = await providers.resolve(subscription.provider_id);
+      if (!resolved) {
+        throw new CheckoutError('Payment provider not available');
+      }
+      await resolved.adapter.reactivateSubscription(subscription.provider_subscription_id);
+    }
+    await store.subscriptions.update(subscription.id, {
+      cancel_at_period_end: false,
+      next_billing_date: subscription.current_period_end
+    });
+  }
+
+  if (membership.billing_schedule_id) {
+    await store.billing_schedules.update(membership.billing_schedule_id, { status: 'active' });
+  }
+
+  const metadata = JSON.parse(membership.metadata || '{}');
+  delete metadata.cancellation_comment;
+
+  return store.entity_memberships.update(membership.id, {
+    cancel_at_period_end: false,
+    auto_renew: Boolean(subscription || membership.billing_schedule_id),
+    cancelled_at: null,
+    cancellation_reason: null,
+    metadata: JSON.stringify(metadata)
+  });
+}
+
+/**
+ * Calculate the refund of a membership's unused time: the share of its
+ * current period that's left, of the last payment
+ *
+ * @param {Object} params
+ * @param {Object} params.membership - entity_memberships row
+ * @param {Object} params.subscription - The membership's subscriptions row, if any
+ * @param {Object} params.payment - The membership's last successful payments row
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Object} { remaining_fraction, amount_cents }
+ */
+function calculateRefund({ membership, subscription = null, payment, now = new Date() }) {
+  if (!membership.end_date) {
+    throw new CheckoutError('Memberships without an end date can\'t be refunded');
+  }
+
+  const periodStart = new Date((subscription && subscription.current_period_start) || membership.start_date);
+  const periodEnd = new Date(membership.end_date);
+  const periodLength = periodEnd - periodStart;
+  const remaining = periodLength > 0
+    ? Math.min(1, Math.max(0, (periodEnd - now) / periodLength))
+    : 0;
+
+  return {
+    remaining_fraction: Math.round(remaining * 10000) / 10000,
+    amount_cents: Math.round(payment.total_cents * remaining)
+  };
+}
+
+/**
+ * Summarize the cancellations made in a time window, for churn reporting.
+ * Cancellations that were reactivated aren't counted.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} params
+ * @param {string} params.from - Start of the window (ISO 8601)
+ * @param {string} params.to - End of the window (ISO 8601, exclusive)
+ * @param {string} params.membershipTypeId - Only cancellations of this membership type
+ * @returns {Promise<Object>} { from, to, total, by_reason, by_membership_type, by_mode, cancellations }
+ */
+async function getCancellationReport(store, { from, to, membershipTypeId = null }) {
+  const where = { cancelled_at: { gte: from, lt: to } };
+  if (membershipTypeId) {
+    where.membership_type_id = membershipTypeId;
+  }
+
+  const memberships = await store.entity_memberships.findAll({ where, order: [['cancelled_at', 'ASC']] });
+
+  const cancellations = memberships.map(membership => ({
+    membership_id: membership.id,
+    owner: getMembershipOwner(membership),
+    membership_type_id: membership.membership_type_id,
+    reason: membership.cancellation_reason || null,
+    comment: JSON.parse(membership.metadata || '{}').cancellation_comment || null,
+    mode: membership.cancel_at_period_end ? 'end_of_period' : 'immediate',
+    status: membership.status,
+    cancelled_at: membership.cancelled_at,
+    end_date: membership.end_date
+  }));
+
+  return {
+    from,
+    to,
+    total: cancellations.length,
+    by_reason: countBy(cancellations, 'reason', 'unspecified'),
+    by_membership_type: countBy(cancellations, 'membership_type_id'),
+    by_mode: countBy(cancellations, 'mode'),
+    cancellations
+  };
+}
+
+/**
+ * Refund the unused share of a membership's last payment through its
+ * provider, and record the refund in payment_events. The share of an order
+ * paid from the account balance is credited back to the balance.
+ */
+async function refundUnusedTime(store, providers, { membership, subscription, now }) {
+  const order = !subscription && membership.order_id ? await store.orders.findById(membership.order_id) : null;
+  const payments = subscription || order
+    ? await store.payments.findAll({
+      where: subscription
+        ? { subscription_id: subscription.id, status: 'succeeded' }
+        : { order_id: order.id, status: 'succeeded' },
+      order: [['completed_at', 'DESC']]
+    })
+    : [];
+  const balancePayments = order ? payments.filter(isBalancePayment) : [];
+  const payment = payments.find(candidate => !balancePayments.includes(candidate)) || null;
+  if (!payment && balancePayments.length === 0) {
+    throw new CheckoutError('Membership has no payment to refund');
+  }
+
+  let balanceRefundCents = 0;
+  for (const balancePayment of balancePayments) {
+    balanceRefundCents += await refundToBalance(store, balancePayment, { membership, subscription, now });
+  }
+
+  const { remaining_fraction, amount_cents } = calculateRefund({
+    membership,
+    subscription,
+    payment: payment || balancePayments[0],
+    now
+  });
+  const result = {
+    payment_id: (payment || balancePayments[0]).id,
+    provider_refund_id: null,
+    remaining_fraction,
+    amount_cents: payment ? amount_cents + balanceRefundCents : balanceRefundCents,
+    balance_refund_cents: balanceRefundCents,
+    currency: (payment || balancePayments[0]).currency,
+    status: 'succeeded'
+  };
+  if (!payment || amount_cents === 0) {
+    return result;
+  }
+
+  const resolved = await providers.resolve(payment.provider_id);
+  if (!resolved) {
+    throw new CheckoutError('Payment provider not available');
+  }
+
+  const customerId = subscription ? subscription.customer_id : order.customer_id;
+  const customer = customerId ? await store.external_entities.findById(customerId) : null;
+  const paymentMethod = payment.payment_method_id ? await store.payment_methods.findById(payment.payment_method_id) : null;
+
+  const refund = await resolved.adapter.refund({
+    provider_payment_id: payment.provider_payment_id,
+    amount_cents,
+    currency: payment.currency,
+    reason: 'requested_by_customer',
+    provider_customer_id: customer ? customer.payment_provider_customer_id : null,
+    provider_payment_method_id: paymentMethod ? paymentMethod.provider_payment_method_id : null
+  });
+
+  await store.payment_events.create({
+    id: uuidv4(),
+    entity_type: 'payment',
+    entity_id: payment.id,
+    event_type: 'refunded',
+    data: JSON.stringify({
+      membership_id: membership.id,
+      provider_refund_id: refund.provider_refund_id,
+      amount_cents: refund.amount_cents,
+      status: refund.status
+    })
+  });
+  if (refund.amount_cents >= payment.total_cents) {
+    await store.payments.update(payment.id, { status: 'refunded' });
+  }
+
+  return {
+    ...result,
+    provider_refund_id: refund.provider_refund_id,
+    amount_cents: refund.amount_cents + balanceRefundCents,
+    status: refund.status
+  };
+}
+
+/**
+ * Credit the unused share of a payment made from the account balance back
+ * to the balance, and record the refund in payment_events
+ */
+async function refundToBalance(store, payment, { membership, subscription, now }) {
+  const { amount_cents } = calculateRefund({ membership, subscription, payment, now });
+  if (amount_cents === 0) {
+    return 0;
+  }
+
+  const credited = await refundBalancePayment(store, payment, {
+    amountCents: amount_cents,
+    description: 'Refund of unused membership time',
+    now
+  });
+
+  await store.payment_events.create({
+    id: uuidv4(),
+    entity_type: 'payment',
+    entity_id: payment.id,
+    event_type: 'refunded',
+    data: JSON.stringify({
+      membership_id: membership.id,
+      amount_cents: credited,
+      status: 'succeeded',
+      account_balance: true
+    })
+  });
+  if (credited >= payment.total_cents) {
+    await store.payments.update(payment.id, { status: 'refunded' });
+  }
+
+  return credited;
+}
+
+function countBy(items, key, fallback = null) {
+  const counts = new Map();
+  for (const item of items) {
+    const value = item[key] || fallback;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts]
+    .map(([value, count]) => ({ [key]: value, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+module.exports = {
+  CANCEL_MODES,
+  CANCELLATION_REASONS,
+  DEFAULT_CANCELLATION,
+  cancelMembership,
+  reactivateMembership,
+  calculateRefund,
+  getCancellationReport
+};
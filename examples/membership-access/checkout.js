@@ -0,0 +1,363 @@
+/**
+ * Checkout
+ *
+ * Charges and subscriptions for membership and addon purchases, made
+ * through the payment provider adapters (see ./providers) and recorded in
+ * the Native Payments tables.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { findOrCreateCustomer, recordSubscriptionPayment } = require('./payment-records');
+const { addBillingInterval } = require('./billing-periods');
+const { recalculateTax, getTaxedAmounts, getTaxMetadata } = require('./taxes');
+
+/**
+ * Error for purchase requests that can't be fulfilled, with the HTTP
+ * status the routes respond with
+ */
+class CheckoutError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CheckoutError';
+    this.status = status;
+  }
+}
+
+/**
+ * Resolve the provider, customer and payment method for a purchase. The
+ * provider is the one named in the request, or else the payment method's.
+ * The payment method must be the payer's: a user's own, an organization's
+ * or the guest's. It is attached to the payer's provider customer the
+ * first time it is used, and never moved to another customer.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} providers - Provider registry (see ./providers)
+ * @param {Object} params
+ * @param {Object} params.billing - { user_id, organization_id } of the payer
+ * @param {Object} params.guest - external_entities row of a guest payer, who
+ *   has neither (see findOrCreateCustomer)
+ * @param {string} params.paymentMethodId - payment_methods.id
+ * @param {string} params.providerId - Provider ID from the request, if any
+ * @returns {Promise<Object>} { provider, adapter, customer, paymentMethod }
+ * @throws {CheckoutError} 404 if the payment method isn't the payer's
+ */
+async function preparePayment(store, providers, { billing, guest = null, paymentMethodId, providerId = null }) {
+  let paymentMethod = await store.payment_methods.findById(paymentMethodId);
+  if (!paymentMethod || !isPayerPaymentMethod(paymentMethod, billing, guest)) {
+    throw new CheckoutError('Payment method not found', 404);
+  }
+
+  const resolved = await providers.resolve(providerId || paymentMethod.provider_id);
+  if (!resolved) {
+    throw new CheckoutError('Payment provider not available');
+  }
+
+  const { provider, adapter } = resolved;
+  if (paymentMethod.provider_id !== provider.id) {
+    throw new CheckoutError('Payment method belongs to a different payment provider');
+  }
+
+  const customer = await findOrCreateCustomer(store, {
+    userId: billing.user_id,
+    organizationId: billing.organization_id,
+    guest,
+    providerId: provider.id,
+    adapter
+  });
+
+  if (paymentMethod.customer_id && paymentMethod.customer_id !== customer.id) {
+    throw new CheckoutError('Payment method not found', 404);
+  }
+  if (!paymentMethod.customer_id) {
+    const details = await adapter.attachPaymentMethod({
+      provider_customer_id: customer.payment_provider_customer_id,
+      provider_payment_method_id: paymentMethod.provider_payment_method_id,
+      is_default: paymentMethod.is_default
+    });
+
+    // Keep the card details already on file when the provider doesn't report them
+    const changes = { customer_id: customer.id };
+    for (const [column, value] of Object.entries(details)) {
+      if (value !== null && value !== undefined) {
+        changes[column] = value;
+      }
+    }
+    paymentMethod = await store.payment_methods.update(paymentMethod.id, changes);
+  }
+
+  return { provider, adapter, customer, paymentMethod };
+}
+
+/**
+ * Check that a payment method is the payer's: a guest's by their email, an
+ * organization's by its ID, a user's by theirs (not one of their
+ * organizations')
+ */
+function isPayerPaymentMethod(paymentMethod, billing, guest) {
+  if (guest) {
+    return Boolean(paymentMethod.is_guest) && paymentMethod.guest_email === guest.external_email;
+  }
+  if (billing.organization_id) {
+    return paymentMethod.organization_id === billing.organization_id;
+  }
+  return Boolean(billing.user_id) && paymentMethod.user_id === billing.user_id && !paymentMethod.organization_id;
+}
+
+/**
+ * Charge an order and record the payment. Paid orders are marked 'paid',
+ * declined ones 'cancelled'; orders waiting on customer action stay
+ * 'pending'.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} payment - Result of preparePayment
+ * @param {Object} params
+ * @param {Object} params.order - orders row
+ * @param {Object} params.billing - { user_id, organization_id } of the payer
+ * @param {string} params.projectId - Project the purchase is for, if any
+ * @param {string} params.description - Payment description
+ * @param {Object} params.metadata - Metadata sent to the provider
+ * @param {number} params.amountCents - Part of the order to charge, when the
+ *   rest is paid otherwise (see ./account-balances); defaults to its total
+ * @returns {Promise<Object>} { payment, charge } - payments row and adapter result
+ */
+async function chargeOrder(store, { provider, adapter, customer, paymentMethod }, {
+  order,
+  billing,
+  projectId = null,
+  description,
+  metadata = {},
+  amountCents = order.total_cents
+}) {
+  const charge = await adapter.charge({
+    provider_customer_id: customer.payment_provider_customer_id,
+    provider_payment_method_id: paymentMethod.provider_payment_method_id,
+    amount_cents: amountCents,
+    currency: order.currency,
+    description,
+    metadata: { ...metadata, order_id: order.id }
+  });
+
+  const now = new Date().toISOString();
+  const payment = await store.payments.create({
+    id: uuidv4(),
+    order_id: order.id,
+    ...billing,
+    ...getGuestColumns(billing, customer, 'is_guest_payment'),
+    project_id: projectId,
+    payment_method_id: paymentMethod.id,
+    provider_id: provider.id,
+    provider_payment_id: charge.provider_payment_id,
+    client_secret: charge.client_secret || null,
+    ...getOrderPaymentAmounts(order, amountCents),
+    currency: order.currency,
+    status: charge.status,
+    description,
+    error_message: charge.error_message || null,
+    completed_at: charge.status === 'succeeded' ? now : null
+  });
+
+  if (charge.status === 'succeeded') {
+    await store.orders.update(order.id, { status: 'paid', completed_at: now });
+  } else if (charge.status === 'failed') {
+    await store.orders.update(order.id, { status: 'cancelled' });
+  }
+
+  return { payment, charge };
+}
+
+/**
+ * Create a subscription with the provider and record it. Providers that
+ * only report the billing schedule get their period end computed locally.
+ * A subscription with a trial has the trial as its first period; its first
+ * payment is due when the trial ends.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} payment - Result of preparePayment
+ * @param {Object} params
+ * @param {Object} params.billing - { user_id, organization_id } of the payer
+ * @param {Object} params.product - products row
+ * @param {string} params.billingInterval - 'daily', 'weekly', 'monthly' or 'yearly'
+ * @param {number} params.intervalMultiplier - Number of intervals per period
+ * @param {string} params.trialEnd - ISO end of a free trial, if any
+ * @param {Object} params.metadata - subscriptions.metadata (also sent to the provider)
+ * @param {Object} params.discount - Coupon discount of the first payments, if
+ *   any (see getSubscriptionDiscount in ./coupons); kept in the metadata
+ *   until its last discounted payment
+ * @param {Object} params.tax - Tax of the first payments (see
+ *   calculatePurchaseTax in ./taxes), kept in the metadata; without it the
+ *   subscription is untaxed
+ * @returns {Promise<Object>} { subscription, providerSubscription, firstPayment } -
+ *   subscriptions row, adapter result and the payments row of a first
+ *   payment charged right away. When the first payment is declined, the
+ *   subscription is null and the adapter result has an `error_message`.
+ */
+async function startSubscription(store, { provider, adapter, customer, paymentMethod }, {
+  billing,
+  product,
+  billingInterval,
+  intervalMultiplier = 1,
+  trialEnd = null,
+  metadata = {},
+  discount = null,
+  tax = null
+}) {
+  const taxed = tax || recalculateTax(null, {
+    priceCents: product.subtotal_cents,
+    discountCents: discount ? discount.discount_cents : 0
+  });
+  const providerSubscription = await adapter.createSubscription({
+    provider_customer_id: customer.payment_provider_customer_id,
+    provider_payment_method_id: paymentMethod.provider_payment_method_id,
+    product,
+    amount_cents: taxed.total_cents,
+    currency: product.currency,
+    billing_interval: billingInterval,
+    interval_multiplier: intervalMultiplier,
+    trial_end: trialEnd,
+    metadata
+  });
+
+  // A declined first payment leaves an incomplete subscription with the
+  // provider that no customer action can complete: it's cancelled, and
+  // nothing is recorded
+  if (providerSubscription.status === 'incomplete' && !getPaymentAction(providerSubscription)) {
+    await adapter.cancelSubscription(providerSubscription.provider_subscription_id, { atPeriodEnd: false });
+    return {
+      subscription: null,
+      providerSubscription: {
+        ...providerSubscription,
+        error_message: providerSubscription.error_message || 'The first payment of the subscription was declined'
+      },
+      firstPayment: null
+    };
+  }
+
+  const currentPeriodStart = providerSubscription.current_period_start || new Date().toISOString();
+  const trialEndsAt = providerSubscription.trial_end || trialEnd;
+  const currentPeriodEnd = providerSubscription.current_period_end
+    || trialEndsAt
+    || addBillingInterval(currentPeriodStart, billingInterval, intervalMultiplier).toISOString();
+
+  const subscription = await store.subscriptions.create({
+    id: uuidv4(),
+    ...billing,
+    ...getGuestColumns(billing, customer, 'is_guest_subscription'),
+    customer_id: customer.id,
+    product_id: product.id,
+    payment_method_id: paymentMethod.id,
+    provider_id: provider.id,
+    provider_subscription_id: providerSubscription.provider_subscription_id,
+    status: providerSubscription.status,
+    current_period_start: currentPeriodStart,
+    current_period_end: currentPeriodEnd,
+    trial_end: trialEndsAt || null,
+    ...getTaxedAmounts(taxed),
+    currency: product.currency,
+    billing_interval: billingInterval,
+    interval_multiplier: intervalMultiplier,
+    next_billing_date: currentPeriodEnd,
+    metadata: JSON.stringify({
+      ...metadata,
+      // Day of the month renewals are billed on (see getBillingDay)
+      billing_day: new Date(trialEndsAt || currentPeriodStart).getUTCDate(),
+      ...(discount ? { discount } : {}),
+      ...(tax ? { tax: getTaxMetadata(tax) } : {})
+    })
+  });
+
+  // A first payment charged right away is recorded so it can be refunded
+  let firstPayment = null;
+  if (providerSubscription.status === 'active' && providerSubscription.provider_payment_id) {
+    firstPayment = await recordSubscriptionPayment(store, subscription, {
+      providerPaymentId: providerSubscription.provider_payment_id,
+      adapter
+    });
+  }
+
+  return { subscription, providerSubscription, firstPayment };
+}
+
+/**
+ * Cancel a subscription with its provider
+ *
+ * @param {Object} providers - Provider registry (see ./providers)
+ * @param {Object} subscription - subscriptions row
+ * @param {Object} options
+ * @param {boolean} options.atPeriodEnd - Keep the subscription until the end of the period
+ * @returns {Promise<Object|null>} Adapter result, or null if the subscription
+ *   was never created with a provider
+ */
+async function cancelProviderSubscription(providers, subscription, { atPeriodEnd = true } = {}) {
+  if (!subscription.provider_subscription_id) {
+    return null;
+  }
+
+  const resolved = await providers.resolve(subscription.provider_id);
+  if (!resolved) {
+    throw new CheckoutError('Payment provider not available');
+  }
+
+  return resolved.adapter.cancelSubscription(subscription.provider_subscription_id, { atPeriodEnd });
+}
+
+/**
+ * Get the guest columns of an order, payment or subscription: guests pay
+ * without a user or organization, as their customer record
+ *
+ * @param {Object} billing - { user_id, organization_id } of the payer
+ * @param {Object} customer - The payer's external_entities row
+ * @param {string} flagColumn - The table's guest flag ('is_guest_order', ...)
+ * @returns {Object} { [flagColumn], guest_email }
+ */
+function getGuestColumns(billing, customer, flagColumn) {
+  const isGuest = !billing.user_id && !billing.organization_id;
+  return {
+    [flagColumn]: isGuest,
+    guest_email: isGuest ? customer.external_email : null
+  };
+}
+
+/**
+ * Get the amount columns of a payment of an order: the order's own when the
+ * payment is for all of it, or else just the amount paid
+ *
+ * @param {Object} order - orders row
+ * @param {number} amountCents - Amount of the payment
+ * @returns {Object} { subtotal_cents, tax_cents, discount_cents, total_cents }
+ */
+function getOrderPaymentAmounts(order, amountCents) {
+  if (amountCents === order.total_cents) {
+    return {
+      subtotal_cents: order.subtotal_cents,
+      tax_cents: order.tax_cents,
+      discount_cents: order.discount_cents,
+      total_cents: order.total_cents
+    };
+  }
+  return { subtotal_cents: amountCents, tax_cents: 0, discount_cents: 0, total_cents: amountCents };
+}
+
+/**
+ * Get the customer action a pending payment waits on, for API responses
+ */
+function getPaymentAction(result) {
+  if (!result.client_secret && !result.approval_url) {
+    return null;
+  }
+  return {
+    status: result.status,
+    client_secret: result.client_secret || null,
+    approval_url: result.approval_url || null
+  };
+}
+
+module.exports = {
+  CheckoutError,
+  preparePayment,
+  chargeOrder,
+  startSubscription,
+  cancelProviderSubscription,
+  getGuestColumns,
+  getOrderPaymentAmounts,
+  getPaymentAction
+};
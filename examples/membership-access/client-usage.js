@@ -9,35 +9,273 @@
 import { useState, useEffect, useContext } from 'react';
 import { AuthContext } from './auth-context'; // Assuming you have an auth context
 
+// How long fetched entitlements are used before being revalidated
+const ENTITLEMENTS_MAX_AGE_MS = 60 * 1000;
+
+// Entitlements per user ID, shared by every hook so that a page checking
+// several features makes a single request: { data, etag, fetchedAt,
+// promise, listeners, unsubscribe }
+const entitlementsCache = new Map();
+
+function getEntitlementsEntry(userId) {
+  if (!entitlementsCache.has(userId)) {
+    entitlementsCache.set(userId, {
+      data: null,
+      etag: null,
+      fetchedAt: 0,
+      promise: null,
+      listeners: new Set(),
+      unsubscribe: null
+    });
+  }
+  return entitlementsCache.get(userId);
+}
+
 /**
- * Custom hook to check if the current user has access to a specific feature
- * @param {string} featureId - The ID of the feature to check
- * @returns {Object} Object containing access status and related data
+ * Fetch a user's entitlements, or reuse them if they were fetched less than
+ * a minute ago. Concurrent calls share one request, and stale entitlements
+ * are revalidated with their ETag, so unchanged ones aren't downloaded again.
+ * @param {Object} user - The logged in user ({ id, token })
+ * @param {Object} options
+ * @param {boolean} options.force - Revalidate even if the cached entitlements are fresh
+ * @returns {Promise<Object>} Entitlements ({ user_id, features })
  */
-export function useFeatureAccess(featureId) {
+export function fetchEntitlements(user, { force = false } = {}) {
+  const entry = getEntitlementsEntry(user.id);
+
+  if (entry.promise) {
+    return entry.promise;
+  }
+  if (!force && entry.data && Date.now() - entry.fetchedAt < ENTITLEMENTS_MAX_AGE_MS) {
+    return Promise.resolve(entry.data);
+  }
+
+  const headers = { 'Authorization': `Bearer ${user.token}` };
+  if (entry.etag) {
+    headers['If-None-Match'] = entry.etag;
+  }
+
+  entry.promise = fetch(`/api/payment/users/${user.id}/entitlements`, { headers })
+    .then(async (response) => {
+      // 304 Not Modified: the cached entitlements are still current
+      if (response.status !== 304) {
+        if (!response.ok) {
+          throw new Error(`Failed to load entitlements (${response.status})`);
+        }
+        entry.data = await response.json();
+        entry.etag = response.headers.get('ETag');
+      }
+      entry.fetchedAt = Date.now();
+      entry.listeners.forEach(listener => listener(entry.data));
+      return entry.data;
+    })
+    .finally(() => {
+      entry.promise = null;
+    });
+
+  return entry.promise;
+}
+
+/**
+ * Refetch a user's entitlements, e.g. after a purchase or after reporting
+ * usage, and update every component using them
+ * @param {Object} user - The logged in user ({ id, token })
+ * @returns {Promise<Object>} Entitlements ({ user_id, features })
+ */
+export function refreshEntitlements(user) {
+  return fetchEntitlements(user, { force: true });
+}
+
+/**
+ * Subscribe to the changes to a user's entitlements, streamed as server-sent
+ * events. The stream is read with fetch, as EventSource can't send the
+ * Authorization header, and reopened when it drops.
+ * @param {Object} user - The logged in user ({ id, token })
+ * @param {Function} onEvent - Called with each 'entitlement.granted' or
+ *   'entitlement.revoked' event, and with null after reconnecting, as events
+ *   may have been missed in between
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToEntitlementEvents(user, onEvent) {
+  const controller = new AbortController();
+  let retryMs = 5000;
+  let connected = false;
+  
+  async function connect() {
+    try {
+      const response = await fetch(`/api/payment/users/${user.id}/entitlements/events`, {
+        headers: {
+          'Authorization': `Bearer ${user.token}`,
+          'Accept': 'text/event-stream'
+        },
+        signal: controller.signal
+      });
+      
+      if (!response.ok) {
+        throw new Error(`Failed to subscribe to entitlement events (${response.status})`);
+      }
+      if (connected) {
+        onEvent(null);
+      }
+      connected = true;
+      
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+      
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) {
+          break;
+        }
+        
+        // Events are separated by blank lines
+        buffer += value;
+        const messages = buffer.split('\n\n');
+        buffer = messages.pop();
+        
+        for (const message of messages) {
+          let data = null;
+          for (const line of message.split('\n')) {
+            if (line.startsWith('data: ')) {
+              data = line.slice(6);
+            } else if (line.startsWith('retry: ')) {
+              retryMs = Number(line.slice(7));
+            }
+          }
+          if (data) {
+            onEvent(JSON.parse(data));
+          }
+        }
+      }
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return;
+      }
+      console.error('Error reading entitlement events:', error);
+    }
+    
+    if (!controller.signal.aborted) {
+      setTimeout(connect, retryMs);
+    }
+  }
+  
+  connect();
+  
+  return () => controller.abort();
+}
+
+/**
+ * Custom hook to get everything the current user is entitled to. The
+ * entitlements are refetched whenever the server reports a change, so
+ * components re-render when access is granted or revoked.
+ * @returns {Object} Object containing the entitlements and a refresh function
+ */
+export function useEntitlements() {
   const { user } = useContext(AuthContext);
-  const [accessData, setAccessData] = useState({
-    isLoading: true,
-    hasAccess: false,
-    accessSource: null,
-    membership: null,
-    addon: null,
-    upgradeOptions: [],
-    addonOptions: []
+  const cached = user && user.id && entitlementsCache.has(user.id)
+    ? entitlementsCache.get(user.id).data
+    : null;
+  const [state, setState] = useState({
+    isLoading: !cached,
+    entitlements: cached,
+    error: null
   });
   
   useEffect(() => {
-    // Don't check if user is not logged in
+    // Don't fetch if user is not logged in
     if (!user || !user.id) {
-      setAccessData({
-        isLoading: false,
-        hasAccess: false,
-        reason: 'Not logged in'
+      setState({ isLoading: false, entitlements: null, error: null });
+      return;
+    }
+    
+    const entry = getEntitlementsEntry(user.id);
+    const listener = (data) => setState({ isLoading: false, entitlements: data, error: null });
+    entry.listeners.add(listener);
+    
+    // One event stream per user, shared like the entitlements
+    if (!entry.unsubscribe) {
+      entry.unsubscribe = subscribeToEntitlementEvents(user, () => {
+        refreshEntitlements(user).catch(error => console.error('Error loading entitlements:', error));
+      });
+    }
+    
+    fetchEntitlements(user)
+      .then(listener)
+      .catch(error => {
+        console.error('Error loading entitlements:', error);
+        setState({
+          isLoading: false,
+          entitlements: entry.data,
+          error: 'Failed to load entitlements'
+        });
       });
+    
+    return () => {
+      entry.listeners.delete(listener);
+      if (entry.listeners.size === 0 && entry.unsubscribe) {
+        entry.unsubscribe();
+        entry.unsubscribe = null;
+      }
+    };
+  }, [user]);
+  
+  return {
+    ...state,
+    refresh: () => refreshEntitlements(user)
+  };
+}
+
+/**
+ * Custom hook to check if the current user has access to a specific feature.
+ * Every feature is read from the same shared entitlements.
+ * @param {string} featureId - The ID of the feature to check
+ * @returns {Object} Object containing access status and related data
+ */
+export function useFeatureAccess(featureId) {
+  const { user } = useContext(AuthContext);
+  const { isLoading, entitlements, error } = useEntitlements();
+  
+  if (!user || !user.id) {
+    return { isLoading: false, hasAccess: false, reason: 'Not logged in' };
+  }
+  if (!entitlements) {
+    return { isLoading, hasAccess: false, error };
+  }
+  
+  const entitlement = entitlements.features.find(feature => feature.feature_id === featureId);
+  if (!entitlement) {
+    return { isLoading: false, hasAccess: false, reason: 'Feature not included' };
+  }
+  
+  return {
+    isLoading: false,
+    hasAccess: entitlement.has_access,
+    accessSource: entitlement.sources[0].type,
+    sources: entitlement.sources,
+    expires: entitlement.expires,
+    usage: entitlement.usage,
+    reason: entitlement.has_access ? undefined : 'Usage limit reached'
+  };
+}
+
+/**
+ * Custom hook to get the ways the current user can get a feature: the
+ * membership types that include it and its addon. They're only fetched
+ * when `enabled`, i.e. once the user turns out not to have access.
+ * @param {string} featureId - The ID of the feature
+ * @param {boolean} enabled - Whether to fetch the options
+ * @returns {Object} Object containing upgrade and addon options
+ */
+export function usePurchaseOptions(featureId, enabled = true) {
+  const { user } = useContext(AuthContext);
+  const [options, setOptions] = useState({ upgradeOptions: [], addonOptions: [] });
+  
+  useEffect(() => {
+    if (!enabled || !user || !user.id) {
       return;
     }
     
-    async function checkAccess() {
+    async function loadOptions() {
       try {
         const response = await fetch(
           `/api/payment/features/check?user_id=${user.id}&feature_id=${featureId}`,
@@ -50,30 +288,19 @@ export function useFeatureAccess(featureId) {
         
         const data = await response.json();
         
-        setAccessData({
-          isLoading: false,
-          hasAccess: data.has_access,
-          accessSource: data.access_source,
-          membership: data.membership,
-          addon: data.addon,
+        setOptions({
           upgradeOptions: data.upgrade_options || [],
-          addonOptions: data.addon_options || [],
-          reason: data.reason
+          addonOptions: data.addon_options || []
         });
       } catch (error) {
-        console.error('Error checking feature access:', error);
-        setAccessData({
-          isLoading: false,
-          hasAccess: false,
-          error: 'Failed to check access'
-        });
+        console.error('Error loading purchase options:', error);
       }
     }
     
-    checkAccess();
-  }, [user, featureId]);
+    loadOptions();
+  }, [user, featureId, enabled]);
   
-  return accessData;
+  return options;
 }
 
 /**
@@ -142,7 +369,8 @@ export function useMembershipStatus(membershipTypeId = null) {
  * Component that conditionally renders content based on feature access
  */
 export function FeatureGated({ featureId, children, fallback }) {
-  const { isLoading, hasAccess, upgradeOptions, addonOptions } = useFeatureAccess(featureId);
+  const { isLoading, hasAccess } = useFeatureAccess(featureId);
+  const { upgradeOptions, addonOptions } = usePurchaseOptions(featureId, !isLoading && !hasAccess);
   
   if (isLoading) {
     return <div className="loading">Loading...</div>;
@@ -195,6 +423,7 @@ export function FeatureGated({ featureId, children, fallback }) {
  */
 function VideoPlayer({ videoId }) {
   const [quality, setQuality] = useState('standard');
+  // Both checks read the same entitlements, fetched once
   const { hasAccess: hasHDAccess } = useFeatureAccess('hd');
   const { hasAccess: has4KAccess } = useFeatureAccess('4k');
   
@@ -278,6 +507,9 @@ function UserProfile() {
         <div key={membership.id} className="membership-details">
           <h3>{membership.membership_type.name}</h3>
           <p>Status: {membership.status}</p>
+          {membership.status === 'trialing' && (
+            <p>Free trial until {new Date(membership.trial_end).toLocaleDateString()}</p>
+          )}
           <p>
             {membership.is_lifetime 
               ? 'Lifetime Access' 
@@ -292,12 +524,12 @@ function UserProfile() {
             ))}
           </ul>
           
-          {membership.addons && JSON.parse(membership.addons).length > 0 && (
+          {membership.addons.length > 0 && (
             <>
               <h4>Your Addons:</h4>
               <ul className="addon-list">
-                {JSON.parse(membership.addons).map(addon => (
-                  <li key={addon.feature_id}>
+                {membership.addons.map(addon => (
+                  <li key={addon.id}>
                     {addon.name}
                     {addon.end_date && 
                       ` (Expires: ${new Date(addon.end_date).toLocaleDateString()})`
@@ -0,0 +1,456 @@
+/**
+ * Coupons
+ *
+ * Discount coupons (`discount_coupons`) for membership and addon purchases.
+ * A coupon is checked against the purchase and the payer when it's applied
+ * (applyCoupon), a use of it is reserved before the payment is made, so
+ * `usage_limit` and `usage_limit_per_customer` hold under concurrent
+ * purchases, and each redemption is recorded in `coupon_usage`. A purchase
+ * that doesn't go through gives its use back.
+ *
+ * Orders are discounted once. Subscriptions are discounted for the
+ * coupon's `duration`: their first payment ('once'), their first
+ * `duration_cycles` payments ('repeating') or every payment ('forever').
+ * The discount is kept in the subscription's metadata until its last
+ * discounted payment (see recordSubscriptionPayment in ./payment-records).
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { CheckoutError } = require('./checkout');
+
+// Discount types that apply to memberships and addons
+const SUPPORTED_DISCOUNT_TYPES = ['percentage', 'fixed_amount'];
+
+// Attempts at reserving or giving back a use when concurrent purchases
+// change the coupon first
+const MAX_RESERVE_ATTEMPTS = 5;
+
+/**
+ * Error for coupons that don't apply to a purchase; the purchase routes
+ * respond to it as to any CheckoutError
+ */
+class CouponError extends CheckoutError {
+  constructor(message, status = 400) {
+    super(message, status);
+    this.name = 'CouponError';
+  }
+}
+
+/**
+ * Apply a coupon to a purchase: check that it's valid for the purchase and
+ * the payer, and compute the discount
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} params
+ * @param {string} params.code - The coupon code
+ * @param {Object} params.billing - { user_id, organization_id } of the payer
+ * @param {Object} params.guest - external_entities row of a guest payer
+ * @param {string} params.productId - products ID of what is bought
+ * @param {number} params.subtotalCents - Price before the discount
+ * @param {string} params.currency - Currency of the price
+ * @param {boolean} params.isRecurring - Whether the purchase is a subscription
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object>} { coupon, subtotal_cents, discount_cents,
+ *   total_cents, currency, billing, guest }
+ * @throws {CouponError} If the coupon doesn't apply
+ */
+async function applyCoupon(store, {
+  code,
+  billing,
+  guest = null,
+  productId,
+  subtotalCents,
+  currency,
+  isRecurring,
+  now = new Date()
+}) {
+  const coupon = await store.discount_coupons.findOne({ where: { code } });
+  if (!coupon || !coupon.is_active) {
+    throw new CouponError('Coupon not found', 404);
+  }
+
+  if (coupon.starts_at && new Date(coupon.starts_at) > now) {
+    throw new CouponError('Coupon is not valid yet');
+  }
+  if (coupon.expires_at && new Date(coupon.expires_at) <= now) {
+    throw new CouponError('Coupon has expired');
+  }
+  if (coupon.usage_limit !== null && coupon.current_usage_count >= coupon.usage_limit) {
+    throw new CouponError('Coupon usage limit reached', 409);
+  }
+  if (!SUPPORTED_DISCOUNT_TYPES.includes(coupon.discount_type)) {
+    throw new CouponError(`Coupons of type ${coupon.discount_type} don't apply to memberships and addons`);
+  }
+
+  await assertApplicable(store, coupon, { productId, isRecurring });
+
+  if (coupon.discount_type === 'fixed_amount' && coupon.currency !== currency) {
+    throw new CouponError(`Coupon only applies to purchases in ${coupon.currency}`);
+  }
+  if (subtotalCents < (coupon.minimum_amount_cents || 0)) {
+    throw new CouponError(`Coupon requires a purchase of at least ${coupon.minimum_amount_cents} cents`);
+  }
+
+  await assertPayerEligible(store, coupon, { billing, guest });
+
+  const discountCents = getDiscountCents(coupon, subtotalCents);
+  return {
+    coupon,
+    subtotal_cents: subtotalCents,
+    discount_cents: discountCents,
+    total_cents: subtotalCents - discountCents,
+    currency,
+    billing,
+    guest
+  };
+}
+
+/**
+ * Check that a coupon applies to what is bought
+ */
+async function assertApplicable(store, coupon, { productId, isRecurring }) {
+  if (coupon.applicable_to === 'subscriptions' && !isRecurring) {
+    throw new CouponError('Coupon only applies to subscriptions');
+  }
+
+  const excluded = parseList(coupon.excluded_product_ids);
+  if (excluded.includes(productId)) {
+    throw new CouponError('Coupon doesn\'t apply to this purchase');
+  }
+
+  if (coupon.applicable_to === 'products' && !parseList(coupon.applicable_product_ids).includes(productId)) {
+    throw new CouponError('Coupon doesn\'t apply to this purchase');
+  }
+
+  if (coupon.applicable_to === 'categories') {
+    const product = await store.products.findById(productId);
+    if (!product || !parseList(coupon.applicable_category_ids).includes(product.category_id)) {
+      throw new CouponError('Coupon doesn\'t apply to this purchase');
+    }
+  }
+}
+
+/**
+ * Check the coupon's restrictions on who pays: user types, first-time
+ * customers and uses per customer
+ */
+async function assertPayerEligible(store, coupon, { billing, guest }) {
+  const userTypes = parseList(coupon.applicable_user_types);
+  if (userTypes.length > 0) {
+    const user = billing.user_id ? await store.users.findById(billing.user_id) : null;
+    if (!user || !userTypes.includes(user.user_type)) {
+      throw new CouponError('Coupon doesn\'t apply to this customer');
+    }
+  }
+
+  if (coupon.first_time_customers_only) {
+    const payment = await store.payments.findOne({
+      where: { ...getPayerPaymentColumns(billing, guest), status: 'succeeded' }
+    });
+    if (payment) {
+      throw new CouponError('Coupon is only for first-time customers');
+    }
+  }
+
+  if (coupon.usage_limit_per_customer !== null) {
+    const reserved = parseObject(coupon.metadata).reserved_by_payer || {};
+    const payer = getPayerKey(billing, guest);
+    const used = reserved[payer] !== undefined
+      ? reserved[payer]
+      : await countPayerUsages(store, coupon, billing, guest);
+    if (used >= coupon.usage_limit_per_customer) {
+      throw new CouponError('Coupon has already been used the maximum number of times');
+    }
+  }
+}
+
+/**
+ * Count a payer's redemptions of a coupon
+ */
+async function countPayerUsages(store, coupon, billing, guest) {
+  return store.coupon_usage.count({
+    where: { coupon_id: coupon.id, ...await getPayerUsageColumns(store, billing, guest) }
+  });
+}
+
+/**
+ * Reserve a use of an applied coupon before paying. The coupon's counters
+ * are compared and set, so concurrent purchases can't go past its
+ * `usage_limit`, nor one payer past its `usage_limit_per_customer`: the
+ * uses each payer has reserved are counted in the coupon's metadata
+ * (`reserved_by_payer`) along with `current_usage_count`.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} applied - Result of applyCoupon
+ * @throws {CouponError} If the coupon was used up meanwhile, or is being
+ *   reserved by too many concurrent purchases
+ */
+async function reserveCoupon(store, applied) {
+  const payer = getPayerKey(applied.billing, applied.guest);
+
+  for (let attempt = 1; attempt <= MAX_RESERVE_ATTEMPTS; attempt += 1) {
+    const coupon = await store.discount_coupons.findById(applied.coupon.id);
+    if (coupon.usage_limit !== null && coupon.current_usage_count >= coupon.usage_limit) {
+      throw new CouponError('Coupon usage limit reached', 409);
+    }
+
+    const metadata = parseObject(coupon.metadata);
+    const reserved = { ...metadata.reserved_by_payer };
+    if (coupon.usage_limit_per_customer !== null) {
+      // Payers who used the coupon before their uses were counted here
+      // start from their coupon_usage rows
+      if (reserved[payer] === undefined) {
+        reserved[payer] = await countPayerUsages(store, coupon, applied.billing, applied.guest);
+      }
+      if (reserved[payer] >= coupon.usage_limit_per_customer) {
+        throw new CouponError('Coupon has already been used the maximum number of times');
+      }
+    }
+    reserved[payer] = (reserved[payer] || 0) + 1;
+
+    const updated = await store.discount_coupons.updateWhere(
+      { id: coupon.id, current_usage_count: coupon.current_usage_count },
+      {
+        current_usage_count: coupon.current_usage_count + 1,
+        metadata: JSON.stringify({ ...metadata, reserved_by_payer: reserved })
+      }
+    );
+    if (updated === 1) {
+      return;
+    }
+  }
+
+  throw new CouponError('Coupon is being used by other purchases; try again', 409);
+}
+
+/**
+ * Give back a reserved use of a coupon, for purchases that didn't go
+ * through
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} applied - Result of applyCoupon
+ * @throws {CouponError} If the coupon is being reserved by too many
+ *   concurrent purchases
+ */
+async function releaseCoupon(store, applied) {
+  const payer = getPayerKey(applied.billing, applied.guest);
+
+  for (let attempt = 1; attempt <= MAX_RESERVE_ATTEMPTS; attempt += 1) {
+    const coupon = await store.discount_coupons.findById(applied.coupon.id);
+    const metadata = parseObject(coupon.metadata);
+    const reserved = { ...metadata.reserved_by_payer };
+    if (reserved[payer] !== undefined) {
+      reserved[payer] = Math.max(reserved[payer] - 1, 0);
+    }
+
+    const updated = await store.discount_coupons.updateWhere(
+      { id: coupon.id, current_usage_count: coupon.current_usage_count },
+      {
+        current_usage_count: Math.max(coupon.current_usage_count - 1, 0),
+        metadata: JSON.stringify({ ...metadata, reserved_by_payer: reserved })
+      }
+    );
+    if (updated === 1) {
+      return;
+    }
+  }
+
+  throw new CouponError('Coupon is being used by other purchases; try again', 409);
+}
+
+/**
+ * Make a payment with a use of a coupon reserved, given back if the payment
+ * throws. Payments that are declined give the use back with releaseCoupon.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} applied - Result of applyCoupon, or null without a coupon
+ * @param {Function} pay - async () => result of the payment
+ * @returns {Promise<*>} The result of `pay`
+ */
+async function withCouponReserved(store, applied, pay) {
+  if (!applied) {
+    return pay();
+  }
+
+  await reserveCoupon(store, applied);
+  try {
+    return await pay();
+  } catch (error) {
+    await releaseCoupon(store, applied);
+    throw error;
+  }
+}
+
+/**
+ * Record the redemption of a reserved coupon in `coupon_usage`
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} applied - Result of applyCoupon
+ * @param {Object} params
+ * @param {Object} params.billing - { user_id, organization_id } of the payer
+ * @param {Object} params.guest - external_entities row of a guest payer
+ * @param {Object} params.customer - The payer's external_entities row, if
+ *   any (purchases paid from the account balance have none)
+ * @param {string} params.orderId - The discounted order
+ * @param {string} params.subscriptionId - The discounted subscription
+ * @param {string} params.paymentId - The payment made, if any
+ * @param {Object} params.context - What was bought, kept in `usage_context`
+ * @returns {Promise<Object>} The coupon_usage row
+ */
+async function recordCouponUsage(store, applied, {
+  billing,
+  guest = null,
+  customer,
+  orderId = null,
+  subscriptionId = null,
+  paymentId = null,
+  context = {}
+}) {
+  return store.coupon_usage.create({
+    id: uuidv4(),
+    coupon_id: applied.coupon.id,
+    user_id: billing.user_id,
+    customer_id: customer ? customer.id : null,
+    guest_email: guest ? guest.external_email : null,
+    order_id: orderId,
+    subscription_id: subscriptionId,
+    payment_id: paymentId,
+    discount_amount_cents: applied.discount_cents,
+    original_amount_cents: applied.subtotal_cents,
+    final_amount_cents: applied.total_cents,
+    currency: applied.currency,
+    usage_context: JSON.stringify(context)
+  });
+}
+
+/**
+ * Get the discount a subscription starts with, for startSubscription (see
+ * ./checkout): the amount off each discounted payment and how many
+ * payments are discounted (null for every payment)
+ *
+ * @param {Object} applied - Result of applyCoupon
+ * @returns {Object} { discount_cents, coupon_id, code, cycles_remaining }
+ */
+function getSubscriptionDiscount(applied) {
+  const { coupon } = applied;
+  const cycles = { once: 1, repeating: coupon.duration_cycles, forever: null };
+
+  return {
+    discount_cents: applied.discount_cents,
+    coupon_id: coupon.id,
+    code: coupon.code,
+    cycles_remaining: cycles[coupon.duration]
+  };
+}
+
+/**
+ * Format an applied coupon for API responses
+ *
+ * @param {Object} applied - Result of applyCoupon
+ * @returns {Object}
+ */
+function formatAppliedCoupon(applied) {
+  return {
+    coupon: formatCoupon(applied.coupon),
+    subtotal_cents: applied.subtotal_cents,
+    discount_cents: applied.discount_cents,
+    total_cents: applied.total_cents,
+    currency: applied.currency
+  };
+}
+
+function formatCoupon(coupon) {
+  return {
+    code: coupon.code,
+    name: coupon.name,
+    description: coupon.description || null,
+    discount_type: coupon.discount_type,
+    discount_value: Number(coupon.discount_value),
+    currency: coupon.discount_type === 'fixed_amount' ? coupon.currency : null,
+    duration: coupon.duration,
+    duration_cycles: coupon.duration === 'repeating' ? coupon.duration_cycles : null,
+    expires_at: coupon.expires_at || null
+  };
+}
+
+/**
+ * Compute a coupon's discount on an amount. Percentages are capped at
+ * `maximum_discount_cents`; fixed amounts are in the currency's major unit
+ * (e.g. 5.00 for $5). The discount never exceeds the amount.
+ */
+function getDiscountCents(coupon, amountCents) {
+  let discountCents = coupon.discount_type === 'percentage'
+    ? Math.round(amountCents * Number(coupon.discount_value) / 100)
+    : Math.round(Number(coupon.discount_value) * 100);
+
+  if (coupon.maximum_discount_cents !== null && coupon.maximum_discount_cents !== undefined) {
+    discountCents = Math.min(discountCents, coupon.maximum_discount_cents);
+  }
+  return Math.min(discountCents, amountCents);
+}
+
+/**
+ * Columns of a payer's payments
+ */
+function getPayerPaymentColumns(billing, guest) {
+  if (guest) {
+    return { guest_email: guest.external_email };
+  }
+  return billing.organization_id
+    ? { organization_id: billing.organization_id }
+    : { user_id: billing.user_id };
+}
+
+/**
+ * Columns of a payer's coupon_usage rows. Organizations pay as their
+ * customer records.
+ */
+async function getPayerUsageColumns(store, billing, guest) {
+  if (guest) {
+    return { guest_email: guest.external_email };
+  }
+  if (billing.organization_id) {
+    const customers = await store.external_entities.findAll({
+      where: { organization_id: billing.organization_id, context_type: 'payment' }
+    });
+    return { customer_id: customers.map(customer => customer.id) };
+  }
+  return { user_id: billing.user_id };
+}
+
+/**
+ * Key of a payer in a coupon's `reserved_by_payer`
+ */
+function getPayerKey(billing, guest) {
+  if (guest) {
+    return `guest:${guest.external_email}`;
+  }
+  return billing.organization_id
+    ? `organization:${billing.organization_id}`
+    : `user:${billing.user_id}`;
+}
+
+function parseObject(value) {
+  if (!value) {
+    return {};
+  }
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function parseList(value) {
+  if (!value) {
+    return [];
+  }
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+module.exports = {
+  CouponError,
+  applyCoupon,
+  reserveCoupon,
+  releaseCoupon,
+  withCouponReserved,
+  recordCouponUsage,
+  getSubscriptionDiscount,
+  formatAppliedCoupon
+};
@@ -0,0 +1,244 @@
+/**
+ * Dunning
+ *
+ * Failed subscription payments and the grace period that follows them.
+ * Each failed attempt is counted in `subscriptions.billing_retry_count`.
+ * While retries remain (up to `max_retry_attempts` after the first failure)
+ * the membership is 'past_due' and keeps access until `grace_until`; once
+ * they run out, the membership and the subscription's billing are
+ * 'suspended'. A later successful payment reactivates both (see
+ * ./renewals).
+ *
+ * Providers that retry failed payments themselves report every attempt by
+ * webhook. For the others, retryFailedPayments charges the retries when
+ * `next_billing_date` comes.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { PaymentProviderError } = require('./providers');
+const { renewMembership } = require('./renewals');
+const { useDiscountCycle } = require('./payment-records');
+const { invoiceSubscriptionPayment } = require('./invoices');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Membership statuses whose subscription is still being billed
+const BILLED_STATUSES = ['active', 'trialing', 'past_due', 'suspended'];
+
+/**
+ * Default dunning settings; createApp accepts overrides as `dunning`
+ */
+const DEFAULT_DUNNING = {
+  // Days from each failed attempt to the next retry; the last interval
+  // repeats when max_retry_attempts allows more retries
+  retry_intervals_days: [1, 3, 5],
+  // Days of access after the first failed payment
+  grace_period_days: 10
+};
+
+/**
+ * Record a failed subscription payment: schedule the next retry and start
+ * the grace period, or suspend the membership when no retries are left.
+ * A failed first payment leaves the membership without access, as it
+ * never had any.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} params
+ * @param {Object} params.membership - entity_memberships row
+ * @param {Object} params.subscription - The membership's subscriptions row
+ * @param {Object} params.dunning - Overrides of DEFAULT_DUNNING
+ * @param {Date} params.now - Time of the failure (defaults to the current time)
+ * @returns {Promise<Object>} The updated membership
+ */
+async function recordPaymentFailure(store, { membership, subscription, dunning = {}, now = new Date() }) {
+  if (membership.status === 'pending') {
+    return store.entity_memberships.update(membership.id, { status: 'payment_failed' });
+  }
+  // Memberships that already ended stay as they are
+  if (!BILLED_STATUSES.includes(membership.status)) {
+    return membership;
+  }
+
+  const config = { ...DEFAULT_DUNNING, ...dunning };
+  const attempts = (subscription.billing_retry_count || 0) + 1;
+  const retriesLeft = attempts <= subscription.max_retry_attempts;
+
+  await store.subscriptions.update(subscription.id, {
+    status: 'past_due',
+    billing_status: retriesLeft ? 'past_due' : 'suspended',
+    billing_retry_count: attempts,
+    last_billing_attempt: now.toISOString(),
+    next_billing_date: retriesLeft ? addDays(now, getRetryInterval(config, attempts)) : null
+  });
+
+  if (!retriesLeft) {
+    return store.entity_memberships.update(membership.id, { status: 'suspended', grace_until: null });
+  }
+
+  return store.entity_memberships.update(membership.id, {
+    status: 'past_due',
+    // The grace period runs from the first failed payment
+    grace_until: membership.grace_until || addDays(now, config.grace_period_days)
+  });
+}
+
+/**
+ * Check whether a past-due membership is still in its grace period
+ *
+ * @param {Object} membership - entity_memberships row
+ * @param {Date} now - Defaults to the current time
+ * @returns {boolean}
+ */
+function isInGracePeriod(membership, now = new Date()) {
+  return membership.status === 'past_due'
+    && Boolean(membership.grace_until)
+    && new Date(membership.grace_until) > now;
+}
+
+/**
+ * Retry the failed payments that are due, for providers that don't retry
+ * them themselves. The subscription's amount is charged to its payment
+ * method; a successful retry renews the membership for the unpaid period,
+ * anything else counts as another failed attempt. Each retry is claimed
+ * before it's charged, so runs that overlap charge it once. Run it
+ * periodically (e.g. hourly).
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} providers - Provider registry (see ./providers)
+ * @param {Object} options
+ * @param {Object} options.dunning - Overrides of DEFAULT_DUNNING
+ * @param {Date} options.now - Defaults to the current time
+ * @returns {Promise<Object[]>} { subscription_id, membership_id, status, error_message } per retry
+ */
+async function retryFailedPayments(store, providers, { dunning = {}, now = new Date() } = {}) {
+  const config = { ...DEFAULT_DUNNING, ...dunning };
+  const due = await store.subscriptions.findAll({
+    where: { billing_status: 'past_due', next_billing_date: { lte: now.toISOString() } }
+  });
+
+  const results = [];
+  for (const subscription of due) {
+    const resolved = await providers.resolve(subscription.provider_id);
+    if (!resolved || resolved.adapter.retriesFailedPayments) {
+      continue;
+    }
+
+    const membership = await store.entity_memberships.findOne({ where: { subscription_id: subscription.id } });
+    if (!membership) {
+      continue;
+    }
+
+    // Claim the retry before charging it, so that concurrent runs charge it
+    // once. The claim moves it on to the next retry, as if it failed, in
+    // case this run stops before recording it.
+    const claimedDate = addDays(now, getRetryInterval(config, (subscription.billing_retry_count || 0) + 1));
+    const claimed = await store.subscriptions.updateWhere(
+      {
+        id: subscription.id,
+        billing_status: 'past_due',
+        next_billing_date: subscription.next_billing_date,
+        billing_retry_count: subscription.billing_retry_count === undefined ? null : subscription.billing_retry_count
+      },
+      { next_billing_date: claimedDate }
+    );
+    if (claimed === 0) {
+      continue;
+    }
+
+    try {
+      const charge = await chargeRetry(store, resolved, subscription, now);
+
+      if (charge.status === 'succeeded') {
+        await renewMembership(store, { membership, subscription });
+      } else {
+        await recordPaymentFailure(store, { membership, subscription, dunning, now });
+      }
+
+      results.push({
+        subscription_id: subscription.id,
+        membership_id: membership.id,
+        status: charge.status,
+        error_message: charge.error_message || null
+      });
+    } catch (error) {
+      if (!(error instanceof PaymentProviderError)) {
+        throw error;
+      }
+      // Try again on the next run
+      console.error(`Error retrying payment of subscription ${subscription.id}:`, error);
+      await store.subscriptions.updateWhere(
+        { id: subscription.id, next_billing_date: claimedDate },
+        { next_billing_date: subscription.next_billing_date }
+      );
+      results.push({
+        subscription_id: subscription.id,
+        membership_id: membership.id,
+        status: 'error',
+        error_message: error.message
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Charge a subscription's amount to its payment method and record the
+ * payment; a paid retry counts against the subscription's coupon discount
+ * and is invoiced
+ */
+async function chargeRetry(store, { provider, adapter }, subscription, now) {
+  const customer = await store.external_entities.findById(subscription.customer_id);
+  const paymentMethod = await store.payment_methods.findById(subscription.payment_method_id);
+  const description = 'Subscription payment retry';
+
+  const charge = await adapter.charge({
+    provider_customer_id: customer.payment_provider_customer_id,
+    provider_payment_method_id: paymentMethod.provider_payment_method_id,
+    amount_cents: subscription.total_cents,
+    currency: subscription.currency,
+    description,
+    metadata: { subscription_id: subscription.id }
+  });
+
+  const payment = await store.payments.create({
+    id: uuidv4(),
+    subscription_id: subscription.id,
+    user_id: subscription.user_id,
+    organization_id: subscription.organization_id,
+    payment_method_id: paymentMethod.id,
+    provider_id: provider.id,
+    provider_payment_id: charge.provider_payment_id,
+    subtotal_cents: subscription.subtotal_cents,
+    tax_cents: subscription.tax_cents,
+    discount_cents: subscription.discount_cents,
+    total_cents: subscription.total_cents,
+    currency: subscription.currency,
+    status: charge.status,
+    description,
+    error_message: charge.error_message || null,
+    completed_at: charge.status === 'succeeded' ? now.toISOString() : null
+  });
+
+  await useDiscountCycle(store, adapter, subscription, payment);
+  if (payment.status === 'succeeded') {
+    await invoiceSubscriptionPayment(store, subscription, payment, { now });
+  }
+  return charge;
+}
+
+function getRetryInterval(config, attempts) {
+  const intervals = config.retry_intervals_days;
+  return intervals[Math.min(attempts, intervals.length) - 1];
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS).toISOString();
+}
+
+module.exports = {
+  DEFAULT_DUNNING,
+  recordPaymentFailure,
+  isInGracePeriod,
+  retryFailedPayments
+};
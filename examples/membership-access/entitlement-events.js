@@ -0,0 +1,171 @@
+/**
+ * Entitlement Events
+ *
+ * Notifies when users gain or lose a feature: 'entitlement.granted' and
+ * 'entitlement.revoked' events, emitted after a change to memberships or
+ * addons (a webhook, a purchase, a cancellation, ...) is saved. Changes are
+ * found by resolving the entitlements of the users involved before and
+ * after it (see ./entitlements), so every way access can change is covered
+ * by the same comparison.
+ *
+ * The routes stream the events to clients over server-sent events
+ * (GET /api/payment/users/:userId/entitlements/events).
+ */
+
+const { EventEmitter } = require('events');
+const { findOwnerUsers } = require('./membership-owners');
+const { resolveEntitlements } = require('./entitlements');
+
+const ENTITLEMENT_EVENTS = ['entitlement.granted', 'entitlement.revoked'];
+
+/**
+ * Create the entitlement event emitter. Listeners receive { type, user_id,
+ * feature_id, sources, expires, occurred_at }; `sources` and `expires` (see
+ * resolveEntitlements) are null for revoked features.
+ *
+ * @returns {EventEmitter}
+ */
+function createEntitlementEvents() {
+  const events = new EventEmitter();
+  // One listener per connected client
+  events.setMaxListeners(0);
+  return events;
+}
+
+/**
+ * Track a change to entitlements: `watch` the owners of the memberships
+ * about to change, make the change, then `publish` to emit an event for
+ * every feature their users gained or lost
+ *
+ * @param {Object} store - Data-access layer (see ./store); publish reads the
+ *   entitlements after the change with it, so it must not be a transaction
+ *   that is still open
+ * @param {EventEmitter} events - See createEntitlementEvents
+ * @returns {Object} { watch, publish }
+ */
+function trackEntitlementChanges(store, events) {
+  // Features users could use before the change, by user ID
+  const before = new Map();
+
+  /**
+   * Record the entitlements of the users an owner's memberships grant
+   * access to, before they change
+   *
+   * @param {Object} owner - { type, id } (see getMembershipOwner)
+   * @param {Object} options
+   * @param {Object} options.db - Store or transaction to read them with (defaults to `store`)
+   * @param {Date} options.asOf - Time to resolve them at (defaults to the
+   *   current time); earlier for changes that took effect before they're made,
+   *   such as expiries
+   */
+  async function watch(owner, { db = store, asOf = new Date() } = {}) {
+    for (const userId of await findOwnerUsers(db, owner)) {
+      if (!before.has(userId)) {
+        before.set(userId, await getUsableFeatures(db, userId, asOf));
+      }
+    }
+  }
+
+  /**
+   * Emit the events of the features watched users gained or lost
+   *
+   * @returns {Promise<Object[]>} The emitted events
+   */
+  async function publish() {
+    const published = [];
+    const occurredAt = new Date().toISOString();
+
+    for (const [userId, previous] of before) {
+      const current = await getUsableFeatures(store, userId);
+
+      for (const [featureId, entitlement] of current) {
+        if (!previous.has(featureId)) {
+          published.push({
+            type: 'entitlement.granted',
+            user_id: userId,
+            feature_id: featureId,
+            sources: entitlement.sources,
+            expires: entitlement.expires,
+            occurred_at: occurredAt
+          });
+        }
+      }
+      for (const featureId of previous.keys()) {
+        if (!current.has(featureId)) {
+          published.push({
+            type: 'entitlement.revoked',
+            user_id: userId,
+            feature_id: featureId,
+            sources: null,
+            expires: null,
+            occurred_at: occurredAt
+          });
+        }
+      }
+    }
+
+    before.clear();
+    for (const event of published) {
+      events.emit(event.type, event);
+    }
+    return published;
+  }
+
+  return { watch, publish };
+}
+
+/**
+ * Express middleware publishing the entitlement changes a request makes to
+ * an owner's memberships, once the request has succeeded. Watching resolves
+ * the entitlements of all the owner's users, so it only runs for requests
+ * that can change them.
+ *
+ * @param {Object} options
+ * @param {Object} options.store - Data-access layer (see ./store)
+ * @param {EventEmitter} options.events - See createEntitlementEvents
+ * @param {Function} options.getOwner - Get the owner ({ type, id }) from the request
+ * @param {Function} options.canChange - Whether a request can change
+ *   entitlements (defaults to all requests)
+ * @returns {Function} Express middleware
+ */
+function publishEntitlementChanges({ store, events, getOwner, canChange = () => true }) {
+  return async (req, res, next) => {
+    if (!canChange(req)) {
+      return next();
+    }
+    const changes = trackEntitlementChanges(store, events);
+
+    try {
+      await changes.watch(getOwner(req));
+    } catch (error) {
+      console.error('Error tracking entitlement changes:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    res.on('finish', () => {
+      if (res.statusCode < 400) {
+        changes.publish().catch((error) => {
+          console.error('Error publishing entitlement changes:', error);
+        });
+      }
+    });
+    next();
+  };
+}
+
+/**
+ * Get the features a user can use, by feature ID
+ */
+async function getUsableFeatures(store, userId, now = new Date()) {
+  const { features } = await resolveEntitlements(store, userId, { now });
+  return new Map(features
+    .filter(entitlement => entitlement.has_access)
+    .map(entitlement => [entitlement.feature_id, entitlement]));
+}
+
+module.exports = {
+  ENTITLEMENT_EVENTS,
+  createEntitlementEvents,
+  trackEntitlementChanges,
+  publishEntitlementChanges
+};
@@ -0,0 +1,132 @@
+/**
+ * Entitlement Tokens
+ *
+ * Short-lived signed tokens carrying a user's resolved entitlements, so
+ * other services and edge workers can check features without calling the
+ * payments API (see ./entitlement-verifier). Tokens are JWTs signed with
+ * Ed25519 ('EdDSA'); the public keys are published as a JWKS.
+ *
+ * Keys are rotated through `signing_keys`: the first key signs, and every
+ * key is published. To rotate, append the new key, wait for verifiers to
+ * refresh their JWKS, move it first, then drop the old key once the last
+ * tokens it signed have expired (`ttl_seconds`).
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Default token settings; createApp accepts overrides as `tokens`
+ */
+const DEFAULT_TOKENS = {
+  // Ed25519 private keys (PEM); without any, a key is generated when the
+  // app starts, so tokens stop verifying after a restart and aren't shared
+  // between instances
+  signing_keys: [],
+  // Lifetime of a token
+  ttl_seconds: 300,
+  // `iss` claim of the tokens
+  issuer: 'native-payments'
+};
+
+/**
+ * Generate an Ed25519 signing key
+ *
+ * @returns {string} PKCS #8 PEM private key, for `signing_keys`
+ */
+function generateSigningKey() {
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  return privateKey.export({ type: 'pkcs8', format: 'pem' });
+}
+
+/**
+ * Create the entitlement token signer
+ *
+ * @param {Object} tokens - Overrides of DEFAULT_TOKENS
+ * @returns {Object} { sign, getJwks }
+ */
+function createTokenSigner(tokens = {}) {
+  const config = { ...DEFAULT_TOKENS, ...tokens };
+  const privateKeys = config.signing_keys.length > 0
+    ? config.signing_keys.map(key => crypto.createPrivateKey(key))
+    : [crypto.generateKeyPairSync('ed25519').privateKey];
+
+  const keys = privateKeys.map((privateKey) => {
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error('Entitlement signing keys must be Ed25519 keys');
+    }
+    const jwk = crypto.createPublicKey(privateKey).export({ format: 'jwk' });
+    const kid = getThumbprint(jwk);
+    return { privateKey, jwk: { ...jwk, kid, alg: 'EdDSA', use: 'sig' } };
+  });
+
+  /**
+   * Sign a token for resolved entitlements. Only the features the user
+   * can use are included, with their expiry (`exp`, in seconds since the
+   * epoch, or null when they don't expire).
+   *
+   * @param {Object} entitlements - See resolveEntitlements in ./entitlements
+   * @param {Object} options
+   * @param {Date} options.now - Defaults to the current time
+   * @returns {Object} { token, expires_at }
+   */
+  function sign(entitlements, { now = new Date() } = {}) {
+    const [{ privateKey, jwk }] = keys;
+    const issuedAt = Math.floor(now.getTime() / 1000);
+    const expiresAt = issuedAt + config.ttl_seconds;
+
+    const features = {};
+    for (const entitlement of entitlements.features) {
+      if (entitlement.has_access) {
+        features[entitlement.feature_id] = {
+          exp: entitlement.expires === 'never' ? null : Math.floor(new Date(entitlement.expires).getTime() / 1000)
+        };
+      }
+    }
+
+    const header = { alg: 'EdDSA', typ: 'JWT', kid: jwk.kid };
+    const claims = {
+      iss: config.issuer,
+      sub: entitlements.user_id,
+      iat: issuedAt,
+      exp: expiresAt,
+      features
+    };
+
+    const signingInput = `${encodeSegment(header)}.${encodeSegment(claims)}`;
+    const signature = crypto.sign(null, Buffer.from(signingInput), privateKey).toString('base64url');
+
+    return {
+      token: `${signingInput}.${signature}`,
+      expires_at: new Date(expiresAt * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Get the public keys tokens are verified with
+   *
+   * @returns {Object} JWKS ({ keys })
+   */
+  function getJwks() {
+    return { keys: keys.map(key => key.jwk) };
+  }
+
+  return { sign, getJwks };
+}
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * JWK thumbprint (RFC 7638) of an Ed25519 public key, used as its key ID
+ */
+function getThumbprint(jwk) {
+  const canonical = JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x });
+  return crypto.createHash('sha256').update(canonical).digest('base64url');
+}
+
+module.exports = {
+  DEFAULT_TOKENS,
+  generateSigningKey,
+  createTokenSigner
+};
@@ -0,0 +1,216 @@
+/**
+ * Entitlement Token Verifier
+ *
+ * Checks the entitlement tokens issued by the payments API (see
+ * ./entitlement-tokens) without calling it. It depends only on WebCrypto
+ * and fetch, so it can be copied into other services and edge workers.
+ *
+ * Example:
+ *
+ *   const verifier = createEntitlementVerifier({
+ *     jwksUrl: 'https://payments.example.com/api/payment/entitlements/jwks'
+ *   });
+ *
+ *   if (await verifier.hasFeature(token, '4k')) {
+ *     // Serve the 4K stream
+ *   }
+ */
+
+// Algorithm of the tokens and of their keys
+const TOKEN_ALGORITHM = 'EdDSA';
+const KEY_ALGORITHM = { name: 'Ed25519' };
+
+/**
+ * Error for tokens that can't be trusted: malformed, signed with an unknown
+ * key, with an invalid signature, from another issuer or expired, or that
+ * can't be checked because the JWKS can't be fetched
+ */
+class EntitlementTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EntitlementTokenError';
+  }
+}
+
+/**
+ * Create an entitlement token verifier
+ *
+ * @param {Object} options
+ * @param {string} options.jwksUrl - URL of the JWKS endpoint
+ *   (GET /api/payment/entitlements/jwks)
+ * @param {Object} options.jwks - Public keys to use instead of fetching them
+ * @param {string} options.issuer - Expected `iss` claim (defaults to 'native-payments')
+ * @param {number} options.clockToleranceSeconds - Allowed clock skew (default 30)
+ * @param {number} options.jwksMaxAgeSeconds - How long fetched keys are
+ *   used before being refetched (default 300); tokens signed with an unknown
+ *   key also cause a refetch, so rotated keys are picked up right away
+ * @param {number} options.jwksMinRefetchSeconds - Least time between two
+ *   fetches (default 30), so tokens with made-up key IDs can't make the
+ *   verifier flood the payments API; until it has passed, unknown keys stay
+ *   unknown
+ * @param {Function} options.fetch - fetch implementation (defaults to the global one)
+ * @returns {Object} { verify, hasFeature }
+ */
+function createEntitlementVerifier({
+  jwksUrl,
+  jwks = null,
+  issuer = 'native-payments',
+  clockToleranceSeconds = 30,
+  jwksMaxAgeSeconds = 300,
+  jwksMinRefetchSeconds = 30,
+  fetch = globalThis.fetch
+}) {
+  if (!jwksUrl && !jwks) {
+    throw new Error('createEntitlementVerifier needs a jwksUrl or jwks');
+  }
+
+  // Imported keys by key ID, when they were fetched, when the last fetch
+  // started and the fetch in flight, which concurrent verifications share
+  let keys = null;
+  let fetchedAt = 0;
+  let attemptedAt = 0;
+  let fetching = null;
+
+  async function loadKeys(jwksToImport) {
+    const imported = new Map();
+    for (const jwk of jwksToImport.keys) {
+      if (jwk.kty === 'OKP' && jwk.crv === 'Ed25519') {
+        imported.set(jwk.kid, await crypto.subtle.importKey('jwk', jwk, KEY_ALGORITHM, false, ['verify']));
+      }
+    }
+    return imported;
+  }
+
+  async function fetchKeys() {
+    let response;
+    try {
+      response = await fetch(jwksUrl);
+    } catch (error) {
+      throw new EntitlementTokenError(`Failed to fetch the entitlement JWKS: ${error.message}`);
+    }
+    if (!response.ok) {
+      throw new EntitlementTokenError(`Failed to fetch the entitlement JWKS (${response.status})`);
+    }
+    keys = await loadKeys(await response.json());
+    fetchedAt = Date.now();
+  }
+
+  function refreshKeys() {
+    if (!fetching) {
+      attemptedAt = Date.now();
+      fetching = fetchKeys().finally(() => {
+        fetching = null;
+      });
+    }
+    return fetching;
+  }
+
+  async function getKey(kid) {
+    if (!keys) {
+      keys = jwks ? await loadKeys(jwks) : new Map();
+    }
+    if (jwksUrl) {
+      const now = Date.now();
+      const stale = now - fetchedAt > jwksMaxAgeSeconds * 1000;
+      const due = now - attemptedAt >= jwksMinRefetchSeconds * 1000;
+      if (fetching || (due && (stale || !keys.has(kid)))) {
+        await refreshKeys();
+      }
+    }
+    return keys.get(kid) || null;
+  }
+
+  /**
+   * Verify a token
+   *
+   * @param {string} token - Entitlement token
+   * @param {Object} options
+   * @param {Date} options.now - Defaults to the current time
+   * @returns {Promise<Object>} The token's claims ({ iss, sub, iat, exp, features })
+   * @throws {EntitlementTokenError} If the token can't be trusted
+   */
+  async function verify(token, { now = new Date() } = {}) {
+    const segments = typeof token === 'string' ? token.split('.') : [];
+    if (segments.length !== 3) {
+      throw new EntitlementTokenError('Malformed token');
+    }
+
+    const header = decodeSegment(segments[0]);
+    const claims = decodeSegment(segments[1]);
+    if (header.alg !== TOKEN_ALGORITHM) {
+      throw new EntitlementTokenError(`Unsupported algorithm ${header.alg}`);
+    }
+
+    const key = await getKey(header.kid);
+    if (!key) {
+      throw new EntitlementTokenError('Unknown signing key');
+    }
+
+    const valid = await crypto.subtle.verify(
+      KEY_ALGORITHM,
+      key,
+      base64UrlToBytes(segments[2]),
+      new TextEncoder().encode(`${segments[0]}.${segments[1]}`)
+    );
+    if (!valid) {
+      throw new EntitlementTokenError('Invalid signature');
+    }
+    if (claims.iss !== issuer) {
+      throw new EntitlementTokenError('Unexpected issuer');
+    }
+    if (typeof claims.exp !== 'number' || claims.exp + clockToleranceSeconds < now.getTime() / 1000) {
+      throw new EntitlementTokenError('Token expired');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Whether a token grants a feature: the token is valid and includes the
+   * feature, and the feature hasn't expired
+   *
+   * @param {string} token - Entitlement token
+   * @param {string} featureId - The ID of the feature
+   * @param {Object} options
+   * @param {Date} options.now - Defaults to the current time
+   * @returns {Promise<boolean>}
+   */
+  async function hasFeature(token, featureId, { now = new Date() } = {}) {
+    let claims;
+    try {
+      claims = await verify(token, { now });
+    } catch (error) {
+      if (error instanceof EntitlementTokenError) {
+        return false;
+      }
+      throw error;
+    }
+
+    const feature = claims.features && claims.features[featureId];
+    return Boolean(feature) && (feature.exp === null || feature.exp * 1000 > now.getTime());
+  }
+
+  return { verify, hasFeature };
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(new TextDecoder().decode(base64UrlToBytes(segment)));
+  } catch (error) {
+    throw new EntitlementTokenError('Malformed token');
+  }
+}
+
+function base64UrlToBytes(value) {
+  if (!/^[A-Za-z0-9_-]*$/.test(value)) {
+    throw new EntitlementTokenError('Malformed token');
+  }
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  return Uint8Array.from(binary, character => character.charCodeAt(0));
+}
+
+module.exports = {
+  EntitlementTokenError,
+  createEntitlementVerifier
+};
@@ -0,0 +1,110 @@
+/**
+ * Entitlements
+ *
+ * Everything a user is entitled to, resolved at once: each feature their
+ * memberships (and those of their organizations and projects) and addons,
+ * standalone ones included, grant, with where it comes from, when it
+ * expires and, for features with usage limits, how much is left. The data
+ * is loaded with a fixed number of queries however many memberships and
+ * features there are, and an ETag of the result lets clients revalidate
+ * cached entitlements cheaply.
+ */
+
+const { createHash } = require('crypto');
+const { findAccessibleOwners, findAccessibleMemberships } = require('./membership-owners');
+const { getGrantsByFeature, getUsagePeriod, summarizeUsage, isOverLimit } = require('./usage-limits');
+
+/**
+ * Resolve a user's entitlements
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {string} userId - The ID of the user
+ * @param {Object} options
+ * @param {Date} options.now - Defaults to the current time
+ * @returns {Promise<Object>} { user_id, features }: one entry per granted
+ *   feature, ordered by feature ID (see formatEntitlement)
+ */
+async function resolveEntitlements(store, userId, { now = new Date() } = {}) {
+  const owners = await findAccessibleOwners(store, userId);
+  const memberships = await findAccessibleMemberships(store, userId, { owners });
+  const grants = await getGrantsByFeature(store, { memberships, owners, now });
+
+  const featureIds = [...grants.keys()];
+  const features = await store.features.findAll({ where: { id: featureIds }, order: [['id', 'ASC']] });
+  const usage = await store.feature_usage.findAll({ where: { user_id: userId, feature_id: featureIds } });
+
+  return {
+    user_id: userId,
+    features: features.map(feature => formatEntitlement({
+      feature,
+      grants: grants.get(feature.id),
+      usage: usage.find(row => row.feature_id === feature.id && row.period === getUsagePeriod(feature, now).period),
+      now
+    }))
+  };
+}
+
+/**
+ * Format a feature's entitlement: the feature, whether it's usable (not
+ * over its usage limit), its sources, when the last of them expires
+ * ('never' if one doesn't) and its usage status
+ */
+function formatEntitlement({ feature, grants, usage, now }) {
+  const usageStatus = summarizeUsage({ feature, grants, usage, now });
+  const expiries = grants.map(grant => grant.expires);
+
+  return {
+    feature_id: feature.id,
+    name: feature.name,
+    has_access: !isOverLimit(usageStatus),
+    expires: expiries.includes(null)
+      ? 'never'
+      : expiries.reduce((latest, expires) => (new Date(expires) > new Date(latest) ? expires : latest)),
+    sources: grants.map(grant => ({
+      type: grant.type,
+      membership_id: grant.membership ? grant.membership.id : null,
+      addon_id: grant.type === 'addon' ? grant.addon.id : null,
+      owner: grant.owner,
+      name: grant.type === 'addon' ? grant.addon.name : grant.membership_type.name,
+      expires: grant.expires || 'never',
+      grace_until: (grant.membership && grant.membership.grace_until) || null,
+      limit: grant.limit
+    })),
+    usage: usageStatus
+  };
+}
+
+/**
+ * Compute the ETag of resolved entitlements: a hash of their content, so
+ * it changes whenever any entitlement, expiry or usage does
+ *
+ * @param {Object} entitlements - See resolveEntitlements
+ * @returns {string} Quoted strong ETag
+ */
+function getEntitlementsETag(entitlements) {
+  const hash = createHash('sha256').update(JSON.stringify(entitlements)).digest('hex');
+  return `"${hash.slice(0, 32)}"`;
+}
+
+/**
+ * Check an If-None-Match header against an ETag, with the weak comparison
+ * HTTP uses for it: the header may list several tags, and a `W/` prefix is
+ * ignored. `*` matches any ETag.
+ *
+ * @param {string} header - If-None-Match header value, if any
+ * @param {string} etag - Quoted ETag of the current content
+ * @returns {boolean}
+ */
+function matchesETag(header, etag) {
+  if (!header) {
+    return false;
+  }
+  const opaque = (tag) => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => tag.trim() === '*' || opaque(tag) === opaque(etag));
+}
+
+module.exports = {
+  resolveEntitlements,
+  getEntitlementsETag,
+  matchesETag
+};
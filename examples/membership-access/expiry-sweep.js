@@ -0,0 +1,328 @@
+/**
+ * Expiry Sweep
+ *
+ * Marks memberships and addons expired once their end date has passed, and
+ * sends notices before they expire. Memberships are read as expired as soon
+ * as their end date passes; the sweep makes their status say so, so the
+ * read routes don't have to write. Each transition and notice is logged to
+ * `payment_events`. Run it periodically (e.g. hourly; see ./jobs).
+ *
+ * Expiry notices go out `notify_before_days` before:
+ *
+ * - memberships that won't renew (fixed-duration, or cancelled at the end
+ *   of the period) and addons that won't renew
+ * - billing schedules that end, using the schedule's own `notify_before_days`
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { trackEntitlementChanges } = require('./entitlement-events');
+const { getMembershipOwner, getAddonOwner } = require('./membership-owners');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Membership statuses that end at the end date; past-due memberships are
+// ended by the dunning process instead (see ./dunning)
+const EXPIRING_STATUSES = ['active', 'trialing'];
+
+/**
+ * Default expiry settings; runExpirySweep accepts overrides as `expiry`
+ */
+const DEFAULT_EXPIRY = {
+  // Days before a membership or addon expires to send its notice (billing
+  // schedules have their own)
+  notify_before_days: 3
+};
+
+/**
+ * Expire the memberships and addons whose end date has passed and send the
+ * expiry notices that are due
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} options
+ * @param {Object} options.expiry - Overrides of DEFAULT_EXPIRY
+ * @param {Function} options.notify - Sends a notice: async ({ type, owner,
+ *   membership_id, addon_id, feature_id, billing_schedule_id, expires_at });
+ *   without it no notices are sent
+ * @param {EventEmitter} options.events - Emitter of entitlement changes
+ *   (see ./entitlement-events), to report the features users lose
+ * @param {Date} options.now - Defaults to the current time
+ * @returns {Promise<Object>} { expired_memberships, expired_addons, notices }
+ */
+async function runExpirySweep(store, { expiry = {}, notify = null, events = null, now = new Date() } = {}) {
+  const config = { ...DEFAULT_EXPIRY, ...expiry };
+  const changes = events ? trackEntitlementChanges(store, events) : null;
+
+  const expiredMemberships = await store.entity_memberships.findAll({
+    where: { status: EXPIRING_STATUSES, end_date: { lte: now.toISOString() } }
+  });
+  const endedAddons = await store.entity_addons.findAll({
+    where: { status: 'active', end_date: { lte: now.toISOString() } }
+  });
+  const addonMemberships = new Map((await store.entity_memberships.findAll({
+    where: { id: endedAddons.map(addon => addon.membership_id) }
+  })).map(membership => [membership.id, membership]));
+  // Addons of paused memberships move out with them when they resume (see
+  // ./pauses)
+  const expiredAddons = endedAddons.filter(addon => {
+    const membership = addonMemberships.get(addon.membership_id);
+    return !membership || membership.status !== 'paused';
+  });
+
+  // Access ended at the end dates, before the sweep: compare with the
+  // entitlements owners had just before their first end date
+  if (changes) {
+    const endings = [
+      ...expiredMemberships.map(membership => [getMembershipOwner(membership), membership.end_date]),
+      ...expiredAddons.map(addon => [getAddonOwner(addon, addonMemberships.get(addon.membership_id)), addon.end_date])
+    ].sort(([, a], [, b]) => new Date(a) - new Date(b));
+
+    for (const [owner, endDate] of endings) {
+      await changes.watch(owner, { asOf: new Date(new Date(endDate).getTime() - 1) });
+    }
+  }
+
+  const result = { expired_memberships: [], expired_addons: [], notices: [] };
+
+  for (const { id } of expiredMemberships) {
+    const expired = await store.transaction(async (tx) => {
+      // Read again in the transaction, so memberships renewed meanwhile
+      // are kept
+      const membership = await tx.entity_memberships.findById(id);
+      if (!isExpired(membership, EXPIRING_STATUSES, now)) {
+        return null;
+      }
+
+      // The update only applies to the row as read, in case a renewal
+      // commits between the read and the write
+      const updated = await tx.entity_memberships.updateWhere(
+        { id, status: membership.status, end_date: membership.end_date },
+        { status: 'expired' }
+      );
+      if (updated === 0) {
+        return null;
+      }
+
+      await logEvent(tx, 'membership', id, 'expired', {
+        previous_status: membership.status,
+        end_date: membership.end_date
+      });
+      return membership;
+    });
+    if (expired) {
+      result.expired_memberships.push(id);
+    }
+  }
+
+  for (const { id } of expiredAddons) {
+    const expired = await store.transaction(async (tx) => {
+      // Read again in the transaction, so addons renewed meanwhile are kept
+      const addon = await tx.entity_addons.findById(id);
+      if (!isExpired(addon, ['active'], now)) {
+        return null;
+      }
+
+      const updated = await tx.entity_addons.updateWhere(
+        { id, status: addon.status, end_date: addon.end_date },
+        { status: 'expired' }
+      );
+      if (updated === 0) {
+        return null;
+      }
+
+      await logEvent(tx, 'addon', id, 'expired', {
+        membership_id: addon.membership_id,
+        feature_id: addon.feature_id,
+        end_date: addon.end_date
+      });
+      return addon;
+    });
+    if (expired) {
+      result.expired_addons.push({ id, membership_id: expired.membership_id, feature_id: expired.feature_id });
+    }
+  }
+
+  if (notify) {
+    result.notices = [
+      ...await sendMembershipNotices(store, notify, config, now),
+      ...await sendAddonNotices(store, notify, config, now),
+      ...await sendBillingScheduleNotices(store, notify, now)
+    ];
+  }
+
+  if (changes) {
+    await changes.publish();
+  }
+
+  return result;
+}
+
+/**
+ * Whether a membership or addon, as read again, still has one of the
+ * statuses that expire and an end date that has passed
+ */
+function isExpired(row, statuses, now) {
+  return Boolean(row) && statuses.includes(row.status) && Boolean(row.end_date) && new Date(row.end_date) <= now;
+}
+
+/**
+ * Send the notices of the memberships that expire within
+ * `notify_before_days` and won't renew, once per end date
+ */
+async function sendMembershipNotices(store, notify, config, now) {
+  const horizon = new Date(now.getTime() + config.notify_before_days * DAY_MS).toISOString();
+  const memberships = await store.entity_memberships.findAll({
+    where: { status: EXPIRING_STATUSES, end_date: { gt: now.toISOString(), lte: horizon } }
+  });
+
+  const notices = [];
+  for (const membership of memberships) {
+    if (membership.auto_renew && !membership.cancel_at_period_end) {
+      continue;
+    }
+
+    const sentNotice = await sendNoticeOnce(store, notify, 'membership', membership.id, {
+      type: 'membership.expiring',
+      owner: getMembershipOwner(membership),
+      membership_id: membership.id,
+      addon_id: null,
+      feature_id: null,
+      billing_schedule_id: null,
+      expires_at: membership.end_date
+    });
+    if (sentNotice) {
+      notices.push(sentNotice);
+    }
+  }
+
+  return notices;
+}
+
+/**
+ * Send the notices of the addons that expire within `notify_before_days`
+ * and won't renew, once per end date
+ */
+async function sendAddonNotices(store, notify, config, now) {
+  const horizon = new Date(now.getTime() + config.notify_before_days * DAY_MS).toISOString();
+  const addons = (await store.entity_addons.findAll({
+    where: { status: 'active', end_date: { gt: now.toISOString(), lte: horizon } }
+  })).filter(addon => !addon.auto_renew || addon.cancel_at_period_end);
+
+  const memberships = new Map((await store.entity_memberships.findAll({
+    where: { id: addons.map(addon => addon.membership_id) }
+  })).map(membership => [membership.id, membership]));
+
+  const notices = [];
+  for (const addon of addons) {
+    const sentNotice = await sendNoticeOnce(store, notify, 'addon', addon.id, {
+      type: 'addon.expiring',
+      owner: getAddonOwner(addon, memberships.get(addon.membership_id)),
+      membership_id: addon.membership_id,
+      addon_id: addon.id,
+      feature_id: addon.feature_id,
+      billing_schedule_id: null,
+      expires_at: addon.end_date
+    });
+    if (sentNotice) {
+      notices.push(sentNotice);
+    }
+  }
+
+  return notices;
+}
+
+/**
+ * Send a membership or addon notice unless one was sent for the same end
+ * date, and log it to `payment_events`
+ *
+ * @returns {Promise<Object|null>} The notice, or null if it was already
+ *   sent or failed
+ */
+async function sendNoticeOnce(store, notify, entityType, entityId, notice) {
+  const sent = await store.payment_events.findAll({
+    where: { entity_type: entityType, entity_id: entityId, event_type: 'expiry_notice_sent' }
+  });
+  if (sent.some(event => JSON.parse(event.data).expires_at === notice.expires_at)) {
+    return null;
+  }
+
+  const sentNotice = await sendNotice(notify, notice);
+  if (sentNotice) {
+    await logEvent(store, entityType, entityId, 'expiry_notice_sent', {
+      type: notice.type,
+      feature_id: notice.feature_id,
+      expires_at: notice.expires_at
+    });
+  }
+  return sentNotice;
+}
+
+/**
+ * Send the notices of the billing schedules that end within their
+ * `notify_before_days`, once per schedule
+ */
+async function sendBillingScheduleNotices(store, notify, now) {
+  const schedules = await store.billing_schedules.findAll({
+    where: { status: 'active', end_date: { gt: now.toISOString() } }
+  });
+
+  const notices = [];
+  for (const schedule of schedules) {
+    const noticeDate = new Date(new Date(schedule.end_date).getTime() - (schedule.notify_before_days || 0) * DAY_MS);
+    const alreadySent = schedule.last_notification_sent && new Date(schedule.last_notification_sent) >= noticeDate;
+    if (noticeDate > now || alreadySent) {
+      continue;
+    }
+
+    const sentNotice = await sendNotice(notify, {
+      type: 'billing_schedule.expiring',
+      owner: schedule.organization_id
+        ? { type: 'organization', id: schedule.organization_id }
+        : { type: 'user', id: schedule.user_id },
+      membership_id: null,
+      addon_id: null,
+      feature_id: null,
+      billing_schedule_id: schedule.id,
+      expires_at: schedule.end_date
+    });
+    if (sentNotice) {
+      await store.billing_schedules.update(schedule.id, { last_notification_sent: now.toISOString() });
+      await logEvent(store, 'billing_schedule', schedule.id, 'expiry_notice_sent', {
+        type: sentNotice.type,
+        expires_at: schedule.end_date
+      });
+      notices.push(sentNotice);
+    }
+  }
+
+  return notices;
+}
+
+/**
+ * Send a notice, or report it failed so the next sweep sends it again
+ *
+ * @returns {Promise<Object|null>} The notice, or null if it failed
+ */
+async function sendNotice(notify, notice) {
+  try {
+    await notify(notice);
+    return notice;
+  } catch (error) {
+    console.error(`Error sending ${notice.type} notice:`, error);
+    return null;
+  }
+}
+
+async function logEvent(store, entityType, entityId, eventType, data) {
+  await store.payment_events.create({
+    id: uuidv4(),
+    entity_type: entityType,
+    entity_id: entityId,
+    event_type: eventType,
+    data: JSON.stringify(data)
+  });
+}
+
+module.exports = {
+  DEFAULT_EXPIRY,
+  runExpirySweep
+};
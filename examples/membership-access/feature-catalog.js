@@ -0,0 +1,488 @@
+/**
+ * Feature Catalog
+ *
+ * The features memberships include and the addons that sell them
+ * separately, stored in the `features`, `addons` and `addon_prices` tables.
+ * An addon has one current price per currency; changing a price adds a new
+ * version and supersedes the old one, so addons already bought keep
+ * pointing at the price they were bought at. AVAILABLE_FEATURES
+ * (./features-config) seeds the catalog with seedFeatureCatalog.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { CheckoutError } = require('./checkout');
+const { AVAILABLE_FEATURES } = require('./features-config');
+const { USAGE_RESET_PERIODS } = require('./usage-limits');
+const { validateMetering } = require('./metered-billing');
+
+const CURRENCY = /^[A-Z]{3}$/;
+
+// Feature IDs that would clash with routes (GET /features/check)
+const RESERVED_FEATURE_IDS = ['check'];
+
+/**
+ * Insert the features, addons and prices of a feature configuration that
+ * aren't in the catalog yet. Existing rows are left alone, so it's safe to
+ * run on every start.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} features - Feature configuration, keyed by feature ID
+ *   (defaults to AVAILABLE_FEATURES)
+ * @returns {Promise<Object>} { features, addons }: the number of rows created
+ */
+async function seedFeatureCatalog(store, features = AVAILABLE_FEATURES) {
+  const created = { features: 0, addons: 0 };
+
+  for (const feature of Object.values(features)) {
+    if (!(await store.features.findById(feature.id))) {
+      await store.features.create({
+        id: feature.id,
+        name: feature.name,
+        description: feature.description || null,
+        unit: feature.unit || null,
+        reset_period: feature.reset_period || null
+      });
+      created.features++;
+    }
+
+    if (feature.is_addon && !(await store.addons.findOne({ where: { feature_id: feature.id } }))) {
+      await createAddon(store, {
+        feature_id: feature.id,
+        name: feature.name,
+        description: feature.description,
+        duration_days: feature.duration_days,
+        limit_value: feature.limit === undefined ? null : feature.limit,
+        requires_membership: feature.requires_membership !== false,
+        prices: [{ currency: feature.currency || 'USD', price_cents: feature.price_cents }],
+        metadata: feature.metering ? { metering: feature.metering } : null
+      });
+      created.addons++;
+    }
+  }
+
+  return created;
+}
+
+/**
+ * Create a feature
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} values - { id, name, description, unit, reset_period, metadata }
+ * @returns {Promise<Object>} The features row
+ */
+async function createFeature(store, {
+  id,
+  name,
+  description = null,
+  unit = null,
+  reset_period = null,
+  metadata = null
+}) {
+  if (!id || !name) {
+    throw new CheckoutError('id and name are required');
+  }
+  if (RESERVED_FEATURE_IDS.includes(id)) {
+    throw new CheckoutError(`${id} is a reserved feature ID`);
+  }
+  if (await store.features.findById(id)) {
+    throw new CheckoutError(`Feature ${id} already exists`, 409);
+  }
+  validateResetPeriod(reset_period);
+
+  return store.features.create({
+    id,
+    name,
+    description,
+    unit,
+    reset_period,
+    metadata: metadata ? JSON.stringify(metadata) : null
+  });
+}
+
+/**
+ * Update a feature's name, description, unit, reset_period, metadata or
+ * is_active
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {string} id - Feature ID
+ * @param {Object} changes - { name, description, unit, reset_period, metadata, is_active }
+ * @returns {Promise<Object>} The updated features row
+ */
+async function updateFeature(store, id, changes) {
+  const feature = await getFeature(store, id);
+
+  if (changes.is_active === false) {
+    await assertFeatureUnused(store, feature);
+  }
+  if (changes.reset_period !== undefined) {
+    validateResetPeriod(changes.reset_period);
+  }
+
+  return store.features.update(feature.id, pickChanges(changes, [
+    'name', 'description', 'unit', 'reset_period', 'metadata', 'is_active'
+  ]));
+}
+
+/**
+ * Load a feature
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {string} id - Feature ID
+ * @returns {Promise<Object>} The features row
+ */
+async function getFeature(store, id) {
+  const feature = await store.features.findById(id);
+  if (!feature) {
+    throw new CheckoutError('Feature not found', 404);
+  }
+  return feature;
+}
+
+/**
+ * Create an addon for a feature, with its prices
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} values
+ * @param {string} values.feature_id - The feature the addon grants
+ * @param {string} values.name - Defaults to the feature's name
+ * @param {string} values.description - Defaults to the feature's description
+ * @param {number} values.duration_days - Days of access per purchase (null for permanent)
+ * @param {number} values.limit_value - Usage the addon adds to the feature's limit (null for unlimited)
+ * @param {boolean} values.requires_membership - Only sell the addon with an
+ *   active membership (default); false to also sell it standalone
+ * @param {Object[]} values.prices - [{ currency, price_cents }], at least one
+ * @param {Object} values.metadata - May hold the `metering` of addons billed
+ *   by usage (see ./metered-billing)
+ * @returns {Promise<Object>} The addon (see formatAddon)
+ */
+async function createAddon(store, {
+  feature_id,
+  name,
+  description,
+  duration_days = null,
+  limit_value = null,
+  requires_membership = true,
+  prices = [],
+  metadata = null
+}) {
+  const feature = await store.features.findById(feature_id || '');
+  if (!feature) {
+    throw new CheckoutError('feature_id must be an existing feature');
+  }
+  if (await store.addons.findOne({ where: { feature_id } })) {
+    throw new CheckoutError(`Feature ${feature_id} already has an addon`, 409);
+  }
+  validateDuration(duration_days);
+  validateLimit(limit_value);
+  validateRequiresMembership(requires_membership);
+  if (!Array.isArray(prices) || prices.length === 0) {
+    throw new CheckoutError('prices must list at least one price');
+  }
+  prices.forEach(validatePrice);
+  validateAddonMetadata(metadata);
+
+  return store.transaction(async (tx) => {
+    const addon = await tx.addons.create({
+      id: uuidv4(),
+      feature_id,
+      name: name || feature.name,
+      description: description === undefined ? feature.description : description,
+      duration_days,
+      limit_value,
+      requires_membership,
+      metadata: metadata ? JSON.stringify(metadata) : null
+    });
+
+    for (const price of prices) {
+      await setAddonPrice(tx, addon, price);
+    }
+
+    return formatAddon(addon, await getCurrentPrices(tx, addon.id));
+  });
+}
+
+/**
+ * Update an addon. Prices listed in `prices` become the addon's current
+ * price in their currency; a changed price is added as a new version.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {string} id - Addon ID
+ * @param {Object} changes - { name, description, duration_days, limit_value,
+ *   requires_membership, metadata, is_active, prices }
+ * @returns {Promise<Object>} The updated addon (see formatAddon)
+ */
+async function updateAddon(store, id, changes) {
+  const addon = await store.addons.findById(id);
+  if (!addon) {
+    throw new CheckoutError('Addon not found', 404);
+  }
+  if (changes.duration_days !== undefined) {
+    validateDuration(changes.duration_days);
+  }
+  if (changes.limit_value !== undefined) {
+    validateLimit(changes.limit_value);
+  }
+  if (changes.requires_membership !== undefined) {
+    validateRequiresMembership(changes.requires_membership);
+  }
+  if (changes.prices !== undefined) {
+    if (!Array.isArray(changes.prices)) {
+      throw new CheckoutError('prices must be a list of prices');
+    }
+    changes.prices.forEach(validatePrice);
+  }
+  if (changes.metadata !== undefined) {
+    validateAddonMetadata(changes.metadata);
+  }
+
+  return store.transaction(async (tx) => {
+    const updated = await tx.addons.update(addon.id, pickChanges(changes, [
+      'name', 'description', 'duration_days', 'limit_value', 'requires_membership', 'metadata', 'is_active'
+    ]));
+
+    for (const price of changes.prices || []) {
+      await setAddonPrice(tx, updated, price);
+    }
+
+    return formatAddon(updated, await getCurrentPrices(tx, addon.id));
+  });
+}
+
+/**
+ * Make a price the addon's current price in its currency. The previous
+ * price is superseded, not changed, so earlier purchases keep theirs.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} addon - addons row
+ * @param {Object} price - { currency, price_cents }
+ * @param {Date} now - Defaults to the current time
+ * @returns {Promise<Object>} The current addon_prices row
+ */
+async function setAddonPrice(store, addon, { currency, price_cents }, now = new Date()) {
+  const latest = await store.addon_prices.findOne({
+    where: { addon_id: addon.id, currency },
+    order: [['version', 'DESC']]
+  });
+
+  if (latest && latest.is_current && latest.price_cents === price_cents) {
+    return latest;
+  }
+  if (latest && latest.is_current) {
+    await store.addon_prices.update(latest.id, { is_current: false, superseded_at: now.toISOString() });
+  }
+
+  return store.addon_prices.create({
+    id: uuidv4(),
+    addon_id: addon.id,
+    currency,
+    price_cents,
+    version: latest ? latest.version + 1 : 1,
+    is_current: true
+  });
+}
+
+/**
+ * Get the current prices of an addon, one per currency
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {string} addonId - Addon ID
+ * @returns {Promise<Object[]>} addon_prices rows
+ */
+function getCurrentPrices(store, addonId) {
+  return store.addon_prices.findAll({
+    where: { addon_id: addonId, is_current: true },
+    order: [['currency', 'ASC']]
+  });
+}
+
+/**
+ * Find the active addon of a feature and its current price in a currency,
+ * for purchases
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {string} featureId - Feature ID
+ * @param {string} currency - Currency code; null for the addon's only
+ *   current price (addons priced in several currencies need one)
+ * @returns {Promise<Object>} { addon, price }
+ */
+async function findAddonOffering(store, featureId, currency) {
+  const addon = await store.addons.findOne({ where: { feature_id: featureId, is_active: true } });
+  const feature = addon ? await store.features.findById(featureId) : null;
+  if (!addon || !feature || !feature.is_active) {
+    throw new CheckoutError('Invalid addon feature');
+  }
+
+  if (!currency) {
+    const prices = await getCurrentPrices(store, addon.id);
+    if (prices.length !== 1) {
+      throw new CheckoutError(`currency is required: addon ${featureId} is sold in ${prices.map(price => price.currency).join(', ')}`);
+    }
+    return { addon, price: prices[0] };
+  }
+
+  const price = await store.addon_prices.findOne({
+    where: { addon_id: addon.id, currency, is_current: true }
+  });
+  if (!price) {
+    throw new CheckoutError(`Addon ${featureId} has no price in ${currency}`);
+  }
+
+  return { addon, price };
+}
+
+/**
+ * Get the addon a user could buy for a feature they don't have, as listed
+ * in `addon_options`. The price is the one in `currency`, or the first
+ * current price if there's none in it.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {string} featureId - Feature ID
+ * @param {string} currency - Preferred currency code
+ * @param {Object} options
+ * @param {boolean} options.standalone - Only an addon sold without a
+ *   membership, for those who have none
+ * @returns {Promise<Object[]>} The addon option, or an empty list
+ */
+async function getAddonOptions(store, featureId, currency, { standalone = false } = {}) {
+  const addon = await store.addons.findOne({ where: { feature_id: featureId, is_active: true } });
+  if (!addon || (standalone && addon.requires_membership)) {
+    return [];
+  }
+
+  const prices = await getCurrentPrices(store, addon.id);
+  const price = prices.find(p => p.currency === currency) || prices[0];
+  if (!price) {
+    return [];
+  }
+
+  return [{
+    id: addon.feature_id,
+    addon_id: addon.id,
+    name: addon.name,
+    description: addon.description,
+    is_addon: true,
+    price_cents: price.price_cents,
+    currency: price.currency,
+    duration_days: addon.duration_days,
+    limit_value: addon.limit_value,
+    requires_membership: addon.requires_membership,
+    prices: prices.map(formatPrice)
+  }];
+}
+
+/**
+ * Format an addon and its current prices for API responses
+ */
+function formatAddon(addon, prices) {
+  return {
+    id: addon.id,
+    feature_id: addon.feature_id,
+    name: addon.name,
+    description: addon.description,
+    duration_days: addon.duration_days,
+    limit_value: addon.limit_value,
+    requires_membership: addon.requires_membership,
+    is_active: addon.is_active,
+    prices: prices.map(formatPrice),
+    metadata: JSON.parse(addon.metadata || '{}'),
+    created_at: addon.created_at,
+    updated_at: addon.updated_at
+  };
+}
+
+function formatPrice(price) {
+  return {
+    id: price.id,
+    currency: price.currency,
+    price_cents: price.price_cents,
+    version: price.version
+  };
+}
+
+/**
+ * Refuse to deactivate a feature that active membership types or an active
+ * addon still offer
+ */
+async function assertFeatureUnused(store, feature) {
+  const membershipTypes = await store.membership_types.findAll({ where: { is_active: true } });
+  const including = membershipTypes.filter(type => JSON.parse(type.features || '[]').includes(feature.id));
+  if (including.length > 0) {
+    throw new CheckoutError(
+      `Feature ${feature.id} is included in active membership types: ${including.map(type => type.id).join(', ')}`,
+      409
+    );
+  }
+
+  if (await store.addons.findOne({ where: { feature_id: feature.id, is_active: true } })) {
+    throw new CheckoutError(`Feature ${feature.id} has an active addon; deactivate it first`, 409);
+  }
+}
+
+function validateDuration(durationDays) {
+  if (durationDays !== null && !(Number.isInteger(durationDays) && durationDays > 0)) {
+    throw new CheckoutError('duration_days must be a positive whole number of days, or null for permanent addons');
+  }
+}
+
+function validateLimit(limitValue) {
+  if (limitValue !== null && !(typeof limitValue === 'number' && limitValue >= 0)) {
+    throw new CheckoutError('limit_value must be a non-negative number, or null for unlimited');
+  }
+}
+
+function validateRequiresMembership(requiresMembership) {
+  if (typeof requiresMembership !== 'boolean') {
+    throw new CheckoutError('requires_membership must be true or false');
+  }
+}
+
+function validateResetPeriod(resetPeriod) {
+  if (resetPeriod !== null && !USAGE_RESET_PERIODS.includes(resetPeriod)) {
+    throw new CheckoutError(`reset_period must be null or one of: ${USAGE_RESET_PERIODS.join(', ')}`);
+  }
+}
+
+// Addons billed by usage keep their pricing in metadata.metering
+function validateAddonMetadata(metadata) {
+  if (metadata && metadata.metering !== undefined) {
+    validateMetering(metadata.metering);
+  }
+}
+
+function validatePrice(price) {
+  if (!price || !CURRENCY.test(price.currency || '')) {
+    throw new CheckoutError('Each price needs a three-letter uppercase currency code');
+  }
+  if (!Number.isInteger(price.price_cents) || price.price_cents < 0) {
+    throw new CheckoutError('price_cents must be a non-negative whole number of cents');
+  }
+}
+
+/**
+ * Keep the given columns of a change set, serializing metadata
+ */
+function pickChanges(changes, columns) {
+  const picked = {};
+  for (const column of columns) {
+    if (changes[column] !== undefined) {
+      picked[column] = column === 'metadata' && changes[column] !== null
+        ? JSON.stringify(changes[column])
+        : changes[column];
+    }
+  }
+  return picked;
+}
+
+module.exports = {
+  seedFeatureCatalog,
+  createFeature,
+  updateFeature,
+  getFeature,
+  createAddon,
+  updateAddon,
+  setAddonPrice,
+  getCurrentPrices,
+  findAddonOffering,
+  getAddonOptions,
+  formatAddon
+};
@@ -1,9 +1,14 @@
 /**
  * Features Configuration
  * 
- * This file defines all available features that can be included in memberships
+ * This file defines the initial features that can be included in memberships
  * or purchased as addons. Each feature has a unique ID and properties that
  * describe it.
+ *
+ * The feature catalog lives in the database (see ./feature-catalog); this
+ * configuration seeds it with seedFeatureCatalog. Once seeded, features,
+ * addons and prices are managed through the /features and /addons routes,
+ * and changes here don't affect rows that already exist.
  */
 
 /**
@@ -17,6 +22,15 @@
  * - price_cents: (Optional) Price in cents if this is an addon
  * - currency: (Optional) Currency code for the price if this is an addon
  * - duration_days: (Optional) Duration in days if this is a time-limited addon (null for permanent)
+ * - unit: (Optional) Unit of usage limits, for features granted up to a limit
+ * - reset_period: (Optional) 'monthly' if usage resets every calendar month
+ * - limit: (Optional) Usage the addon adds to the feature's limit (omit for unlimited)
+ * - requires_membership: (Optional) false if the addon is also sold to those
+ *   without a membership (defaults to true)
+ * - metering: (Optional) How usage reported for the addon's subscriptions is
+ *   priced on top of its price (see ./metered-billing)
+ *
+ * Membership types set their own limits in `membership_types.feature_limits`.
  */
 const AVAILABLE_FEATURES = {
   // Basic features included in memberships
@@ -28,7 +42,9 @@ const AVAILABLE_FEATURES = {
   'download': {
     id: 'download',
     name: 'Download Access',
-    description: 'Ability to download content for offline use'
+    description: 'Ability to download content for offline use',
+    unit: 'downloads',
+    reset_period: 'monthly'
   },
   'hd': {
     id: 'hd',
@@ -49,7 +65,9 @@ const AVAILABLE_FEATURES = {
     is_addon: true,
     price_cents: 499, // $4.99
     currency: 'USD',
-    duration_days: 30 // 30-day addon
+    duration_days: 30, // 30-day addon
+    unit: 'members',
+    limit: 5
   },
   'exclusive_content': {
     id: 'exclusive_content',
@@ -67,7 +85,8 @@ const AVAILABLE_FEATURES = {
     is_addon: true,
     price_cents: 9900, // $99.00
     currency: 'USD',
-    duration_days: null // null indicates permanent
+    duration_days: null, // null indicates permanent
+    requires_membership: false // Sold à la carte to non-members too
   },
   
   // Service-specific features
@@ -76,9 +95,25 @@ const AVAILABLE_FEATURES = {
     name: 'Cloud Storage',
     description: 'Store your files in the cloud',
     is_addon: true,
-    price_cents: 199, // $1.99
+    price_cents: 199, // $1.99 a month, with 50 GB included
     currency: 'USD',
-    duration_days: 30
+    duration_days: 30,
+    unit: 'GB',
+    limit: 50,
+    requires_membership: false, // Sold à la carte to non-members too
+    // Subscribers are billed the GB they store over the included 50 GB
+    // (their peak in the period, as reported to POST /usage) when each
+    // period ends
+    metering: {
+      aggregation: 'max',
+      pricing: 'tiered',
+      unit: 'GB',
+      tiers: [
+        { up_to: 50, unit_amount_cents: 0 },
+        { up_to: 500, unit_amount_cents: 4 }, // $0.04 per GB
+        { up_to: null, unit_amount_cents: 3 } // $0.03 per GB over 500 GB
+      ]
+    }
   },
   'priority_support': {
     id: 'priority_support',
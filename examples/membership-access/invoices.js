@@ -0,0 +1,609 @@
+/**
+ * Invoices
+ *
+ * Invoices of membership and addon purchases, subscription cycles and
+ * billing schedule charges, kept in the Native Payments `invoices` table.
+ * An invoice goes through these statuses:
+ *
+ *   draft ──finalize──> open ──paid──> paid
+ *     │                  │
+ *     │                  └──> uncollectible ──> void
+ *     └──> void          └──> void
+ *
+ * Drafts can still change and have no number yet. Finalizing gives an
+ * invoice the next number of its organization's sequence (users and guests
+ * share the default sequence) in the same transaction, so numbers are
+ * sequential without gaps: a finalized invoice keeps its number even when
+ * it's voided. Paid invoices can't be voided; their payment is refunded
+ * instead.
+ *
+ * Purchases and charges are invoiced as they're paid:
+ *
+ * - orders (one-time memberships, addons, plan changes) when they're paid,
+ *   or as open invoices while their payment waits on the customer
+ *   (invoiceOrder, settleOrderInvoice)
+ * - subscription payments, first payments and renewals alike
+ *   (invoiceSubscriptionPayment)
+ * - billing schedule charges: paid, open while the charge is retried, and
+ *   uncollectible when the retries run out (invoiceScheduleCharge)
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const INVOICE_STATUSES = ['draft', 'open', 'paid', 'void', 'uncollectible'];
+
+// Prefix of new sequences; `invoice_sequences.prefix` can be changed per
+// sequence, e.g. to an organization's own code
+const NUMBER_PREFIX = 'INV';
+const NUMBER_DIGITS = 6;
+
+// Sequence of invoices without an organization
+const DEFAULT_SCOPE = 'default';
+
+// Drafts are numbered when they're finalized
+const DRAFT_NUMBER_PREFIX = 'DRAFT-';
+
+const DAYS_UNTIL_DUE = 30;
+
+// Attempts at taking a number when concurrent finalizations take it first
+const MAX_NUMBER_ATTEMPTS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error for invoice requests that can't be fulfilled, with the HTTP status
+ * the routes respond with
+ */
+class InvoiceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'InvoiceError';
+    this.status = status;
+  }
+}
+
+/**
+ * Create a draft invoice. Line items are { description, quantity,
+ * unit_price_cents, total_cents, period }; the subtotal is their total.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} params
+ * @param {Object} params.billing - { user_id, organization_id } of the payer
+ * @param {string} params.customerId - The payer's external_entities row, if any
+ * @param {string} params.guestEmail - Email of a guest payer, who has
+ *   neither user nor organization
+ * @param {Object[]} params.lineItems - What is invoiced
+ * @param {number} params.taxCents - Tax on the subtotal
+ * @param {number} params.discountCents - Discount on the subtotal
+ * @param {string} params.currency - Currency of the amounts
+ * @param {string} params.dueDate - ISO due date; defaults to 30 days after `now`
+ * @param {string} params.notes - Notes for the customer
+ * @param {Object} params.references - Other invoices columns: order_id,
+ *   subscription_id, billing_schedule_id, account_balance_id,
+ *   billing_address, payment_link_url
+ * @param {Object} params.metadata - invoices.metadata, e.g. the `tax`
+ *   breakdown (see getTaxMetadata in ./taxes)
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object>} The invoices row
+ * @throws {InvoiceError} If the line items or amounts aren't valid
+ */
+async function createDraftInvoice(store, {
+  billing,
+  customerId = null,
+  guestEmail = null,
+  lineItems,
+  taxCents = 0,
+  discountCents = 0,
+  currency = 'USD',
+  dueDate = null,
+  notes = null,
+  references = {},
+  metadata = {},
+  now = new Date()
+}) {
+  const items = normalizeLineItems(lineItems);
+  if (!isCents(taxCents) || !isCents(discountCents)) {
+    throw new InvoiceError('tax_cents and discount_cents must be non-negative integers');
+  }
+  const due = dueDate ? new Date(dueDate) : new Date(now.getTime() + DAYS_UNTIL_DUE * DAY_MS);
+  if (isNaN(due.getTime())) {
+    throw new InvoiceError('due_date must be an ISO 8601 date');
+  }
+
+  const subtotalCents = items.reduce((sum, item) => sum + item.total_cents, 0);
+  if (discountCents > subtotalCents + taxCents) {
+    throw new InvoiceError('discount_cents can\'t be more than the subtotal and tax');
+  }
+
+  const isGuest = !billing.user_id && !billing.organization_id;
+  if (isGuest && !customerId) {
+    throw new InvoiceError('Invoices need a user, organization or guest customer');
+  }
+
+  const id = uuidv4();
+  return store.invoices.create({
+    id,
+    invoice_number: `${DRAFT_NUMBER_PREFIX}${id}`,
+    user_id: billing.user_id || null,
+    organization_id: billing.organization_id || null,
+    customer_id: customerId,
+    is_guest_invoice: isGuest,
+    guest_email: isGuest ? guestEmail : null,
+    status: 'draft',
+    subtotal_cents: subtotalCents,
+    tax_cents: taxCents,
+    discount_cents: discountCents,
+    total_cents: subtotalCents + taxCents - discountCents,
+    currency,
+    issue_date: now.toISOString(),
+    due_date: due.toISOString(),
+    line_items: JSON.stringify(items),
+    notes,
+    ...references,
+    metadata: JSON.stringify(metadata)
+  });
+}
+
+/**
+ * Finalize a draft: give it the next number of its sequence and open it
+ * for payment, issued now
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {string} invoiceId - invoices.id
+ * @param {Object} options
+ * @param {Date} options.now - Defaults to the current time
+ * @returns {Promise<Object>} The invoices row
+ * @throws {InvoiceError} 404 if it doesn't exist, 409 if it isn't a draft
+ */
+async function finalizeInvoice(store, invoiceId, { now = new Date() } = {}) {
+  return store.transaction(async (tx) => {
+    const invoice = await findInvoice(tx, invoiceId);
+    if (invoice.status !== 'draft') {
+      throw new InvoiceError(`Only draft invoices can be finalized; this one is ${invoice.status}`, 409);
+    }
+
+    return tx.invoices.update(invoice.id, {
+      invoice_number: await takeInvoiceNumber(tx, invoice.organization_id),
+      status: 'open',
+      issue_date: now.toISOString()
+    });
+  });
+}
+
+/**
+ * Mark an open invoice paid. Drafts are finalized first.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {string} invoiceId - invoices.id
+ * @param {Object} options
+ * @param {Object} options.payment - The payments row that paid it, if any
+ * @param {Date} options.now - Defaults to the current time
+ * @returns {Promise<Object>} The invoices row
+ * @throws {InvoiceError} 404 if it doesn't exist, 409 if it isn't open
+ */
+async function markInvoicePaid(store, invoiceId, { payment = null, now = new Date() } = {}) {
+  return store.transaction(async (tx) => {
+    let invoice = await findInvoice(tx, invoiceId);
+    if (invoice.status === 'draft') {
+      invoice = await finalizeInvoice(tx, invoice.id, { now });
+    }
+    if (invoice.status !== 'open') {
+      throw new InvoiceError(`Only open invoices can be paid; this one is ${invoice.status}`, 409);
+    }
+
+    return tx.invoices.update(invoice.id, {
+      status: 'paid',
+      paid_date: now.toISOString(),
+      ...(payment ? { payment_id: payment.id, payment_method_id: payment.payment_method_id || null, provider_id: payment.provider_id || null } : {}),
+      payment_link_url: null
+    });
+  });
+}
+
+/**
+ * Void an invoice that won't be paid. A finalized invoice keeps its
+ * number, so the sequence has no gaps.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {string} invoiceId - invoices.id
+ * @param {Object} options
+ * @param {string} options.reason - Why, kept in the metadata
+ * @param {Date} options.now - Defaults to the current time
+ * @returns {Promise<Object>} The invoices row
+ * @throws {InvoiceError} 404 if it doesn't exist, 409 if it's paid or void
+ */
+async function voidInvoice(store, invoiceId, { reason = null, now = new Date() } = {}) {
+  return store.transaction(async (tx) => {
+    const invoice = await findInvoice(tx, invoiceId);
+    if (invoice.status === 'paid') {
+      throw new InvoiceError('Paid invoices can\'t be voided; refund the payment instead', 409);
+    }
+    if (invoice.status === 'void') {
+      throw new InvoiceError('Invoice is already void', 409);
+    }
+
+    const metadata = JSON.parse(invoice.metadata || '{}');
+    return tx.invoices.update(invoice.id, {
+      status: 'void',
+      payment_link_url: null,
+      metadata: JSON.stringify({ ...metadata, voided_at: now.toISOString(), void_reason: reason || undefined })
+    });
+  });
+}
+
+/**
+ * Mark an open invoice uncollectible: it isn't expected to be paid, but
+ * stays on record (and can still be voided)
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {string} invoiceId - invoices.id
+ * @param {Object} options
+ * @param {Date} options.now - Defaults to the current time
+ * @returns {Promise<Object>} The invoices row
+ * @throws {InvoiceError} 404 if it doesn't exist, 409 if it isn't open
+ */
+async function markInvoiceUncollectible(store, invoiceId, { now = new Date() } = {}) {
+  return store.transaction(async (tx) => {
+    const invoice = await findInvoice(tx, invoiceId);
+    if (invoice.status !== 'open') {
+      throw new InvoiceError(`Only open invoices can be marked uncollectible; this one is ${invoice.status}`, 409);
+    }
+
+    const metadata = JSON.parse(invoice.metadata || '{}');
+    return tx.invoices.update(invoice.id, {
+      status: 'uncollectible',
+      payment_link_url: null,
+      metadata: JSON.stringify({ ...metadata, uncollectible_at: now.toISOString() })
+    });
+  });
+}
+
+/**
+ * Invoice an order: paid when its payment succeeded, or else open (with
+ * the link the customer pays it at, if any) until settleOrderInvoice. An
+ * order is invoiced once; invoicing it again returns its invoice.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} order - orders row
+ * @param {Object} params
+ * @param {Object} params.payment - The payments row of its payment
+ * @param {boolean} params.paid - Whether the payment succeeded
+ * @param {string} params.paymentLinkUrl - Where the customer completes the
+ *   payment, for open invoices
+ * @param {string} params.description - Description of items whose product
+ *   has no name
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object>} The invoices row
+ */
+async function invoiceOrder(store, order, { payment = null, paid = false, paymentLinkUrl = null, description = null, now = new Date() }) {
+  return store.transaction(async (tx) => {
+    const existing = await tx.invoices.findOne({ where: { order_id: order.id, status: { ne: 'void' } } });
+    if (existing) {
+      return paid && existing.status === 'open' ? markInvoicePaid(tx, existing.id, { payment, now }) : existing;
+    }
+
+    const items = await tx.order_items.findAll({ where: { order_id: order.id } });
+    const products = await tx.products.findAll({ where: { id: items.map(item => item.product_id) } });
+    const metadata = JSON.parse(order.metadata || '{}');
+    const lineItems = items.map((item) => {
+      const product = products.find(candidate => candidate.id === item.product_id);
+      return {
+        description: product ? product.name : description || item.product_id,
+        quantity: item.quantity,
+        unit_price_cents: item.unit_price_cents,
+        total_cents: item.total_cents
+      };
+    });
+
+    const draft = await createDraftInvoice(tx, {
+      billing: { user_id: order.user_id, organization_id: order.organization_id },
+      customerId: order.customer_id || null,
+      guestEmail: order.guest_email || null,
+      lineItems: lineItems.length > 0
+        ? lineItems
+        : [{ description: description || order.order_number, quantity: 1, unit_price_cents: order.subtotal_cents, total_cents: order.subtotal_cents }],
+      taxCents: order.tax_cents,
+      discountCents: order.discount_cents,
+      currency: order.currency,
+      dueDate: now.toISOString(),
+      references: {
+        order_id: order.id,
+        billing_address: order.billing_address || null,
+        payment_link_url: paid ? null : paymentLinkUrl
+      },
+      metadata: metadata.tax ? { tax: metadata.tax } : {},
+      now
+    });
+
+    return paid
+      ? markInvoicePaid(tx, draft.id, { payment, now })
+      : finalizeInvoice(tx, draft.id, { now });
+  });
+}
+
+/**
+ * Settle the open invoice of an order once its payment is decided, e.g.
+ * by a webhook: paid with the order's latest payment, or else void
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {string} orderId - orders.id
+ * @param {Object} params
+ * @param {boolean} params.paid - Whether the order was paid
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object|null>} The invoices row, or null if the order
+ *   has no open invoice
+ */
+async function settleOrderInvoice(store, orderId, { paid, now = new Date() }) {
+  return store.transaction(async (tx) => {
+    const invoice = await tx.invoices.findOne({ where: { order_id: orderId, status: 'open' } });
+    if (!invoice) {
+      return null;
+    }
+    if (!paid) {
+      return voidInvoice(tx, invoice.id, { reason: 'Order not paid', now });
+    }
+
+    const payment = await tx.payments.findOne({
+      where: { order_id: orderId },
+      order: [['created_at', 'DESC']]
+    });
+    return markInvoicePaid(tx, invoice.id, { payment, now });
+  });
+}
+
+/**
+ * Invoice a paid subscription payment (the first payment or a renewal),
+ * for the subscription's product at the amounts of the payment. A payment
+ * is invoiced once.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} subscription - subscriptions row
+ * @param {Object} payment - The payments row
+ * @param {Object} options
+ * @param {Date} options.now - Defaults to the current time
+ * @returns {Promise<Object>} The invoices row
+ */
+async function invoiceSubscriptionPayment(store, subscription, payment, { now = new Date() } = {}) {
+  return store.transaction(async (tx) => {
+    const existing = await tx.invoices.findOne({ where: { payment_id: payment.id } });
+    if (existing) {
+      return existing;
+    }
+
+    const product = subscription.product_id ? await tx.products.findById(subscription.product_id) : null;
+    const { tax } = JSON.parse(subscription.metadata || '{}');
+
+    const draft = await createDraftInvoice(tx, {
+      billing: { user_id: subscription.user_id, organization_id: subscription.organization_id },
+      customerId: subscription.customer_id || null,
+      guestEmail: subscription.guest_email || null,
+      lineItems: [{
+        description: product ? product.name : payment.description,
+        quantity: 1,
+        unit_price_cents: payment.subtotal_cents,
+        total_cents: payment.subtotal_cents
+      }],
+      taxCents: payment.tax_cents,
+      discountCents: payment.discount_cents,
+      currency: payment.currency,
+      dueDate: now.toISOString(),
+      references: {
+        subscription_id: subscription.id,
+        billing_address: tax && tax.address ? JSON.stringify(tax.address) : null
+      },
+      metadata: {
+        billing_interval: subscription.billing_interval,
+        interval_multiplier: subscription.interval_multiplier,
+        ...(tax ? { tax } : {})
+      },
+      now
+    });
+
+    return markInvoicePaid(tx, draft.id, { payment, now });
+  });
+}
+
+/**
+ * Invoice the charge of a billing schedule that was due on a date. The
+ * invoice is opened at the first attempt and stays open while the charge
+ * is retried, so each billing date has one invoice: it's paid when a
+ * charge succeeds and uncollectible when the retries run out.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} schedule - billing_schedules row
+ * @param {Object} params
+ * @param {string} params.dueDate - The billing date charged
+ * @param {number} params.amountCents - Amount of the charge
+ * @param {Object[]} params.lineItems - Its line items (see getScheduleCharge
+ *   in ./billing-schedules)
+ * @param {string} params.status - 'paid', 'open' or 'uncollectible'
+ * @param {Object} params.payment - The payments row of a paid charge, if any
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object>} The invoices row
+ */
+async function invoiceScheduleCharge(store, schedule, { dueDate, amountCents, lineItems, status, payment = null, now = new Date() }) {
+  return store.transaction(async (tx) => {
+    let invoice = (await tx.invoices.findAll({ where: { billing_schedule_id: schedule.id, status: 'open' } }))
+      .find(candidate => JSON.parse(candidate.metadata || '{}').due_date === dueDate);
+    if (!invoice) {
+      const draft = await createDraftInvoice(tx, {
+        billing: { user_id: schedule.user_id || null, organization_id: schedule.organization_id || null },
+        customerId: schedule.customer_id || null,
+        guestEmail: await getGuestEmail(tx, schedule),
+        lineItems: lineItems.length > 0
+          ? lineItems
+          : [{ description: schedule.description || 'Billing schedule charge', quantity: 1, unit_price_cents: amountCents, total_cents: amountCents }],
+        currency: schedule.currency || 'USD',
+        dueDate,
+        references: {
+          billing_schedule_id: schedule.id,
+          account_balance_id: schedule.account_balance_id || null,
+          reference_code: schedule.reference_code || null
+        },
+        metadata: { due_date: dueDate },
+        now
+      });
+      invoice = await finalizeInvoice(tx, draft.id, { now });
+    }
+
+    if (status === 'paid') {
+      return markInvoicePaid(tx, invoice.id, { payment, now });
+    }
+    if (status === 'uncollectible') {
+      return markInvoiceUncollectible(tx, invoice.id, { now });
+    }
+    return invoice;
+  });
+}
+
+/**
+ * Take the next number of an organization's sequence, or of the default
+ * one. The number is taken with a conditional update, so concurrent
+ * finalizations can't take the same one; call it in the transaction that
+ * gives the invoice its number, so a rolled back finalization gives the
+ * number back.
+ */
+async function takeInvoiceNumber(store, organizationId) {
+  const scope = organizationId || DEFAULT_SCOPE;
+
+  for (let attempt = 1; attempt <= MAX_NUMBER_ATTEMPTS; attempt += 1) {
+    const sequence = await findOrCreateSequence(store, scope, organizationId);
+
+    const taken = await store.invoice_sequences.updateWhere(
+      { id: sequence.id, next_number: sequence.next_number },
+      { next_number: sequence.next_number + 1 }
+    );
+    if (taken === 1) {
+      return `${sequence.prefix}-${String(sequence.next_number).padStart(NUMBER_DIGITS, '0')}`;
+    }
+  }
+
+  throw new InvoiceError('Invoice number is being taken by another request; try again', 409);
+}
+
+/**
+ * Find the invoice sequence of a scope, creating it if it doesn't exist
+ * yet. Sequences are unique per scope; when a concurrent finalization
+ * creates it first, that row is used. It's created with createIfAbsent,
+ * since a failed insert would abort the finalization's transaction.
+ */
+async function findOrCreateSequence(store, scope, organizationId) {
+  const existing = await store.invoice_sequences.findOne({ where: { scope } });
+  if (existing) {
+    return existing;
+  }
+
+  const created = await store.invoice_sequences.createIfAbsent({
+    id: uuidv4(),
+    scope,
+    prefix: organizationId ? `${NUMBER_PREFIX}-${organizationId}` : NUMBER_PREFIX,
+    next_number: 1
+  }, ['scope']);
+  const sequence = created || await store.invoice_sequences.findOne({ where: { scope } });
+  if (!sequence) {
+    // Created by a transaction this one's snapshot doesn't include
+    throw new InvoiceError('Invoice number is being taken by another request; try again', 409);
+  }
+  return sequence;
+}
+
+async function findInvoice(store, invoiceId) {
+  const invoice = await store.invoices.findById(invoiceId);
+  if (!invoice) {
+    throw new InvoiceError('Invoice not found', 404);
+  }
+  return invoice;
+}
+
+async function getGuestEmail(store, schedule) {
+  if (schedule.user_id || schedule.organization_id || !schedule.customer_id) {
+    return null;
+  }
+  const customer = await store.external_entities.findById(schedule.customer_id);
+  return customer ? customer.external_email : null;
+}
+
+/**
+ * Check the line items of an invoice and fill in their totals
+ */
+function normalizeLineItems(lineItems) {
+  if (!Array.isArray(lineItems) || lineItems.length === 0) {
+    throw new InvoiceError('line_items must be a non-empty array');
+  }
+
+  return lineItems.map((item) => {
+    if (!item || typeof item.description !== 'string' || !item.description.trim()) {
+      throw new InvoiceError('Each line item needs a description');
+    }
+    const quantity = item.quantity === undefined ? 1 : item.quantity;
+    if (typeof quantity !== 'number' || !Number.isFinite(quantity) || quantity < 0) {
+      throw new InvoiceError('Line item quantity must be a non-negative number');
+    }
+    if (!Number.isInteger(item.unit_price_cents)) {
+      throw new InvoiceError('Line item unit_price_cents must be an integer');
+    }
+    const totalCents = item.total_cents === undefined ? Math.round(quantity * item.unit_price_cents) : item.total_cents;
+    if (!Number.isInteger(totalCents)) {
+      throw new InvoiceError('Line item total_cents must be an integer');
+    }
+
+    return {
+      description: item.description,
+      quantity,
+      unit_price_cents: item.unit_price_cents,
+      total_cents: totalCents,
+      ...(item.period ? { period: item.period } : {})
+    };
+  });
+}
+
+/**
+ * Format an invoice for API responses; drafts have no number yet
+ */
+function formatInvoice(invoice) {
+  const metadata = JSON.parse(invoice.metadata || '{}');
+  return {
+    id: invoice.id,
+    invoice_number: invoice.invoice_number.startsWith(DRAFT_NUMBER_PREFIX) ? null : invoice.invoice_number,
+    status: invoice.status,
+    user_id: invoice.user_id || null,
+    organization_id: invoice.organization_id || null,
+    customer_id: invoice.customer_id || null,
+    order_id: invoice.order_id || null,
+    subscription_id: invoice.subscription_id || null,
+    billing_schedule_id: invoice.billing_schedule_id || null,
+    payment_id: invoice.payment_id || null,
+    subtotal_cents: invoice.subtotal_cents,
+    tax_cents: invoice.tax_cents,
+    discount_cents: invoice.discount_cents,
+    total_cents: invoice.total_cents,
+    currency: invoice.currency,
+    line_items: JSON.parse(invoice.line_items || '[]'),
+    tax_lines: metadata.tax ? metadata.tax.lines : [],
+    issue_date: invoice.issue_date,
+    due_date: invoice.due_date,
+    paid_date: invoice.paid_date || null,
+    payment_link_url: invoice.payment_link_url || null,
+    notes: invoice.notes || null,
+    created_at: invoice.created_at
+  };
+}
+
+function isCents(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+module.exports = {
+  INVOICE_STATUSES,
+  InvoiceError,
+  createDraftInvoice,
+  finalizeInvoice,
+  markInvoicePaid,
+  voidInvoice,
+  markInvoiceUncollectible,
+  invoiceOrder,
+  settleOrderInvoice,
+  invoiceSubscriptionPayment,
+  invoiceScheduleCharge,
+  formatInvoice
+};
@@ -0,0 +1,175 @@
+/**
+ * Jobs
+ *
+ * The periodic jobs of the membership system and a runner for them:
+ *
+ * - expiry-sweep: expire memberships and addons and send expiry notices
+ *   (see ./expiry-sweep)
+ * - payment-retries: retry failed subscription payments (see ./dunning)
+ * - resume-paused: resume paused memberships that are due (see ./pauses)
+ * - metered-usage: bill the usage of metered subscriptions whose period has
+ *   ended, with one-time billing schedules (see ./metered-billing)
+ * - billing-schedules: charge the billing schedules that are due (see
+ *   ./billing-schedules, which also runs on its own with --dry-run)
+ *
+ * Run them in the app's process with createJobRunner(...).start(), so the
+ * features users lose are pushed to connected clients, or from the command
+ * line (e.g. from cron):
+ *
+ *   node jobs.js [job ...]          Run the jobs (default: all) once
+ *   node jobs.js --watch [job ...]  Keep running them every JOB_INTERVAL_MINUTES (default 60)
+ */
+
+const { createProviderRegistry } = require('./providers');
+const { runExpirySweep } = require('./expiry-sweep');
+const { retryFailedPayments } = require('./dunning');
+const { resumeDueMemberships } = require('./pauses');
+const { closeSubscriptionUsage } = require('./metered-billing');
+const { runBillingSchedules } = require('./billing-schedules');
+
+const JOBS = {
+  'expiry-sweep': ({ store, events, expiry, notify }, now) => runExpirySweep(store, { expiry, notify, events, now }),
+  'payment-retries': ({ store, providers, dunning }, now) => retryFailedPayments(store, providers, { dunning, now }),
+  'resume-paused': ({ store, providers }, now) => resumeDueMemberships(store, providers, { now }),
+  // Before billing-schedules, which charges the usage it bills
+  'metered-usage': ({ store }, now) => closeSubscriptionUsage(store, { now }),
+  'billing-schedules': ({ store, providers, billingSchedules }, now) => runBillingSchedules(store, providers, { billingSchedules, now })
+};
+
+/**
+ * Create the job runner
+ *
+ * @param {Object} options
+ * @param {Object} options.store - Data-access layer (see ./store)
+ * @param {Object} options.providers - Payment provider registry (see ./providers);
+ *   defaults to one built from the store's payment_providers
+ * @param {EventEmitter} options.events - Emitter of entitlement changes
+ *   (see ./entitlement-events), if the app has one
+ * @param {Object} options.dunning - Overrides of DEFAULT_DUNNING in ./dunning
+ * @param {Object} options.expiry - Overrides of DEFAULT_EXPIRY in ./expiry-sweep
+ * @param {Object} options.billingSchedules - Overrides of DEFAULT_BILLING_SCHEDULES
+ *   in ./billing-schedules
+ * @param {Function} options.notify - Sends expiry notices (see runExpirySweep);
+ *   defaults to logging them
+ * @param {number} options.intervalMs - Time between runs when started (default 1 hour)
+ * @returns {Object} { run, start, stop }
+ */
+function createJobRunner({
+  store,
+  providers = createProviderRegistry({ store }),
+  events = null,
+  dunning = {},
+  expiry = {},
+  billingSchedules = {},
+  notify = logNotice,
+  intervalMs = 60 * 60 * 1000
+}) {
+  const context = { store, providers, events, dunning, expiry, billingSchedules, notify };
+  let timer = null;
+  let running = null;
+
+  /**
+   * Run jobs once, one after the other. A failing job is logged and
+   * doesn't stop the others.
+   *
+   * @param {string[]} names - Jobs to run (default: all of JOBS)
+   * @param {Object} options
+   * @param {Date} options.now - Defaults to the current time
+   * @returns {Promise<Object>} The result of each job by name, or { error }
+   */
+  async function run(names = Object.keys(JOBS), { now = new Date() } = {}) {
+    const unknown = names.filter(name => !JOBS[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown job: ${unknown.join(', ')}`);
+    }
+
+    const results = {};
+    for (const name of names) {
+      try {
+        results[name] = await JOBS[name](context, now);
+      } catch (error) {
+        console.error(`Error running job ${name}:`, error);
+        results[name] = { error: error.message };
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Run jobs now and then every `intervalMs`; a run that's still going
+   * when the next is due delays it
+   *
+   * @param {string[]} names - Jobs to run (default: all of JOBS)
+   */
+  function start(names = Object.keys(JOBS)) {
+    if (timer) {
+      return;
+    }
+
+    const tick = () => {
+      if (!running) {
+        running = run(names).finally(() => {
+          running = null;
+        });
+      }
+    };
+    timer = setInterval(tick, intervalMs);
+    tick();
+  }
+
+  /**
+   * Stop running jobs
+   *
+   * @returns {Promise<void>} Resolves once the current run, if any, is done
+   */
+  async function stop() {
+    clearInterval(timer);
+    timer = null;
+    await running;
+  }
+
+  return { run, start, stop };
+}
+
+/**
+ * Default notice sender: logs the notice. Replace it with one sending
+ * emails or in-app notifications.
+ */
+async function logNotice(notice) {
+  console.log(`Expiry notice (${notice.type}) for ${notice.owner.type} ${notice.owner.id}: expires ${notice.expires_at}`);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const names = args.filter(arg => !arg.startsWith('--'));
+  const unknown = names.filter(name => !JOBS[name]);
+  if (unknown.length > 0) {
+    console.error(`Unknown job: ${unknown.join(', ')}. Jobs: ${Object.keys(JOBS).join(', ')}`);
+    process.exit(1);
+  }
+
+  const Database = require('better-sqlite3');
+  const { createSqliteStore } = require('./store');
+
+  const store = createSqliteStore(new Database(process.env.DATABASE_PATH || 'payments.db'));
+  const runner = createJobRunner({
+    store,
+    intervalMs: (Number(process.env.JOB_INTERVAL_MINUTES) || 60) * 60 * 1000
+  });
+  const selected = names.length > 0 ? names : Object.keys(JOBS);
+
+  if (args.includes('--watch')) {
+    runner.start(selected);
+    process.on('SIGTERM', () => runner.stop().then(() => process.exit(0)));
+  } else {
+    runner.run(selected).then((results) => {
+      console.log(JSON.stringify(results, null, 2));
+      process.exit(Object.values(results).some(result => result && result.error) ? 1 : 0);
+    });
+  }
+}
+
+module.exports = {
+  JOBS,
+  createJobRunner
+};
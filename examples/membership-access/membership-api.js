@@ -6,147 +6,329 @@
  */
 
 const express = require('express');
-const router = express.Router();
 
-// Import the features configuration
-const { AVAILABLE_FEATURES } = require('./features-config');
+const { getAddonOptions } = require('./feature-catalog');
+const { getUsageStatus, isOverLimit } = require('./usage-limits');
+const { findCurrentAddons } = require('./addon-subscriptions');
+const {
+  getMembershipOwner,
+  getAddonOwner,
+  findAccessibleOwners,
+  findAccessibleMemberships
+} = require('./membership-owners');
+const { isInGracePeriod } = require('./dunning');
 
 /**
- * Check if a user has access to a specific feature
- * GET /api/payment/features/check
- * 
- * Query parameters:
- * - user_id: The ID of the user to check
- * - feature_id: The ID of the feature to check
- * 
- * Response:
- * - has_access: Boolean indicating if the user has access to the feature
- * - access_source: 'membership' or 'addon' if has_access is true
- * - membership: Details about the membership if access_source is 'membership'
- * - addon: Details about the addon if access_source is 'addon'
- * - upgrade_options: Available memberships that include the feature if has_access is false
- * - addon_options: Available addons for the feature if has_access is false
+ * Create the membership access router
+ *
+ * @param {Object} options
+ * @param {Object} options.store - Data-access layer (see ./store)
+ * @returns {express.Router}
  */
-router.get('/features/check', async (req, res) => {
-  try {
-    const userId = req.query.user_id;
-    const featureId = req.query.feature_id;
-    
-    // Validate required parameters
-    if (!userId) {
-      return res.status(400).json({ error: 'Missing user_id parameter' });
-    }
-    
-    if (!featureId) {
-      return res.status(400).json({ error: 'Missing feature_id parameter' });
-    }
+function createMembershipAccessRouter({ store }) {
+  const router = express.Router();
+
+  /**
+   * Check if a user has access to a specific feature
+   * GET /api/payment/features/check
+   * 
+   * Query parameters:
+   * - user_id: The ID of the user to check
+   * - feature_id: The ID of the feature to check
+   * - quantity: Consumption about to happen, for features with usage limits
+   * 
+   * Response:
+   * - has_access: Boolean indicating if the user has access to the feature
+   * - access_source: 'membership' or 'addon' if has_access is true
+   * - membership: Details about the membership if access_source is 'membership'
+   * - addon: Details about the addon if access_source is 'addon'
+   * - usage: Limit, consumption and remaining amount, for features with usage limits
+   * - upgrade_options: Available memberships that include the feature if has_access is false
+   * - addon_options: Available addons for the feature if has_access is false
+   */
+  router.get('/features/check', async (req, res) => {
+    try {
+      const userId = req.query.user_id;
+      const featureId = req.query.feature_id;
+      const quantity = req.query.quantity === undefined ? null : Number(req.query.quantity);
     
-    // Check if the user exists
-    const user = await db.users.findById(userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+      // Validate required parameters
+      if (!userId) {
+        return res.status(400).json({ error: 'Missing user_id parameter' });
+      }
     
-    // Check if the feature exists
-    if (!AVAILABLE_FEATURES[featureId]) {
-      return res.status(404).json({ error: 'Feature not found' });
-    }
+      if (!featureId) {
+        return res.status(400).json({ error: 'Missing feature_id parameter' });
+      }
+
+      if (quantity !== null && !(quantity > 0)) {
+        return res.status(400).json({ error: 'quantity must be a positive number' });
+      }
     
-    const feature = AVAILABLE_FEATURES[featureId];
+      // Check if the user exists
+      const user = await store.users.findById(userId);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
     
-    // Get user's active memberships
-    const userMemberships = await db.user_memberships.findAll({
-      where: {
-        user_id: userId,
-        status: 'active'
+      // Check if the feature exists; deactivated features are no longer
+      // sold but still grant access to those who have them
+      const feature = await store.features.findById(featureId);
+      if (!feature) {
+        return res.status(404).json({ error: 'Feature not found' });
       }
-    });
     
-    if (!userMemberships || userMemberships.length === 0) {
-      // User has no active memberships
-      return res.json({
-        has_access: false,
-        reason: 'No active membership',
-        available_memberships: await getAvailableMembershipsWithFeature(featureId)
-      });
-    }
+      // Get the active memberships the user has access to: their own and
+      // those of their organizations and projects
+      const owners = await findAccessibleOwners(store, userId);
+      const userMemberships = await findAccessibleMemberships(store, userId, { owners });
     
-    // Check each membership for access to the feature
-    const now = new Date();
+      // Check each membership for access to the feature; addons, standalone
+      // ones included, grant it while active and before their end date
+      const now = new Date();
+      const currentAddons = await findCurrentAddons(store, { memberships: userMemberships, owners, now });
+      let access = null;
     
-    for (const membership of userMemberships) {
-      // Get membership type details
-      const membershipType = await db.membership_types.findById(membership.membership_type_id);
+      for (const membership of userMemberships) {
+        // Get membership type details
+        const membershipType = await store.membership_types.findById(membership.membership_type_id);
       
-      // Check if membership has expired (except lifetime memberships)
-      if (membershipType.duration_type !== 'lifetime' && membership.end_date) {
-        const endDate = new Date(membership.end_date);
-        if (endDate < now) {
-          // Update membership status to expired
-          await db.user_memberships.update(membership.id, { status: 'expired' });
-          continue; // Skip to next membership
+        // Past-due memberships keep access until their grace period ends
+        if (membership.status === 'past_due') {
+          if (!isInGracePeriod(membership, now)) {
+            continue;
+          }
+        } else if (membershipType.duration_type !== 'lifetime' && membership.end_date) {
+          // Memberships past their end date no longer grant access; the
+          // expiry sweep (./expiry-sweep) marks them expired
+          if (new Date(membership.end_date) < now) {
+            continue;
+          }
         }
-      }
       
-      // Check if membership includes the requested feature
-      const includedFeatures = JSON.parse(membershipType.features || '[]');
-      if (includedFeatures.includes(featureId)) {
-        return res.json({
-          has_access: true,
-          access_source: 'membership',
-          membership: {
-            id: membership.id,
-            type: membershipType.name,
-            expires: membership.end_date || 'never'
-          }
-        });
-      }
+        // Check if membership includes the requested feature
+        const includedFeatures = JSON.parse(membershipType.features || '[]');
+        if (includedFeatures.includes(featureId)) {
+          access = {
+            has_access: true,
+            access_source: 'membership',
+            membership: {
+              id: membership.id,
+              type: membershipType.name,
+              owner: getMembershipOwner(membership),
+              expires: membership.end_date || 'never',
+              grace_until: membership.grace_until || null
+            }
+          };
+          break;
+        }
       
-      // Check if user has purchased this feature as an addon
-      const addons = JSON.parse(membership.addons || '[]');
-      const matchingAddon = addons.find(addon => addon.feature_id === featureId);
+        // Check if the feature was purchased as an addon of the membership
+        const matchingAddon = currentAddons.find(addon => addon.membership_id === membership.id
+          && addon.feature_id === featureId);
       
-      if (matchingAddon) {
-        // Check if addon is still valid
-        if (!matchingAddon.end_date || new Date(matchingAddon.end_date) > now) {
-          return res.json({
+        if (matchingAddon) {
+          access = {
             has_access: true,
             access_source: 'addon',
             addon: {
+              id: matchingAddon.id,
               name: matchingAddon.name,
+              owner: getMembershipOwner(membership),
               expires: matchingAddon.end_date || 'never'
             }
-          });
+          };
+          break;
+        }
+      }
+
+      // Standalone addons grant their feature without a membership
+      const standaloneAddon = currentAddons.find(addon => !addon.membership_id && addon.feature_id === featureId);
+      if (!access && standaloneAddon) {
+        access = {
+          has_access: true,
+          access_source: 'addon',
+          addon: {
+            id: standaloneAddon.id,
+            name: standaloneAddon.name,
+            owner: getAddonOwner(standaloneAddon),
+            expires: standaloneAddon.end_date || 'never'
+          }
+        };
+      }
+
+      // Features with usage limits grant access while some is left; the
+      // limit adds up over all memberships and addons granting the feature
+      let usage = null;
+      if (access) {
+        usage = await getUsageStatus(store, { userId, feature, memberships: userMemberships, owners, now });
+        if (!isOverLimit(usage, quantity)) {
+          return res.json(usage ? { ...access, usage } : access);
         }
       }
+
+      if (userMemberships.length === 0) {
+        // User has no active memberships; addons that don't require one
+        // can be bought on their own
+        return res.json({
+          has_access: false,
+          reason: usage ? 'Usage limit reached' : 'No active membership',
+          usage: usage || undefined,
+          available_memberships: await getAvailableMembershipsWithFeature(store, featureId),
+          addon_options: await getAddonOptions(store, feature.id, null, { standalone: true })
+        });
+      }
+    
+      // If we get here, user doesn't have access to the feature
+      // Return available options for upgrade
+      const currentMembership = userMemberships[0]; // First active membership
+      const currentMembershipType = await store.membership_types.findById(currentMembership.membership_type_id);
+    
+      return res.json({
+        has_access: false,
+        reason: usage ? 'Usage limit reached' : undefined,
+        usage: usage || undefined,
+        current_membership: {
+          id: currentMembership.id,
+          type: currentMembershipType.name,
+          owner: getMembershipOwner(currentMembership)
+        },
+        upgrade_options: await getAvailableMembershipsWithFeature(store, featureId),
+        addon_options: await getAddonOptions(store, feature.id, currentMembershipType.currency)
+      });
+    
+    } catch (error) {
+      console.error('Error checking feature access:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
+  });
+
+  /**
+   * Verify if a user has an active membership
+   * GET /api/payment/memberships/check
+   * 
+   * Query parameters:
+   * - user_id: The ID of the user to check
+   * - membership_type_id: (Optional) Specific membership type to check for
+   * 
+   * Response:
+   * - has_active_membership: Boolean indicating if the user has an active membership
+   * - memberships: Array of active memberships if has_active_membership is true
+   * - available_memberships: Array of available memberships if has_active_membership is false
+   */
+  router.get('/memberships/check', async (req, res) => {
+    try {
+      const userId = req.query.user_id;
+      const specificMembershipTypeId = req.query.membership_type_id;
+    
+      // Validate required parameters
+      if (!userId) {
+        return res.status(400).json({ error: 'Missing user_id parameter' });
+      }
+    
+      // Check if the user exists
+      const user = await store.users.findById(userId);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
     
-    // If we get here, user doesn't have access to the feature
-    // Return available options for upgrade
-    const currentMembership = userMemberships[0]; // First active membership
-    const currentMembershipType = await db.membership_types.findById(currentMembership.membership_type_id);
+      // Get all active memberships the user has access to
+      const userMemberships = await findAccessibleMemberships(store, userId);
     
-    return res.json({
-      has_access: false,
-      current_membership: {
-        id: currentMembership.id,
-        type: currentMembershipType.name
-      },
-      upgrade_options: await getAvailableMembershipsWithFeature(featureId),
-      addon_options: feature.is_addon ? [feature] : []
-    });
+      // Leave out memberships that have expired
+      const now = new Date();
+      const activeMemberships = [];
     
-  } catch (error) {
-    console.error('Error checking feature access:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+      for (const membership of userMemberships) {
+        // Get the membership type
+        const membershipType = await store.membership_types.findById(membership.membership_type_id);
+      
+        // Lifetime memberships never expire
+        if (membershipType.duration_type === 'lifetime') {
+          activeMemberships.push({
+            ...membership,
+            membership_type: membershipType,
+            owner: getMembershipOwner(membership),
+            is_lifetime: true
+          });
+          continue;
+        }
+      
+        // Past-due memberships count until their grace period ends
+        if (membership.status === 'past_due') {
+          if (isInGracePeriod(membership, now)) {
+            activeMemberships.push({
+              ...membership,
+              membership_type: membershipType,
+              owner: getMembershipOwner(membership),
+              is_lifetime: false
+            });
+          }
+          continue;
+        }
+      
+        // Check if the membership has expired
+        if (membership.end_date) {
+          const endDate = new Date(membership.end_date);
+          if (endDate > now) {
+            activeMemberships.push({
+              ...membership,
+              membership_type: membershipType,
+              owner: getMembershipOwner(membership),
+              is_lifetime: false
+            });
+          }
+          // Memberships past their end date are left for the expiry sweep
+          // (./expiry-sweep) to mark expired
+        }
+      }
+    
+      // Filter by specific membership type if requested
+      let filteredMemberships = activeMemberships;
+      if (specificMembershipTypeId) {
+        filteredMemberships = activeMemberships.filter(
+          m => m.membership_type_id === specificMembershipTypeId
+        );
+      }
+    
+      // List the current addons of each membership
+      const currentAddons = await findCurrentAddons(store, { memberships: filteredMemberships, now });
+      filteredMemberships = filteredMemberships.map(membership => ({
+        ...membership,
+        addons: currentAddons.filter(addon => addon.membership_id === membership.id)
+      }));
+    
+      // Prepare the response
+      const hasActiveMembership = filteredMemberships.length > 0;
+    
+      // If no active memberships, include available memberships
+      let availableMemberships = [];
+      if (!hasActiveMembership) {
+        availableMemberships = await store.membership_types.findAll({
+          where: { is_active: true }
+        });
+      }
+    
+      return res.json({
+        has_active_membership: hasActiveMembership,
+        memberships: filteredMemberships,
+        available_memberships: hasActiveMembership ? undefined : availableMemberships
+      });
+    
+    } catch (error) {
+      console.error('Error checking membership status:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+}
 
 /**
  * Helper function to get available memberships that include a feature
  */
-async function getAvailableMembershipsWithFeature(featureId) {
-  const allMembershipTypes = await db.membership_types.findAll({
+async function getAvailableMembershipsWithFeature(store, featureId) {
+  const allMembershipTypes = await store.membership_types.findAll({
     where: { is_active: true }
   });
   
@@ -165,106 +347,4 @@ async function getAvailableMembershipsWithFeature(featureId) {
     }));
 }
 
-/**
- * Verify if a user has an active membership
- * GET /api/payment/memberships/check
- * 
- * Query parameters:
- * - user_id: The ID of the user to check
- * - membership_type_id: (Optional) Specific membership type to check for
- * 
- * Response:
- * - has_active_membership: Boolean indicating if the user has an active membership
- * - memberships: Array of active memberships if has_active_membership is true
- * - available_memberships: Array of available memberships if has_active_membership is false
- */
-router.get('/memberships/check', async (req, res) => {
-  try {
-    const userId = req.query.user_id;
-    const specificMembershipTypeId = req.query.membership_type_id;
-    
-    // Validate required parameters
-    if (!userId) {
-      return res.status(400).json({ error: 'Missing user_id parameter' });
-    }
-    
-    // Check if the user exists
-    const user = await db.users.findById(userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-    
-    // Get all active memberships for the user
-    const userMemberships = await db.user_memberships.findAll({
-      where: {
-        user_id: userId,
-        status: 'active'
-      }
-    });
-    
-    // Verify if any memberships have expired
-    const now = new Date();
-    const activeMemberships = [];
-    
-    for (const membership of userMemberships) {
-      // Get the membership type
-      const membershipType = await db.membership_types.findById(membership.membership_type_id);
-      
-      // Lifetime memberships never expire
-      if (membershipType.duration_type === 'lifetime') {
-        activeMemberships.push({
-          ...membership,
-          membership_type: membershipType,
-          is_lifetime: true
-        });
-        continue;
-      }
-      
-      // Check if the membership has expired
-      if (membership.end_date) {
-        const endDate = new Date(membership.end_date);
-        if (endDate > now) {
-          activeMemberships.push({
-            ...membership,
-            membership_type: membershipType,
-            is_lifetime: false
-          });
-        } else {
-          // Update the membership status to expired
-          await db.user_memberships.update(membership.id, { status: 'expired' });
-        }
-      }
-    }
-    
-    // Filter by specific membership type if requested
-    let filteredMemberships = activeMemberships;
-    if (specificMembershipTypeId) {
-      filteredMemberships = activeMemberships.filter(
-        m => m.membership_type_id === specificMembershipTypeId
-      );
-    }
-    
-    // Prepare the response
-    const hasActiveMembership = filteredMemberships.length > 0;
-    
-    // If no active memberships, include available memberships
-    let availableMemberships = [];
-    if (!hasActiveMembership) {
-      availableMemberships = await db.membership_types.findAll({
-        where: { is_active: true }
-      });
-    }
-    
-    return res.json({
-      has_active_membership: hasActiveMembership,
-      memberships: filteredMemberships,
-      available_memberships: hasActiveMembership ? undefined : availableMemberships
-    });
-    
-  } catch (error) {
-    console.error('Error checking membership status:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-module.exports = router;
+module.exports = { createMembershipAccessRouter };
@@ -0,0 +1,246 @@
+/**
+ * Membership Owners
+ *
+ * An `entity_memberships` row belongs to a user, an organization or a
+ * project (`user_id`, `organization_id` or `project_id`). This file
+ * describes the three owner types for the routes and resolves which
+ * memberships grant access to a user: their own, their organizations'
+ * (B2B seat plans) and their projects'.
+ *
+ * Standalone addons (see ./addon-subscriptions) are owned directly by a
+ * user, an organization or a guest: an `external_entities` customer
+ * record of someone without an account.
+ */
+
+/**
+ * Owner types, keyed by the route segment they are mounted under
+ * (e.g. /organizations/:orgId/memberships)
+ */
+const MEMBERSHIP_OWNERS = {
+  users: {
+    type: 'user',
+    param: 'userId',
+    table: 'users',
+    column: 'user_id',
+    label: 'User'
+  },
+  organizations: {
+    type: 'organization',
+    param: 'orgId',
+    table: 'organizations',
+    column: 'organization_id',
+    label: 'Organization'
+  },
+  projects: {
+    type: 'project',
+    param: 'projectId',
+    table: 'projects',
+    column: 'project_id',
+    label: 'Project'
+  }
+};
+
+/**
+ * Owner types of standalone addons, keyed by the route segment they are
+ * mounted under (e.g. /guests/:guestId/addons); `column` is the
+ * entity_addons column that holds the owner
+ */
+const ADDON_OWNERS = {
+  users: MEMBERSHIP_OWNERS.users,
+  organizations: MEMBERSHIP_OWNERS.organizations,
+  guests: {
+    type: 'guest',
+    param: 'guestId',
+    table: 'external_entities',
+    column: 'customer_id',
+    label: 'Guest'
+  }
+};
+
+/**
+ * Membership statuses that grant access to the membership's features:
+ * paid memberships, free trials and past-due memberships during their
+ * grace period (see ./dunning)
+ */
+const ACCESS_STATUSES = ['active', 'trialing', 'past_due'];
+
+/**
+ * Get the owner of a membership
+ *
+ * @param {Object} membership - entity_memberships row
+ * @returns {Object} { type: 'user' | 'organization' | 'project', id }
+ */
+function getMembershipOwner(membership) {
+  if (membership.user_id) {
+    return { type: 'user', id: membership.user_id };
+  }
+  if (membership.organization_id) {
+    return { type: 'organization', id: membership.organization_id };
+  }
+  return { type: 'project', id: membership.project_id };
+}
+
+/**
+ * Get the owner of an addon: its membership's owner, or the owner of a
+ * standalone addon
+ *
+ * @param {Object} addon - entity_addons row
+ * @param {Object} membership - The addon's entity_memberships row, for
+ *   addons bought for a membership
+ * @returns {Object} { type: 'user' | 'organization' | 'project' | 'guest', id }
+ */
+function getAddonOwner(addon, membership = null) {
+  if (addon.membership_id) {
+    return getMembershipOwner(membership);
+  }
+
+  const owner = Object.values(ADDON_OWNERS).find(candidate => addon[candidate.column]);
+  return { type: owner.type, id: addon[owner.column] };
+}
+
+/**
+ * Get the columns that identify who is billed for an owner's purchases.
+ * Users and organizations pay for themselves; projects are billed to the
+ * organization or user that owns them. Guests have neither; they pay as
+ * their customer record.
+ *
+ * @param {Object} owner - Entry of MEMBERSHIP_OWNERS or ADDON_OWNERS
+ * @param {Object} record - The owner's users/organizations/projects/external_entities row
+ * @returns {Object} { user_id, organization_id }
+ */
+function getBillingColumns(owner, record) {
+  switch (owner.type) {
+    case 'user':
+      return { user_id: record.id, organization_id: null };
+    case 'organization':
+      return { user_id: null, organization_id: record.id };
+    case 'guest':
+      return { user_id: null, organization_id: null };
+    default:
+      return record.organization_id
+        ? { user_id: null, organization_id: record.organization_id }
+        : { user_id: record.user_id, organization_id: null };
+  }
+}
+
+/**
+ * Find the owners whose memberships and standalone addons grant access to
+ * a user: the user, the organizations the user belongs to or owns, and the
+ * active projects of the user and of those organizations
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<Object[]>} [{ type: 'user' | 'organization' | 'project', id }],
+ *   the user first
+ */
+async function findAccessibleOwners(store, userId) {
+  const organizationUsers = await store.organization_users.findAll({
+    where: { user_id: userId }
+  });
+  const ownedOrganizations = await store.organizations.findAll({
+    where: { owner_user_id: userId }
+  });
+  const organizationIds = unique([
+    ...organizationUsers.map(organizationUser => organizationUser.organization_id),
+    ...ownedOrganizations.map(organization => organization.id)
+  ]);
+
+  const projects = [
+    ...await store.projects.findAll({ where: { user_id: userId, is_active: true } }),
+    ...await store.projects.findAll({ where: { organization_id: organizationIds, is_active: true } })
+  ];
+  const projectIds = unique(projects.map(project => project.id));
+
+  return [
+    { type: 'user', id: userId },
+    ...organizationIds.map(id => ({ type: 'organization', id })),
+    ...projectIds.map(id => ({ type: 'project', id }))
+  ];
+}
+
+/**
+ * Find the memberships that grant access to a user: memberships owned by
+ * the user, by organizations the user belongs to, and by projects owned by
+ * the user or by those organizations
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {string} userId - The ID of the user
+ * @param {Object} options
+ * @param {string|string[]} options.status - Membership status(es) to include
+ *   (default: those that grant access, ACCESS_STATUSES)
+ * @param {Object[]} options.owners - The user's owners, if already found
+ *   (see findAccessibleOwners)
+ * @returns {Promise<Object[]>} entity_memberships rows, the user's own first
+ */
+async function findAccessibleMemberships(store, userId, { status = ACCESS_STATUSES, owners = null } = {}) {
+  const accessibleOwners = owners || await findAccessibleOwners(store, userId);
+
+  const memberships = [];
+  for (const owner of Object.values(MEMBERSHIP_OWNERS)) {
+    const ids = accessibleOwners.filter(candidate => candidate.type === owner.type).map(candidate => candidate.id);
+    memberships.push(...await store.entity_memberships.findAll({ where: { [owner.column]: ids, status } }));
+  }
+
+  const seen = new Set();
+  return memberships.filter(membership => {
+    if (seen.has(membership.id)) {
+      return false;
+    }
+    seen.add(membership.id);
+    return true;
+  });
+}
+
+/**
+ * Find the users an owner's memberships grant access to: the user
+ * themselves, an organization's members and owner, or the users a project's
+ * owner grants access to (the reverse of findAccessibleMemberships)
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} owner - { type: 'user' | 'organization' | 'project' | 'guest', id }
+ *   (see getMembershipOwner and getAddonOwner)
+ * @returns {Promise<string[]>} User IDs; none for guests, who have no account
+ */
+async function findOwnerUsers(store, owner) {
+  switch (owner.type) {
+    case 'user':
+      return [owner.id];
+    case 'guest':
+      return [];
+    case 'organization': {
+      const organization = await store.organizations.findById(owner.id);
+      const organizationUsers = await store.organization_users.findAll({
+        where: { organization_id: owner.id }
+      });
+      return unique([
+        ...(organization && organization.owner_user_id ? [organization.owner_user_id] : []),
+        ...organizationUsers.map(organizationUser => organizationUser.user_id)
+      ]);
+    }
+    default: {
+      const project = await store.projects.findById(owner.id);
+      if (!project || !project.is_active) {
+        return [];
+      }
+      return project.organization_id
+        ? findOwnerUsers(store, { type: 'organization', id: project.organization_id })
+        : [project.user_id];
+    }
+  }
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+module.exports = {
+  MEMBERSHIP_OWNERS,
+  ADDON_OWNERS,
+  ACCESS_STATUSES,
+  getMembershipOwner,
+  getAddonOwner,
+  getBillingColumns,
+  findAccessibleOwners,
+  findAccessibleMemberships,
+  findOwnerUsers
+};
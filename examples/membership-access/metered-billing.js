@@ -0,0 +1,534 @@
+/**
+ * Metered Billing
+ *
+ * Usage-based charges: subscriptions and billing schedules whose price
+ * depends on how much was used. Usage is reported as `usage_records`, each
+ * with an idempotency key, so a report that's sent again is counted once.
+ * When a billing period closes, the records of the period are aggregated
+ * and priced by the `metering` of what they were reported for:
+ *
+ *   {
+ *     "aggregation": "max",        // 'sum', 'max' or 'last'
+ *     "pricing": "tiered",         // 'tiered' or 'volume'
+ *     "unit": "GB",
+ *     "tiers": [
+ *       { "up_to": 50, "unit_amount_cents": 0 },
+ *       { "up_to": null, "unit_amount_cents": 4, "flat_amount_cents": 0 }
+ *     ]
+ *   }
+ *
+ * - sum: the total of the period's quantities; max: the largest one; last:
+ *   the one that happened last. Only the period's own records count, so a
+ *   quantity that stands until it changes (seats, storage) must be
+ *   reported again in each period: a period without records bills nothing,
+ *   whatever was reported before it.
+ * - tiered: each tier prices the units that fall in it (the first 50 GB at
+ *   one price, the rest at the next); volume: the tier the whole quantity
+ *   falls in prices every unit
+ *
+ * Metered billing schedules (`schedule_type` 'metered', with the metering
+ * in `metadata.metering`) charge their `amount_cents` plus their usage on
+ * each billing date (see ./billing-schedules). Subscriptions take their
+ * metering from `metadata.metering`, or from the addon they bill;
+ * closeSubscriptionUsage bills the usage of their ended periods with
+ * one-time billing schedules, so it's paid like any other charge.
+ *
+ * Records are billed once, in the first period that closes after they
+ * happened; records reported after their period closed are billed with the
+ * next one. Priced usage comes with the invoice line items of the charge.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { CheckoutError } = require('./checkout');
+
+const AGGREGATIONS = ['sum', 'max', 'last'];
+
+const PRICING_MODELS = ['tiered', 'volume'];
+
+// Subscription and schedule statuses that don't take more usage
+const ENDED_SUBSCRIPTION_STATUSES = ['cancelled', 'incomplete_expired'];
+const ENDED_SCHEDULE_STATUSES = ['cancelled', 'completed', 'failed'];
+
+/**
+ * Check a metering configuration
+ *
+ * @param {Object} metering - { aggregation, pricing, unit, tiers }
+ * @throws {CheckoutError} If it isn't valid
+ */
+function validateMetering(metering) {
+  if (!metering || typeof metering !== 'object') {
+    throw new CheckoutError('metering must be an object');
+  }
+  if (!AGGREGATIONS.includes(metering.aggregation)) {
+    throw new CheckoutError(`metering.aggregation must be one of: ${AGGREGATIONS.join(', ')}`);
+  }
+  if (!PRICING_MODELS.includes(metering.pricing)) {
+    throw new CheckoutError(`metering.pricing must be one of: ${PRICING_MODELS.join(', ')}`);
+  }
+
+  const tiers = metering.tiers;
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw new CheckoutError('metering.tiers must list at least one tier');
+  }
+  tiers.forEach((tier, index) => {
+    const last = index === tiers.length - 1;
+    if (last ? tier.up_to !== null : !(tier.up_to > (index > 0 ? tiers[index - 1].up_to : 0))) {
+      throw new CheckoutError('metering.tiers must go up by up_to, with up_to null in the last tier');
+    }
+    if (!isAmount(tier.unit_amount_cents) || (tier.flat_amount_cents !== undefined && !isAmount(tier.flat_amount_cents))) {
+      throw new CheckoutError('Tier amounts must be non-negative numbers of cents');
+    }
+  });
+}
+
+/**
+ * Get the metering of a subscription or a billing schedule
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} params
+ * @param {Object} params.subscription - subscriptions row
+ * @param {Object} params.schedule - billing_schedules row
+ * @returns {Promise<Object|null>} The metering, or null if it isn't metered
+ */
+async function getMetering(store, { subscription = null, schedule = null }) {
+  if (schedule) {
+    return schedule.schedule_type === 'metered'
+      ? JSON.parse(schedule.metadata || '{}').metering || null
+      : null;
+  }
+
+  const own = JSON.parse(subscription.metadata || '{}').metering;
+  if (own) {
+    return own;
+  }
+  const entityAddon = await store.entity_addons.findOne({ where: { subscription_id: subscription.id } });
+  const addon = entityAddon && entityAddon.addon_id ? await store.addons.findById(entityAddon.addon_id) : null;
+  return addon ? JSON.parse(addon.metadata || '{}').metering || null : null;
+}
+
+/**
+ * Record usage of a metered subscription or billing schedule. Reporting
+ * the same usage again with its idempotency key returns the first record,
+ * including when the reports arrive at the same time.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} params
+ * @param {string} params.idempotencyKey - Key of the report, unique per usage
+ * @param {string} params.subscriptionId - The metered subscription, or
+ * @param {string} params.billingScheduleId - the metered billing schedule
+ * @param {number} params.quantity - Units used (not negative)
+ * @param {string} params.timestamp - When the usage happened; defaults to now
+ * @param {Object} params.metadata
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object>} { record, created }: `created` is false when
+ *   the key was already recorded
+ * @throws {CheckoutError} If the usage isn't valid, or the key was used
+ *   for other usage (409)
+ */
+async function recordMeteredUsage(store, {
+  idempotencyKey,
+  subscriptionId = null,
+  billingScheduleId = null,
+  quantity,
+  timestamp = null,
+  metadata = null,
+  now = new Date()
+}) {
+  if (typeof idempotencyKey !== 'string' || !idempotencyKey || idempotencyKey.length > 255) {
+    throw new CheckoutError('idempotency_key is required (up to 255 characters)');
+  }
+  if (!subscriptionId === !billingScheduleId) {
+    throw new CheckoutError('One of subscription_id or billing_schedule_id is required');
+  }
+  if (!isAmount(quantity)) {
+    throw new CheckoutError('quantity must be a non-negative number');
+  }
+  const occurredAt = timestamp === null ? now : new Date(timestamp);
+  if (Number.isNaN(occurredAt.getTime())) {
+    throw new CheckoutError('timestamp must be an ISO 8601 date');
+  }
+  if (occurredAt > now) {
+    throw new CheckoutError('timestamp cannot be in the future');
+  }
+
+  const where = { idempotency_key: idempotencyKey };
+  const report = { subscriptionId, billingScheduleId, quantity, timestamp, occurredAt };
+
+  const existing = await store.usage_records.findOne({ where });
+  if (existing) {
+    return { record: assertSameReport(existing, report), created: false };
+  }
+
+  await assertMeteredTarget(store, { subscriptionId, billingScheduleId });
+
+  try {
+    const record = await store.usage_records.create({
+      id: uuidv4(),
+      idempotency_key: idempotencyKey,
+      subscription_id: subscriptionId,
+      billing_schedule_id: billingScheduleId,
+      quantity,
+      occurred_at: occurredAt.toISOString(),
+      metadata: metadata ? JSON.stringify(metadata) : null
+    });
+    return { record, created: true };
+  } catch (error) {
+    // A concurrent report with the same key recorded it first
+    const stored = await store.usage_records.findOne({ where });
+    if (stored) {
+      return { record: assertSameReport(stored, report), created: false };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check that the record of an idempotency key is for the usage reported
+ * again with it. Reports without a timestamp are stamped when they arrive,
+ * so only their target and quantity must match.
+ *
+ * @returns {Object} The record
+ * @throws {CheckoutError} 409 if it's for other usage
+ */
+function assertSameReport(record, { subscriptionId, billingScheduleId, quantity, timestamp, occurredAt }) {
+  const same = (record.subscription_id || null) === subscriptionId
+    && (record.billing_schedule_id || null) === billingScheduleId
+    && Number(record.quantity) === quantity
+    && (timestamp === null || record.occurred_at === occurredAt.toISOString());
+  if (!same) {
+    throw new CheckoutError('idempotency_key was already used for other usage', 409);
+  }
+  return record;
+}
+
+/**
+ * Check that usage can be reported for a subscription or billing schedule:
+ * it exists, is metered and hasn't ended
+ *
+ * @returns {Promise<Object>} { target, metering }: `target` is the
+ *   subscriptions or billing_schedules row
+ */
+async function assertMeteredTarget(store, { subscriptionId, billingScheduleId }) {
+  if (subscriptionId) {
+    const subscription = await store.subscriptions.findById(subscriptionId);
+    if (!subscription) {
+      throw new CheckoutError('Subscription not found', 404);
+    }
+    const metering = await getMetering(store, { subscription });
+    if (!metering) {
+      throw new CheckoutError('Subscription is not metered');
+    }
+    validateMetering(metering);
+    if (ENDED_SUBSCRIPTION_STATUSES.includes(subscription.status)) {
+      throw new CheckoutError('Subscription has ended', 409);
+    }
+    return { target: subscription, metering };
+  }
+
+  const schedule = await store.billing_schedules.findById(billingScheduleId);
+  if (!schedule) {
+    throw new CheckoutError('Billing schedule not found', 404);
+  }
+  const metering = await getMetering(store, { schedule });
+  if (!metering) {
+    throw new CheckoutError('Billing schedule is not metered');
+  }
+  validateMetering(metering);
+  if (ENDED_SCHEDULE_STATUSES.includes(schedule.status)) {
+    throw new CheckoutError('Billing schedule has ended', 409);
+  }
+  return { target: schedule, metering };
+}
+
+/**
+ * Price the usage of a subscription or billing schedule that hasn't been
+ * billed yet, as it stands now
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} params
+ * @param {string} params.subscriptionId - The metered subscription, or
+ * @param {string} params.billingScheduleId - the metered billing schedule
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object>} { subscription_id, billing_schedule_id,
+ *   aggregation, unit, quantity, amount_cents, currency, line_items,
+ *   period_start }
+ */
+async function previewUsage(store, { subscriptionId = null, billingScheduleId = null, now = new Date() }) {
+  if (!subscriptionId === !billingScheduleId) {
+    throw new CheckoutError('One of subscription_id or billing_schedule_id is required');
+  }
+  const { target, metering } = await assertMeteredTarget(store, { subscriptionId, billingScheduleId });
+
+  const usage = await rateUsage(store, {
+    target: subscriptionId ? { subscription_id: subscriptionId } : { billing_schedule_id: billingScheduleId },
+    metering,
+    periodEnd: now.toISOString(),
+    description: target.description || 'Usage',
+    now
+  });
+
+  return {
+    subscription_id: subscriptionId,
+    billing_schedule_id: billingScheduleId,
+    aggregation: metering.aggregation,
+    unit: metering.unit || null,
+    quantity: usage.quantity,
+    amount_cents: usage.amount_cents,
+    currency: target.currency,
+    line_items: usage.line_items,
+    period_start: usage.period_start
+  };
+}
+
+/**
+ * Aggregate and price the usage of a period that hasn't been billed: the
+ * records of a subscription or schedule that happened before the period's
+ * end
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} params
+ * @param {Object} params.target - { subscription_id } or { billing_schedule_id }
+ * @param {Object} params.metering - The target's metering (see getMetering)
+ * @param {string} params.periodEnd - End of the period (exclusive)
+ * @param {string} params.description - Describes the usage in line items
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object>} { quantity, amount_cents, line_items, records,
+ *   period_start, period_end }
+ */
+async function rateUsage(store, { target, metering, periodEnd, description, now = new Date() }) {
+  const records = await store.usage_records.findAll({
+    where: { ...target, billed_at: null, occurred_at: { lt: periodEnd } },
+    order: [['occurred_at', 'ASC'], ['created_at', 'ASC']]
+  });
+
+  // The period starts where the last billed one ended
+  const lastBilled = await store.usage_records.findOne({
+    where: { ...target, billed_at: { lte: now.toISOString() } },
+    order: [['period_end', 'DESC']]
+  });
+  const periodStart = lastBilled ? lastBilled.period_end : (records.length > 0 ? records[0].occurred_at : null);
+
+  const quantity = aggregateUsage(records, metering.aggregation);
+  const priced = priceUsage(quantity, metering, { description });
+  const period = { start: periodStart, end: periodEnd };
+
+  return {
+    quantity,
+    amount_cents: priced.amount_cents,
+    line_items: priced.line_items.map(item => ({ ...item, period })),
+    records,
+    period_start: periodStart,
+    period_end: periodEnd
+  };
+}
+
+/**
+ * Aggregate the quantities of usage records
+ *
+ * @param {Object[]} records - usage_records rows, in the order they happened
+ * @param {string} aggregation - 'sum', 'max' or 'last'
+ * @returns {number} 0 without records, whatever the aggregation
+ */
+function aggregateUsage(records, aggregation) {
+  const quantities = records.map(record => Number(record.quantity));
+  if (quantities.length === 0) {
+    return 0;
+  }
+
+  switch (aggregation) {
+    case 'sum': return quantities.reduce((total, quantity) => total + quantity, 0);
+    case 'max': return Math.max(...quantities);
+    case 'last': return quantities[quantities.length - 1];
+    default: throw new CheckoutError(`Unknown aggregation: ${aggregation}`);
+  }
+}
+
+/**
+ * Price a quantity by a metering's tiers
+ *
+ * @param {number} quantity - Aggregated usage
+ * @param {Object} metering - { pricing, unit, tiers }
+ * @param {Object} options
+ * @param {string} options.description - Describes the usage in line items
+ * @returns {Object} { amount_cents, line_items }: line items are
+ *   { description, quantity, unit_price_cents, total_cents }; nothing is
+ *   charged for no usage
+ */
+function priceUsage(quantity, metering, { description = 'Usage' } = {}) {
+  if (quantity <= 0) {
+    return { amount_cents: 0, line_items: [] };
+  }
+
+  const unit = metering.unit ? ` ${metering.unit}` : '';
+  const lineItems = [];
+  let from = 0;
+
+  for (const tier of metering.tiers) {
+    const upTo = tier.up_to === null ? Infinity : tier.up_to;
+    const label = from === 0 ? `up to ${tier.up_to}${unit}`
+      : tier.up_to === null ? `over ${from}${unit}`
+        : `${from}-${tier.up_to}${unit}`;
+
+    if (metering.pricing === 'volume' ? quantity <= upTo : quantity > from) {
+      const units = metering.pricing === 'volume' ? quantity : Math.min(quantity, upTo) - from;
+      lineItems.push({
+        description: `${description} (${metering.pricing === 'volume' ? `${quantity}${unit}` : label})`,
+        quantity: units,
+        unit_price_cents: tier.unit_amount_cents,
+        total_cents: Math.round(units * tier.unit_amount_cents)
+      });
+      if (tier.flat_amount_cents) {
+        lineItems.push({
+          description: `${description} (${label}, flat fee)`,
+          quantity: 1,
+          unit_price_cents: tier.flat_amount_cents,
+          total_cents: Math.round(tier.flat_amount_cents)
+        });
+      }
+      if (metering.pricing === 'volume') {
+        break;
+      }
+    }
+    from = upTo;
+  }
+
+  return {
+    amount_cents: lineItems.reduce((total, item) => total + item.total_cents, 0),
+    line_items: lineItems
+  };
+}
+
+/**
+ * Mark rated usage records as billed in the period that ended
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object[]} records - usage_records rows (see rateUsage)
+ * @param {Object} params
+ * @param {string} params.periodEnd - End of the billed period
+ * @param {Date} params.now - Defaults to the current time
+ */
+async function markUsageBilled(store, records, { periodEnd, now = new Date() }) {
+  if (records.length === 0) {
+    return;
+  }
+  await store.usage_records.updateWhere(
+    { id: records.map(record => record.id) },
+    { billed_at: now.toISOString(), period_end: periodEnd }
+  );
+}
+
+/**
+ * Bill the usage of metered subscriptions whose period has ended. Each
+ * subscription's usage up to the start of its current period (or the end
+ * of a period that ended) is charged with a one-time billing schedule that
+ * is due right away, paid by the subscription's payer and payment method.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} options
+ * @param {Date} options.now - Defaults to the current time
+ * @returns {Promise<Object[]>} { subscription_id, quantity, amount_cents,
+ *   billing_schedule_id, period_end } per billed subscription;
+ *   `billing_schedule_id` is null when there was nothing to charge
+ */
+async function closeSubscriptionUsage(store, { now = new Date() } = {}) {
+  const unbilled = await store.usage_records.findAll({
+    where: { billed_at: null, subscription_id: { ne: null } }
+  });
+  const subscriptionIds = [...new Set(unbilled.map(record => record.subscription_id))];
+
+  const results = [];
+  for (const subscriptionId of subscriptionIds) {
+    const subscription = await store.subscriptions.findById(subscriptionId);
+    const metering = subscription ? await getMetering(store, { subscription }) : null;
+    if (!metering) {
+      continue;
+    }
+
+    const periodEnd = new Date(subscription.current_period_end) <= now
+      ? subscription.current_period_end
+      : subscription.current_period_start;
+    const description = subscription.description || 'Usage';
+
+    const result = await store.transaction(async (tx) => {
+      const usage = await rateUsage(tx, { target: { subscription_id: subscription.id }, metering, periodEnd, description, now });
+      if (usage.records.length === 0) {
+        return null;
+      }
+
+      const schedule = usage.amount_cents > 0
+        ? await tx.billing_schedules.create({
+          id: uuidv4(),
+          user_id: subscription.user_id || null,
+          organization_id: subscription.organization_id || null,
+          customer_id: subscription.customer_id || null,
+          schedule_type: 'one_time',
+          amount_cents: usage.amount_cents,
+          currency: subscription.currency,
+          billing_interval: subscription.billing_interval,
+          start_date: now.toISOString(),
+          next_billing_date: now.toISOString(),
+          payment_method_id: subscription.payment_method_id || null,
+          description: `${description} usage`,
+          reference_code: subscription.reference_code || null,
+          category: 'usage',
+          metadata: JSON.stringify({
+            subscription_id: subscription.id,
+            period_start: usage.period_start,
+            period_end: usage.period_end,
+            line_items: usage.line_items
+          })
+        })
+        : null;
+      await markUsageBilled(tx, usage.records, { periodEnd, now });
+
+      return {
+        subscription_id: subscription.id,
+        quantity: usage.quantity,
+        amount_cents: usage.amount_cents,
+        billing_schedule_id: schedule ? schedule.id : null,
+        period_end: periodEnd
+      };
+    });
+    if (result) {
+      results.push(result);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Format a usage record for API responses
+ */
+function formatUsageRecord(record) {
+  return {
+    id: record.id,
+    idempotency_key: record.idempotency_key,
+    subscription_id: record.subscription_id || null,
+    billing_schedule_id: record.billing_schedule_id || null,
+    quantity: Number(record.quantity),
+    timestamp: record.occurred_at,
+    billed_at: record.billed_at || null,
+    metadata: record.metadata ? JSON.parse(record.metadata) : null,
+    created_at: record.created_at
+  };
+}
+
+function isAmount(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+module.exports = {
+  AGGREGATIONS,
+  PRICING_MODELS,
+  validateMetering,
+  getMetering,
+  recordMeteredUsage,
+  previewUsage,
+  rateUsage,
+  aggregateUsage,
+  priceUsage,
+  markUsageBilled,
+  closeSubscriptionUsage,
+  formatUsageRecord
+};
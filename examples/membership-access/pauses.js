@@ -0,0 +1,186 @@
+/**
+ * Pauses
+ *
+ * Pausing a membership instead of cancelling it. A paused membership grants
+ * no access and its subscription or billing schedule isn't charged; when it
+ * resumes, its `end_date`, the end dates of its addons and the next charge
+ * move out by the time it was paused. Pauses with a `resumes_at` date are
+ * ended by resumeDueMemberships.
+ */
+
+const { CheckoutError } = require('./checkout');
+const { PaymentProviderError } = require('./providers');
+
+/**
+ * Pause an active membership and stop billing it
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} providers - Provider registry (see ./providers)
+ * @param {Object} params
+ * @param {Object} params.membership - entity_memberships row
+ * @param {string} params.resumesAt - When to resume the membership automatically, if ever
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object>} The paused membership
+ */
+async function pauseMembership(store, providers, { membership, resumesAt = null, now = new Date() }) {
+  if (membership.status !== 'active') {
+    throw new CheckoutError('Only active memberships can be paused');
+  }
+  if (membership.cancel_at_period_end) {
+    throw new CheckoutError('Cancelled memberships can\'t be paused');
+  }
+  if (!membership.end_date) {
+    throw new CheckoutError('Lifetime memberships can\'t be paused');
+  }
+  if (resumesAt && !(new Date(resumesAt) > now)) {
+    throw new CheckoutError('resumes_at must be a date in the future');
+  }
+
+  const subscription = membership.subscription_id
+    ? await store.subscriptions.findById(membership.subscription_id)
+    : null;
+
+  if (subscription) {
+    const resolved = await resolveProvider(providers, subscription);
+    if (resolved) {
+      await resolved.adapter.pauseSubscription(subscription.provider_subscription_id);
+    }
+    await store.subscriptions.update(subscription.id, { status: 'paused', next_billing_date: null });
+  }
+
+  if (membership.billing_schedule_id) {
+    await store.billing_schedules.update(membership.billing_schedule_id, { status: 'paused' });
+  }
+
+  return store.entity_memberships.update(membership.id, {
+    status: 'paused',
+    paused_at: now.toISOString(),
+    resumes_at: resumesAt ? new Date(resumesAt).toISOString() : null
+  });
+}
+
+/**
+ * Resume a paused membership. Its end date, its addons' end dates, the
+ * subscription's period and the billing schedule's next charge move out by
+ * the time it was paused.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} providers - Provider registry (see ./providers)
+ * @param {Object} params
+ * @param {Object} params.membership - entity_memberships row
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object>} The resumed membership
+ */
+async function resumeMembership(store, providers, { membership, now = new Date() }) {
+  if (membership.status !== 'paused') {
+    throw new CheckoutError('Membership is not paused');
+  }
+
+  const pausedMs = Math.max(0, now - new Date(membership.paused_at));
+
+  const subscription = membership.subscription_id
+    ? await store.subscriptions.findById(membership.subscription_id)
+    : null;
+
+  if (subscription) {
+    const periodEnd = shiftDate(subscription.current_period_end, pausedMs);
+    const resolved = await resolveProvider(providers, subscription);
+    if (resolved) {
+      await resolved.adapter.resumeSubscription(subscription.provider_subscription_id, {
+        billing_cycle_anchor: periodEnd
+      });
+    }
+    await store.subscriptions.update(subscription.id, {
+      status: 'active',
+      current_period_end: periodEnd,
+      next_billing_date: periodEnd
+    });
+  }
+
+  if (membership.billing_schedule_id) {
+    const schedule = await store.billing_schedules.findById(membership.billing_schedule_id);
+    if (schedule) {
+      // The schedule is billed on the day of the month it resumes on (see
+      // ./billing-schedules)
+      await store.billing_schedules.update(schedule.id, {
+        status: 'active',
+        next_billing_date: shiftDate(schedule.next_billing_date, pausedMs),
+        metadata: JSON.stringify({ ...JSON.parse(schedule.metadata || '{}'), billing_day: undefined })
+      });
+    }
+  }
+
+  // The membership's addons were unusable while it was paused: they move
+  // out with it (the expiry sweep leaves them alone meanwhile)
+  const addons = await store.entity_addons.findAll({
+    where: { membership_id: membership.id, status: 'active', end_date: { ne: null } }
+  });
+  for (const addon of addons) {
+    await store.entity_addons.update(addon.id, { end_date: shiftDate(addon.end_date, pausedMs) });
+  }
+
+  return store.entity_memberships.update(membership.id, {
+    status: 'active',
+    end_date: shiftDate(membership.end_date, pausedMs),
+    paused_at: null,
+    resumes_at: null
+  });
+}
+
+/**
+ * Resume the paused memberships whose `resumes_at` has come. Run it
+ * periodically (e.g. hourly).
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} providers - Provider registry (see ./providers)
+ * @param {Object} options
+ * @param {Date} options.now - Defaults to the current time
+ * @returns {Promise<Object[]>} { membership_id, status, error_message } per membership
+ */
+async function resumeDueMemberships(store, providers, { now = new Date() } = {}) {
+  const due = await store.entity_memberships.findAll({
+    where: { status: 'paused', resumes_at: { lte: now.toISOString() } }
+  });
+
+  const results = [];
+  for (const membership of due) {
+    try {
+      const resumed = await resumeMembership(store, providers, { membership, now });
+      results.push({ membership_id: membership.id, status: resumed.status, error_message: null });
+    } catch (error) {
+      if (!(error instanceof PaymentProviderError)) {
+        throw error;
+      }
+      // Try again on the next run
+      console.error(`Error resuming membership ${membership.id}:`, error);
+      results.push({ membership_id: membership.id, status: 'error', error_message: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Resolve the provider of a subscription that was created with one
+ */
+async function resolveProvider(providers, subscription) {
+  if (!subscription.provider_subscription_id) {
+    return null;
+  }
+
+  const resolved = await providers.resolve(subscription.provider_id);
+  if (!resolved) {
+    throw new CheckoutError('Payment provider not available');
+  }
+  return resolved;
+}
+
+function shiftDate(date, ms) {
+  return date ? new Date(new Date(date).getTime() + ms).toISOString() : date;
+}
+
+module.exports = {
+  pauseMembership,
+  resumeMembership,
+  resumeDueMemberships
+};
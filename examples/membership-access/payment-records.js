@@ -0,0 +1,262 @@
+/**
+ * Payment Records
+ *
+ * Helpers for the Native Payments rows that membership and addon purchases
+ * reference: the customer (`external_entities`) behind subscriptions and
+ * payments, the product behind subscriptions and order items, and the
+ * payments the providers charge for subscriptions.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { recalculateTax, getTaxedAmounts, getTaxMetadata } = require('./taxes');
+const { invoiceSubscriptionPayment } = require('./invoices');
+
+/**
+ * Find the customer record of a user, organization or guest for a payment
+ * provider, creating it if it doesn't exist yet. When a provider adapter is
+ * given, the customer is also registered with the provider and its ID is
+ * stored in `payment_provider_customer_id`.
+ *
+ * A guest's own record is their customer record for its provider (or for
+ * the first provider they pay with); other providers get a record linked
+ * to it through `provider_entity_id`.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} params
+ * @param {string} params.userId - The ID of the paying user (for user purchases)
+ * @param {string} params.organizationId - The ID of the paying organization (for organization purchases)
+ * @param {Object} params.guest - The paying guest's external_entities row (for guest purchases)
+ * @param {string} params.providerId - The payment provider ID
+ * @param {Object} params.adapter - Payment provider adapter (see ./providers)
+ * @returns {Promise<Object>} The external_entities row
+ */
+async function findOrCreateCustomer(store, { userId = null, organizationId = null, guest = null, providerId, adapter = null }) {
+  if (guest) {
+    return findOrCreateGuestCustomer(store, { guest, providerId, adapter });
+  }
+
+  const where = organizationId
+    ? { organization_id: organizationId }
+    : { user_id: userId, organization_id: null };
+
+  let customer = await store.external_entities.findOne({
+    where: {
+      ...where,
+      context_type: 'payment',
+      payment_provider_id: providerId
+    }
+  });
+
+  // Customer records must reference a user or an email, so organization
+  // customers are linked to the organization's owner
+  let contact;
+  if (organizationId) {
+    const organization = await store.organizations.findById(organizationId);
+    contact = {
+      user_id: organization.owner_user_id,
+      external_name: organization.name,
+      external_email: organization.business_email
+    };
+  } else {
+    const user = await store.users.findById(userId);
+    contact = {
+      user_id: userId,
+      external_name: [user.name, user.last_name].filter(Boolean).join(' ') || null,
+      external_email: user.email
+    };
+  }
+
+  if (!customer) {
+    customer = await store.external_entities.create({
+      id: uuidv4(),
+      ...contact,
+      organization_id: organizationId,
+      context_type: 'payment',
+      payment_provider_id: providerId,
+      is_external: false
+    });
+  }
+
+  if (adapter && !customer.payment_provider_customer_id) {
+    const { provider_customer_id } = await adapter.createCustomer({
+      email: contact.external_email,
+      name: contact.external_name,
+      reference_id: customer.id,
+      metadata: organizationId ? { organization_id: organizationId } : { user_id: userId }
+    });
+
+    customer = await store.external_entities.update(customer.id, {
+      payment_provider_customer_id: provider_customer_id
+    });
+  }
+
+  return customer;
+}
+
+/**
+ * Find the customer record of a guest for a payment provider (see
+ * findOrCreateCustomer)
+ */
+async function findOrCreateGuestCustomer(store, { guest, providerId, adapter }) {
+  let customer = [null, providerId].includes(guest.payment_provider_id)
+    ? guest
+    : await store.external_entities.findOne({
+      where: { provider_entity_id: guest.id, context_type: 'payment', payment_provider_id: providerId }
+    });
+
+  if (!customer) {
+    customer = await store.external_entities.create({
+      id: uuidv4(),
+      user_id: null,
+      organization_id: guest.organization_id,
+      project_id: guest.project_id,
+      context_type: 'payment',
+      payment_provider_id: providerId,
+      provider_entity_id: guest.id,
+      is_external: true,
+      external_email: guest.external_email,
+      external_name: guest.external_name,
+      external_phone: guest.external_phone
+    });
+  } else if (!customer.payment_provider_id) {
+    customer = await store.external_entities.update(customer.id, { payment_provider_id: providerId });
+  }
+
+  if (adapter && !customer.payment_provider_customer_id) {
+    const { provider_customer_id } = await adapter.createCustomer({
+      email: customer.external_email,
+      name: customer.external_name,
+      reference_id: customer.id,
+      metadata: { guest_id: guest.id }
+    });
+
+    customer = await store.external_entities.update(customer.id, {
+      payment_provider_customer_id: provider_customer_id
+    });
+  }
+
+  return customer;
+}
+
+/**
+ * Find a product by ID, creating it from the given values if it doesn't
+ * exist yet
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} product - products row values, including `id`
+ * @returns {Promise<Object>} The products row
+ */
+async function findOrCreateProduct(store, product) {
+  const existing = await store.products.findById(product.id);
+  if (existing) {
+    return existing;
+  }
+
+  return store.products.create(product);
+}
+
+/**
+ * Record a subscription payment the provider charged (the first payment or
+ * a renewal), unless it's already recorded. The payment is recorded for
+ * the subscription's current price, counts against its coupon discount
+ * (see useDiscountCycle) and is invoiced (see ./invoices).
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} subscription - subscriptions row
+ * @param {Object} params
+ * @param {string} params.providerPaymentId - The provider's ID of the payment
+ * @param {string} params.description - Payment description
+ * @param {Object} params.adapter - The subscription's provider adapter (see ./providers)
+ * @returns {Promise<Object>} The payments row
+ */
+async function recordSubscriptionPayment(store, subscription, {
+  providerPaymentId,
+  description = 'Subscription payment',
+  adapter
+}) {
+  const existing = await store.payments.findOne({
+    where: { provider_id: subscription.provider_id, provider_payment_id: providerPaymentId }
+  });
+  if (existing) {
+    return existing;
+  }
+
+  const payment = await store.payments.create({
+    id: uuidv4(),
+    subscription_id: subscription.id,
+    user_id: subscription.user_id,
+    organization_id: subscription.organization_id,
+    is_guest_payment: Boolean(subscription.is_guest_subscription),
+    guest_email: subscription.guest_email || null,
+    payment_method_id: subscription.payment_method_id,
+    provider_id: subscription.provider_id,
+    provider_payment_id: providerPaymentId,
+    subtotal_cents: subscription.subtotal_cents,
+    tax_cents: subscription.tax_cents,
+    discount_cents: subscription.discount_cents,
+    total_cents: subscription.total_cents,
+    currency: subscription.currency,
+    status: 'succeeded',
+    description,
+    completed_at: new Date().toISOString()
+  });
+
+  await useDiscountCycle(store, adapter, subscription, payment);
+  await invoiceSubscriptionPayment(store, subscription, payment);
+  return payment;
+}
+
+/**
+ * Count a paid subscription payment against the subscription's coupon
+ * discount (see ./coupons). After the last discounted payment of a 'once'
+ * or 'repeating' coupon, the subscription goes back to its full price, at
+ * the provider too.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} adapter - The subscription's provider adapter (see ./providers)
+ * @param {Object} subscription - subscriptions row
+ * @param {Object} payment - The payments row
+ * @returns {Promise<Object>} The subscription, updated if its discount changed
+ */
+async function useDiscountCycle(store, adapter, subscription, payment) {
+  const metadata = JSON.parse(subscription.metadata || '{}');
+  const { discount } = metadata;
+  if (!discount || payment.status !== 'succeeded' || !(payment.discount_cents > 0) || discount.cycles_remaining === null) {
+    return subscription;
+  }
+
+  if (discount.cycles_remaining > 1) {
+    return store.subscriptions.update(subscription.id, {
+      metadata: JSON.stringify({ ...metadata, discount: { ...discount, cycles_remaining: discount.cycles_remaining - 1 } })
+    });
+  }
+
+  // The full price is taxed at the rates of the discounted one
+  delete metadata.discount;
+  const { tax, ...providerMetadata } = metadata;
+  const taxed = recalculateTax(tax || null, {
+    priceCents: tax ? tax.price_cents : subscription.subtotal_cents
+  });
+  if (subscription.provider_subscription_id) {
+    await adapter.updateSubscription(subscription.provider_subscription_id, {
+      product: subscription.product_id ? await store.products.findById(subscription.product_id) : null,
+      amount_cents: taxed.total_cents,
+      currency: subscription.currency,
+      billing_interval: subscription.billing_interval,
+      interval_multiplier: subscription.interval_multiplier,
+      metadata: providerMetadata
+    });
+  }
+
+  return store.subscriptions.update(subscription.id, {
+    ...getTaxedAmounts(taxed),
+    metadata: JSON.stringify(tax ? { ...metadata, tax: getTaxMetadata(taxed) } : metadata)
+  });
+}
+
+module.exports = {
+  findOrCreateCustomer,
+  findOrCreateProduct,
+  recordSubscriptionPayment,
+  useDiscountCycle
+};
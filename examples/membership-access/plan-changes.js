@@ -0,0 +1,450 @@
+/**
+ * Plan Changes
+ *
+ * Moving a recurring membership from one membership type to another.
+ * Immediate changes credit the unused time on the current plan and charge
+ * the new plan for the same time; end-of-period changes take effect when
+ * the subscription renews.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { findOrCreateProduct } = require('./payment-records');
+const { addBillingInterval, getBillingInterval, getBillingDay, latestDate } = require('./billing-periods');
+const { CheckoutError, preparePayment, chargeOrder, getPaymentAction } = require('./checkout');
+const { recalculateTax, getTaxedAmounts, getTaxMetadata } = require('./taxes');
+const { invoiceOrder } = require('./invoices');
+
+const PLAN_CHANGE_MODES = ['immediate', 'end_of_period'];
+
+/**
+ * Calculate a plan change without making it
+ *
+ * When both plans bill on the same interval, an immediate change keeps the
+ * current period: the unused share of the current price is credited and the
+ * same share of the new price is charged. When the interval changes, a new
+ * period starts now and the full new price is charged, less the credit.
+ * Credit beyond the charge is not paid out. The amount due and the new
+ * price are taxed at the rates of the subscription (see ./taxes).
+ *
+ * @param {Object} params
+ * @param {Object} params.membership - entity_memberships row
+ * @param {Object} params.subscription - The membership's subscriptions row
+ * @param {Object} params.currentType - The membership's membership_types row
+ * @param {Object} params.newType - membership_types row to change to
+ * @param {string} params.mode - 'immediate' or 'end_of_period'
+ * @param {Date} params.now - Time of the change (defaults to the current time)
+ * @returns {Object} The plan change, as returned by the API
+ */
+function calculatePlanChange({ membership, subscription, currentType, newType, mode = 'immediate', now = new Date() }) {
+  if (!PLAN_CHANGE_MODES.includes(mode)) {
+    throw new CheckoutError(`mode must be one of: ${PLAN_CHANGE_MODES.join(', ')}`);
+  }
+  if (newType.id === currentType.id) {
+    throw new CheckoutError('Membership already has this membership type');
+  }
+  if (newType.duration_type !== 'recurring') {
+    throw new CheckoutError('Memberships can only be changed to recurring membership types');
+  }
+  if (newType.currency !== subscription.currency) {
+    throw new CheckoutError('Membership types must have the same currency');
+  }
+
+  const interval = getBillingInterval(newType);
+  if (!interval) {
+    throw new CheckoutError(`Membership type ${newType.id} has no billing interval for ${newType.duration_days} days`);
+  }
+
+  const periodStart = subscription.current_period_start || membership.start_date;
+  const periodEnd = latestDate(membership.end_date, subscription.current_period_end);
+  const intervalChanged = interval.billingInterval !== subscription.billing_interval
+    || interval.intervalMultiplier !== (subscription.interval_multiplier || 1);
+
+  // Tax-inclusive subscriptions keep their price with the tax in it
+  const { tax = null } = JSON.parse(subscription.metadata || '{}');
+  const currentPrice = tax ? tax.price_cents : subscription.subtotal_cents;
+  const newPrice = newType.price_cents;
+  const nextPaymentCents = recalculateTax(tax, { priceCents: newPrice }).total_cents;
+
+  const change = {
+    mode,
+    from_membership_type_id: currentType.id,
+    to_membership_type_id: newType.id,
+    currency: subscription.currency,
+    billing_interval: interval.billingInterval,
+    interval_multiplier: interval.intervalMultiplier,
+    interval_changed: intervalChanged
+  };
+
+  if (mode === 'end_of_period') {
+    return {
+      ...change,
+      effective_at: periodEnd,
+      remaining_fraction: null,
+      credit_cents: 0,
+      charge_cents: 0,
+      amount_due_cents: 0,
+      tax_cents: 0,
+      total_due_cents: 0,
+      unused_credit_cents: 0,
+      period_start: periodEnd,
+      period_end: addBillingInterval(periodEnd, interval.billingInterval, interval.intervalMultiplier, getBillingDay(subscription)).toISOString(),
+      next_payment: { amount_cents: nextPaymentCents, date: periodEnd }
+    };
+  }
+
+  const periodLength = new Date(periodEnd) - new Date(periodStart);
+  const remaining = periodLength > 0
+    ? Math.min(1, Math.max(0, (new Date(periodEnd) - now) / periodLength))
+    : 0;
+
+  const creditCents = Math.round(currentPrice * remaining);
+  const chargeCents = intervalChanged ? newPrice : Math.round(newPrice * remaining);
+  const due = recalculateTax(tax, { priceCents: Math.max(0, chargeCents - creditCents) });
+
+  const newPeriodStart = intervalChanged ? now.toISOString() : periodStart;
+  const newPeriodEnd = intervalChanged
+    ? addBillingInterval(now, interval.billingInterval, interval.intervalMultiplier, now.getUTCDate()).toISOString()
+    : periodEnd;
+
+  return {
+    ...change,
+    effective_at: now.toISOString(),
+    remaining_fraction: Math.round(remaining * 10000) / 10000,
+    credit_cents: creditCents,
+    charge_cents: chargeCents,
+    amount_due_cents: due.price_cents,
+    tax_cents: due.tax_cents,
+    total_due_cents: due.total_cents,
+    unused_credit_cents: Math.max(0, creditCents - chargeCents),
+    period_start: newPeriodStart,
+    period_end: newPeriodEnd,
+    next_payment: { amount_cents: nextPaymentCents, date: newPeriodEnd }
+  };
+}
+
+/**
+ * Change a membership's plan: move the provider subscription to the new
+ * price, charge the amount due for immediate changes and update the
+ * subscription and membership. End-of-period changes leave both on the
+ * current plan: they are recorded as `pending_plan_change` in their
+ * metadata and applied on renewal (see applyPendingPlanChange).
+ *
+ * The provider subscription is moved back if the charge doesn't succeed.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} providers - Provider registry (see ./providers)
+ * @param {Object} params
+ * @param {Object} params.membership - entity_memberships row
+ * @param {Object} params.subscription - The membership's subscriptions row
+ * @param {Object} params.currentType - The membership's membership_types row
+ * @param {Object} params.newType - membership_types row to change to
+ * @param {string} params.mode - 'immediate' or 'end_of_period'
+ * @param {Object} params.billing - { user_id, organization_id } of the payer
+ * @param {string} params.paymentMethodId - Payment method for the amount due
+ *   (defaults to the subscription's)
+ * @param {string} params.projectId - Project the membership is for, if any
+ * @param {Date} params.now - Time of the change (defaults to the current time)
+ * @returns {Promise<Object>} { membership, planChange, charge, paymentAction }
+ */
+async function changeMembershipPlan(store, providers, {
+  membership,
+  subscription,
+  currentType,
+  newType,
+  mode = 'immediate',
+  billing,
+  paymentMethodId = null,
+  projectId = null,
+  now = new Date()
+}) {
+  const planChange = calculatePlanChange({ membership, subscription, currentType, newType, mode, now });
+
+  // The new plan is billed at its full price: a coupon discount of the
+  // current plan ends with it (at the end of the period for end-of-period
+  // changes). It is taxed at the current plan's rates.
+  const subscriptionMetadata = JSON.parse(subscription.metadata || '{}');
+  delete subscriptionMetadata.discount;
+  const { tax = null } = subscriptionMetadata;
+  const taxed = recalculateTax(tax, { priceCents: newType.price_cents });
+
+  const resolved = await providers.resolve(subscription.provider_id);
+  if (!resolved) {
+    throw new CheckoutError('Payment provider not available');
+  }
+
+  const product = await findOrCreateProduct(store, {
+    id: `membership_${newType.id}`,
+    name: newType.name,
+    description: newType.description,
+    product_type: 'subscription',
+    is_recurring: true,
+    subtotal_cents: newType.price_cents,
+    currency: newType.currency,
+    billing_interval: planChange.billing_interval,
+    metadata: JSON.stringify({
+      membership_type_id: newType.id
+    })
+  });
+
+  // Move the provider subscription to the new price; when the interval
+  // changes, the new billing cycle starts with the next payment
+  const providerSubscription = await updateProviderSubscription(resolved.adapter, subscription, {
+    product,
+    amountCents: taxed.total_cents,
+    billingInterval: planChange.billing_interval,
+    intervalMultiplier: planChange.interval_multiplier,
+    billingCycleAnchor: planChange.interval_changed ? planChange.next_payment.date : null,
+    membershipTypeId: newType.id
+  });
+
+  let charge = null;
+  if (planChange.amount_due_cents > 0) {
+    charge = await chargePlanChange(store, providers, {
+      membership,
+      subscription,
+      newType,
+      planChange,
+      billing,
+      paymentMethodId: paymentMethodId || subscription.payment_method_id,
+      projectId
+    });
+
+    if (charge.status !== 'succeeded') {
+      // Put the provider subscription back on the current plan
+      const currentProduct = await store.products.findById(subscription.product_id);
+      await updateProviderSubscription(resolved.adapter, subscription, {
+        product: currentProduct,
+        amountCents: subscription.total_cents,
+        billingInterval: subscription.billing_interval,
+        intervalMultiplier: subscription.interval_multiplier || 1,
+        billingCycleAnchor: planChange.interval_changed ? subscription.current_period_end : null,
+        membershipTypeId: currentType.id
+      });
+
+      return { membership, planChange, charge, paymentAction: getPaymentAction(charge) };
+    }
+  }
+
+  const subscriptionChanges = {
+    product_id: product.id,
+    ...getTaxedAmounts(taxed),
+    billing_interval: planChange.billing_interval,
+    interval_multiplier: planChange.interval_multiplier,
+    membership_type_id: newType.id,
+    tax: tax ? getTaxMetadata(taxed) : undefined
+  };
+  delete subscriptionMetadata.pending_plan_change;
+
+  const metadata = JSON.parse(membership.metadata || '{}');
+  delete metadata.pending_plan_change;
+
+  if (mode === 'end_of_period') {
+    // The subscription keeps billing the current plan until it renews; the
+    // changes wait in its metadata (see applyPendingPlanChange)
+    await store.subscriptions.update(subscription.id, {
+      metadata: JSON.stringify({
+        ...JSON.parse(subscription.metadata || '{}'),
+        pending_plan_change: { effective_at: planChange.effective_at, ...subscriptionChanges }
+      })
+    });
+
+    const updated = await store.entity_memberships.update(membership.id, {
+      metadata: JSON.stringify({
+        ...metadata,
+        pending_plan_change: {
+          membership_type_id: newType.id,
+          effective_at: planChange.effective_at
+        }
+      })
+    });
+
+    return {
+      membership: updated,
+      planChange,
+      charge,
+      paymentAction: getPaymentAction(providerSubscription)
+    };
+  }
+
+  await applySubscriptionChanges(store, subscription.id, subscriptionMetadata, subscriptionChanges, {
+    current_period_start: planChange.period_start,
+    current_period_end: planChange.period_end,
+    next_billing_date: planChange.period_end,
+    // A new billing cycle started now is billed on today's day
+    billingDay: planChange.interval_changed ? new Date(planChange.period_start).getUTCDate() : undefined
+  });
+
+  const updated = await store.entity_memberships.update(membership.id, {
+    membership_type_id: newType.id,
+    end_date: planChange.period_end,
+    metadata: JSON.stringify(metadata)
+  });
+
+  return {
+    membership: updated,
+    planChange,
+    charge,
+    paymentAction: getPaymentAction(providerSubscription)
+  };
+}
+
+/**
+ * Apply a membership's pending end-of-period plan change, if it is due:
+ * the membership gets the new membership type and its subscription the new
+ * product, price and billing interval
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} membership - entity_memberships row
+ * @param {Date} now - Defaults to the current time
+ * @returns {Promise<Object>} The membership, updated if a change was applied
+ */
+async function applyPendingPlanChange(store, membership, now = new Date()) {
+  const metadata = JSON.parse(membership.metadata || '{}');
+  const pending = metadata.pending_plan_change;
+  if (!pending || new Date(pending.effective_at) > now) {
+    return membership;
+  }
+
+  const subscription = membership.subscription_id
+    ? await store.subscriptions.findById(membership.subscription_id)
+    : null;
+  const subscriptionMetadata = JSON.parse((subscription && subscription.metadata) || '{}');
+  const changes = subscriptionMetadata.pending_plan_change;
+  if (changes) {
+    delete subscriptionMetadata.pending_plan_change;
+    // The new plan is billed at its full price: a coupon discount of the
+    // previous plan ends with it
+    delete subscriptionMetadata.discount;
+    delete changes.effective_at;
+    await applySubscriptionChanges(store, subscription.id, subscriptionMetadata, changes);
+  }
+
+  delete metadata.pending_plan_change;
+  return store.entity_memberships.update(membership.id, {
+    membership_type_id: pending.membership_type_id,
+    metadata: JSON.stringify(metadata)
+  });
+}
+
+/**
+ * Move a subscription to a new plan: its product, amounts and billing
+ * interval, plus `membership_type_id` and `tax` in its metadata
+ */
+async function applySubscriptionChanges(store, subscriptionId, metadata, {
+  membership_type_id: membershipTypeId,
+  tax,
+  ...columns
+}, { billingDay, ...period } = {}) {
+  return store.subscriptions.update(subscriptionId, {
+    ...columns,
+    ...period,
+    metadata: JSON.stringify({
+      ...metadata,
+      ...(billingDay ? { billing_day: billingDay } : {}),
+      membership_type_id: membershipTypeId,
+      ...(tax ? { tax } : {})
+    })
+  });
+}
+
+async function updateProviderSubscription(adapter, subscription, {
+  product,
+  amountCents,
+  billingInterval,
+  intervalMultiplier,
+  billingCycleAnchor,
+  membershipTypeId
+}) {
+  if (!subscription.provider_subscription_id) {
+    return {};
+  }
+
+  return adapter.updateSubscription(subscription.provider_subscription_id, {
+    product,
+    amount_cents: amountCents,
+    currency: subscription.currency,
+    billing_interval: billingInterval,
+    interval_multiplier: intervalMultiplier,
+    billing_cycle_anchor: billingCycleAnchor,
+    metadata: { membership_type_id: membershipTypeId }
+  });
+}
+
+/**
+ * Charge the amount due for an immediate plan change as an order, and
+ * invoice it unless the charge failed
+ */
+async function chargePlanChange(store, providers, {
+  membership,
+  subscription,
+  newType,
+  planChange,
+  billing,
+  paymentMethodId,
+  projectId
+}) {
+  const payment = await preparePayment(store, providers, {
+    billing,
+    paymentMethodId,
+    providerId: subscription.provider_id
+  });
+
+  // The amount due is taxed at the subscription's rates
+  const { tax = null } = JSON.parse(subscription.metadata || '{}');
+  const taxed = recalculateTax(tax, { priceCents: planChange.amount_due_cents });
+
+  const order = await store.orders.create({
+    id: uuidv4(),
+    order_number: `ORD-${Date.now()}`,
+    ...billing,
+    customer_id: payment.customer.id,
+    status: 'pending',
+    ...getTaxedAmounts(taxed),
+    currency: planChange.currency,
+    billing_address: taxed.address ? JSON.stringify(taxed.address) : null,
+    metadata: JSON.stringify({
+      membership_id: membership.id,
+      plan_change: planChange,
+      ...(tax ? { tax: getTaxMetadata(taxed) } : {})
+    })
+  });
+
+  await store.order_items.create({
+    id: uuidv4(),
+    order_id: order.id,
+    product_id: `membership_${newType.id}`,
+    quantity: 1,
+    unit_price_cents: planChange.amount_due_cents,
+    total_cents: planChange.amount_due_cents
+  });
+
+  const description = `Change to ${newType.name}`;
+  const { payment: orderPayment, charge } = await chargeOrder(store, payment, {
+    order,
+    billing,
+    projectId,
+    description,
+    metadata: {
+      membership_id: membership.id,
+      membership_type_id: newType.id
+    }
+  });
+
+  if (charge.status !== 'failed') {
+    await invoiceOrder(store, order, {
+      payment: orderPayment,
+      paid: charge.status === 'succeeded',
+      paymentLinkUrl: charge.approval_url || null,
+      description
+    });
+  }
+
+  return charge;
+}
+
+module.exports = {
+  PLAN_CHANGE_MODES,
+  calculatePlanChange,
+  changeMembershipPlan,
+  applyPendingPlanChange
+};
@@ -0,0 +1,412 @@
+/**
+ * Authorize.net Provider
+ *
+ * Adapter for the Authorize.net JSON API (Customer Profiles, transactions
+ * and Automated Recurring Billing), called with the global `fetch`. See
+ * docs/providers/authorize-net/integration-guide.md.
+ *
+ * Config (payment_providers.config):
+ *   { "api_login_id": "...", "transaction_key": "...", "signature_key": "...", "environment": "sandbox" }
+ *
+ * Payment methods are Accept.js opaque data values, stored as customer
+ * payment profiles.
+ *
+ * Webhook notifications (signed with X-ANET-Signature) and silent posts
+ * (form-encoded, signed with x_SHA2_Hash) can both be sent to the webhook
+ * endpoint; configure the endpoint as the silent post URL to receive ARB
+ * payment results.
+ */
+
+const { PaymentProviderError, WebhookSignatureError } = require('./errors');
+const { hmacHex, safeEqualHex, parseWebhookJson } = require('./webhook-signatures');
+
+const PROVIDER_ID = 'authorize_net';
+
+const ENDPOINTS = {
+  sandbox: 'https://apitest.authorize.net/xml/v1/request.api',
+  production: 'https://api.authorize.net/xml/v1/request.api'
+};
+
+// transactionResponse.responseCode values
+const RESPONSE_APPROVED = '1';
+const RESPONSE_DECLINED = '2';
+const RESPONSE_HELD_FOR_REVIEW = '4';
+
+// event_type recorded for silent posts, which carry none
+const SILENT_POST_EVENT_TYPE = 'silent_post';
+
+// Silent post fields covered by x_SHA2_Hash, in order
+const SILENT_POST_HASH_FIELDS = [
+  'x_trans_id', 'x_test_request', 'x_response_code', 'x_auth_code', 'x_cvv2_resp_code', 'x_cavv_response',
+  'x_avs_code', 'x_method', 'x_account_number', 'x_amount', 'x_company', 'x_first_name', 'x_last_name',
+  'x_address', 'x_city', 'x_state', 'x_zip', 'x_country', 'x_phone', 'x_fax', 'x_email', 'x_ship_to_company',
+  'x_ship_to_first_name', 'x_ship_to_last_name', 'x_ship_to_address', 'x_ship_to_city', 'x_ship_to_state',
+  'x_ship_to_zip', 'x_ship_to_country', 'x_invoice_num'
+];
+
+/**
+ * Create an Authorize.net adapter
+ *
+ * @param {Object} options
+ * @param {string} options.api_login_id - API login ID
+ * @param {string} options.transaction_key - Transaction key
+ * @param {string} options.signature_key - Signature key for webhook notifications
+ * @param {string} options.environment - 'sandbox' or 'production'
+ * @param {Function} options.fetch - fetch implementation (defaults to the global one)
+ * @returns {Object} Payment provider adapter (see ./index.js)
+ */
+function createAuthorizeNetProvider({
+  api_login_id,
+  transaction_key,
+  signature_key,
+  environment = 'sandbox',
+  fetch = globalThis.fetch
+} = {}) {
+  const endpoint = ENDPOINTS[environment] || ENDPOINTS.sandbox;
+
+  /**
+   * Send an API request. Authorize.net converts JSON requests to XML, so
+   * merchantAuthentication has to come first in every request body.
+   */
+  async function request(type, body) {
+    if (!api_login_id || !transaction_key) {
+      throw new PaymentProviderError('Authorize.net api_login_id and transaction_key are not configured', {
+        provider: PROVIDER_ID
+      });
+    }
+
+    let text;
+    try {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          [type]: {
+            merchantAuthentication: { name: api_login_id, transactionKey: transaction_key },
+            ...body
+          }
+        })
+      });
+      text = await response.text();
+    } catch (error) {
+      throw new PaymentProviderError(error.message, { provider: PROVIDER_ID, cause: error });
+    }
+
+    // Responses start with a byte order mark
+    const result = JSON.parse(text.replace(/^\uFEFF/, ''));
+    if (result.messages.resultCode !== 'Ok' && !result.transactionResponse) {
+      const message = result.messages.message[0];
+      throw new PaymentProviderError(message.text, { provider: PROVIDER_ID, code: message.code });
+    }
+    return result;
+  }
+
+  function formatAmount(amountCents) {
+    return (amountCents / 100).toFixed(2);
+  }
+
+  /**
+   * ARB schedules are expressed in days (7-365) or months (1-12)
+   */
+  function getScheduleInterval(billingInterval, intervalMultiplier) {
+    switch (billingInterval) {
+      case 'weekly':
+        return { length: String(7 * intervalMultiplier), unit: 'days' };
+      case 'monthly':
+        return { length: String(intervalMultiplier), unit: 'months' };
+      case 'yearly':
+        if (intervalMultiplier === 1) {
+          return { length: '12', unit: 'months' };
+        }
+        break;
+      default:
+        break;
+    }
+    throw new PaymentProviderError(`Authorize.net does not support ${billingInterval} x${intervalMultiplier} billing`, {
+      provider: PROVIDER_ID
+    });
+  }
+
+  function getTransactionResult(transactionResponse, amountCents, currency) {
+    const approved = transactionResponse.responseCode === RESPONSE_APPROVED;
+    const heldForReview = transactionResponse.responseCode === RESPONSE_HELD_FOR_REVIEW;
+    const error = transactionResponse.errors && transactionResponse.errors[0];
+
+    return {
+      provider_payment_id: transactionResponse.transId,
+      status: approved ? 'succeeded' : heldForReview ? 'pending' : 'failed',
+      amount_cents: amountCents,
+      currency,
+      error_message: approved || heldForReview
+        ? null
+        : error ? error.errorText : transactionResponse.responseCode === RESPONSE_DECLINED ? 'Payment declined' : 'Payment failed'
+    };
+  }
+
+  /**
+   * Verify a silent post: a form-encoded notification of a recurring (ARB)
+   * or one-time transaction, signed with x_SHA2_Hash, an HMAC-SHA512 of
+   * the hash fields keyed with the hex-decoded signature key
+   */
+  function verifySilentPost(rawBody) {
+    const fields = Object.fromEntries(new URLSearchParams(String(rawBody)));
+    const message = `^${SILENT_POST_HASH_FIELDS.map(name => fields[name] || '').join('^')}^`;
+
+    if (!safeEqualHex(hmacHex('sha512', Buffer.from(signature_key, 'hex'), message), fields.x_SHA2_Hash)) {
+      throw new WebhookSignatureError('Authorize.net silent post hash does not match', { provider: PROVIDER_ID });
+    }
+
+    // Silent posts have no notification ID; each one reports a transaction
+    return {
+      provider_event_id: fields.x_trans_id,
+      event_type: SILENT_POST_EVENT_TYPE,
+      payload: { eventType: SILENT_POST_EVENT_TYPE, fields }
+    };
+  }
+
+  return {
+    id: PROVIDER_ID,
+    retriesFailedPayments: false,
+
+    async createCustomer({ email, name, reference_id }) {
+      const result = await request('createCustomerProfileRequest', {
+        profile: {
+          // merchantCustomerId is limited to 20 characters
+          merchantCustomerId: String(reference_id).replace(/-/g, '').slice(0, 20),
+          description: name,
+          email
+        }
+      });
+
+      return { provider_customer_id: result.customerProfileId };
+    },
+
+    async attachPaymentMethod({ provider_customer_id, provider_payment_method_id, is_default = false }) {
+      const result = await request('createCustomerPaymentProfileRequest', {
+        customerProfileId: provider_customer_id,
+        paymentProfile: {
+          payment: {
+            opaqueData: {
+              dataDescriptor: 'COMMON.ACCEPT.INAPP.PAYMENT',
+              dataValue: provider_payment_method_id
+            }
+          },
+          defaultPaymentProfile: is_default
+        }
+      });
+
+      return {
+        provider_payment_method_id: result.customerPaymentProfileId,
+        payment_type: 'credit_card',
+        last_four: null,
+        card_brand: null,
+        expiry_month: null,
+        expiry_year: null
+      };
+    },
+
+    async charge({ provider_customer_id, provider_payment_method_id, amount_cents, currency, description, metadata = {} }) {
+      const result = await request('createTransactionRequest', {
+        refId: metadata.order_id ? String(metadata.order_id).replace(/-/g, '').slice(0, 20) : undefined,
+        transactionRequest: {
+          transactionType: 'authCaptureTransaction',
+          amount: formatAmount(amount_cents),
+          currencyCode: currency,
+          profile: {
+            customerProfileId: provider_customer_id,
+            paymentProfile: { paymentProfileId: provider_payment_method_id }
+          },
+          order: description ? { description: description.slice(0, 255) } : undefined
+        }
+      });
+
+      return getTransactionResult(result.transactionResponse, amount_cents, currency);
+    },
+
+    async createSubscription({
+      provider_customer_id,
+      provider_payment_method_id,
+      product,
+      amount_cents,
+      billing_interval,
+      interval_multiplier = 1,
+      trial_end = null
+    }) {
+      const interval = getScheduleInterval(billing_interval, interval_multiplier);
+      const startDate = trial_end ? new Date(trial_end) : new Date();
+
+      const result = await request('ARBCreateSubscriptionRequest', {
+        subscription: {
+          name: product.name.slice(0, 50),
+          paymentSchedule: {
+            interval,
+            startDate: startDate.toISOString().slice(0, 10),
+            totalOccurrences: '9999'
+          },
+          amount: formatAmount(amount_cents),
+          profile: {
+            customerProfileId: provider_customer_id,
+            customerPaymentProfileId: provider_payment_method_id
+          }
+        }
+      });
+
+      // ARB only reports the schedule, so the caller computes the period end
+      return {
+        provider_subscription_id: result.subscriptionId,
+        status: trial_end ? 'trialing' : 'active',
+        current_period_start: new Date().toISOString(),
+        current_period_end: null,
+        trial_end
+      };
+    },
+
+    async updateSubscription(providerSubscriptionId, { amount_cents, billing_cycle_anchor = null }) {
+      // ARB schedules can't be changed once a subscription has started
+      if (billing_cycle_anchor) {
+        throw new PaymentProviderError('Authorize.net subscriptions can\'t be moved to a new billing cycle', {
+          provider: PROVIDER_ID
+        });
+      }
+
+      await request('ARBUpdateSubscriptionRequest', {
+        subscriptionId: providerSubscriptionId,
+        subscription: { amount: formatAmount(amount_cents) }
+      });
+
+      return { provider_subscription_id: providerSubscriptionId, status: 'active' };
+    },
+
+    async cancelSubscription(providerSubscriptionId) {
+      // ARB subscriptions stop immediately; there is no cancel-at-period-end
+      await request('ARBCancelSubscriptionRequest', {
+        subscriptionId: providerSubscriptionId
+      });
+
+      return {
+        provider_subscription_id: providerSubscriptionId,
+        status: 'cancelled',
+        cancel_at_period_end: false
+      };
+    },
+
+    async reactivateSubscription() {
+      throw new PaymentProviderError('Authorize.net subscriptions can\'t be reactivated once cancelled', { provider: PROVIDER_ID });
+    },
+
+    async pauseSubscription() {
+      // ARB has no way to stop a schedule without cancelling it
+      throw new PaymentProviderError('Authorize.net subscriptions can\'t be paused', { provider: PROVIDER_ID });
+    },
+
+    async resumeSubscription() {
+      throw new PaymentProviderError('Authorize.net subscriptions can\'t be paused', { provider: PROVIDER_ID });
+    },
+
+    async refund({ provider_payment_id, amount_cents, currency, provider_customer_id, provider_payment_method_id }) {
+      const result = await request('createTransactionRequest', {
+        transactionRequest: {
+          transactionType: 'refundTransaction',
+          amount: formatAmount(amount_cents),
+          currencyCode: currency,
+          profile: {
+            customerProfileId: provider_customer_id,
+            paymentProfile: { paymentProfileId: provider_payment_method_id }
+          },
+          refTransId: provider_payment_id
+        }
+      });
+
+      const transaction = getTransactionResult(result.transactionResponse, amount_cents, currency);
+      return {
+        provider_refund_id: transaction.provider_payment_id,
+        status: transaction.status,
+        amount_cents
+      };
+    },
+
+    /**
+     * Verify the `X-ANET-Signature` header: `sha512=` followed by an
+     * HMAC-SHA512 of the body keyed with the signature key
+     */
+    async verifyWebhook({ rawBody, headers }) {
+      if (!signature_key) {
+        throw new WebhookSignatureError('Authorize.net signature_key is not configured', { provider: PROVIDER_ID });
+      }
+
+      if (!headers['x-anet-signature'] && String(headers['content-type'] || '').startsWith('application/x-www-form-urlencoded')) {
+        return verifySilentPost(rawBody);
+      }
+
+      const signature = String(headers['x-anet-signature'] || '').replace(/^sha512=/i, '');
+      if (!safeEqualHex(hmacHex('sha512', signature_key, rawBody), signature)) {
+        throw new WebhookSignatureError('Authorize.net webhook signature does not match', { provider: PROVIDER_ID });
+      }
+
+      const event = parseWebhookJson(rawBody, PROVIDER_ID);
+      return { provider_event_id: event.notificationId, event_type: event.eventType, payload: event };
+    },
+
+    translateWebhookEvent(event) {
+      if (event.eventType === SILENT_POST_EVENT_TYPE) {
+        return translateSilentPost(event);
+      }
+
+      const payload = event.payload || {};
+
+      switch (event.eventType) {
+        // Recurring charges are also sent as transaction events, but only
+        // one-time charges are stored under their transaction ID
+        case 'net.authorize.payment.authcapture.created':
+        case 'net.authorize.payment.capture.created':
+          return [{
+            type: String(payload.responseCode) === RESPONSE_APPROVED ? 'order.payment_succeeded' : 'order.payment_failed',
+            provider_payment_id: payload.id
+          }];
+
+        case 'net.authorize.payment.void.created':
+          return [{ type: 'order.cancelled', provider_payment_id: payload.id }];
+
+        case 'net.authorize.customer.subscription.suspended':
+        case 'net.authorize.customer.subscription.failed':
+          return [{ type: 'subscription.payment_failed', provider_subscription_id: payload.id }];
+
+        case 'net.authorize.customer.subscription.cancelled':
+          return [{ type: 'subscription.cancelled', provider_subscription_id: payload.id }];
+
+        case 'net.authorize.customer.subscription.terminated':
+          return [{ type: 'subscription.expired', provider_subscription_id: payload.id }];
+
+        // Refund notifications only carry the refund's own transaction ID,
+        // not the refunded one, so they can't be matched to an order
+        default:
+          return [];
+      }
+    }
+  };
+}
+
+/**
+ * Translate a silent post. ARB posts carry the subscription ID and the
+ * payment's number in the subscription, so payments after the first are
+ * renewals.
+ */
+function translateSilentPost({ fields }) {
+  const approved = fields.x_response_code === RESPONSE_APPROVED;
+
+  if (fields.x_subscription_id) {
+    let type = 'subscription.payment_failed';
+    if (approved) {
+      type = Number(fields.x_subscription_paynum) > 1 ? 'subscription.renewed' : 'subscription.payment_succeeded';
+    }
+    return [{
+      type,
+      provider_subscription_id: fields.x_subscription_id,
+      provider_payment_id: approved ? fields.x_trans_id : undefined
+    }];
+  }
+
+  return [{ type: approved ? 'order.payment_succeeded' : 'order.payment_failed', provider_payment_id: fields.x_trans_id }];
+}
+
+module.exports = { createAuthorizeNetProvider };
@@ -0,0 +1,42 @@
+/**
+ * Error thrown when a payment provider rejects a request for a reason other
+ * than a declined payment (invalid credentials, unknown customer, network
+ * failure, unsupported billing interval, ...)
+ */
+class PaymentProviderError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {string} details.provider - Provider ID
+   * @param {string} details.code - Provider error code, if any
+   * @param {Error} details.cause - Underlying error, if any
+   */
+  constructor(message, { provider, code = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'PaymentProviderError';
+    this.provider = provider;
+    this.code = code;
+  }
+}
+
+/**
+ * Error thrown when a webhook's signature can't be verified
+ */
+class WebhookSignatureError extends PaymentProviderError {
+  constructor(message, details) {
+    super(message, { code: 'invalid_signature', ...details });
+    this.name = 'WebhookSignatureError';
+  }
+}
+
+/**
+ * Error thrown when a webhook's body can't be read, e.g. isn't valid JSON
+ */
+class WebhookPayloadError extends PaymentProviderError {
+  constructor(message, details) {
+    super(message, { code: 'invalid_payload', ...details });
+    this.name = 'WebhookPayloadError';
+  }
+}
+
+module.exports = { PaymentProviderError, WebhookSignatureError, WebhookPayloadError };
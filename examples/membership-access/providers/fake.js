@@ -0,0 +1,260 @@
+/**
+ * Fake Provider
+ *
+ * Deterministic in-memory provider for local development and tests. It
+ * never calls out to the network: IDs are sequential (`fake_cus_1`,
+ * `fake_ch_1`, ...) and outcomes depend only on the payment method token,
+ * in the spirit of Stripe's test cards:
+ *
+ * - tokens containing `declined` fail with "Your card was declined"
+ * - tokens containing `requires_action` need customer action
+ * - any other token succeeds
+ *
+ * Webhooks are signed with an `X-Fake-Signature` header holding the
+ * HMAC-SHA256 of the body (see signWebhook). Their type is already a
+ * canonical event type, and their data names the provider ID it refers to:
+ *
+ *   { "id": "evt_1", "type": "subscription.renewed", "data": { "provider_subscription_id": "fake_sub_1" } }
+ *   { "id": "evt_2", "type": "order.refunded", "data": { "provider_payment_id": "fake_ch_1" } }
+ *
+ * Config (payment_providers.config):
+ *   { "adapter": "fake", "webhook_secret": "whsec_fake" }
+ */
+
+const { PaymentProviderError, WebhookSignatureError } = require('./errors');
+const { hmacHex, safeEqualHex, parseWebhookJson } = require('./webhook-signatures');
+const { addBillingInterval } = require('../billing-periods');
+
+const PROVIDER_ID = 'fake';
+
+/**
+ * Create a fake adapter
+ *
+ * @param {Object} options
+ * @param {string} options.webhook_secret - Webhook signing secret
+ * @param {Function} options.now - Clock (defaults to the current time)
+ * @returns {Object} Payment provider adapter (see ./index.js), plus
+ *   `charges`, `subscriptions` and `refunds` maps for inspection and
+ *   `signWebhook(rawBody)` to sign test webhooks
+ */
+function createFakeProvider({ webhook_secret = 'whsec_fake', now = () => new Date() } = {}) {
+  const sequences = {};
+  const charges = new Map();
+  const subscriptions = new Map();
+  const refunds = new Map();
+
+  function nextId(prefix) {
+    sequences[prefix] = (sequences[prefix] || 0) + 1;
+    return `fake_${prefix}_${sequences[prefix]}`;
+  }
+
+  function getSubscription(providerSubscriptionId) {
+    const subscription = subscriptions.get(providerSubscriptionId);
+    if (!subscription) {
+      throw new PaymentProviderError(`No such subscription: ${providerSubscriptionId}`, {
+        provider: PROVIDER_ID,
+        code: 'resource_missing'
+      });
+    }
+    return subscription;
+  }
+
+  function outcome(token = '') {
+    if (token.includes('declined')) {
+      return 'failed';
+    }
+    if (token.includes('requires_action')) {
+      return 'requires_action';
+    }
+    return 'succeeded';
+  }
+
+  return {
+    id: PROVIDER_ID,
+    retriesFailedPayments: false,
+    charges,
+    subscriptions,
+    refunds,
+
+    async createCustomer() {
+      return { provider_customer_id: nextId('cus') };
+    },
+
+    async attachPaymentMethod({ provider_payment_method_id }) {
+      return {
+        provider_payment_method_id,
+        payment_type: 'credit_card',
+        last_four: '4242',
+        card_brand: 'visa',
+        expiry_month: '12',
+        expiry_year: String(now().getUTCFullYear() + 1)
+      };
+    },
+
+    async charge({ provider_payment_method_id, amount_cents, currency }) {
+      const status = outcome(provider_payment_method_id);
+      const charge = {
+        provider_payment_id: nextId('ch'),
+        status,
+        amount_cents,
+        currency,
+        client_secret: status === 'requires_action' ? nextId('secret') : null,
+        error_message: status === 'failed' ? 'Your card was declined' : null
+      };
+
+      charges.set(charge.provider_payment_id, { ...charge, refunded_cents: 0 });
+      return charge;
+    },
+
+    async createSubscription({
+      provider_payment_method_id,
+      amount_cents,
+      currency,
+      billing_interval,
+      interval_multiplier = 1,
+      trial_end = null
+    }) {
+      const start = now();
+      const result = outcome(provider_payment_method_id);
+      const status = trial_end ? 'trialing' : result === 'succeeded' ? 'active' : 'incomplete';
+
+      // The first period is charged right away unless there's a trial
+      let providerPaymentId = null;
+      if (status === 'active') {
+        providerPaymentId = nextId('ch');
+        charges.set(providerPaymentId, {
+          provider_payment_id: providerPaymentId,
+          status: 'succeeded',
+          amount_cents,
+          currency,
+          refunded_cents: 0
+        });
+      }
+
+      const subscription = {
+        provider_subscription_id: nextId('sub'),
+        status,
+        current_period_start: start.toISOString(),
+        current_period_end: (trial_end ? new Date(trial_end) : addBillingInterval(start, billing_interval, interval_multiplier)).toISOString(),
+        trial_end,
+        provider_payment_id: providerPaymentId,
+        client_secret: status === 'incomplete' && result === 'requires_action' ? nextId('secret') : null,
+        error_message: status === 'incomplete' && result === 'failed' ? 'Your card was declined' : null
+      };
+
+      subscriptions.set(subscription.provider_subscription_id, {
+        ...subscription,
+        amount_cents,
+        billing_interval,
+        interval_multiplier,
+        cancel_at_period_end: false
+      });
+      return subscription;
+    },
+
+    async updateSubscription(providerSubscriptionId, {
+      amount_cents,
+      billing_interval,
+      interval_multiplier = 1,
+      billing_cycle_anchor = null
+    }) {
+      const subscription = getSubscription(providerSubscriptionId);
+
+      Object.assign(subscription, { amount_cents, billing_interval, interval_multiplier });
+      if (billing_cycle_anchor) {
+        subscription.current_period_end = new Date(billing_cycle_anchor).toISOString();
+      }
+
+      return { provider_subscription_id: providerSubscriptionId, status: subscription.status };
+    },
+
+    async cancelSubscription(providerSubscriptionId, { atPeriodEnd = true } = {}) {
+      const subscription = getSubscription(providerSubscriptionId);
+
+      subscription.cancel_at_period_end = atPeriodEnd;
+      if (!atPeriodEnd) {
+        subscription.status = 'cancelled';
+      }
+
+      return {
+        provider_subscription_id: providerSubscriptionId,
+        status: subscription.status,
+        cancel_at_period_end: atPeriodEnd
+      };
+    },
+
+    async reactivateSubscription(providerSubscriptionId) {
+      const subscription = getSubscription(providerSubscriptionId);
+      if (subscription.status === 'cancelled') {
+        throw new PaymentProviderError(`Subscription is cancelled: ${providerSubscriptionId}`, { provider: PROVIDER_ID });
+      }
+
+      subscription.cancel_at_period_end = false;
+      return {
+        provider_subscription_id: providerSubscriptionId,
+        status: subscription.status,
+        cancel_at_period_end: false
+      };
+    },
+
+    async pauseSubscription(providerSubscriptionId) {
+      const subscription = getSubscription(providerSubscriptionId);
+
+      subscription.status = 'paused';
+      return { provider_subscription_id: providerSubscriptionId, status: subscription.status };
+    },
+
+    async resumeSubscription(providerSubscriptionId, { billing_cycle_anchor = null } = {}) {
+      const subscription = getSubscription(providerSubscriptionId);
+
+      subscription.status = 'active';
+      if (billing_cycle_anchor) {
+        subscription.current_period_end = new Date(billing_cycle_anchor).toISOString();
+      }
+      return { provider_subscription_id: providerSubscriptionId, status: subscription.status };
+    },
+
+    async refund({ provider_payment_id, amount_cents }) {
+      const charge = charges.get(provider_payment_id);
+      if (!charge || charge.status !== 'succeeded') {
+        throw new PaymentProviderError(`No refundable charge: ${provider_payment_id}`, {
+          provider: PROVIDER_ID,
+          code: 'charge_not_refundable'
+        });
+      }
+
+      const amount = amount_cents === undefined ? charge.amount_cents - charge.refunded_cents : amount_cents;
+      if (amount > charge.amount_cents - charge.refunded_cents) {
+        throw new PaymentProviderError('Refund amount exceeds the remaining charge amount', {
+          provider: PROVIDER_ID,
+          code: 'amount_too_large'
+        });
+      }
+
+      charge.refunded_cents += amount;
+      const refund = { provider_refund_id: nextId('re'), status: 'succeeded', amount_cents: amount };
+      refunds.set(refund.provider_refund_id, { ...refund, provider_payment_id });
+      return refund;
+    },
+
+    signWebhook(rawBody) {
+      return hmacHex('sha256', webhook_secret, rawBody);
+    },
+
+    async verifyWebhook({ rawBody, headers }) {
+      if (!safeEqualHex(hmacHex('sha256', webhook_secret, rawBody), headers['x-fake-signature'])) {
+        throw new WebhookSignatureError('Fake webhook signature does not match', { provider: PROVIDER_ID });
+      }
+
+      const event = parseWebhookJson(rawBody, PROVIDER_ID);
+      return { provider_event_id: event.id, event_type: event.type, payload: event };
+    },
+
+    translateWebhookEvent(event) {
+      const { provider_subscription_id, provider_payment_id } = event.data || {};
+      return [{ type: event.type, provider_subscription_id, provider_payment_id }];
+    }
+  };
+}
+
+module.exports = { createFakeProvider };
@@ -0,0 +1,165 @@
+/**
+ * Payment Providers
+ *
+ * Adapters that talk to the payment providers listed in the
+ * `payment_providers` table. Every adapter exposes the same methods, with
+ * amounts in cents and results in the column names of the payment tables:
+ *
+ * - createCustomer({ email, name, reference_id, metadata })
+ *     → { provider_customer_id }
+ * - attachPaymentMethod({ provider_customer_id, provider_payment_method_id, is_default })
+ *     → { provider_payment_method_id, payment_type, last_four, card_brand, expiry_month, expiry_year }
+ * - charge({ provider_customer_id, provider_payment_method_id, amount_cents, currency, description, metadata })
+ *     → { provider_payment_id, status, amount_cents, currency, client_secret, approval_url, error_message }
+ * - createSubscription({ provider_customer_id, provider_payment_method_id, product, amount_cents, currency,
+ *                        billing_interval, interval_multiplier, trial_end, metadata })
+ *     → { provider_subscription_id, status, current_period_start, current_period_end, trial_end, provider_payment_id,
+ *         client_secret, approval_url, error_message }
+ * - updateSubscription(providerSubscriptionId, { product, amount_cents, currency, billing_interval,
+ *                                              interval_multiplier, billing_cycle_anchor, metadata })
+ *     → { provider_subscription_id, status, approval_url }
+ * - cancelSubscription(providerSubscriptionId, { atPeriodEnd })
+ *     → { provider_subscription_id, status, cancel_at_period_end }
+ * - reactivateSubscription(providerSubscriptionId)
+ *     → { provider_subscription_id, status, cancel_at_period_end }
+ * - pauseSubscription(providerSubscriptionId)
+ *     → { provider_subscription_id, status }
+ * - resumeSubscription(providerSubscriptionId, { billing_cycle_anchor })
+ *     → { provider_subscription_id, status }
+ * - refund({ provider_payment_id, amount_cents, currency, reason, provider_customer_id, provider_payment_method_id })
+ *     → { provider_refund_id, status, amount_cents }
+ * - verifyWebhook({ rawBody, headers })
+ *     → { provider_event_id, event_type, payload }
+ * - translateWebhookEvent(payload)
+ *     → [{ type, provider_subscription_id, provider_payment_id, current_period_end }]
+ *
+ * `charge` statuses follow `payments.status` ('succeeded', 'pending',
+ * 'requires_action', 'failed'); declined charges resolve with status
+ * 'failed' and an `error_message`. `createSubscription` statuses follow
+ * `subscriptions.status` ('active', 'trialing', 'incomplete'); an
+ * incomplete subscription has a `client_secret` or `approval_url` when the
+ * customer can complete its first payment, and an `error_message` when it
+ * was declined. Requests the provider rejects for any other reason throw a
+ * PaymentProviderError. Webhooks whose signature doesn't verify throw a
+ * WebhookSignatureError, and webhooks whose body isn't valid JSON a
+ * WebhookPayloadError.
+ *
+ * `updateSubscription` switches a subscription to a new price from its
+ * next charge on, without charging or crediting the customer (plan change
+ * proration is charged separately). With a `billing_cycle_anchor` the next
+ * charge moves to that date; providers that can't reschedule throw.
+ *
+ * Adapters also set `retriesFailedPayments`: true when the provider retries
+ * failed subscription payments itself and reports each attempt by webhook.
+ * Failed payments of the other providers are retried with `charge` by the
+ * dunning job (see ../dunning.js).
+ *
+ * `reactivateSubscription` undoes a cancellation at the end of the period;
+ * providers that cancel right away (PayPal, Authorize.net) throw.
+ *
+ * `pauseSubscription` stops charging a subscription until
+ * `resumeSubscription`, which moves the next charge to the
+ * `billing_cycle_anchor`; providers that can't reschedule resume on the
+ * subscription's own schedule, and providers that can't pause throw.
+ *
+ * `createSubscription` returns the `provider_payment_id` of the first
+ * payment when the provider charges it right away, so it can be recorded
+ * and refunded.
+ *
+ * `translateWebhookEvent` maps a verified webhook's native payload to
+ * canonical event types ('subscription.renewed', 'order.refunded', ...; see
+ * handleWebhookEvent in ../api-integration.js), each naming the provider
+ * subscription or payment ID it refers to and, for renewals, the end of
+ * the paid period if the provider reports it. Subscription payment events
+ * also carry the payment's `provider_payment_id` when the provider reports
+ * one. Events with no canonical counterpart translate to an empty list.
+ * Sample payloads for each provider are in ./fixtures.
+ *
+ * Each `payment_providers` row selects its adapter with `config.adapter`
+ * (defaulting to the row ID) and passes the rest of `config` to it, e.g.
+ *
+ *   { "adapter": "stripe", "secret_key": "sk_test_...", "is_default": true }
+ *
+ * The provider marked `is_default` is used when a request doesn't name one.
+ */
+
+const { PaymentProviderError, WebhookSignatureError, WebhookPayloadError } = require('./errors');
+const { createStripeProvider } = require('./stripe');
+const { createPayPalProvider } = require('./paypal');
+const { createAuthorizeNetProvider } = require('./authorize-net');
+const { createFakeProvider } = require('./fake');
+
+const ADAPTERS = {
+  stripe: createStripeProvider,
+  paypal: createPayPalProvider,
+  authorize_net: createAuthorizeNetProvider,
+  fake: createFakeProvider
+};
+
+/**
+ * Create the registry that resolves `payment_providers` rows to adapters
+ *
+ * @param {Object} options
+ * @param {Object} options.store - Data-access layer (see ../store)
+ * @param {Object} options.adapters - Adapter instances by provider ID, used
+ *   instead of building one from the provider's config (e.g. in tests)
+ * @returns {Object} { resolve(providerId) }
+ */
+function createProviderRegistry({ store, adapters = {} }) {
+  const instances = new Map(Object.entries(adapters));
+
+  function getAdapter(provider, config) {
+    if (!instances.has(provider.id)) {
+      const { adapter: adapterName = provider.id, ...options } = config;
+      const createAdapter = ADAPTERS[adapterName];
+      if (!createAdapter) {
+        throw new PaymentProviderError(`Unknown payment provider adapter: ${adapterName}`, { provider: provider.id });
+      }
+      instances.set(provider.id, createAdapter(options));
+    }
+    return instances.get(provider.id);
+  }
+
+  /**
+   * Resolve a payment provider and its adapter
+   *
+   * @param {string} [providerId] - Provider ID from the request; the default
+   *   provider is used when omitted
+   * @returns {Promise<Object|null>} { provider, adapter }, or null if the
+   *   provider doesn't exist or isn't active
+   */
+  async function resolve(providerId) {
+    const providers = await store.payment_providers.findAll({
+      where: providerId ? { id: providerId, is_active: true } : { is_active: true },
+      order: [['id', 'ASC']]
+    });
+
+    const provider = providerId
+      ? providers[0]
+      : providers.find(row => parseConfig(row).is_default) || (providers.length === 1 ? providers[0] : null);
+
+    if (!provider) {
+      return null;
+    }
+
+    return { provider, adapter: getAdapter(provider, parseConfig(provider)) };
+  }
+
+  return { resolve };
+}
+
+function parseConfig(provider) {
+  return JSON.parse(provider.config || '{}');
+}
+
+module.exports = {
+  ADAPTERS,
+  PaymentProviderError,
+  WebhookSignatureError,
+  WebhookPayloadError,
+  createProviderRegistry,
+  createStripeProvider,
+  createPayPalProvider,
+  createAuthorizeNetProvider,
+  createFakeProvider
+};
@@ -0,0 +1,422 @@
+/**
+ * PayPal Provider
+ *
+ * Adapter for the PayPal REST API (Orders v2, Payments v2, Vault v3 and
+ * Subscriptions v1), called with the global `fetch`. See
+ * docs/providers/paypal/integration-guide.md.
+ *
+ * Config (payment_providers.config):
+ *   { "client_id": "...", "client_secret": "...", "webhook_id": "...", "environment": "sandbox" }
+ *
+ * PayPal has no standalone customer object: customers are created when a
+ * payment token is vaulted, so createCustomer returns the merchant's own
+ * reference as the customer ID. Charges and subscriptions that need the
+ * buyer's approval resolve with status 'requires_action' / 'incomplete' and
+ * an `approval_url` to redirect the buyer to.
+ */
+
+const { PaymentProviderError, WebhookSignatureError } = require('./errors');
+const { parseWebhookJson } = require('./webhook-signatures');
+
+const PROVIDER_ID = 'paypal';
+
+const BASE_URLS = {
+  sandbox: 'https://api-m.sandbox.paypal.com',
+  production: 'https://api-m.paypal.com'
+};
+
+// billing_interval → PayPal billing cycle interval unit
+const INTERVALS = {
+  daily: 'DAY',
+  weekly: 'WEEK',
+  monthly: 'MONTH',
+  yearly: 'YEAR'
+};
+
+// Subscription status → subscriptions.status
+const SUBSCRIPTION_STATUSES = {
+  APPROVAL_PENDING: 'incomplete',
+  APPROVED: 'incomplete',
+  ACTIVE: 'active',
+  SUSPENDED: 'past_due',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'cancelled'
+};
+
+/**
+ * Create a PayPal adapter
+ *
+ * @param {Object} options
+ * @param {string} options.client_id - PayPal REST app client ID
+ * @param {string} options.client_secret - PayPal REST app secret
+ * @param {string} options.webhook_id - ID of the webhook registered for this app
+ * @param {string} options.environment - 'sandbox' or 'production'
+ * @param {Function} options.fetch - fetch implementation (defaults to the global one)
+ * @returns {Object} Payment provider adapter (see ./index.js)
+ */
+function createPayPalProvider({
+  client_id,
+  client_secret,
+  webhook_id,
+  environment = 'sandbox',
+  fetch = globalThis.fetch
+} = {}) {
+  const baseUrl = BASE_URLS[environment] || BASE_URLS.sandbox;
+  let accessToken = null;
+  let accessTokenExpiresAt = 0;
+
+  async function getAccessToken() {
+    if (accessToken && Date.now() < accessTokenExpiresAt) {
+      return accessToken;
+    }
+    if (!client_id || !client_secret) {
+      throw new PaymentProviderError('PayPal client_id and client_secret are not configured', { provider: PROVIDER_ID });
+    }
+
+    const response = await fetch(`${baseUrl}/v1/oauth2/token`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${client_id}:${client_secret}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: 'grant_type=client_credentials'
+    });
+    const body = await response.json();
+    if (!response.ok) {
+      throw new PaymentProviderError(body.error_description || 'PayPal authentication failed', {
+        provider: PROVIDER_ID,
+        code: body.error
+      });
+    }
+
+    accessToken = body.access_token;
+    // Refresh a minute before the token expires
+    accessTokenExpiresAt = Date.now() + (body.expires_in - 60) * 1000;
+    return accessToken;
+  }
+
+  async function request(method, path, body) {
+    let response;
+    try {
+      response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${await getAccessToken()}`,
+          'Content-Type': 'application/json',
+          Prefer: 'return=representation'
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch (error) {
+      throw new PaymentProviderError(error.message, { provider: PROVIDER_ID, cause: error });
+    }
+
+    const text = await response.text();
+    const result = text ? JSON.parse(text) : {};
+    if (!response.ok) {
+      const detail = result.details && result.details[0];
+      throw new PaymentProviderError(detail ? detail.description : result.message || `PayPal request failed: ${path}`, {
+        provider: PROVIDER_ID,
+        code: detail ? detail.issue : result.name
+      });
+    }
+    return result;
+  }
+
+  function formatAmount(amountCents, currency) {
+    return { currency_code: currency, value: (amountCents / 100).toFixed(2) };
+  }
+
+  function findLink(links = [], ...relations) {
+    const link = links.find(candidate => relations.includes(candidate.rel));
+    return link ? link.href : null;
+  }
+
+  /**
+   * Create the catalog product and billing plan for a subscription. PayPal
+   * plans carry the price and interval, so one is created per combination.
+   */
+  async function createPlan({ product, amount_cents, currency, billing_interval, interval_multiplier }) {
+    const catalogProduct = await request('POST', '/v1/catalogs/products', {
+      name: product.name,
+      type: 'SERVICE'
+    });
+
+    return request('POST', '/v1/billing/plans', {
+      product_id: catalogProduct.id,
+      name: product.name,
+      billing_cycles: [{
+        frequency: { interval_unit: INTERVALS[billing_interval], interval_count: interval_multiplier },
+        tenure_type: 'REGULAR',
+        sequence: 1,
+        total_cycles: 0,
+        pricing_scheme: { fixed_price: formatAmount(amount_cents, currency) }
+      }],
+      payment_preferences: { auto_bill_outstanding: true }
+    });
+  }
+
+  return {
+    id: PROVIDER_ID,
+    // PayPal retries failed payments itself and bills what stays
+    // outstanding with the next cycle (auto_bill_outstanding)
+    retriesFailedPayments: true,
+
+    async createCustomer({ reference_id }) {
+      return { provider_customer_id: reference_id };
+    },
+
+    async attachPaymentMethod({ provider_customer_id, provider_payment_method_id }) {
+      // Exchange the approved setup token for a vaulted payment token
+      const token = await request('POST', '/v3/vault/payment-tokens', {
+        customer: { id: provider_customer_id },
+        payment_source: {
+          token: { id: provider_payment_method_id, type: 'SETUP_TOKEN' }
+        }
+      });
+
+      const card = token.payment_source && token.payment_source.card;
+      return {
+        provider_payment_method_id: token.id,
+        payment_type: card ? 'credit_card' : 'paypal',
+        last_four: card ? card.last_digits : null,
+        card_brand: card ? card.brand.toLowerCase() : null,
+        expiry_month: card && card.expiry ? card.expiry.split('-')[1] : null,
+        expiry_year: card && card.expiry ? card.expiry.split('-')[0] : null
+      };
+    },
+
+    async charge({ provider_payment_method_id, amount_cents, currency, description, metadata = {} }) {
+      let order = await request('POST', '/v2/checkout/orders', {
+        intent: 'CAPTURE',
+        purchase_units: [{
+          amount: formatAmount(amount_cents, currency),
+          description,
+          custom_id: metadata.order_id
+        }],
+        payment_source: {
+          paypal: { vault_id: provider_payment_method_id }
+        }
+      });
+
+      if (order.status === 'APPROVED') {
+        order = await request('POST', `/v2/checkout/orders/${order.id}/capture`);
+      }
+
+      if (order.status !== 'COMPLETED') {
+        return {
+          provider_payment_id: order.id,
+          status: 'requires_action',
+          amount_cents,
+          currency,
+          approval_url: findLink(order.links, 'payer-action', 'approve')
+        };
+      }
+
+      // Refunds reference the capture, not the order
+      const capture = order.purchase_units[0].payments.captures[0];
+      return {
+        provider_payment_id: capture.id,
+        status: capture.status === 'COMPLETED' ? 'succeeded' : capture.status === 'DECLINED' ? 'failed' : 'pending',
+        amount_cents: Math.round(parseFloat(capture.amount.value) * 100),
+        currency: capture.amount.currency_code,
+        error_message: capture.status === 'DECLINED' ? 'Payment declined by PayPal' : null
+      };
+    },
+
+    async createSubscription({
+      product,
+      amount_cents,
+      currency,
+      billing_interval,
+      interval_multiplier = 1,
+      trial_end = null,
+      metadata = {}
+    }) {
+      const plan = await createPlan({ product, amount_cents, currency, billing_interval, interval_multiplier });
+
+      const subscription = await request('POST', '/v1/billing/subscriptions', {
+        plan_id: plan.id,
+        start_time: trial_end || undefined,
+        custom_id: metadata.membership_type_id || metadata.feature_id
+      });
+
+      const billingInfo = subscription.billing_info || {};
+      return {
+        provider_subscription_id: subscription.id,
+        status: SUBSCRIPTION_STATUSES[subscription.status] || 'incomplete',
+        current_period_start: subscription.start_time || new Date().toISOString(),
+        current_period_end: billingInfo.next_billing_time || null,
+        trial_end,
+        approval_url: findLink(subscription.links, 'approve')
+      };
+    },
+
+    async updateSubscription(providerSubscriptionId, {
+      product,
+      amount_cents,
+      currency,
+      billing_interval,
+      interval_multiplier = 1,
+      billing_cycle_anchor = null
+    }) {
+      // Revisions take effect at the next billing date
+      if (billing_cycle_anchor) {
+        throw new PaymentProviderError('PayPal subscriptions can\'t be moved to a new billing cycle', {
+          provider: PROVIDER_ID
+        });
+      }
+
+      const plan = await createPlan({ product, amount_cents, currency, billing_interval, interval_multiplier });
+      const revision = await request('POST', `/v1/billing/subscriptions/${providerSubscriptionId}/revise`, {
+        plan_id: plan.id
+      });
+
+      // Buyers have to approve revisions that raise the price
+      const approvalUrl = findLink(revision.links, 'approve');
+      return {
+        provider_subscription_id: providerSubscriptionId,
+        status: approvalUrl ? 'incomplete' : 'active',
+        approval_url: approvalUrl
+      };
+    },
+
+    async cancelSubscription(providerSubscriptionId) {
+      // PayPal cancels immediately; there is no cancel-at-period-end
+      await request('POST', `/v1/billing/subscriptions/${providerSubscriptionId}/cancel`, {
+        reason: 'Cancelled by customer'
+      });
+
+      return {
+        provider_subscription_id: providerSubscriptionId,
+        status: 'cancelled',
+        cancel_at_period_end: false
+      };
+    },
+
+    async reactivateSubscription() {
+      // Cancelled PayPal subscriptions can't be reactivated
+      throw new PaymentProviderError('PayPal subscriptions can\'t be reactivated once cancelled', { provider: PROVIDER_ID });
+    },
+
+    async pauseSubscription(providerSubscriptionId) {
+      await request('POST', `/v1/billing/subscriptions/${providerSubscriptionId}/suspend`, {
+        reason: 'Paused by customer'
+      });
+
+      return { provider_subscription_id: providerSubscriptionId, status: 'paused' };
+    },
+
+    async resumeSubscription(providerSubscriptionId) {
+      // PayPal bills again on the subscription's own schedule; the next
+      // billing date can't be moved
+      await request('POST', `/v1/billing/subscriptions/${providerSubscriptionId}/activate`, {
+        reason: 'Resumed by customer'
+      });
+
+      return { provider_subscription_id: providerSubscriptionId, status: 'active' };
+    },
+
+    async refund({ provider_payment_id, amount_cents, currency, reason }) {
+      const refund = await request('POST', `/v2/payments/captures/${provider_payment_id}/refund`, {
+        amount: amount_cents ? formatAmount(amount_cents, currency) : undefined,
+        note_to_payer: reason
+      });
+
+      return {
+        provider_refund_id: refund.id,
+        status: refund.status === 'COMPLETED' ? 'succeeded' : refund.status === 'PENDING' ? 'pending' : 'failed',
+        amount_cents: refund.amount ? Math.round(parseFloat(refund.amount.value) * 100) : amount_cents
+      };
+    },
+
+    /**
+     * Verify the PayPal-Transmission-* headers with PayPal's
+     * verify-webhook-signature API
+     */
+    async verifyWebhook({ rawBody, headers }) {
+      if (!webhook_id) {
+        throw new WebhookSignatureError('PayPal webhook_id is not configured', { provider: PROVIDER_ID });
+      }
+
+      const event = parseWebhookJson(rawBody, PROVIDER_ID);
+      const result = await request('POST', '/v1/notifications/verify-webhook-signature', {
+        auth_algo: headers['paypal-auth-algo'],
+        cert_url: headers['paypal-cert-url'],
+        transmission_id: headers['paypal-transmission-id'],
+        transmission_sig: headers['paypal-transmission-sig'],
+        transmission_time: headers['paypal-transmission-time'],
+        webhook_id,
+        webhook_event: event
+      });
+
+      if (result.verification_status !== 'SUCCESS') {
+        throw new WebhookSignatureError('PayPal webhook signature does not match', { provider: PROVIDER_ID });
+      }
+
+      return { provider_event_id: event.id, event_type: event.event_type, payload: event };
+    },
+
+    translateWebhookEvent(event) {
+      const resource = event.resource || {};
+
+      switch (event.event_type) {
+        // Subscription payments are sales against the billing agreement,
+        // the first one included. BILLING.SUBSCRIPTION.ACTIVATED isn't
+        // translated: the first sale comes with it.
+        case 'PAYMENT.SALE.COMPLETED':
+          return resource.billing_agreement_id
+            ? [{
+              type: 'subscription.renewed',
+              provider_subscription_id: resource.billing_agreement_id,
+              provider_payment_id: resource.id
+            }]
+            : [];
+
+        case 'PAYMENT.SALE.DENIED':
+          return resource.billing_agreement_id
+            ? [{ type: 'subscription.payment_failed', provider_subscription_id: resource.billing_agreement_id }]
+            : [];
+
+        case 'BILLING.SUBSCRIPTION.PAYMENT.FAILED':
+          return [{ type: 'subscription.payment_failed', provider_subscription_id: resource.id }];
+
+        case 'BILLING.SUBSCRIPTION.CANCELLED':
+          return [{ type: 'subscription.cancelled', provider_subscription_id: resource.id }];
+
+        case 'BILLING.SUBSCRIPTION.EXPIRED':
+          return [{ type: 'subscription.expired', provider_subscription_id: resource.id }];
+
+        // Captured charges are stored under the capture ID, charges that
+        // needed approval under the order ID
+        case 'PAYMENT.CAPTURE.COMPLETED':
+          return [{ type: 'order.payment_succeeded', provider_payment_id: getCaptureIds(resource) }];
+
+        case 'PAYMENT.CAPTURE.DENIED':
+          return [{ type: 'order.payment_failed', provider_payment_id: getCaptureIds(resource) }];
+
+        case 'PAYMENT.CAPTURE.REFUNDED': {
+          // The resource is the refund; its `up` link points at the capture
+          const captureUrl = findLink(resource.links, 'up');
+          return captureUrl
+            ? [{ type: 'order.refunded', provider_payment_id: captureUrl.split('/').pop() }]
+            : [];
+        }
+
+        default:
+          return [];
+      }
+    }
+  };
+}
+
+/**
+ * IDs a capture's payment may be stored under: the capture ID and the ID
+ * of the order it belongs to
+ */
+function getCaptureIds(capture) {
+  const relatedIds = (capture.supplementary_data && capture.supplementary_data.related_ids) || {};
+  return [capture.id, relatedIds.order_id].filter(Boolean);
+}
+
+module.exports = { createPayPalProvider };
@@ -0,0 +1,453 @@
+/**
+ * Stripe Provider
+ *
+ * Adapter for the Stripe API through the official `stripe` package
+ * (npm install stripe). See docs/providers/stripe/integration-guide.md.
+ *
+ * Config (payment_providers.config):
+ *   { "secret_key": "sk_test_...", "webhook_secret": "whsec_...", "api_version": "2023-10-16" }
+ */
+
+const { PaymentProviderError, WebhookSignatureError } = require('./errors');
+const { hmacHex, safeEqualHex, parseWebhookJson } = require('./webhook-signatures');
+
+const PROVIDER_ID = 'stripe';
+
+// billing_interval → Stripe recurring interval
+const INTERVALS = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month',
+  yearly: 'year'
+};
+
+// PaymentIntent status → payments.status
+const PAYMENT_STATUSES = {
+  succeeded: 'succeeded',
+  processing: 'processing',
+  requires_action: 'requires_action',
+  requires_confirmation: 'requires_confirmation',
+  requires_payment_method: 'failed',
+  canceled: 'failed'
+};
+
+// Subscription status → subscriptions.status
+const SUBSCRIPTION_STATUSES = {
+  active: 'active',
+  trialing: 'trialing',
+  past_due: 'past_due',
+  unpaid: 'past_due',
+  incomplete: 'incomplete',
+  incomplete_expired: 'incomplete_expired',
+  paused: 'paused',
+  canceled: 'cancelled'
+};
+
+/**
+ * Create a Stripe adapter
+ *
+ * @param {Object} options
+ * @param {string} options.secret_key - Stripe secret API key
+ * @param {string} options.webhook_secret - Webhook endpoint signing secret
+ * @param {number} options.webhook_tolerance_seconds - Maximum age of a signed webhook
+ * @param {string} options.api_version - Stripe API version
+ * @param {Object} options.client - Stripe client to use instead of creating one
+ * @returns {Object} Payment provider adapter (see ./index.js)
+ */
+function createStripeProvider({
+  secret_key,
+  webhook_secret,
+  webhook_tolerance_seconds = 300,
+  api_version = '2023-10-16',
+  client
+} = {}) {
+  let stripe = client;
+
+  function getClient() {
+    if (!stripe) {
+      if (!secret_key) {
+        throw new PaymentProviderError('Stripe secret_key is not configured', { provider: PROVIDER_ID });
+      }
+      const Stripe = require('stripe');
+      stripe = new Stripe(secret_key, { apiVersion: api_version });
+    }
+    return stripe;
+  }
+
+  async function call(request) {
+    try {
+      return await request(getClient());
+    } catch (error) {
+      if (error instanceof PaymentProviderError) {
+        throw error;
+      }
+      throw new PaymentProviderError(error.message, { provider: PROVIDER_ID, code: error.code, cause: error });
+    }
+  }
+
+  /**
+   * Find or create the recurring price for a product, amount and interval.
+   * Prices are looked up by a lookup key so repeated subscriptions to the
+   * same plan share one Stripe price.
+   */
+  async function getPrice(stripe, { product, amount_cents, currency, billing_interval, interval_multiplier }) {
+    const lookupKey = [product.id, amount_cents, currency, billing_interval, interval_multiplier]
+      .join('_')
+      .toLowerCase();
+
+    const existing = await stripe.prices.list({ lookup_keys: [lookupKey], limit: 1 });
+    if (existing.data.length > 0) {
+      return existing.data[0];
+    }
+
+    return stripe.prices.create({
+      lookup_key: lookupKey,
+      currency: currency.toLowerCase(),
+      unit_amount: amount_cents,
+      recurring: {
+        interval: INTERVALS[billing_interval],
+        interval_count: interval_multiplier
+      },
+      product_data: {
+        name: product.name,
+        metadata: { product_id: product.id }
+      }
+    });
+  }
+
+  return {
+    id: PROVIDER_ID,
+    // Stripe retries failed invoices itself (Smart Retries or the
+    // retry schedule in the Billing settings)
+    retriesFailedPayments: true,
+
+    createCustomer({ email, name, reference_id, metadata = {} }) {
+      return call(async (stripe) => {
+        const customer = await stripe.customers.create({
+          email,
+          name,
+          metadata: { ...metadata, reference_id }
+        });
+
+        return { provider_customer_id: customer.id };
+      });
+    },
+
+    attachPaymentMethod({ provider_customer_id, provider_payment_method_id, is_default = false }) {
+      return call(async (stripe) => {
+        const paymentMethod = await stripe.paymentMethods.attach(provider_payment_method_id, {
+          customer: provider_customer_id
+        });
+
+        if (is_default) {
+          await stripe.customers.update(provider_customer_id, {
+            invoice_settings: { default_payment_method: paymentMethod.id }
+          });
+        }
+
+        return {
+          provider_payment_method_id: paymentMethod.id,
+          payment_type: paymentMethod.type === 'card' ? 'credit_card' : paymentMethod.type,
+          last_four: paymentMethod.card ? paymentMethod.card.last4 : null,
+          card_brand: paymentMethod.card ? paymentMethod.card.brand : null,
+          expiry_month: paymentMethod.card ? String(paymentMethod.card.exp_month) : null,
+          expiry_year: paymentMethod.card ? String(paymentMethod.card.exp_year) : null
+        };
+      });
+    },
+
+    charge({ provider_customer_id, provider_payment_method_id, amount_cents, currency, description, metadata = {} }) {
+      return call(async (stripe) => {
+        let paymentIntent;
+        try {
+          paymentIntent = await stripe.paymentIntents.create({
+            amount: amount_cents,
+            currency: currency.toLowerCase(),
+            customer: provider_customer_id,
+            payment_method: provider_payment_method_id,
+            description,
+            metadata,
+            confirm: true,
+            off_session: true
+          });
+        } catch (error) {
+          // Declined cards are reported as errors carrying the failed intent
+          if (error.type === 'StripeCardError') {
+            return {
+              provider_payment_id: error.payment_intent ? error.payment_intent.id : null,
+              status: 'failed',
+              amount_cents,
+              currency,
+              error_message: error.message
+            };
+          }
+          throw error;
+        }
+
+        return {
+          provider_payment_id: paymentIntent.id,
+          status: PAYMENT_STATUSES[paymentIntent.status] || 'pending',
+          amount_cents: paymentIntent.amount,
+          currency: paymentIntent.currency.toUpperCase(),
+          client_secret: paymentIntent.client_secret,
+          error_message: paymentIntent.last_payment_error ? paymentIntent.last_payment_error.message : null
+        };
+      });
+    },
+
+    createSubscription({
+      provider_customer_id,
+      provider_payment_method_id,
+      product,
+      amount_cents,
+      currency,
+      billing_interval,
+      interval_multiplier = 1,
+      trial_end = null,
+      metadata = {}
+    }) {
+      return call(async (stripe) => {
+        const price = await getPrice(stripe, { product, amount_cents, currency, billing_interval, interval_multiplier });
+
+        const subscription = await stripe.subscriptions.create({
+          customer: provider_customer_id,
+          items: [{ price: price.id }],
+          default_payment_method: provider_payment_method_id,
+          trial_end: trial_end ? Math.floor(new Date(trial_end).getTime() / 1000) : undefined,
+          metadata,
+          expand: ['latest_invoice.payment_intent']
+        });
+
+        // Newer API versions report billing periods per subscription item
+        const period = subscription.current_period_start ? subscription : subscription.items.data[0];
+        const invoice = subscription.latest_invoice;
+        const paymentIntent = invoice ? invoice.payment_intent : null;
+
+        return {
+          provider_subscription_id: subscription.id,
+          status: SUBSCRIPTION_STATUSES[subscription.status] || 'incomplete',
+          current_period_start: new Date(period.current_period_start * 1000).toISOString(),
+          current_period_end: new Date(period.current_period_end * 1000).toISOString(),
+          trial_end: subscription.trial_end ? new Date(subscription.trial_end * 1000).toISOString() : null,
+          provider_payment_id: paymentIntent ? paymentIntent.id : null,
+          // Only a payment waiting on authentication can be completed by the
+          // customer; a declined one needs a new payment method
+          client_secret: paymentIntent && paymentIntent.status === 'requires_action' ? paymentIntent.client_secret : null,
+          error_message: paymentIntent && paymentIntent.last_payment_error ? paymentIntent.last_payment_error.message : null
+        };
+      });
+    },
+
+    updateSubscription(providerSubscriptionId, {
+      product,
+      amount_cents,
+      currency,
+      billing_interval,
+      interval_multiplier = 1,
+      billing_cycle_anchor = null,
+      metadata = {}
+    }) {
+      return call(async (stripe) => {
+        const price = await getPrice(stripe, { product, amount_cents, currency, billing_interval, interval_multiplier });
+        const current = await stripe.subscriptions.retrieve(providerSubscriptionId);
+
+        // Proration is charged separately. A new billing cycle is deferred
+        // with a trial so Stripe doesn't invoice the new price right away.
+        const subscription = await stripe.subscriptions.update(providerSubscriptionId, {
+          items: [{ id: current.items.data[0].id, price: price.id }],
+          proration_behavior: 'none',
+          trial_end: billing_cycle_anchor ? Math.floor(new Date(billing_cycle_anchor).getTime() / 1000) : undefined,
+          metadata
+        });
+
+        return {
+          provider_subscription_id: subscription.id,
+          status: SUBSCRIPTION_STATUSES[subscription.status] || subscription.status
+        };
+      });
+    },
+
+    cancelSubscription(providerSubscriptionId, { atPeriodEnd = true } = {}) {
+      return call(async (stripe) => {
+        const subscription = atPeriodEnd
+          ? await stripe.subscriptions.update(providerSubscriptionId, { cancel_at_period_end: true })
+          : await stripe.subscriptions.cancel(providerSubscriptionId);
+
+        return {
+          provider_subscription_id: subscription.id,
+          status: SUBSCRIPTION_STATUSES[subscription.status] || subscription.status,
+          cancel_at_period_end: subscription.cancel_at_period_end
+        };
+      });
+    },
+
+    reactivateSubscription(providerSubscriptionId) {
+      return call(async (stripe) => {
+        const subscription = await stripe.subscriptions.update(providerSubscriptionId, { cancel_at_period_end: false });
+
+        return {
+          provider_subscription_id: subscription.id,
+          status: SUBSCRIPTION_STATUSES[subscription.status] || subscription.status,
+          cancel_at_period_end: subscription.cancel_at_period_end
+        };
+      });
+    },
+
+    pauseSubscription(providerSubscriptionId) {
+      return call(async (stripe) => {
+        // Invoices due while collection is paused are voided
+        const subscription = await stripe.subscriptions.update(providerSubscriptionId, {
+          pause_collection: { behavior: 'void' }
+        });
+
+        return { provider_subscription_id: subscription.id, status: 'paused' };
+      });
+    },
+
+    resumeSubscription(providerSubscriptionId, { billing_cycle_anchor = null } = {}) {
+      return call(async (stripe) => {
+        // The next charge is deferred to the new period end with a trial,
+        // as for plan changes
+        const subscription = await stripe.subscriptions.update(providerSubscriptionId, {
+          pause_collection: '',
+          proration_behavior: 'none',
+          trial_end: billing_cycle_anchor ? Math.floor(new Date(billing_cycle_anchor).getTime() / 1000) : undefined
+        });
+
+        return {
+          provider_subscription_id: subscription.id,
+          status: SUBSCRIPTION_STATUSES[subscription.status] || subscription.status
+        };
+      });
+    },
+
+    refund({ provider_payment_id, amount_cents, reason }) {
+      return call(async (stripe) => {
+        const refund = await stripe.refunds.create({
+          payment_intent: provider_payment_id,
+          amount: amount_cents,
+          metadata: reason ? { reason } : undefined
+        });
+
+        return {
+          provider_refund_id: refund.id,
+          status: refund.status === 'succeeded' ? 'succeeded' : refund.status === 'pending' ? 'pending' : 'failed',
+          amount_cents: refund.amount
+        };
+      });
+    },
+
+    /**
+     * Verify the `Stripe-Signature` header: an HMAC-SHA256 of
+     * `${timestamp}.${rawBody}`, rejected when older than the tolerance
+     */
+    async verifyWebhook({ rawBody, headers }) {
+      if (!webhook_secret) {
+        throw new WebhookSignatureError('Stripe webhook_secret is not configured', { provider: PROVIDER_ID });
+      }
+
+      const elements = String(headers['stripe-signature'] || '').split(',').map(element => element.split('='));
+      const timestamp = Number((elements.find(([key]) => key === 't') || [])[1]);
+      const signatures = elements.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+      if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > webhook_tolerance_seconds) {
+        throw new WebhookSignatureError('Stripe webhook timestamp is missing or outside the tolerance', { provider: PROVIDER_ID });
+      }
+
+      const expected = hmacHex('sha256', webhook_secret, `${timestamp}.${rawBody}`);
+      if (!signatures.some(signature => safeEqualHex(expected, signature))) {
+        throw new WebhookSignatureError('Stripe webhook signature does not match', { provider: PROVIDER_ID });
+      }
+
+      const event = parseWebhookJson(rawBody, PROVIDER_ID);
+      return { provider_event_id: event.id, event_type: event.type, payload: event };
+    },
+
+    translateWebhookEvent(event) {
+      const object = event.data.object;
+
+      switch (event.type) {
+        // invoice.payment_succeeded is sent alongside invoice.paid, so only
+        // the latter is translated
+        case 'invoice.paid': {
+          const subscriptionId = getInvoiceSubscriptionId(object);
+          if (!subscriptionId) {
+            return [];
+          }
+          return [{
+            type: object.billing_reason === 'subscription_cycle' ? 'subscription.renewed' : 'subscription.payment_succeeded',
+            provider_subscription_id: subscriptionId,
+            provider_payment_id: getInvoicePaymentIntentId(object),
+            current_period_end: getInvoicePeriodEnd(object)
+          }];
+        }
+
+        case 'invoice.payment_failed': {
+          const subscriptionId = getInvoiceSubscriptionId(object);
+          return subscriptionId ? [{ type: 'subscription.payment_failed', provider_subscription_id: subscriptionId }] : [];
+        }
+
+        case 'customer.subscription.updated': {
+          // Only the switch to cancel at period end is a cancellation
+          const previous = event.data.previous_attributes || {};
+          return object.cancel_at_period_end && previous.cancel_at_period_end === false
+            ? [{ type: 'subscription.cancelled', provider_subscription_id: object.id }]
+            : [];
+        }
+
+        case 'customer.subscription.deleted':
+          return [{ type: 'subscription.deleted', provider_subscription_id: object.id }];
+
+        case 'payment_intent.succeeded':
+          return [{ type: 'order.payment_succeeded', provider_payment_id: object.id }];
+
+        case 'payment_intent.payment_failed':
+          return [{ type: 'order.payment_failed', provider_payment_id: object.id }];
+
+        case 'charge.refunded':
+          // Partial refunds leave the order paid
+          return object.refunded && object.payment_intent
+            ? [{ type: 'order.refunded', provider_payment_id: object.payment_intent }]
+            : [];
+
+        default:
+          return [];
+      }
+    }
+  };
+}
+
+/**
+ * End of the billing period an invoice pays for: its subscription line
+ * item's period (the invoice's own period is the one just ended)
+ */
+function getInvoicePeriodEnd(invoice) {
+  const lines = (invoice.lines && invoice.lines.data) || [];
+  const line = lines.find(candidate => candidate.type === 'subscription' || candidate.subscription) || lines[0];
+  return line && line.period ? new Date(line.period.end * 1000).toISOString() : null;
+}
+
+/**
+ * Payment intent ID of an invoice, which refunds are made against; $0
+ * invoices have none
+ */
+function getInvoicePaymentIntentId(invoice) {
+  if (!invoice.payment_intent) {
+    return null;
+  }
+  return typeof invoice.payment_intent === 'string' ? invoice.payment_intent : invoice.payment_intent.id;
+}
+
+/**
+ * Subscription ID of an invoice; newer API versions move it under
+ * `parent.subscription_details`
+ */
+function getInvoiceSubscriptionId(invoice) {
+  if (invoice.subscription) {
+    return typeof invoice.subscription === 'string' ? invoice.subscription : invoice.subscription.id;
+  }
+  const details = invoice.parent && invoice.parent.subscription_details;
+  return details ? details.subscription : null;
+}
+
+module.exports = { createStripeProvider };
@@ -0,0 +1,46 @@
+/**
+ * Helpers for verifying HMAC webhook signatures and reading webhook bodies
+ */
+
+const crypto = require('crypto');
+const { WebhookPayloadError } = require('./errors');
+
+/**
+ * Compute a hex HMAC digest
+ *
+ * @param {string} algorithm - 'sha256', 'sha512', ...
+ * @param {string|Buffer} secret - Signing secret
+ * @param {Buffer|string} payload - Signed payload
+ * @returns {string}
+ */
+function hmacHex(algorithm, secret, payload) {
+  return crypto.createHmac(algorithm, secret).update(payload).digest('hex');
+}
+
+/**
+ * Compare two hex digests in constant time
+ */
+function safeEqualHex(expected, actual) {
+  if (typeof actual !== 'string' || actual.length !== expected.length || !/^[0-9a-f]+$/i.test(actual)) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(actual.toLowerCase(), 'hex'));
+}
+
+/**
+ * Parse a webhook's JSON body
+ *
+ * @param {Buffer|string} rawBody - The body as received
+ * @param {string} provider - Provider ID, for the error
+ * @returns {Object}
+ * @throws {WebhookPayloadError} If the body isn't valid JSON
+ */
+function parseWebhookJson(rawBody, provider) {
+  try {
+    return JSON.parse(String(rawBody));
+  } catch (error) {
+    throw new WebhookPayloadError('Webhook body is not valid JSON', { provider, cause: error });
+  }
+}
+
+module.exports = { hmacHex, safeEqualHex, parseWebhookJson };
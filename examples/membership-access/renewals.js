@@ -0,0 +1,53 @@
+/**
+ * Renewals
+ *
+ * Extending a recurring membership when its subscription is paid for
+ * another billing period, whether the provider reports the payment by
+ * webhook or a payment retry succeeds (see ./dunning).
+ */
+
+const { getRenewalPeriod } = require('./billing-periods');
+const { applyPendingPlanChange } = require('./plan-changes');
+const { getTrialConversion } = require('./trials');
+
+/**
+ * Renew a membership for the next billing period of its subscription. The
+ * payment also converts a trial, clears failed payment attempts and
+ * applies a plan change made for the end of the previous period.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} params
+ * @param {Object} params.membership - entity_memberships row
+ * @param {Object} params.subscription - The membership's subscriptions row
+ * @param {string} params.providerPeriodEnd - End of the paid period, if the provider reports it
+ * @returns {Promise<Object>} The renewed membership
+ */
+async function renewMembership(store, { membership, subscription, providerPeriodEnd = null }) {
+  // A plan change made for the end of the previous period applies to the
+  // period paid for, so that it is billed on the new plan's interval
+  const { start } = getRenewalPeriod(membership, subscription, providerPeriodEnd);
+  const changed = await applyPendingPlanChange(store, membership, new Date(start));
+  if (changed !== membership) {
+    membership = changed;
+    subscription = await store.subscriptions.findById(subscription.id);
+  }
+  const period = getRenewalPeriod(membership, subscription, providerPeriodEnd);
+
+  await store.subscriptions.update(subscription.id, {
+    status: 'active',
+    billing_status: 'active',
+    billing_retry_count: 0,
+    current_period_start: period.start,
+    current_period_end: period.end,
+    next_billing_date: period.end
+  });
+
+  return store.entity_memberships.update(membership.id, {
+    status: 'active',
+    end_date: period.end,
+    grace_until: null,
+    ...getTrialConversion(membership)
+  });
+}
+
+module.exports = { renewMembership };
@@ -6,515 +6,1962 @@
  */
 
 const express = require('express');
-const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
-const { AVAILABLE_FEATURES } = require('./features-config');
+const { findOrCreateProduct } = require('./payment-records');
+const { getBillingInterval } = require('./billing-periods');
+const {
+  CheckoutError,
+  preparePayment,
+  startSubscription,
+  getPaymentAction
+} = require('./checkout');
+const { assertPaymentSource, payOrder, formatBalanceDebit } = require('./account-balances');
+const { calculatePlanChange, changeMembershipPlan } = require('./plan-changes');
+const { getTrialEnd, isTrialEligible } = require('./trials');
+const { isInGracePeriod } = require('./dunning');
+const {
+  CouponError,
+  applyCoupon,
+  withCouponReserved,
+  releaseCoupon,
+  recordCouponUsage,
+  getSubscriptionDiscount,
+  formatAppliedCoupon
+} = require('./coupons');
+const {
+  calculatePurchaseTax,
+  getTaxedAmounts,
+  getTaxMetadata,
+  formatTax
+} = require('./taxes');
+const { pauseMembership, resumeMembership } = require('./pauses');
+const { cancelMembership, reactivateMembership, getCancellationReport } = require('./cancellations');
+const {
+  createFeature,
+  updateFeature,
+  getFeature,
+  createAddon,
+  updateAddon,
+  getCurrentPrices,
+  getAddonOptions,
+  findAddonOffering,
+  formatAddon
+} = require('./feature-catalog');
+const { getUsageStatus, isOverLimit, recordUsage } = require('./usage-limits');
+const { recordMeteredUsage, previewUsage, formatUsageRecord } = require('./metered-billing');
+const { findCurrentAddons, formatPurchasedAddon, getAddonProductId } = require('./addon-subscriptions');
+const {
+  INVOICE_STATUSES,
+  InvoiceError,
+  createDraftInvoice,
+  finalizeInvoice,
+  voidInvoice,
+  markInvoiceUncollectible,
+  formatInvoice
+} = require('./invoices');
+const { resolveEntitlements, getEntitlementsETag, matchesETag } = require('./entitlements');
+const { createTokenSigner } = require('./entitlement-tokens');
+const {
+  ENTITLEMENT_EVENTS,
+  createEntitlementEvents,
+  publishEntitlementChanges
+} = require('./entitlement-events');
+const { createProviderRegistry, PaymentProviderError } = require('./providers');
+const {
+  MEMBERSHIP_OWNERS,
+  ADDON_OWNERS,
+  getMembershipOwner,
+  getAddonOwner,
+  getBillingColumns,
+  findAccessibleOwners,
+  findAccessibleMemberships
+} = require('./membership-owners');
 
 /**
- * Get all membership types
- * GET /api/payment/membership-types
+ * Create the membership router
+ *
+ * @param {Object} options
+ * @param {Object} options.store - Data-access layer (see ./store)
+ * @param {Object} options.providers - Payment provider registry (see ./providers);
+ *   defaults to one built from the store's payment_providers
+ * @param {Object} options.cancellation - Reason requirements for cancellations
+ *   (see DEFAULT_CANCELLATION in ./cancellations)
+ * @param {Object} options.tokens - Signing keys and lifetime of entitlement
+ *   tokens (see DEFAULT_TOKENS in ./entitlement-tokens)
+ * @param {EventEmitter} options.events - Emitter of entitlement changes
+ *   (see ./entitlement-events)
+ * @param {Object} options.tax - Tax settings of purchases (see DEFAULT_TAX
+ *   in ./taxes)
+ * @returns {express.Router}
  */
-router.get('/membership-types', async (req, res) => {
-  try {
-    const membershipTypes = await db.membership_types.findAll({
-      where: { is_active: true }
-    });
-    
-    // Format the response
-    const formattedTypes = membershipTypes.map(type => ({
-      id: type.id,
-      name: type.name,
-      description: type.description,
-      duration_type: type.duration_type,
-      duration_days: type.duration_days,
-      price_cents: type.price_cents,
-      currency: type.currency,
-      features: JSON.parse(type.features || '[]')
-    }));
-    
-    res.json(formattedTypes);
-  } catch (error) {
-    console.error('Error fetching membership types:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+function createMembershipRouter({
+  store,
+  providers = createProviderRegistry({ store }),
+  cancellation = {},
+  tokens = {},
+  events = createEntitlementEvents(),
+  tax = {}
+}) {
+  const router = express.Router();
+  const tokenSigner = createTokenSigner(tokens);
 
-/**
- * Get a specific membership type
- * GET /api/payment/membership-types/:id
- */
-router.get('/membership-types/:id', async (req, res) => {
-  try {
-    const membershipType = await db.membership_types.findById(req.params.id);
-    
-    if (!membershipType) {
-      return res.status(404).json({ error: 'Membership type not found' });
-    }
-    
-    // Format the response
-    const formattedType = {
-      id: membershipType.id,
-      name: membershipType.name,
-      description: membershipType.description,
-      duration_type: membershipType.duration_type,
-      duration_days: membershipType.duration_days,
-      price_cents: membershipType.price_cents,
-      currency: membershipType.currency,
-      features: JSON.parse(membershipType.features || '[]')
-    };
+  /**
+   * Get all membership types
+   * GET /api/payment/membership-types
+   */
+  router.get('/membership-types', async (req, res) => {
+    try {
+      const membershipTypes = await store.membership_types.findAll({
+        where: { is_active: true }
+      });
     
-    res.json(formattedType);
-  } catch (error) {
-    console.error('Error fetching membership type:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-/**
- * Get user memberships
- * GET /api/payment/users/:userId/memberships
- */
-router.get('/users/:userId/memberships', async (req, res) => {
-  try {
-    const userId = req.params.userId;
+      // Format the response
+      const formattedTypes = membershipTypes.map(type => ({
+        id: type.id,
+        name: type.name,
+        description: type.description,
+        duration_type: type.duration_type,
+        duration_days: type.duration_days,
+        price_cents: type.price_cents,
+        currency: type.currency,
+        trial_days: type.trial_days,
+        features: JSON.parse(type.features || '[]'),
+        feature_limits: JSON.parse(type.feature_limits || '{}')
+      }));
     
-    // Check if user exists
-    const user = await db.users.findById(userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+      res.json(formattedTypes);
+    } catch (error) {
+      console.error('Error fetching membership types:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
-    
-    // Get all memberships for the user
-    const userMemberships = await db.user_memberships.findAll({
-      where: { user_id: userId }
-    });
-    
-    // Get membership types for each membership
-    const membershipsWithTypes = await Promise.all(
-      userMemberships.map(async (membership) => {
-        const membershipType = await db.membership_types.findById(membership.membership_type_id);
-        return {
-          id: membership.id,
-          status: membership.status,
-          start_date: membership.start_date,
-          end_date: membership.end_date,
-          auto_renew: membership.auto_renew,
-          subscription_id: membership.subscription_id,
-          order_id: membership.order_id,
-          addons: JSON.parse(membership.addons || '[]'),
-          membership_type: {
-            id: membershipType.id,
-            name: membershipType.name,
-            duration_type: membershipType.duration_type,
-            features: JSON.parse(membershipType.features || '[]')
-          },
-          created_at: membership.created_at
-        };
-      })
-    );
-    
-    res.json(membershipsWithTypes);
-  } catch (error) {
-    console.error('Error fetching user memberships:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+  });
 
-/**
- * Get a specific user membership
- * GET /api/payment/users/:userId/memberships/:membershipId
- */
-router.get('/users/:userId/memberships/:membershipId', async (req, res) => {
-  try {
-    const { userId, membershipId } = req.params;
+  /**
+   * Get a specific membership type
+   * GET /api/payment/membership-types/:id
+   */
+  router.get('/membership-types/:id', async (req, res) => {
+    try {
+      const membershipType = await store.membership_types.findById(req.params.id);
     
-    // Check if user exists
-    const user = await db.users.findById(userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-    
-    // Get the membership
-    const membership = await db.user_memberships.findOne({
-      where: {
-        id: membershipId,
-        user_id: userId
+      if (!membershipType) {
+        return res.status(404).json({ error: 'Membership type not found' });
       }
-    });
-    
-    if (!membership) {
-      return res.status(404).json({ error: 'Membership not found' });
-    }
-    
-    // Get the membership type
-    const membershipType = await db.membership_types.findById(membership.membership_type_id);
     
-    // Format the response
-    const formattedMembership = {
-      id: membership.id,
-      status: membership.status,
-      start_date: membership.start_date,
-      end_date: membership.end_date,
-      auto_renew: membership.auto_renew,
-      subscription_id: membership.subscription_id,
-      order_id: membership.order_id,
-      addons: JSON.parse(membership.addons || '[]'),
-      membership_type: {
+      // Format the response
+      const formattedType = {
         id: membershipType.id,
         name: membershipType.name,
+        description: membershipType.description,
         duration_type: membershipType.duration_type,
-        features: JSON.parse(membershipType.features || '[]')
-      },
-      created_at: membership.created_at
-    };
-    
-    res.json(formattedMembership);
-  } catch (error) {
-    console.error('Error fetching user membership:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-/**
- * Create a new membership for a user
- * POST /api/payment/users/:userId/memberships
- */
-router.post('/users/:userId/memberships', async (req, res) => {
-  try {
-    const userId = req.params.userId;
-    const { membership_type_id, payment_method_id } = req.body;
+        duration_days: membershipType.duration_days,
+        price_cents: membershipType.price_cents,
+        currency: membershipType.currency,
+        trial_days: membershipType.trial_days,
+        features: JSON.parse(membershipType.features || '[]'),
+        feature_limits: JSON.parse(membershipType.feature_limits || '{}')
+      };
     
-    // Validate required fields
-    if (!membership_type_id) {
-      return res.status(400).json({ error: 'membership_type_id is required' });
+      res.json(formattedType);
+    } catch (error) {
+      console.error('Error fetching membership type:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
-    
-    if (!payment_method_id) {
-      return res.status(400).json({ error: 'payment_method_id is required' });
+  });
+
+  /**
+   * Get the feature catalog
+   * GET /api/payment/features
+   *
+   * Query parameters:
+   * - include_inactive: 'true' to list deactivated features too
+   */
+  router.get('/features', async (req, res) => {
+    try {
+      const features = await store.features.findAll({
+        where: req.query.include_inactive === 'true' ? {} : { is_active: true },
+        order: [['id', 'ASC']]
+      });
+
+      res.json(features.map(formatFeature));
+    } catch (error) {
+      console.error('Error fetching features:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
-    
-    // Check if user exists
-    const user = await db.users.findById(userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+  });
+
+  /**
+   * Get a feature
+   * GET /api/payment/features/:id
+   */
+  router.get('/features/:id', async (req, res, next) => {
+    // GET /features/check belongs to the membership access router (./membership-api)
+    if (req.params.id === 'check') {
+      return next();
     }
-    
-    // Get the membership type
-    const membershipType = await db.membership_types.findById(membership_type_id);
-    if (!membershipType) {
-      return res.status(404).json({ error: 'Membership type not found' });
+
+    try {
+      res.json(formatFeature(await getFeature(store, req.params.id)));
+    } catch (error) {
+      if (error instanceof CheckoutError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error fetching feature:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
-    
-    // Create the appropriate payment entity based on membership type
-    let subscriptionId = null;
-    let orderId = null;
-    
-    if (membershipType.duration_type === 'recurring') {
-      // Create a subscription for recurring memberships
-      const productId = `membership_${membership_type_id}`;
-      
-      // Check if product exists, create if not
-      let product = await db.products.findOne({ id: productId });
-      if (!product) {
-        product = await db.products.create({
-          id: productId,
-          name: membershipType.name,
-          description: membershipType.description,
-          product_type: 'subscription',
-          is_recurring: true,
-          price_cents: membershipType.price_cents,
-          currency: membershipType.currency,
-          billing_interval: membershipType.duration_days === 30 ? 'monthly' : 'yearly',
-          metadata: JSON.stringify({
-            membership_type_id: membership_type_id
-          })
-        });
+  });
+
+  /**
+   * Create a feature
+   * POST /api/payment/features
+   */
+  router.post('/features', async (req, res) => {
+    try {
+      const { id, name, description, unit, reset_period, metadata } = req.body;
+      const feature = await createFeature(store, { id, name, description, unit, reset_period, metadata });
+
+      res.status(201).json(formatFeature(feature));
+    } catch (error) {
+      if (error instanceof CheckoutError) {
+        return res.status(error.status).json({ error: error.message });
       }
-      
-      // Create the subscription
-      const subscription = await db.subscriptions.create({
-        id: uuidv4(),
-        user_id: userId,
-        product_id: productId,
-        payment_method_id: payment_method_id,
-        provider_id: 'stripe', // This should be configurable
-        status: 'active',
-        current_period_start: new Date().toISOString(),
-        current_period_end: new Date(Date.now() + membershipType.duration_days * 24 * 60 * 60 * 1000).toISOString(),
-        price_cents: membershipType.price_cents,
-        currency: membershipType.currency,
-        metadata: JSON.stringify({
-          membership_type_id: membership_type_id
-        })
-      });
-      
-      subscriptionId = subscription.id;
-    } else {
-      // Create an order for one-time purchases (like lifetime memberships)
-      const order = await db.orders.create({
-        id: uuidv4(),
-        order_number: `ORD-${Date.now()}`,
-        user_id: userId,
-        status: 'pending',
-        subtotal_cents: membershipType.price_cents,
-        tax_cents: 0,
-        discount_cents: 0,
-        total_cents: membershipType.price_cents,
-        currency: membershipType.currency,
-        metadata: JSON.stringify({
-          membership_type_id: membership_type_id
-        })
-      });
-      
-      // Create order item
-      await db.order_items.create({
-        id: uuidv4(),
-        order_id: order.id,
-        product_id: `membership_${membership_type_id}`,
-        quantity: 1,
-        unit_price_cents: membershipType.price_cents,
-        total_cents: membershipType.price_cents
-      });
-      
-      // Process payment
-      const payment = await db.payments.create({
-        id: uuidv4(),
-        order_id: order.id,
-        user_id: userId,
-        payment_method_id: payment_method_id,
-        provider_id: 'stripe', // This should be configurable
-        amount_cents: membershipType.price_cents,
-        currency: membershipType.currency,
-        status: 'completed',
-        completed_at: new Date().toISOString()
-      });
-      
-      // Update order status
-      await db.orders.update(order.id, {
-        status: 'paid',
-        completed_at: new Date().toISOString()
+      console.error('Error creating feature:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * Update a feature
+   * PUT /api/payment/features/:id
+   */
+  router.put('/features/:id', async (req, res) => {
+    try {
+      const { name, description, unit, reset_period, metadata, is_active } = req.body;
+      const feature = await updateFeature(store, req.params.id, {
+        name,
+        description,
+        unit,
+        reset_period,
+        metadata,
+        is_active
       });
-      
-      orderId = order.id;
+
+      res.json(formatFeature(feature));
+    } catch (error) {
+      if (error instanceof CheckoutError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error updating feature:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
-    
-    // Calculate end date (null for lifetime)
-    let endDate = null;
-    if (membershipType.duration_type !== 'lifetime') {
-      endDate = new Date(Date.now() + membershipType.duration_days * 24 * 60 * 60 * 1000).toISOString();
+  });
+
+  /**
+   * Deactivate a feature. Features still included in active membership
+   * types or sold as an active addon can't be deactivated.
+   * DELETE /api/payment/features/:id
+   */
+  router.delete('/features/:id', async (req, res) => {
+    try {
+      const feature = await updateFeature(store, req.params.id, { is_active: false });
+
+      res.json(formatFeature(feature));
+    } catch (error) {
+      if (error instanceof CheckoutError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error deactivating feature:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
-    
-    // Create the user membership
-    const membership = await db.user_memberships.create({
-      id: uuidv4(),
-      user_id: userId,
-      membership_type_id: membership_type_id,
-      subscription_id: subscriptionId,
-      order_id: orderId,
-      status: 'active',
-      start_date: new Date().toISOString(),
-      end_date: endDate,
-      auto_renew: membershipType.duration_type === 'recurring',
-      addons: '[]'
-    });
-    
-    // Get the created membership with type
-    const membershipWithType = {
-      ...membership,
-      membership_type: {
-        id: membershipType.id,
-        name: membershipType.name,
-        duration_type: membershipType.duration_type,
-        features: JSON.parse(membershipType.features || '[]')
+  });
+
+  /**
+   * Get the addons on sale, with their current prices
+   * GET /api/payment/addons
+   *
+   * Query parameters:
+   * - include_inactive: 'true' to list deactivated addons too
+   */
+  router.get('/addons', async (req, res) => {
+    try {
+      const addons = await store.addons.findAll({
+        where: req.query.include_inactive === 'true' ? {} : { is_active: true },
+        order: [['feature_id', 'ASC']]
+      });
+
+      const formatted = [];
+      for (const addon of addons) {
+        formatted.push(formatAddon(addon, await getCurrentPrices(store, addon.id)));
       }
-    };
-    
-    res.status(201).json(membershipWithType);
-  } catch (error) {
-    console.error('Error creating membership:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
 
-/**
- * Cancel a user membership
- * POST /api/payment/users/:userId/memberships/:membershipId/cancel
- */
-router.post('/users/:userId/memberships/:membershipId/cancel', async (req, res) => {
-  try {
-    const { userId, membershipId } = req.params;
-    
-    // Check if user exists
-    const user = await db.users.findById(userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+      res.json(formatted);
+    } catch (error) {
+      console.error('Error fetching addons:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
-    
-    // Get the membership
-    const membership = await db.user_memberships.findOne({
-      where: {
-        id: membershipId,
-        user_id: userId
+  });
+
+  /**
+   * Get an addon, with its current prices and its price history
+   * GET /api/payment/addons/:id
+   */
+  router.get('/addons/:id', async (req, res) => {
+    try {
+      const addon = await store.addons.findById(req.params.id);
+      if (!addon) {
+        return res.status(404).json({ error: 'Addon not found' });
       }
-    });
-    
-    if (!membership) {
-      return res.status(404).json({ error: 'Membership not found' });
+
+      const history = await store.addon_prices.findAll({
+        where: { addon_id: addon.id },
+        order: [['currency', 'ASC'], ['version', 'DESC']]
+      });
+
+      res.json({
+        ...formatAddon(addon, await getCurrentPrices(store, addon.id)),
+        price_history: history.map(price => ({
+          id: price.id,
+          currency: price.currency,
+          price_cents: price.price_cents,
+          version: price.version,
+          is_current: price.is_current,
+          created_at: price.created_at,
+          superseded_at: price.superseded_at
+        }))
+      });
+    } catch (error) {
+      console.error('Error fetching addon:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
-    
-    // If it's a recurring membership, cancel the subscription
-    if (membership.subscription_id) {
-      const subscription = await db.subscriptions.findById(membership.subscription_id);
-      
-      if (subscription) {
-        await db.subscriptions.update(subscription.id, {
-          status: 'cancelled',
-          cancel_at_period_end: true
-        });
+  });
+
+  /**
+   * Create an addon for a feature
+   * POST /api/payment/addons
+   */
+  router.post('/addons', async (req, res) => {
+    try {
+      const { feature_id, name, description, duration_days, limit_value, requires_membership, prices, metadata } = req.body;
+      const addon = await createAddon(store, {
+        feature_id,
+        name,
+        description,
+        duration_days,
+        limit_value,
+        requires_membership,
+        prices,
+        metadata
+      });
+
+      res.status(201).json(addon);
+    } catch (error) {
+      if (error instanceof CheckoutError) {
+        return res.status(error.status).json({ error: error.message });
       }
+      console.error('Error creating addon:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
-    
-    // Update the membership
-    await db.user_memberships.update(membershipId, {
-      status: 'cancelled',
-      auto_renew: false
-    });
-    
-    res.json({ success: true, message: 'Membership cancelled successfully' });
-  } catch (error) {
-    console.error('Error cancelling membership:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+  });
 
-/**
- * Check if a user has access to a feature
- * GET /api/payment/access/verify
- * 
- * Query parameters:
- * - user_id: The ID of the user to check
- * - feature_id: The ID of the feature to check
- */
-router.get('/access/verify', async (req, res) => {
-  try {
-    const userId = req.query.user_id;
-    const featureId = req.query.feature_id;
-    
-    // Validate required parameters
-    if (!userId) {
-      return res.status(400).json({ error: 'Missing user_id parameter' });
-    }
-    
-    if (!featureId) {
-      return res.status(400).json({ error: 'Missing feature_id parameter' });
+  /**
+   * Update an addon. Changed prices are added as new versions; addons
+   * already bought keep the price they were bought at.
+   * PUT /api/payment/addons/:id
+   */
+  router.put('/addons/:id', async (req, res) => {
+    try {
+      const { name, description, duration_days, limit_value, requires_membership, prices, metadata, is_active } = req.body;
+      const addon = await updateAddon(store, req.params.id, {
+        name,
+        description,
+        duration_days,
+        limit_value,
+        requires_membership,
+        prices,
+        metadata,
+        is_active
+      });
+
+      res.json(addon);
+    } catch (error) {
+      if (error instanceof CheckoutError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error updating addon:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
-    
-    // Check if the user exists
-    const user = await db.users.findById(userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+  });
+
+  /**
+   * Take an addon off sale. Addons already bought are unaffected.
+   * DELETE /api/payment/addons/:id
+   */
+  router.delete('/addons/:id', async (req, res) => {
+    try {
+      res.json(await updateAddon(store, req.params.id, { is_active: false }));
+    } catch (error) {
+      if (error instanceof CheckoutError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error deactivating addon:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
-    
-    // Check if the feature exists
-    if (!AVAILABLE_FEATURES[featureId]) {
-      return res.status(404).json({ error: 'Feature not found' });
+  });
+
+  /**
+   * Preview a coupon on a membership or addon purchase, without redeeming it
+   * POST /api/payment/coupons/validate
+   *
+   * Request body:
+   * - coupon_code: The coupon code
+   * - membership_type_id or feature_id: The membership type or addon bought
+   * - user_id, organization_id, project_id or guest_id: Who the purchase is for
+   * - currency: (Optional) Currency of the addon's price
+   * - is_recurring: (Optional) Whether the addon is bought as a subscription
+   *
+   * Coupons that don't apply respond with `valid: false` and the reason.
+   */
+  router.post('/coupons/validate', async (req, res) => {
+    try {
+      const { coupon_code, membership_type_id, feature_id, currency, is_recurring } = req.body;
+
+      if (!coupon_code) {
+        return res.status(400).json({ error: 'coupon_code is required' });
+      }
+      if (!membership_type_id === !feature_id) {
+        return res.status(400).json({ error: 'One of membership_type_id or feature_id is required' });
+      }
+
+      const owner = COUPON_OWNERS.find(candidate => req.body[candidate.field]);
+      if (!owner) {
+        return res.status(400).json({ error: 'One of user_id, organization_id, project_id or guest_id is required' });
+      }
+      const ownerRecord = await store[owner.table].findById(req.body[owner.field]);
+      if (!ownerRecord) {
+        return res.status(404).json({ error: `${owner.label} not found` });
+      }
+
+      const purchase = membership_type_id
+        ? await getMembershipPurchase(store, membership_type_id)
+        : await getAddonPurchase(store, { featureId: feature_id, currency, isRecurring: Boolean(is_recurring) });
+
+      const applied = await applyCoupon(store, {
+        code: coupon_code,
+        billing: getBillingColumns(owner, ownerRecord),
+        guest: owner.type === 'guest' ? ownerRecord : null,
+        ...purchase
+      });
+
+      res.json({ valid: true, ...formatAppliedCoupon(applied) });
+    } catch (error) {
+      if (error instanceof CouponError) {
+        return res.json({ valid: false, reason: error.message });
+      }
+      if (error instanceof CheckoutError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error validating coupon:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
-    
-    const feature = AVAILABLE_FEATURES[featureId];
-    
-    // Get user's active memberships
-    const userMemberships = await db.user_memberships.findAll({
-      where: {
-        user_id: userId,
-        status: 'active'
+  });
+
+  /**
+   * Quote the tax of a membership or addon purchase, for checkout
+   * POST /api/payment/tax/quote
+   *
+   * Request body:
+   * - membership_type_id or feature_id: The membership type or addon bought
+   * - billing_address: (Optional) { country, state, city, postal_code };
+   *   defaults to the payer's billing address on file
+   * - user_id, organization_id, project_id or guest_id: (Optional) Who the
+   *   purchase is for; required with coupon_code or without billing_address
+   * - coupon_code: (Optional) Coupon discounting the purchase
+   * - currency: (Optional) Currency of the addon's price
+   * - is_recurring: (Optional) Whether the addon is bought as a subscription
+   */
+  router.post('/tax/quote', async (req, res) => {
+    try {
+      const { membership_type_id, feature_id, billing_address, coupon_code, currency, is_recurring } = req.body;
+
+      if (!membership_type_id === !feature_id) {
+        return res.status(400).json({ error: 'One of membership_type_id or feature_id is required' });
       }
-    });
-    
-    if (!userMemberships || userMemberships.length === 0) {
-      // User has no active memberships
-      return res.json({
-        has_access: false,
-        reason: 'No active membership',
-        available_memberships: await getAvailableMembershipsWithFeature(featureId)
+      if (billing_address && !billing_address.country) {
+        return res.status(400).json({ error: 'billing_address.country is required' });
+      }
+
+      const owner = COUPON_OWNERS.find(candidate => req.body[candidate.field]);
+      if (!owner && (coupon_code || !billing_address)) {
+        return res.status(400).json({ error: 'One of user_id, organization_id, project_id or guest_id is required' });
+      }
+      const ownerRecord = owner ? await store[owner.table].findById(req.body[owner.field]) : null;
+      if (owner && !ownerRecord) {
+        return res.status(404).json({ error: `${owner.label} not found` });
+      }
+      const billing = owner ? getBillingColumns(owner, ownerRecord) : {};
+      const guest = owner && owner.type === 'guest' ? ownerRecord : null;
+
+      const purchase = membership_type_id
+        ? await getMembershipPurchase(store, membership_type_id)
+        : await getAddonPurchase(store, { featureId: feature_id, currency, isRecurring: Boolean(is_recurring) });
+
+      const coupon = coupon_code
+        ? await applyCoupon(store, { code: coupon_code, billing, guest, ...purchase })
+        : null;
+
+      const taxed = await calculatePurchaseTax(store, {
+        billing,
+        guest,
+        address: billing_address,
+        productId: purchase.productId,
+        productType: purchase.productType,
+        priceCents: purchase.subtotalCents,
+        discountCents: coupon ? coupon.discount_cents : 0,
+        tax
       });
+
+      res.json({
+        ...formatTax(taxed),
+        currency: purchase.currency,
+        discount: coupon ? formatAppliedCoupon(coupon) : undefined
+      });
+    } catch (error) {
+      if (error instanceof CheckoutError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error quoting tax:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
-    
-    // Check each membership for access to the feature
-    const now = new Date();
-    
-    for (const membership of userMemberships) {
-      // Get membership type details
-      const membershipType = await db.membership_types.findById(membership.membership_type_id);
-      
-      // Check if membership has expired (except lifetime memberships)
-      if (membershipType.duration_type !== 'lifetime' && membership.end_date) {
-        const endDate = new Date(membership.end_date);
-        if (endDate < now) {
-          // Update membership status to expired
-          await db.user_memberships.update(membership.id, { status: 'expired' });
-          continue; // Skip to next membership
+  });
+
+  // Membership routes for each owner type:
+  // /users/:userId/memberships, /organizations/:orgId/memberships
+  // and /projects/:projectId/memberships
+  for (const [segment, owner] of Object.entries(MEMBERSHIP_OWNERS)) {
+    const basePath = `/${segment}/:${owner.param}/memberships`;
+
+    // Emits the features the owner's users gain or lose through a request
+    const publishChanges = publishEntitlementChanges({
+      store,
+      events,
+      getOwner: req => ({ type: owner.type, id: req.params[owner.param] })
+    });
+    // End-of-period plan changes only apply when the subscription renews
+    const publishPlanChanges = publishEntitlementChanges({
+      store,
+      events,
+      getOwner: req => ({ type: owner.type, id: req.params[owner.param] }),
+      canChange: req => (req.body || {}).mode !== 'end_of_period'
+    });
+
+    /**
+     * Get an owner's memberships
+     * GET /api/payment/users/:userId/memberships
+     * GET /api/payment/organizations/:orgId/memberships
+     * GET /api/payment/projects/:projectId/memberships
+     */
+    router.get(basePath, async (req, res) => {
+      try {
+        const ownerId = req.params[owner.param];
+
+        // Check if the owner exists
+        const ownerRecord = await store[owner.table].findById(ownerId);
+        if (!ownerRecord) {
+          return res.status(404).json({ error: `${owner.label} not found` });
         }
+
+        // Get all memberships for the owner
+        const memberships = await store.entity_memberships.findAll({
+          where: { [owner.column]: ownerId }
+        });
+
+        const addons = await store.entity_addons.findAll({
+          where: { membership_id: memberships.map(membership => membership.id) },
+          order: [['start_date', 'ASC']]
+        });
+
+        // Get membership types for each membership
+        const membershipsWithTypes = await Promise.all(
+          memberships.map(async (membership) => {
+            const membershipType = await store.membership_types.findById(membership.membership_type_id);
+            return formatMembership(membership, membershipType, addons.filter(addon => addon.membership_id === membership.id));
+          })
+        );
+
+        res.json(membershipsWithTypes);
+      } catch (error) {
+        console.error(`Error fetching ${owner.type} memberships:`, error);
+        res.status(500).json({ error: 'Internal server error' });
       }
-      
-      // Check if membership includes the requested feature
-      const includedFeatures = JSON.parse(membershipType.features || '[]');
-      if (includedFeatures.includes(featureId)) {
-        return res.json({
-          has_access: true,
-          access_source: 'membership',
-          membership: {
-            id: membership.id,
-            type: membershipType.name,
-            expires: membership.end_date || 'never'
+    });
+
+    /**
+     * Get a specific membership of an owner
+     * GET /api/payment/users/:userId/memberships/:membershipId
+     * GET /api/payment/organizations/:orgId/memberships/:membershipId
+     * GET /api/payment/projects/:projectId/memberships/:membershipId
+     */
+    router.get(`${basePath}/:membershipId`, async (req, res) => {
+      try {
+        const ownerId = req.params[owner.param];
+        const { membershipId } = req.params;
+
+        // Check if the owner exists
+        const ownerRecord = await store[owner.table].findById(ownerId);
+        if (!ownerRecord) {
+          return res.status(404).json({ error: `${owner.label} not found` });
+        }
+
+        // Get the membership
+        const membership = await store.entity_memberships.findOne({
+          where: {
+            id: membershipId,
+            [owner.column]: ownerId
           }
         });
-      }
-      
-      // Check if user has purchased this feature as an addon
-      const addons = JSON.parse(membership.addons || '[]');
-      const matchingAddon = addons.find(addon => addon.feature_id === featureId);
-      
-      if (matchingAddon) {
-        // Check if addon is still valid
-        if (!matchingAddon.end_date || new Date(matchingAddon.end_date) > now) {
-          return res.json({
-            has_access: true,
-            access_source: 'addon',
-            addon: {
-              name: matchingAddon.name,
-              expires: matchingAddon.end_date || 'never'
-            }
-          });
+
+        if (!membership) {
+          return res.status(404).json({ error: 'Membership not found' });
         }
+
+        // Get the membership type and addons
+        const membershipType = await store.membership_types.findById(membership.membership_type_id);
+        const addons = await store.entity_addons.findAll({
+          where: { membership_id: membership.id },
+          order: [['start_date', 'ASC']]
+        });
+
+        res.json(formatMembership(membership, membershipType, addons));
+      } catch (error) {
+        console.error(`Error fetching ${owner.type} membership:`, error);
+        res.status(500).json({ error: 'Internal server error' });
       }
-    }
-    
-    // If we get here, user doesn't have access to the feature
-    // Return available options for upgrade
-    const currentMembership = userMemberships[0]; // First active membership
-    const currentMembershipType = await db.membership_types.findById(currentMembership.membership_type_id);
-    
-    return res.json({
-      has_access: false,
-      current_membership: {
-        id: currentMembership.id,
-        type: currentMembershipType.name
-      },
-      upgrade_options: await getAvailableMembershipsWithFeature(featureId),
-      addon_options: feature.is_addon ? [feature] : []
     });
-    
-  } catch (error) {
-    console.error('Error checking feature access:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+
+    /**
+     * Create a new membership for an owner
+     * POST /api/payment/users/:userId/memberships
+     * POST /api/payment/organizations/:orgId/memberships
+     * POST /api/payment/projects/:projectId/memberships
+     *
+     * Organizations and users are billed directly; projects are billed to
+     * the organization or user that owns the project. A `coupon_code`
+     * discounts the order, or the subscription's payments for the coupon's
+     * duration (see ./coupons). Tax is calculated for the `billing_address`,
+     * or else the payer's billing address on file (see ./taxes). One-time
+     * memberships can be paid from the account balance with a
+     * `payment_source` of 'balance' or 'mixed' (see ./account-balances).
+     */
+    router.post(basePath, publishChanges, async (req, res) => {
+      try {
+        const ownerId = req.params[owner.param];
+        const {
+          membership_type_id,
+          payment_method_id,
+          provider_id,
+          payment_source = 'payment_method',
+          coupon_code,
+          billing_address
+        } = req.body;
+
+        // Validate required fields
+        if (!membership_type_id) {
+          return res.status(400).json({ error: 'membership_type_id is required' });
+        }
+
+        if (!payment_method_id && payment_source !== 'balance') {
+          return res.status(400).json({ error: 'payment_method_id is required' });
+        }
+
+        if (billing_address && !billing_address.country) {
+          return res.status(400).json({ error: 'billing_address.country is required' });
+        }
+
+        // Check if the owner exists
+        const ownerRecord = await store[owner.table].findById(ownerId);
+        if (!ownerRecord) {
+          return res.status(404).json({ error: `${owner.label} not found` });
+        }
+
+        // Get the membership type
+        const membershipType = await store.membership_types.findById(membership_type_id);
+        if (!membershipType) {
+          return res.status(404).json({ error: 'Membership type not found' });
+        }
+
+        if (membershipType.duration_type === 'recurring' && !getBillingInterval(membershipType)) {
+          return res.status(400).json({
+            error: `Membership type ${membership_type_id} has no billing interval for ${membershipType.duration_days} days`
+          });
+        }
+
+        assertPaymentSource(payment_source, {
+          isRecurring: membershipType.duration_type === 'recurring',
+          paymentMethodId: payment_method_id
+        });
+
+        // Who pays for the membership
+        const billing = getBillingColumns(owner, ownerRecord);
+
+        // Recurring types with a trial start with it, once per customer
+        let trialEnd = getTrialEnd(membershipType);
+        if (trialEnd && !await isTrialEligible(store, { column: owner.column, ownerId, billing })) {
+          trialEnd = null;
+        }
+
+        const coupon = coupon_code ? await applyCoupon(store, {
+          code: coupon_code,
+          billing,
+          productId: `membership_${membership_type_id}`,
+          subtotalCents: membershipType.price_cents,
+          currency: membershipType.currency,
+          isRecurring: membershipType.duration_type === 'recurring'
+        }) : null;
+        const couponContext = { membership_type_id };
+
+        const taxed = await calculatePurchaseTax(store, {
+          billing,
+          address: billing_address,
+          productId: `membership_${membership_type_id}`,
+          productType: membershipType.duration_type === 'recurring' ? 'subscription' : 'service',
+          priceCents: membershipType.price_cents,
+          discountCents: coupon ? coupon.discount_cents : 0,
+          tax
+        });
+
+        // Resolve the payment provider, customer and payment method, unless
+        // the account balance pays for all of it
+        const payment = payment_source === 'balance' ? null : await preparePayment(store, providers, {
+          billing,
+          paymentMethodId: payment_method_id,
+          providerId: provider_id
+        });
+        const customer = payment ? payment.customer : null;
+
+        // Create the appropriate payment entity based on membership type
+        let subscriptionId = null;
+        let orderId = null;
+        let paymentResult;
+        let balanceDebit = null;
+        let endDate = null;
+
+        if (membershipType.duration_type === 'recurring') {
+          // Create a subscription for recurring memberships
+          const productId = `membership_${membership_type_id}`;
+          const { billingInterval, intervalMultiplier } = getBillingInterval(membershipType);
+
+          // Check if product exists, create if not
+          const product = await findOrCreateProduct(store, {
+            id: productId,
+            name: membershipType.name,
+            description: membershipType.description,
+            product_type: 'subscription',
+            is_recurring: true,
+            subtotal_cents: membershipType.price_cents,
+            currency: membershipType.currency,
+            billing_interval: billingInterval,
+            trial_days: membershipType.trial_days || 0,
+            metadata: JSON.stringify({
+              membership_type_id: membership_type_id
+            })
+          });
+
+          // Create the subscription with the provider
+          const { subscription, providerSubscription, firstPayment } = await withCouponReserved(store, coupon, () => startSubscription(store, payment, {
+            billing,
+            product,
+            billingInterval,
+            intervalMultiplier,
+            trialEnd,
+            metadata: {
+              membership_type_id: membership_type_id
+            },
+            discount: coupon ? getSubscriptionDiscount(coupon) : null,
+            tax: taxed
+          }));
+
+          if (!subscription) {
+            if (coupon) {
+              await releaseCoupon(store, coupon);
+            }
+            return res.status(402).json({ error: 'Payment failed', message: providerSubscription.error_message });
+          }
+
+          if (coupon) {
+            await recordCouponUsage(store, coupon, {
+              billing,
+              customer: payment.customer,
+              subscriptionId: subscription.id,
+              paymentId: firstPayment ? firstPayment.id : null,
+              context: couponContext
+            });
+          }
+
+          subscriptionId = subscription.id;
+          endDate = subscription.current_period_end;
+          trialEnd = subscription.trial_end;
+          paymentResult = providerSubscription;
+        } else {
+          // Create an order for one-time purchases (like lifetime memberships)
+          const order = await store.orders.create({
+            id: uuidv4(),
+            order_number: `ORD-${Date.now()}`,
+            ...billing,
+            customer_id: customer ? customer.id : null,
+            status: 'pending',
+            ...getTaxedAmounts(taxed),
+            currency: membershipType.currency,
+            billing_address: taxed.address ? JSON.stringify(taxed.address) : null,
+            metadata: JSON.stringify({
+              membership_type_id: membership_type_id,
+              tax: getTaxMetadata(taxed)
+            })
+          });
+
+          // Create order item
+          await findOrCreateProduct(store, {
+            id: `membership_${membership_type_id}`,
+            name: membershipType.name,
+            description: membershipType.description,
+            product_type: 'service',
+            is_recurring: false,
+            subtotal_cents: membershipType.price_cents,
+            currency: membershipType.currency,
+            metadata: JSON.stringify({
+              membership_type_id: membership_type_id
+            })
+          });
+
+          await store.order_items.create({
+            id: uuidv4(),
+            order_id: order.id,
+            product_id: `membership_${membership_type_id}`,
+            quantity: 1,
+            unit_price_cents: membershipType.price_cents,
+            total_cents: membershipType.price_cents
+          });
+
+          // Pay the order from the account balance and/or the payment method
+          const { payment: orderPayment, charge, balanceDebit: debit } = await withCouponReserved(store, coupon, () => payOrder(store, payment, {
+            paymentSource: payment_source,
+            order,
+            billing,
+            projectId: owner.type === 'project' ? ownerId : null,
+            description: membershipType.name,
+            metadata: {
+              membership_type_id: membership_type_id
+            }
+          }));
+
+          if (charge.status === 'failed') {
+            if (coupon) {
+              await releaseCoupon(store, coupon);
+            }
+            return res.status(402).json({ error: 'Payment failed', message: charge.error_message });
+          }
+
+          if (coupon) {
+            await recordCouponUsage(store, coupon, {
+              billing,
+              customer,
+              orderId: order.id,
+              paymentId: orderPayment ? orderPayment.id : null,
+              context: couponContext
+            });
+          }
+
+          orderId = order.id;
+          paymentResult = charge;
+          balanceDebit = debit;
+
+          // One-time (non-lifetime) memberships last duration_days
+          if (membershipType.duration_type !== 'lifetime') {
+            endDate = new Date(Date.now() + membershipType.duration_days * 24 * 60 * 60 * 1000).toISOString();
+          }
+        }
+
+        // The membership stays pending while the payment waits on the
+        // customer; a trial grants access until its first payment is due
+        const isPaid = ['succeeded', 'active', 'trialing'].includes(paymentResult.status);
+        let status = isPaid ? 'active' : 'pending';
+        if (paymentResult.status === 'trialing') {
+          status = 'trialing';
+        }
+
+        // Create the membership for the owner
+        const membership = await store.entity_memberships.create({
+          id: uuidv4(),
+          [owner.column]: ownerId,
+          membership_type_id: membership_type_id,
+          subscription_id: subscriptionId,
+          order_id: orderId,
+          status,
+          start_date: new Date().toISOString(),
+          end_date: endDate,
+          trial_end: trialEnd,
+          auto_renew: membershipType.duration_type === 'recurring'
+        });
+
+        const paymentAction = isPaid ? null : getPaymentAction(paymentResult);
+        res.status(201).json({
+          ...formatMembership(membership, membershipType, []),
+          discount: coupon ? formatAppliedCoupon(coupon) : undefined,
+          tax: formatTax(taxed),
+          balance_debit: balanceDebit ? formatBalanceDebit(balanceDebit) : undefined,
+          payment_action: paymentAction || undefined
+        });
+      } catch (error) {
+        if (error instanceof CheckoutError) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        if (error instanceof PaymentProviderError) {
+          return res.status(502).json({ error: 'Payment provider error', message: error.message });
+        }
+        console.error(`Error creating ${owner.type} membership:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    /**
+     * Cancel a membership of an owner
+     * POST /api/payment/users/:userId/memberships/:membershipId/cancel
+     * POST /api/payment/organizations/:orgId/memberships/:membershipId/cancel
+     * POST /api/payment/projects/:projectId/memberships/:membershipId/cancel
+     *
+     * Memberships cancelled at the end of the period (the default) keep
+     * access until their end date; immediate cancellations end it now and
+     * can refund the unused time with `refund: true`.
+     */
+    router.post(`${basePath}/:membershipId/cancel`, publishChanges, async (req, res) => {
+      try {
+        const { mode, reason, comment, refund } = req.body || {};
+
+        const membership = await findOwnerMembership(store, owner, {
+          ownerId: req.params[owner.param],
+          membershipId: req.params.membershipId
+        });
+
+        const result = await cancelMembership(store, providers, {
+          membership,
+          mode,
+          reason,
+          comment,
+          refund: Boolean(refund),
+          cancellation
+        });
+        const membershipType = await store.membership_types.findById(result.membership.membership_type_id);
+
+        res.json({
+          success: true,
+          message: 'Membership cancelled successfully',
+          membership: formatMembership(result.membership, membershipType),
+          refund: result.refund
+        });
+      } catch (error) {
+        if (error instanceof CheckoutError) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        if (error instanceof PaymentProviderError) {
+          return res.status(502).json({ error: 'Payment provider error', message: error.message });
+        }
+        console.error(`Error cancelling ${owner.type} membership:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    /**
+     * Undo the end-of-period cancellation of an owner's membership
+     * POST /api/payment/users/:userId/memberships/:membershipId/reactivate
+     * POST /api/payment/organizations/:orgId/memberships/:membershipId/reactivate
+     * POST /api/payment/projects/:projectId/memberships/:membershipId/reactivate
+     */
+    router.post(`${basePath}/:membershipId/reactivate`, async (req, res) => {
+      try {
+        const membership = await findOwnerMembership(store, owner, {
+          ownerId: req.params[owner.param],
+          membershipId: req.params.membershipId
+        });
+
+        const reactivated = await reactivateMembership(store, providers, { membership });
+        const membershipType = await store.membership_types.findById(reactivated.membership_type_id);
+
+        res.json({ success: true, membership: formatMembership(reactivated, membershipType) });
+      } catch (error) {
+        if (error instanceof CheckoutError) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        if (error instanceof PaymentProviderError) {
+          return res.status(502).json({ error: 'Payment provider error', message: error.message });
+        }
+        console.error(`Error reactivating ${owner.type} membership:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    /**
+     * Pause a membership of an owner
+     * POST /api/payment/users/:userId/memberships/:membershipId/pause
+     * POST /api/payment/organizations/:orgId/memberships/:membershipId/pause
+     * POST /api/payment/projects/:projectId/memberships/:membershipId/pause
+     *
+     * Paused memberships have no access and aren't billed until they resume,
+     * by request or automatically at `resumes_at` if it's given.
+     */
+    router.post(`${basePath}/:membershipId/pause`, publishChanges, async (req, res) => {
+      try {
+        const membership = await findOwnerMembership(store, owner, {
+          ownerId: req.params[owner.param],
+          membershipId: req.params.membershipId
+        });
+
+        const paused = await pauseMembership(store, providers, {
+          membership,
+          resumesAt: (req.body && req.body.resumes_at) || null
+        });
+        const membershipType = await store.membership_types.findById(paused.membership_type_id);
+
+        res.json({ success: true, membership: formatMembership(paused, membershipType) });
+      } catch (error) {
+        if (error instanceof CheckoutError) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        if (error instanceof PaymentProviderError) {
+          return res.status(502).json({ error: 'Payment provider error', message: error.message });
+        }
+        console.error(`Error pausing ${owner.type} membership:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    /**
+     * Resume a paused membership of an owner
+     * POST /api/payment/users/:userId/memberships/:membershipId/resume
+     * POST /api/payment/organizations/:orgId/memberships/:membershipId/resume
+     * POST /api/payment/projects/:projectId/memberships/:membershipId/resume
+     *
+     * The membership's end date and next payment move out by the time it
+     * was paused.
+     */
+    router.post(`${basePath}/:membershipId/resume`, publishChanges, async (req, res) => {
+      try {
+        const membership = await findOwnerMembership(store, owner, {
+          ownerId: req.params[owner.param],
+          membershipId: req.params.membershipId
+        });
+
+        const resumed = await resumeMembership(store, providers, { membership });
+        const membershipType = await store.membership_types.findById(resumed.membership_type_id);
+
+        res.json({ success: true, membership: formatMembership(resumed, membershipType) });
+      } catch (error) {
+        if (error instanceof CheckoutError) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        if (error instanceof PaymentProviderError) {
+          return res.status(502).json({ error: 'Payment provider error', message: error.message });
+        }
+        console.error(`Error resuming ${owner.type} membership:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    /**
+     * Preview a plan change of an owner's membership
+     * GET /api/payment/users/:userId/memberships/:membershipId/change/preview
+     * GET /api/payment/organizations/:orgId/memberships/:membershipId/change/preview
+     * GET /api/payment/projects/:projectId/memberships/:membershipId/change/preview
+     *
+     * Query parameters:
+     * - membership_type_id: The membership type to change to
+     * - mode: 'immediate' (default) or 'end_of_period'
+     */
+    router.get(`${basePath}/:membershipId/change/preview`, async (req, res) => {
+      try {
+        const { membership_type_id, mode = 'immediate' } = req.query;
+
+        if (!membership_type_id) {
+          return res.status(400).json({ error: 'membership_type_id is required' });
+        }
+
+        const { membership, subscription, currentType, newType } = await findPlanChange(store, owner, {
+          ownerId: req.params[owner.param],
+          membershipId: req.params.membershipId,
+          membershipTypeId: membership_type_id
+        });
+
+        const planChange = calculatePlanChange({ membership, subscription, currentType, newType, mode });
+
+        res.json({
+          membership_id: membership.id,
+          current_membership_type: formatPlan(currentType),
+          new_membership_type: formatPlan(newType),
+          ...planChange
+        });
+      } catch (error) {
+        if (error instanceof CheckoutError) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        console.error(`Error previewing ${owner.type} membership change:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    /**
+     * Change the plan of an owner's membership
+     * POST /api/payment/users/:userId/memberships/:membershipId/change
+     * POST /api/payment/organizations/:orgId/memberships/:membershipId/change
+     * POST /api/payment/projects/:projectId/memberships/:membershipId/change
+     *
+     * Immediate changes charge the prorated amount due to the subscription's
+     * payment method (or `payment_method_id`); end-of-period changes take
+     * effect when the subscription renews.
+     */
+    router.post(`${basePath}/:membershipId/change`, publishPlanChanges, async (req, res) => {
+      try {
+        const ownerId = req.params[owner.param];
+        const { membership_type_id, mode = 'immediate', payment_method_id } = req.body;
+
+        if (!membership_type_id) {
+          return res.status(400).json({ error: 'membership_type_id is required' });
+        }
+
+        const { ownerRecord, membership, subscription, currentType, newType } = await findPlanChange(store, owner, {
+          ownerId,
+          membershipId: req.params.membershipId,
+          membershipTypeId: membership_type_id
+        });
+
+        const result = await changeMembershipPlan(store, providers, {
+          membership,
+          subscription,
+          currentType,
+          newType,
+          mode,
+          billing: getBillingColumns(owner, ownerRecord),
+          paymentMethodId: payment_method_id,
+          projectId: owner.type === 'project' ? ownerId : null
+        });
+
+        // The plan is only changed once the amount due is paid
+        if (result.charge && result.charge.status !== 'succeeded') {
+          return res.status(402).json({
+            error: 'Payment failed',
+            message: result.charge.error_message || 'The payment requires customer action; the plan was not changed',
+            payment_action: result.paymentAction
+          });
+        }
+
+        const membershipType = mode === 'immediate' ? newType : currentType;
+        const response = { ...formatMembership(result.membership, membershipType), plan_change: result.planChange };
+        if (result.paymentAction) {
+          response.payment_action = result.paymentAction;
+        }
+
+        res.json(response);
+      } catch (error) {
+        if (error instanceof CheckoutError) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        if (error instanceof PaymentProviderError) {
+          return res.status(502).json({ error: 'Payment provider error', message: error.message });
+        }
+        console.error(`Error changing ${owner.type} membership:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+  }
+
+  /**
+   * Check if a user has access to a feature
+   * GET /api/payment/access/verify
+   * 
+   * Query parameters:
+   * - user_id: The ID of the user to check
+   * - guest_id: Instead of user_id, the external_entities ID of a guest,
+   *   who can only have standalone addons
+   * - feature_id: The ID of the feature to check
+   * - quantity: Consumption about to happen, for features with usage limits
+   */
+  router.get('/access/verify', async (req, res) => {
+    try {
+      const userId = req.query.user_id;
+      const guestId = req.query.guest_id;
+      const featureId = req.query.feature_id;
+      const quantity = req.query.quantity === undefined ? null : Number(req.query.quantity);
+    
+      // Validate required parameters
+      if (!userId && !guestId) {
+        return res.status(400).json({ error: 'Missing user_id parameter' });
+      }
+    
+      if (!featureId) {
+        return res.status(400).json({ error: 'Missing feature_id parameter' });
+      }
+
+      if (quantity !== null && !(quantity > 0)) {
+        return res.status(400).json({ error: 'quantity must be a positive number' });
+      }
+    
+      // Check if the user (or guest) exists
+      const owner = userId
+        ? { record: await store.users.findById(userId), label: 'User' }
+        : { record: await store.external_entities.findById(guestId), label: 'Guest' };
+      if (!owner.record) {
+        return res.status(404).json({ error: `${owner.label} not found` });
+      }
+    
+      // Check if the feature exists; deactivated features are no longer
+      // sold but still grant access to those who have them
+      const feature = await store.features.findById(featureId);
+      if (!feature) {
+        return res.status(404).json({ error: 'Feature not found' });
+      }
+
+      if (!userId) {
+        return res.json(await verifyGuestAccess(store, { guestId, feature }));
+      }
+    
+      // Get the active memberships the user has access to: their own and
+      // those of their organizations and projects
+      const owners = await findAccessibleOwners(store, userId);
+      const userMemberships = await findAccessibleMemberships(store, userId, { owners });
+    
+      // Check each membership for access to the feature; addons, standalone
+      // ones included, grant it while active and before their end date
+      const now = new Date();
+      const currentAddons = await findCurrentAddons(store, { memberships: userMemberships, owners, now });
+      let access = null;
+    
+      for (const membership of userMemberships) {
+        // Get membership type details
+        const membershipType = await store.membership_types.findById(membership.membership_type_id);
+      
+        // Past-due memberships keep access until their grace period ends
+        if (membership.status === 'past_due') {
+          if (!isInGracePeriod(membership, now)) {
+            continue;
+          }
+        } else if (membershipType.duration_type !== 'lifetime' && membership.end_date) {
+          // Memberships past their end date no longer grant access; the
+          // expiry sweep (./expiry-sweep) marks them expired
+          if (new Date(membership.end_date) < now) {
+            continue;
+          }
+        }
+      
+        // Check if membership includes the requested feature
+        const includedFeatures = JSON.parse(membershipType.features || '[]');
+        if (includedFeatures.includes(featureId)) {
+          access = {
+            has_access: true,
+            access_source: 'membership',
+            membership: {
+              id: membership.id,
+              type: membershipType.name,
+              owner: getMembershipOwner(membership),
+              expires: membership.end_date || 'never',
+              grace_until: membership.grace_until || null
+            }
+          };
+          break;
+        }
+      
+        // Check if the feature was purchased as an addon of the membership
+        const matchingAddon = currentAddons.find(addon => addon.membership_id === membership.id
+          && addon.feature_id === featureId);
+      
+        if (matchingAddon) {
+          access = {
+            has_access: true,
+            access_source: 'addon',
+            addon: {
+              id: matchingAddon.id,
+              name: matchingAddon.name,
+              owner: getMembershipOwner(membership),
+              expires: matchingAddon.end_date || 'never'
+            }
+          };
+          break;
+        }
+      }
+
+      // Standalone addons grant their feature without a membership
+      const standaloneAddon = currentAddons.find(addon => !addon.membership_id && addon.feature_id === featureId);
+      if (!access && standaloneAddon) {
+        access = {
+          has_access: true,
+          access_source: 'addon',
+          addon: {
+            id: standaloneAddon.id,
+            name: standaloneAddon.name,
+            owner: getAddonOwner(standaloneAddon),
+            expires: standaloneAddon.end_date || 'never'
+          }
+        };
+      }
+
+      // Features with usage limits grant access while some is left; the
+      // limit adds up over all memberships and addons granting the feature
+      let usage = null;
+      if (access) {
+        usage = await getUsageStatus(store, { userId, feature, memberships: userMemberships, owners, now });
+        if (!isOverLimit(usage, quantity)) {
+          return res.json(usage ? { ...access, usage } : access);
+        }
+      }
+
+      if (userMemberships.length === 0) {
+        // User has no active memberships; addons that don't require one
+        // can be bought on their own
+        return res.json({
+          has_access: false,
+          reason: usage ? 'Usage limit reached' : 'No active membership',
+          usage: usage || undefined,
+          available_memberships: await getAvailableMembershipsWithFeature(store, featureId),
+          addon_options: await getAddonOptions(store, feature.id, null, { standalone: true })
+        });
+      }
+    
+      // If we get here, user doesn't have access to the feature
+      // Return available options for upgrade
+      const currentMembership = userMemberships[0]; // First active membership
+      const currentMembershipType = await store.membership_types.findById(currentMembership.membership_type_id);
+    
+      return res.json({
+        has_access: false,
+        reason: usage ? 'Usage limit reached' : undefined,
+        usage: usage || undefined,
+        current_membership: {
+          id: currentMembership.id,
+          type: currentMembershipType.name,
+          owner: getMembershipOwner(currentMembership)
+        },
+        upgrade_options: await getAvailableMembershipsWithFeature(store, featureId),
+        addon_options: await getAddonOptions(store, feature.id, currentMembershipType.currency)
+      });
+    
+    } catch (error) {
+      console.error('Error checking feature access:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * Get everything a user is entitled to, in one response
+   * GET /api/payment/users/:userId/entitlements
+   *
+   * The response carries an ETag; send it back in If-None-Match (alone,
+   * weak or in a list) to get a 304 Not Modified while the entitlements are
+   * unchanged.
+   */
+  router.get('/users/:userId/entitlements', async (req, res) => {
+    try {
+      const userId = req.params.userId;
+
+      const user = await store.users.findById(userId);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const entitlements = await resolveEntitlements(store, userId);
+      const etag = getEntitlementsETag(entitlements);
+
+      res.set({ ETag: etag, 'Cache-Control': 'private, no-cache' });
+      if (matchesETag(req.get('If-None-Match'), etag)) {
+        return res.status(304).end();
+      }
+
+      res.json(entitlements);
+    } catch (error) {
+      console.error('Error resolving entitlements:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * Issue a signed entitlement token, for checking the user's features
+   * without calling this API (see ./entitlement-verifier)
+   * POST /api/payment/users/:userId/entitlements/token
+   */
+  router.post('/users/:userId/entitlements/token', async (req, res) => {
+    try {
+      const userId = req.params.userId;
+
+      const user = await store.users.findById(userId);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const { token, expires_at } = tokenSigner.sign(await resolveEntitlements(store, userId));
+
+      res.status(201).json({ token, token_type: 'entitlement', expires_at });
+    } catch (error) {
+      console.error('Error issuing entitlement token:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * Get the public keys entitlement tokens are signed with, as a JWKS
+   * GET /api/payment/entitlements/jwks
+   */
+  router.get('/entitlements/jwks', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(tokenSigner.getJwks());
+  });
+
+  /**
+   * Stream the changes to a user's entitlements, as server-sent events
+   * GET /api/payment/users/:userId/entitlements/events
+   *
+   * Each 'entitlement.granted' or 'entitlement.revoked' event has the
+   * change as its JSON data (see ./entitlement-events).
+   */
+  router.get('/users/:userId/entitlements/events', async (req, res) => {
+    const userId = req.params.userId;
+
+    try {
+      const user = await store.users.findById(userId);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+    } catch (error) {
+      console.error('Error opening entitlement event stream:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const send = (event) => {
+      if (event.user_id === userId) {
+        res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      }
+    };
+    // Comments keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 30 * 1000);
+
+    ENTITLEMENT_EVENTS.forEach(type => events.on(type, send));
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      ENTITLEMENT_EVENTS.forEach(type => events.off(type, send));
+    });
+  });
+
+  /**
+   * Report a user's consumption of a feature with usage limits
+   * POST /api/payment/users/:userId/usage
+   *
+   * Request body:
+   * - feature_id: The ID of the feature
+   * - quantity: Consumption to add (default 1); negative to release some,
+   *   e.g. when a family member is removed
+   */
+  router.post('/users/:userId/usage', publishEntitlementChanges({
+    store,
+    events,
+    getOwner: req => ({ type: 'user', id: req.params.userId })
+  }), async (req, res) => {
+    try {
+      const userId = req.params.userId;
+      const { feature_id, quantity = 1 } = req.body;
+
+      if (!feature_id) {
+        return res.status(400).json({ error: 'feature_id is required' });
+      }
+
+      const user = await store.users.findById(userId);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const feature = await getFeature(store, feature_id);
+      const owners = await findAccessibleOwners(store, userId);
+      const result = await recordUsage(store, {
+        userId,
+        feature,
+        memberships: await findAccessibleMemberships(store, userId, { owners }),
+        owners,
+        quantity
+      });
+
+      if (!result.recorded) {
+        return res.status(403).json({ error: 'Usage limit exceeded', usage: result.usage });
+      }
+
+      res.json(result.usage);
+    } catch (error) {
+      if (error instanceof CheckoutError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error recording usage:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * Report usage of a metered subscription or billing schedule
+   * POST /api/payment/usage
+   *
+   * Request body:
+   * - idempotency_key: Unique key of the report (or an Idempotency-Key
+   *   header); a report sent again with it is recorded once
+   * - subscription_id or billing_schedule_id: What the usage is billed with
+   * - quantity: Units used
+   * - timestamp: (Optional) When the usage happened (ISO 8601, defaults to now)
+   * - metadata: (Optional) Details of the usage
+   *
+   * Responds 201 with the new record, or 200 with the first one when the
+   * key was already used for the same usage.
+   */
+  router.post('/usage', async (req, res) => {
+    try {
+      const { subscription_id, billing_schedule_id, quantity, timestamp, metadata } = req.body;
+
+      const { record, created } = await recordMeteredUsage(store, {
+        idempotencyKey: req.body.idempotency_key || req.get('Idempotency-Key'),
+        subscriptionId: subscription_id || null,
+        billingScheduleId: billing_schedule_id || null,
+        quantity,
+        timestamp: timestamp || null,
+        metadata: metadata || null
+      });
+
+      res.status(created ? 201 : 200).json(formatUsageRecord(record));
+    } catch (error) {
+      if (error instanceof CheckoutError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error recording metered usage:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * Get the usage of a metered subscription or billing schedule that
+   * hasn't been billed yet, priced as it stands
+   * GET /api/payment/usage/summary?subscription_id=...
+   * GET /api/payment/usage/summary?billing_schedule_id=...
+   */
+  router.get('/usage/summary', async (req, res) => {
+    try {
+      const { subscription_id, billing_schedule_id } = req.query;
+
+      res.json(await previewUsage(store, {
+        subscriptionId: subscription_id || null,
+        billingScheduleId: billing_schedule_id || null
+      }));
+    } catch (error) {
+      if (error instanceof CheckoutError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error summarizing metered usage:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Invoice routes for each owner type:
+  // /users/:userId/invoices and /organizations/:orgId/invoices
+  for (const segment of ['users', 'organizations']) {
+    const owner = MEMBERSHIP_OWNERS[segment];
+    const basePath = `/${segment}/:${owner.param}/invoices`;
+
+    /**
+     * Get an owner's invoices, newest first
+     * GET /api/payment/users/:userId/invoices
+     * GET /api/payment/organizations/:orgId/invoices
+     *
+     * Query parameters:
+     * - status: (Optional) 'draft', 'open', 'paid', 'void' or 'uncollectible'
+     */
+    router.get(basePath, async (req, res) => {
+      try {
+        const ownerId = req.params[owner.param];
+        const { status } = req.query;
+
+        if (status && !INVOICE_STATUSES.includes(status)) {
+          return res.status(400).json({ error: `status must be one of: ${INVOICE_STATUSES.join(', ')}` });
+        }
+
+        const ownerRecord = await store[owner.table].findById(ownerId);
+        if (!ownerRecord) {
+          return res.status(404).json({ error: `${owner.label} not found` });
+        }
+
+        const invoices = await store.invoices.findAll({
+          where: { [owner.column]: ownerId, ...(status ? { status } : {}) },
+          order: [['created_at', 'DESC']]
+        });
+
+        res.json(invoices.map(formatInvoice));
+      } catch (error) {
+        console.error(`Error fetching ${owner.type} invoices:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    /**
+     * Get a specific invoice of an owner
+     * GET /api/payment/users/:userId/invoices/:invoiceId
+     * GET /api/payment/organizations/:orgId/invoices/:invoiceId
+     */
+    router.get(`${basePath}/:invoiceId`, async (req, res) => {
+      try {
+        const invoice = await findOwnerInvoice(store, owner, {
+          ownerId: req.params[owner.param],
+          invoiceId: req.params.invoiceId
+        });
+
+        res.json(formatInvoice(invoice));
+      } catch (error) {
+        if (error instanceof InvoiceError) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        console.error(`Error fetching ${owner.type} invoice:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    /**
+     * Create a draft invoice for an owner, e.g. for services billed by hand;
+     * it gets its number when it's finalized
+     * POST /api/payment/users/:userId/invoices
+     * POST /api/payment/organizations/:orgId/invoices
+     *
+     * Request body:
+     * - line_items: [{ description, quantity, unit_price_cents, total_cents }];
+     *   `quantity` defaults to 1 and `total_cents` to quantity × unit price
+     * - tax_cents, discount_cents: (Optional) Tax and discount on the subtotal
+     * - currency: (Optional) Defaults to USD
+     * - due_date: (Optional) ISO 8601, defaults to 30 days from now
+     * - notes: (Optional) Notes for the customer
+     */
+    router.post(basePath, async (req, res) => {
+      try {
+        const ownerId = req.params[owner.param];
+        const { line_items, tax_cents = 0, discount_cents = 0, currency = 'USD', due_date, notes } = req.body;
+
+        const ownerRecord = await store[owner.table].findById(ownerId);
+        if (!ownerRecord) {
+          return res.status(404).json({ error: `${owner.label} not found` });
+        }
+
+        const invoice = await createDraftInvoice(store, {
+          billing: getBillingColumns(owner, ownerRecord),
+          lineItems: line_items,
+          taxCents: tax_cents,
+          discountCents: discount_cents,
+          currency,
+          dueDate: due_date || null,
+          notes: notes || null
+        });
+
+        res.status(201).json(formatInvoice(invoice));
+      } catch (error) {
+        if (error instanceof InvoiceError) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        console.error(`Error creating ${owner.type} invoice:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // Status changes of an owner's invoices (see ./invoices)
+    const transitions = {
+      finalize: invoice => finalizeInvoice(store, invoice.id),
+      void: (invoice, body) => voidInvoice(store, invoice.id, { reason: body.reason || null }),
+      'mark-uncollectible': invoice => markInvoiceUncollectible(store, invoice.id)
+    };
+
+    /**
+     * Change the status of an owner's invoice
+     * POST /api/payment/users/:userId/invoices/:invoiceId/finalize
+     * POST /api/payment/users/:userId/invoices/:invoiceId/void
+     * POST /api/payment/users/:userId/invoices/:invoiceId/mark-uncollectible
+     * (and the same under /organizations/:orgId)
+     *
+     * - finalize: numbers a draft and opens it for payment
+     * - void: cancels a draft, open or uncollectible invoice; request body
+     *   `reason` (optional) is kept with it
+     * - mark-uncollectible: an open invoice that isn't expected to be paid
+     */
+    for (const [action, transition] of Object.entries(transitions)) {
+      router.post(`${basePath}/:invoiceId/${action}`, async (req, res) => {
+        try {
+          const invoice = await findOwnerInvoice(store, owner, {
+            ownerId: req.params[owner.param],
+            invoiceId: req.params.invoiceId
+          });
+
+          res.json(formatInvoice(await transition(invoice, req.body)));
+        } catch (error) {
+          if (error instanceof InvoiceError) {
+            return res.status(error.status).json({ error: error.message });
+          }
+          console.error(`Error changing ${owner.type} invoice (${action}):`, error);
+          res.status(500).json({ error: 'Internal server error' });
+        }
+      });
+    }
+  }
+
+  /**
+   * Summarize membership cancellations for churn reporting
+   * GET /api/payment/reports/cancellations
+   *
+   * Query parameters:
+   * - from: Start of the window (ISO 8601, defaults to 30 days ago)
+   * - to: End of the window (ISO 8601, defaults to now)
+   * - membership_type_id: Only cancellations of this membership type
+   */
+  router.get('/reports/cancellations', async (req, res) => {
+    try {
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+      if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        return res.status(400).json({ error: 'from and to must be ISO 8601 dates' });
+      }
+
+      const report = await getCancellationReport(store, {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        membershipTypeId: req.query.membership_type_id || null
+      });
+
+      res.json(report);
+    } catch (error) {
+      console.error('Error building cancellation report:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Format a membership for API responses, with its addons (entity_addons
+ * rows) when given
+ */
+function formatMembership(membership, membershipType, addons = null) {
+  return {
+    id: membership.id,
+    status: membership.status,
+    owner: getMembershipOwner(membership),
+    start_date: membership.start_date,
+    end_date: membership.end_date,
+    trial_end: membership.trial_end || null,
+    trial_converted_at: membership.trial_converted_at || null,
+    grace_until: membership.grace_until || null,
+    cancel_at_period_end: Boolean(membership.cancel_at_period_end),
+    paused_at: membership.paused_at || null,
+    resumes_at: membership.resumes_at || null,
+    auto_renew: membership.auto_renew,
+    subscription_id: membership.subscription_id,
+    order_id: membership.order_id,
+    cancelled_at: membership.cancelled_at,
+    cancellation_reason: membership.cancellation_reason,
+    pending_plan_change: JSON.parse(membership.metadata || '{}').pending_plan_change || null,
+    addons: addons ? addons.map(formatPurchasedAddon) : undefined,
+    membership_type: {
+      id: membershipType.id,
+      name: membershipType.name,
+      duration_type: membershipType.duration_type,
+      trial_days: membershipType.trial_days,
+      features: JSON.parse(membershipType.features || '[]')
+    },
+    created_at: membership.created_at
+  };
+}
+
+/**
+ * Format a feature for API responses
+ */
+function formatFeature(feature) {
+  return {
+    id: feature.id,
+    name: feature.name,
+    description: feature.description,
+    unit: feature.unit || null,
+    reset_period: feature.reset_period || null,
+    is_active: feature.is_active,
+    metadata: JSON.parse(feature.metadata || '{}'),
+    created_at: feature.created_at,
+    updated_at: feature.updated_at
+  };
+}
+
+/**
+ * Load a membership of an owner
+ */
+async function findOwnerMembership(store, owner, { ownerId, membershipId }) {
+  const ownerRecord = await store[owner.table].findById(ownerId);
+  if (!ownerRecord) {
+    throw new CheckoutError(`${owner.label} not found`, 404);
+  }
+
+  const membership = await store.entity_memberships.findOne({
+    where: { id: membershipId, [owner.column]: ownerId }
+  });
+  if (!membership) {
+    throw new CheckoutError('Membership not found', 404);
+  }
+
+  return membership;
+}
+
+/**
+ * Load an invoice of an owner
+ */
+async function findOwnerInvoice(store, owner, { ownerId, invoiceId }) {
+  const ownerRecord = await store[owner.table].findById(ownerId);
+  if (!ownerRecord) {
+    throw new InvoiceError(`${owner.label} not found`, 404);
+  }
+
+  const invoice = await store.invoices.findOne({
+    where: { id: invoiceId, [owner.column]: ownerId }
+  });
+  if (!invoice) {
+    throw new InvoiceError('Invoice not found', 404);
+  }
+
+  return invoice;
+}
+
+/**
+ * Load an owner's membership and the membership types of a plan change.
+ * Only active recurring memberships can change plans.
+ */
+async function findPlanChange(store, owner, { ownerId, membershipId, membershipTypeId }) {
+  const ownerRecord = await store[owner.table].findById(ownerId);
+  if (!ownerRecord) {
+    throw new CheckoutError(`${owner.label} not found`, 404);
+  }
+
+  const membership = await store.entity_memberships.findOne({
+    where: { id: membershipId, [owner.column]: ownerId }
+  });
+  if (!membership) {
+    throw new CheckoutError('Membership not found', 404);
+  }
+
+  const newType = await store.membership_types.findOne({ where: { id: membershipTypeId, is_active: true } });
+  if (!newType) {
+    throw new CheckoutError('Membership type not found', 404);
+  }
+
+  const subscription = membership.subscription_id
+    ? await store.subscriptions.findById(membership.subscription_id)
+    : null;
+  if (membership.status !== 'active' || !subscription) {
+    throw new CheckoutError('Only active recurring memberships can change plans');
+  }
+
+  const currentType = await store.membership_types.findById(membership.membership_type_id);
+
+  return { ownerRecord, membership, subscription, currentType, newType };
+}
+
+/**
+ * Format a membership type for plan change previews
+ */
+function formatPlan(membershipType) {
+  return {
+    id: membershipType.id,
+    name: membershipType.name,
+    price_cents: membershipType.price_cents,
+    currency: membershipType.currency,
+    duration_days: membershipType.duration_days,
+    features: JSON.parse(membershipType.features || '[]')
+  };
+}
+
+/**
+ * Owner types a coupon or tax can be previewed for, by request body field
+ */
+const COUPON_OWNERS = [
+  { field: 'user_id', ...MEMBERSHIP_OWNERS.users },
+  { field: 'organization_id', ...MEMBERSHIP_OWNERS.organizations },
+  { field: 'project_id', ...MEMBERSHIP_OWNERS.projects },
+  { field: 'guest_id', ...ADDON_OWNERS.guests }
+];
+
+/**
+ * Describe the purchase of a membership type for applyCoupon (see ./coupons)
+ * and calculatePurchaseTax (see ./taxes)
+ */
+async function getMembershipPurchase(store, membershipTypeId) {
+  const membershipType = await store.membership_types.findById(membershipTypeId);
+  if (!membershipType) {
+    throw new CheckoutError('Membership type not found', 404);
+  }
+
+  return {
+    productId: `membership_${membershipType.id}`,
+    subtotalCents: membershipType.price_cents,
+    currency: membershipType.currency,
+    isRecurring: membershipType.duration_type === 'recurring',
+    productType: membershipType.duration_type === 'recurring' ? 'subscription' : 'service'
+  };
+}
+
+/**
+ * Describe the purchase of an addon for applyCoupon (see ./coupons) and
+ * calculatePurchaseTax (see ./taxes)
+ */
+async function getAddonPurchase(store, { featureId, currency, isRecurring }) {
+  const { addon, price } = await findAddonOffering(store, featureId, currency || null);
+  const recurring = isRecurring && Boolean(addon.duration_days);
+
+  return {
+    productId: getAddonProductId(featureId, price),
+    subtotalCents: price.price_cents,
+    currency: price.currency,
+    isRecurring: recurring,
+    productType: recurring ? 'subscription' : 'digital'
+  };
+}
+
+/**
+ * Check a guest's access to a feature: guests have no memberships, only
+ * standalone addons, and their consumption of features with usage limits
+ * isn't counted
+ */
+async function verifyGuestAccess(store, { guestId, feature }) {
+  const [addon] = (await findCurrentAddons(store, { memberships: [], owners: [{ type: 'guest', id: guestId }] }))
+    .filter(candidate => candidate.feature_id === feature.id);
+
+  if (!addon) {
+    return {
+      has_access: false,
+      reason: 'No active addon',
+      addon_options: await getAddonOptions(store, feature.id, null, { standalone: true })
+    };
+  }
+
+  return {
+    has_access: true,
+    access_source: 'addon',
+    addon: {
+      id: addon.id,
+      name: addon.name,
+      owner: getAddonOwner(addon),
+      expires: addon.end_date || 'never'
+    }
+  };
+}
 
 /**
  * Helper function to get available memberships that include a feature
  */
-async function getAvailableMembershipsWithFeature(featureId) {
-  const allMembershipTypes = await db.membership_types.findAll({
+async function getAvailableMembershipsWithFeature(store, featureId) {
+  const allMembershipTypes = await store.membership_types.findAll({
     where: { is_active: true }
   });
   
@@ -529,8 +1976,9 @@ async function getAvailableMembershipsWithFeature(featureId) {
       price_cents: type.price_cents,
       currency: type.currency,
       duration_type: type.duration_type,
-      features: JSON.parse(type.features || '[]')
+      features: JSON.parse(type.features || '[]'),
+      feature_limits: JSON.parse(type.feature_limits || '{}')
     }));
 }
 
-module.exports = router;
+module.exports = { createMembershipRouter };
@@ -0,0 +1,25 @@
+/**
+ * Membership Store
+ *
+ * Data-access layer for the membership routes. Every adapter exposes one
+ * repository per table (`store.entity_memberships`, `store.membership_types`,
+ * ...) with the same API and query semantics, documented in ./sql-store.js,
+ * plus `store.transaction(fn)`.
+ *
+ * - createSqliteStore(db): sqlite/schema.sql via better-sqlite3
+ * - createPostgresStore(pool): postgresql/schema.sql via pg
+ * - createMysqlStore(pool): mysql/schema.sql via mysql2
+ * - createMemoryStore(seed): in-memory, for tests and local development
+ */
+
+const { createMemoryStore } = require('./memory-store');
+const { createSqliteStore } = require('./sqlite-store');
+const { createPostgresStore } = require('./postgres-store');
+const { createMysqlStore } = require('./mysql-store');
+
+module.exports = {
+  createMemoryStore,
+  createSqliteStore,
+  createPostgresStore,
+  createMysqlStore
+};
@@ -0,0 +1,251 @@
+/**
+ * In-Memory Store
+ *
+ * Store adapter that keeps rows in memory. It implements the same
+ * repository API and query semantics as the SQL adapters (see
+ * ./sql-store.js), including column defaults and transactions, so routes
+ * can be exercised in tests without a database.
+ *
+ * Usage:
+ *   const store = createMemoryStore({
+ *     users: [{ id: 'user_123', email: 'jane@example.com', user_type: 'individual' }],
+ *     membership_types: [...]
+ *   });
+ */
+
+const { randomUUID } = require('crypto');
+const { TABLES, normalizeRow, normalizeValue } = require('./tables');
+
+/**
+ * Create an in-memory store
+ *
+ * @param {Object} seed - Optional map of table name to an array of rows
+ */
+function createMemoryStore(seed = {}) {
+  const data = {};
+
+  for (const table of Object.keys(TABLES)) {
+    data[table] = new Map();
+  }
+
+  const store = {};
+  for (const table of Object.keys(TABLES)) {
+    store[table] = createMemoryRepository(table, data[table]);
+  }
+
+  for (const [table, rows] of Object.entries(seed)) {
+    if (!data[table]) {
+      throw new Error(`Unknown table: ${table}`);
+    }
+    for (const row of rows) {
+      insertRow(table, data[table], row);
+    }
+  }
+
+  // Transactions are queued like SQLite's. Their writes are journaled, and
+  // on failure only those writes are undone, newest first, so writes made
+  // outside the transaction while it ran are kept.
+  let queue = Promise.resolve();
+
+  store.transaction = (fn) => {
+    const result = queue.then(async () => {
+      const journal = [];
+      const transactionStore = {};
+      for (const table of Object.keys(TABLES)) {
+        transactionStore[table] = createMemoryRepository(table, data[table], journal);
+      }
+      transactionStore.transaction = (innerFn) => innerFn(transactionStore);
+
+      try {
+        return await fn(transactionStore);
+      } catch (error) {
+        for (const undo of journal.reverse()) {
+          undo();
+        }
+        throw error;
+      }
+    });
+
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  return store;
+}
+
+/**
+ * Create the repository for one table. Inside a transaction, `journal`
+ * collects a function undoing each write.
+ */
+function createMemoryRepository(table, rows, journal = null) {
+  const hasUpdatedAt = TABLES[table].timestamp.includes('updated_at');
+
+  async function findAll({ where, order, limit } = {}) {
+    let result = [...rows.values()].filter((row) => matches(table, row, where));
+
+    if (order && order.length > 0) {
+      result.sort((a, b) => compareRows(a, b, order));
+    }
+
+    if (limit) {
+      result = result.slice(0, Number(limit));
+    }
+
+    return result.map((row) => ({ ...row }));
+  }
+
+  async function findOne({ where, order } = {}) {
+    const result = await findAll({ where, order, limit: 1 });
+    return result[0] || null;
+  }
+
+  async function findById(id) {
+    const row = rows.get(id);
+    return row ? { ...row } : null;
+  }
+
+  async function count({ where } = {}) {
+    return [...rows.values()].filter((row) => matches(table, row, where)).length;
+  }
+
+  async function create(values) {
+    const row = insertRow(table, rows, values);
+    if (journal) {
+      journal.push(() => rows.delete(row.id));
+    }
+    return { ...row };
+  }
+
+  async function createIfAbsent(values, unique) {
+    const key = Object.fromEntries(unique.map((column) => [column, values[column]]));
+    if ([...rows.values()].some((row) => matches(table, row, key))) {
+      return null;
+    }
+    return create(values);
+  }
+
+  async function updateWhere(where, changes) {
+    const values = normalizeRow(table, stripUndefined(changes));
+    if (hasUpdatedAt && values.updated_at === undefined) {
+      values.updated_at = new Date().toISOString();
+    }
+
+    let updated = 0;
+    for (const row of rows.values()) {
+      if (matches(table, row, where)) {
+        if (journal) {
+          const previous = { ...row };
+          journal.push(() => restoreRow(row, previous));
+        }
+        Object.assign(row, values);
+        updated += 1;
+      }
+    }
+    return updated;
+  }
+
+  async function update(id, changes) {
+    const updated = await updateWhere({ id }, changes);
+    return updated > 0 ? findById(id) : null;
+  }
+
+  return { findAll, findOne, findById, count, create, createIfAbsent, update, updateWhere };
+}
+
+function insertRow(table, rows, values) {
+  const now = new Date().toISOString();
+  const { timestamp, defaults } = TABLES[table];
+
+  const row = normalizeRow(table, {
+    ...defaults,
+    ...(timestamp.includes('created_at') ? { created_at: now } : {}),
+    ...(timestamp.includes('updated_at') ? { updated_at: now } : {}),
+    id: randomUUID(),
+    ...stripUndefined(values)
+  });
+
+  if (rows.has(row.id)) {
+    throw new Error(`Duplicate id in ${table}: ${row.id}`);
+  }
+
+  rows.set(row.id, row);
+  return row;
+}
+
+function restoreRow(row, previous) {
+  for (const column of Object.keys(row)) {
+    delete row[column];
+  }
+  Object.assign(row, previous);
+}
+
+function matches(table, row, where) {
+  return Object.entries(where || {}).every(([column, condition]) => {
+    if (condition === undefined) {
+      return true;
+    }
+
+    const value = row[column] === undefined ? null : row[column];
+
+    if (condition === null) {
+      return value === null;
+    }
+
+    if (Array.isArray(condition)) {
+      return condition.some((candidate) => value === normalizeValue(table, column, candidate));
+    }
+
+    if (typeof condition === 'object' && !(condition instanceof Date)) {
+      return Object.entries(condition).every(([operator, operand]) => {
+        if (operator === 'in') {
+          return operand.some((candidate) => value === normalizeValue(table, column, candidate));
+        }
+        if (operand === null) {
+          return operator === 'ne' ? value !== null : value === null;
+        }
+        // SQL comparisons with NULL are never true
+        if (value === null) {
+          return false;
+        }
+
+        const expected = normalizeValue(table, column, operand);
+        switch (operator) {
+          case 'ne': return value !== expected;
+          case 'lt': return value < expected;
+          case 'lte': return value <= expected;
+          case 'gt': return value > expected;
+          case 'gte': return value >= expected;
+          default: throw new Error(`Unknown operator: ${operator}`);
+        }
+      });
+    }
+
+    return value === normalizeValue(table, column, condition);
+  });
+}
+
+function compareRows(a, b, order) {
+  for (const [column, direction = 'ASC'] of order) {
+    const sign = String(direction).toUpperCase() === 'DESC' ? -1 : 1;
+    const left = a[column] === undefined ? null : a[column];
+    const right = b[column] === undefined ? null : b[column];
+
+    if (left === right) continue;
+    if (left === null) return -sign;
+    if (right === null) return sign;
+    return left < right ? -sign : sign;
+  }
+  return 0;
+}
+
+function stripUndefined(values) {
+  const result = {};
+  for (const [key, value] of Object.entries(values || {})) {
+    if (value !== undefined) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+module.exports = { createMemoryStore };
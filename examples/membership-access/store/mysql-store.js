@@ -0,0 +1,74 @@
+/**
+ * MySQL Store
+ *
+ * Store adapter for mysql/schema.sql. Takes a mysql2 promise pool created
+ * with `timezone: 'Z'` so TIMESTAMP columns are read and written in UTC.
+ *
+ * Usage:
+ *   const mysql = require('mysql2/promise');
+ *   const store = createMysqlStore(mysql.createPool({ uri: process.env.DATABASE_URL, timezone: 'Z' }));
+ */
+
+const { createSqlStore } = require('./sql-store');
+
+/**
+ * MySQL stores booleans as TINYINT(1) and does not accept ISO 8601 strings
+ * with a 'Z' suffix in TIMESTAMP columns.
+ */
+const mysqlDialect = {
+  placeholder: () => '?',
+  toDb(type, value) {
+    if (value === null) {
+      return null;
+    }
+    if (type === 'boolean') {
+      return value ? 1 : 0;
+    }
+    if (type === 'timestamp') {
+      return value.replace('T', ' ').replace('Z', '');
+    }
+    return value;
+  },
+  // INSERT IGNORE would ignore every error, not only duplicate keys; a
+  // no-op update affects no rows
+  ignoreDuplicates: (sql) => `${sql} ON DUPLICATE KEY UPDATE id = id`
+};
+
+/**
+ * Create a store backed by a MySQL pool
+ *
+ * @param {Object} pool - mysql2/promise Pool
+ */
+function createMysqlStore(pool) {
+  function executorFor(connection) {
+    return {
+      async query(sql, params) {
+        const [rows] = await connection.query(sql, params);
+        return rows;
+      },
+      async run(sql, params) {
+        const [result] = await connection.query(sql, params);
+        return result.affectedRows;
+      }
+    };
+  }
+
+  async function transaction(fn) {
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const value = await fn(executorFor(connection));
+      await connection.commit();
+      return value;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  return createSqlStore({ dialect: mysqlDialect, executor: executorFor(pool), transaction });
+}
+
+module.exports = { createMysqlStore };
@@ -0,0 +1,93 @@
+/**
+ * PostgreSQL Store
+ *
+ * Store adapter for postgresql/schema.sql. Takes a node-postgres (`pg`) Pool.
+ *
+ * Usage:
+ *   const { Pool } = require('pg');
+ *   const store = createPostgresStore(new Pool({ connectionString: process.env.DATABASE_URL }));
+ */
+
+const { createSqlStore } = require('./sql-store');
+
+const INT8_OID = 20;
+const NUMERIC_OID = 1700;
+const TIMESTAMP_OID = 1114;
+const JSON_OID = 114;
+const JSONB_OID = 3802;
+
+/**
+ * PostgreSQL has native boolean and JSONB columns, so values pass through.
+ * JSONB columns accept the JSON strings produced by ./tables.js.
+ */
+const postgresDialect = {
+  placeholder: (index) => `$${index}`,
+  toDb: (type, value) => value,
+  ignoreDuplicates: (sql, unique) => `${sql} ON CONFLICT (${unique.join(', ')}) DO NOTHING`
+};
+
+/**
+ * Type parsers for the queries this store runs:
+ * - BIGINT (all *_cents columns) and NUMERIC are returned as numbers
+ * - TIMESTAMP (without time zone) is read as UTC rather than server-local time
+ * - JSON/JSONB are left as strings, matching the SQLite adapter
+ */
+function createTypeParsers(types) {
+  return {
+    getTypeParser(oid, format) {
+      switch (oid) {
+        case INT8_OID:
+        case NUMERIC_OID:
+          return (value) => (value === null ? null : Number(value));
+        case TIMESTAMP_OID:
+        case JSON_OID:
+        case JSONB_OID:
+          return (value) => value;
+        default:
+          return types.getTypeParser(oid, format);
+      }
+    }
+  };
+}
+
+/**
+ * Create a store backed by a PostgreSQL pool
+ *
+ * @param {Object} pool - pg Pool
+ */
+function createPostgresStore(pool) {
+  const { types } = require('pg');
+  const typeParsers = createTypeParsers(types);
+
+  function executorFor(client) {
+    return {
+      async query(sql, params) {
+        const result = await client.query({ text: sql, values: params, types: typeParsers });
+        return result.rows;
+      },
+      async run(sql, params) {
+        const result = await client.query({ text: sql, values: params, types: typeParsers });
+        return result.rowCount;
+      }
+    };
+  }
+
+  async function transaction(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const value = await fn(executorFor(client));
+      await client.query('COMMIT');
+      return value;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  return createSqlStore({ dialect: postgresDialect, executor: executorFor(pool), transaction });
+}
+
+module.exports = { createPostgresStore };
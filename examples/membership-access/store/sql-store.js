@@ -0,0 +1,244 @@
+/**
+ * SQL Store
+ *
+ * Builds the repository layer on top of a SQL executor. The SQLite,
+ * PostgreSQL and MySQL adapters only provide the executor and a dialect;
+ * query building and value conversion live here so all three behave the
+ * same way.
+ *
+ * Each table in ./tables.js gets a repository with:
+ * - findAll({ where, order, limit }): matching rows
+ * - findOne({ where, order }): first matching row or null
+ * - findById(id): row or null
+ * - count({ where }): number of matching rows
+ * - create(values): inserts a row (generating an id if missing) and returns it
+ * - createIfAbsent(values, unique): inserts a row unless one with the same
+ *   values of the `unique` columns (a UNIQUE constraint) exists, and returns
+ *   it, or null; unlike a failed create, this doesn't abort a transaction
+ * - update(id, changes): updates a row and returns it (null if not found)
+ * - updateWhere(where, changes): updates matching rows and returns the count
+ *
+ * `where` maps column names to conditions:
+ * - a value matches with `=`, `null` matches `IS NULL`
+ * - an array matches with `IN`
+ * - an object of operators: { ne, lt, lte, gt, gte, in }
+ *
+ * `order` is a list of [column, 'ASC' | 'DESC'] pairs.
+ */
+
+const { randomUUID } = require('crypto');
+const { TABLES, columnType, normalizeRow, normalizeValue } = require('./tables');
+
+const IDENTIFIER = /^[a-z_][a-z0-9_]*$/;
+
+const OPERATORS = {
+  ne: '<>',
+  lt: '<',
+  lte: '<=',
+  gt: '>',
+  gte: '>='
+};
+
+/**
+ * Create a store from a dialect and an executor
+ *
+ * @param {Object} options
+ * @param {Object} options.dialect - { placeholder(index), toDb(type, value),
+ *   ignoreDuplicates(insertSql, uniqueColumns) }
+ * @param {Object} options.executor - { query(sql, params) => rows, run(sql, params) => affected row count }
+ * @param {Function} options.transaction - (fn) => runs fn(executor) inside a database transaction
+ */
+function createSqlStore({ dialect, executor, transaction }) {
+  const store = {};
+
+  for (const table of Object.keys(TABLES)) {
+    store[table] = createSqlRepository(table, dialect, executor);
+  }
+
+  /**
+   * Run a function inside a transaction. The function receives a store bound
+   * to the transaction; nested calls reuse the outer transaction.
+   */
+  store.transaction = (fn) => transaction((transactionExecutor) => fn(createSqlStore({
+    dialect,
+    executor: transactionExecutor,
+    transaction: (innerFn) => innerFn(transactionExecutor)
+  })));
+
+  return store;
+}
+
+/**
+ * Create the repository for one table
+ */
+function createSqlRepository(table, dialect, executor) {
+  const hasUpdatedAt = TABLES[table].timestamp.includes('updated_at');
+
+  function toDb(column, value) {
+    assertIdentifier(column);
+    return dialect.toDb(columnType(table, column), normalizeValue(table, column, value));
+  }
+
+  function buildWhere(where, params) {
+    const clauses = [];
+
+    for (const [column, condition] of Object.entries(where || {})) {
+      assertIdentifier(column);
+
+      if (condition === undefined) {
+        continue;
+      }
+
+      if (condition === null) {
+        clauses.push(`${column} IS NULL`);
+      } else if (Array.isArray(condition)) {
+        clauses.push(buildIn(column, condition, params));
+      } else if (isOperatorObject(condition)) {
+        for (const [operator, value] of Object.entries(condition)) {
+          if (operator === 'in') {
+            clauses.push(buildIn(column, value, params));
+          } else if (value === null) {
+            clauses.push(`${column} ${operator === 'ne' ? 'IS NOT NULL' : 'IS NULL'}`);
+          } else {
+            params.push(toDb(column, value));
+            clauses.push(`${column} ${OPERATORS[operator]} ${dialect.placeholder(params.length)}`);
+          }
+        }
+      } else {
+        params.push(toDb(column, condition));
+        clauses.push(`${column} = ${dialect.placeholder(params.length)}`);
+      }
+    }
+
+    return clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '';
+  }
+
+  function buildIn(column, values, params) {
+    if (values.length === 0) {
+      return '1 = 0';
+    }
+
+    const placeholders = values.map((value) => {
+      params.push(toDb(column, value));
+      return dialect.placeholder(params.length);
+    });
+
+    return `${column} IN (${placeholders.join(', ')})`;
+  }
+
+  function buildOrder(order) {
+    if (!order || order.length === 0) {
+      return '';
+    }
+
+    const terms = order.map(([column, direction = 'ASC']) => {
+      assertIdentifier(column);
+      return `${column} ${String(direction).toUpperCase() === 'DESC' ? 'DESC' : 'ASC'}`;
+    });
+
+    return ` ORDER BY ${terms.join(', ')}`;
+  }
+
+  async function findAll({ where, order, limit } = {}) {
+    const params = [];
+    let sql = `SELECT * FROM ${table}${buildWhere(where, params)}${buildOrder(order)}`;
+
+    if (limit) {
+      sql += ` LIMIT ${Number(limit)}`;
+    }
+
+    const rows = await executor.query(sql, params);
+    return rows.map((row) => normalizeRow(table, row));
+  }
+
+  async function findOne({ where, order } = {}) {
+    const rows = await findAll({ where, order, limit: 1 });
+    return rows[0] || null;
+  }
+
+  async function findById(id) {
+    return findOne({ where: { id } });
+  }
+
+  async function count({ where } = {}) {
+    const params = [];
+    const rows = await executor.query(`SELECT COUNT(*) AS count FROM ${table}${buildWhere(where, params)}`, params);
+    return Number(rows[0].count);
+  }
+
+  async function create(values) {
+    const row = { id: randomUUID(), ...stripUndefined(values) };
+    const columns = Object.keys(row);
+    const params = columns.map((column) => toDb(column, row[column]));
+    const placeholders = params.map((_, index) => dialect.placeholder(index + 1));
+
+    await executor.run(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders.join(', ')})`,
+      params
+    );
+
+    return findById(row.id);
+  }
+
+  async function createIfAbsent(values, unique) {
+    const row = { id: randomUUID(), ...stripUndefined(values) };
+    const columns = Object.keys(row);
+    const params = columns.map((column) => toDb(column, row[column]));
+    const placeholders = params.map((_, index) => dialect.placeholder(index + 1));
+    unique.forEach(assertIdentifier);
+
+    const inserted = await executor.run(dialect.ignoreDuplicates(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders.join(', ')})`,
+      unique
+    ), params);
+
+    return inserted > 0 ? findById(row.id) : null;
+  }
+
+  async function updateWhere(where, changes) {
+    const values = stripUndefined(changes);
+    if (hasUpdatedAt && values.updated_at === undefined) {
+      values.updated_at = new Date().toISOString();
+    }
+
+    const params = [];
+    const assignments = Object.keys(values).map((column) => {
+      params.push(toDb(column, values[column]));
+      return `${column} = ${dialect.placeholder(params.length)}`;
+    });
+
+    return executor.run(`UPDATE ${table} SET ${assignments.join(', ')}${buildWhere(where, params)}`, params);
+  }
+
+  async function update(id, changes) {
+    const updated = await updateWhere({ id }, changes);
+    return updated > 0 ? findById(id) : null;
+  }
+
+  return { findAll, findOne, findById, count, create, createIfAbsent, update, updateWhere };
+}
+
+function isOperatorObject(condition) {
+  return typeof condition === 'object'
+    && !(condition instanceof Date)
+    && Object.keys(condition).length > 0
+    && Object.keys(condition).every((key) => key === 'in' || key in OPERATORS);
+}
+
+function stripUndefined(values) {
+  const result = {};
+  for (const [key, value] of Object.entries(values || {})) {
+    if (value !== undefined) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+function assertIdentifier(name) {
+  if (!IDENTIFIER.test(name)) {
+    throw new Error(`Invalid column name: ${name}`);
+  }
+}
+
+module.exports = { createSqlStore };
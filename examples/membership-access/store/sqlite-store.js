@@ -0,0 +1,79 @@
+/**
+ * SQLite Store
+ *
+ * Store adapter for sqlite/schema.sql. Takes an open better-sqlite3
+ * database (or any database with the same prepare().all()/run() API, such
+ * as node:sqlite's DatabaseSync).
+ *
+ * Usage:
+ *   const Database = require('better-sqlite3');
+ *   const store = createSqliteStore(new Database('payments.db'));
+ */
+
+const { createSqlStore } = require('./sql-store');
+
+/**
+ * SQLite has no boolean or JSON types: booleans are stored as 0/1 and JSON
+ * as TEXT, which ./tables.js already normalizes to strings.
+ */
+const sqliteDialect = {
+  placeholder: () => '?',
+  toDb(type, value) {
+    if (type === 'boolean' && value !== null) {
+      return value ? 1 : 0;
+    }
+    return value;
+  },
+  ignoreDuplicates: (sql, unique) => `${sql} ON CONFLICT (${unique.join(', ')}) DO NOTHING`
+};
+
+/**
+ * Create a store backed by a SQLite database
+ *
+ * @param {Object} db - better-sqlite3 Database
+ */
+function createSqliteStore(db) {
+  const transactionExecutor = {
+    async query(sql, params) {
+      return db.prepare(sql).all(...params);
+    },
+    async run(sql, params) {
+      return db.prepare(sql).run(...params).changes;
+    }
+  };
+
+  // A SQLite connection has a single transaction at a time, so transactions
+  // are queued and run one after another. Queries outside transactions are
+  // queued too: run while a transaction awaits, they would become part of
+  // it and be rolled back with it.
+  let queue = Promise.resolve();
+
+  function enqueue(fn) {
+    const result = queue.then(fn);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  const executor = {
+    query: (sql, params) => enqueue(() => transactionExecutor.query(sql, params)),
+    run: (sql, params) => enqueue(() => transactionExecutor.run(sql, params))
+  };
+
+  function transaction(fn) {
+    return enqueue(async () => {
+      db.exec('BEGIN IMMEDIATE');
+      try {
+        const value = await fn(transactionExecutor);
+        db.exec('COMMIT');
+        return value;
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+    });
+  }
+
+  return createSqlStore({ dialect: sqliteDialect, executor, transaction });
+}
+
+module.exports = { createSqliteStore };
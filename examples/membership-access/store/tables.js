@@ -0,0 +1,342 @@
+/**
+ * Table Catalog
+ *
+ * Column metadata for the Native Payments tables used by the membership
+ * system. The store adapters use it to convert values between JavaScript
+ * and the column types declared in sqlite/schema.sql, postgresql/schema.sql
+ * and mysql/schema.sql, so every adapter returns rows in the same shape:
+ *
+ * - json: JSON strings (routes call JSON.parse on them, as with SQLite TEXT)
+ * - boolean: true/false (SQLite and MySQL store 0/1)
+ * - timestamp: ISO 8601 strings in UTC
+ *
+ * `defaults` mirrors the column defaults of the schema. SQL databases apply
+ * them on insert; the in-memory adapter applies them itself.
+ */
+
+const TABLES = {
+  users: {
+    json: ['metadata'],
+    boolean: ['is_verified', 'is_locked', 'two_factor', 'first_time'],
+    timestamp: ['deleted_at', 'created_at', 'updated_at'],
+    defaults: { is_verified: false, is_locked: false, two_factor: false, first_time: true }
+  },
+  organizations: {
+    json: [],
+    boolean: [],
+    timestamp: ['created_at', 'updated_at'],
+    defaults: {}
+  },
+  organization_users: {
+    json: [],
+    boolean: [],
+    timestamp: ['created_at', 'updated_at'],
+    defaults: { role: 'member' }
+  },
+  projects: {
+    json: ['metadata'],
+    boolean: ['is_active'],
+    timestamp: ['created_at', 'updated_at'],
+    defaults: { billing_currency: 'USD', is_active: true }
+  },
+  addresses: {
+    json: ['metadata'],
+    boolean: ['is_default', 'is_guest'],
+    timestamp: ['created_at', 'updated_at'],
+    defaults: { is_default: false, is_guest: false }
+  },
+  payment_providers: {
+    json: ['config'],
+    boolean: ['is_active', 'supports_subscriptions', 'supports_saved_methods'],
+    timestamp: ['created_at', 'updated_at'],
+    defaults: { is_active: true, supports_subscriptions: false, supports_saved_methods: false }
+  },
+  external_entities: {
+    json: ['metadata'],
+    boolean: ['is_external'],
+    timestamp: ['created_at', 'updated_at'],
+    defaults: { context_type: 'payment', is_external: true }
+  },
+  payment_methods: {
+    json: ['metadata'],
+    boolean: ['is_default', 'is_guest'],
+    timestamp: ['created_at', 'updated_at'],
+    defaults: { is_default: false, is_guest: false }
+  },
+  products: {
+    json: ['gallery', 'variations', 'metadata'],
+    boolean: ['is_recurring', 'is_active'],
+    timestamp: ['created_at', 'updated_at'],
+    defaults: { is_recurring: false, currency: 'USD', trial_days: 0, is_active: true }
+  },
+  orders: {
+    json: ['guest_data', 'billing_address', 'shipping_address', 'metadata'],
+    boolean: ['is_guest_order'],
+    timestamp: ['created_at', 'updated_at', 'completed_at'],
+    defaults: { is_guest_order: false, status: 'pending', tax_cents: 0, discount_cents: 0, currency: 'USD' }
+  },
+  order_items: {
+    json: ['metadata'],
+    boolean: [],
+    timestamp: ['created_at'],
+    defaults: { quantity: 1 }
+  },
+  subscriptions: {
+    json: ['metadata', 'guest_data'],
+    boolean: ['cancel_at_period_end', 'is_guest_subscription'],
+    timestamp: [
+      'current_period_start', 'current_period_end', 'trial_end', 'next_billing_date',
+      'last_billing_attempt', 'created_at', 'updated_at'
+    ],
+    defaults: {
+      cancel_at_period_end: false,
+      tax_cents: 0,
+      discount_cents: 0,
+      currency: 'USD',
+      billing_interval: 'monthly',
+      interval_multiplier: 1,
+      billing_retry_count: 0,
+      max_retry_attempts: 3,
+      billing_status: 'active',
+      is_guest_subscription: false
+    }
+  },
+  payments: {
+    json: ['guest_data', 'applied_coupons', 'metadata'],
+    boolean: ['is_manual_payment', 'is_guest_payment'],
+    timestamp: ['manual_payment_date', 'created_at', 'updated_at', 'completed_at'],
+    defaults: { tax_cents: 0, discount_cents: 0, currency: 'USD', is_manual_payment: false, is_guest_payment: false }
+  },
+  invoices: {
+    json: ['guest_data', 'billing_address', 'applied_coupons', 'line_items', 'metadata'],
+    boolean: ['is_guest_invoice'],
+    timestamp: ['issue_date', 'due_date', 'paid_date', 'payment_link_expires_at', 'created_at', 'updated_at'],
+    defaults: { tax_cents: 0, discount_cents: 0, currency: 'USD', is_guest_invoice: false }
+  },
+  payment_webhooks: {
+    json: ['payload'],
+    boolean: ['processed'],
+    timestamp: ['created_at', 'processed_at'],
+    defaults: { processed: false }
+  },
+  payment_events: {
+    json: ['data'],
+    boolean: [],
+    timestamp: ['created_at'],
+    defaults: {}
+  },
+  membership_types: {
+    json: ['features', 'feature_limits', 'metadata'],
+    boolean: ['is_active'],
+    timestamp: ['created_at', 'updated_at'],
+    defaults: { currency: 'USD', trial_days: 0, is_active: true }
+  },
+  features: {
+    json: ['metadata'],
+    boolean: ['is_active'],
+    timestamp: ['created_at', 'updated_at'],
+    defaults: { is_active: true }
+  },
+  addons: {
+    json: ['metadata'],
+    boolean: ['requires_membership', 'is_active'],
+    timestamp: ['created_at', 'updated_at'],
+    defaults: { requires_membership: true, is_active: true }
+  },
+  addon_prices: {
+    json: [],
+    boolean: ['is_current'],
+    timestamp: ['superseded_at', 'created_at'],
+    defaults: { version: 1, is_current: true }
+  },
+  feature_usage: {
+    json: [],
+    boolean: [],
+    timestamp: ['created_at', 'updated_at'],
+    defaults: { quantity: 0 }
+  },
+  entity_memberships: {
+    json: ['addons', 'metadata'],
+    boolean: ['auto_renew', 'cancel_at_period_end'],
+    timestamp: [
+      'start_date', 'end_date', 'trial_end', 'trial_converted_at', 'grace_until', 'paused_at',
+      'resumes_at', 'cancelled_at', 'created_at', 'updated_at'
+    ],
+    defaults: { auto_renew: false, cancel_at_period_end: false }
+  },
+  entity_addons: {
+    json: ['metadata'],
+    boolean: ['auto_renew', 'cancel_at_period_end'],
+    timestamp: ['start_date', 'end_date', 'cancelled_at', 'renewed_at', 'created_at', 'updated_at'],
+    defaults: { auto_renew: false, cancel_at_period_end: false }
+  },
+  discount_coupons: {
+    json: [
+      'applicable_product_ids', 'applicable_category_ids', 'excluded_product_ids',
+      'applicable_user_types', 'applicable_customer_segments', 'buy_x_get_y_config',
+      'tier_discounts', 'metadata'
+    ],
+    boolean: ['first_time_customers_only', 'is_active', 'is_stackable', 'auto_apply'],
+    timestamp: ['starts_at', 'expires_at', 'created_at', 'updated_at'],
+    defaults: {
+      currency: 'USD',
+      minimum_amount_cents: 0,
+      current_usage_count: 0,
+      duration: 'once',
+      applicable_to: 'all',
+      first_time_customers_only: false,
+      is_active: true,
+      is_stackable: false,
+      auto_apply: false
+    }
+  },
+  coupon_usage: {
+    json: ['usage_context'],
+    boolean: [],
+    timestamp: ['created_at'],
+    defaults: { currency: 'USD' }
+  },
+  tax_rates: {
+    json: [
+      'applicable_categories', 'applicable_product_types', 'excluded_categories',
+      'excluded_product_types', 'metadata'
+    ],
+    boolean: ['is_active'],
+    timestamp: ['effective_from', 'effective_until', 'created_at', 'updated_at'],
+    defaults: { type: 'percentage', is_active: true, priority: 0 }
+  },
+  account_balances: {
+    json: ['metadata'],
+    boolean: [],
+    timestamp: ['expires_at', 'created_at', 'updated_at', 'last_transaction_at'],
+    defaults: {
+      balance_type: 'general',
+      current_balance_cents: 0,
+      currency: 'USD',
+      credit_limit_cents: 0,
+      minimum_balance_cents: 0,
+      status: 'active'
+    }
+  },
+  account_transactions: {
+    json: ['metadata'],
+    boolean: [],
+    timestamp: ['created_at', 'completed_at'],
+    defaults: { currency: 'USD', status: 'completed' }
+  },
+  billing_schedules: {
+    json: ['metadata'],
+    boolean: [],
+    timestamp: [
+      'start_date', 'end_date', 'next_billing_date', 'last_billed_at',
+      'last_notification_sent', 'created_at', 'updated_at'
+    ],
+    defaults: {
+      currency: 'USD',
+      interval_multiplier: 1,
+      payment_priority: 'balance_first',
+      status: 'active',
+      retry_count: 0,
+      max_retries: 3,
+      notify_before_days: 3
+    }
+  },
+  billing_schedule_executions: {
+    json: ['metadata'],
+    boolean: [],
+    timestamp: ['executed_at'],
+    defaults: {}
+  },
+  usage_records: {
+    json: ['metadata'],
+    boolean: [],
+    timestamp: ['occurred_at', 'billed_at', 'period_end', 'created_at'],
+    defaults: {}
+  },
+  invoice_sequences: {
+    json: [],
+    boolean: [],
+    timestamp: ['created_at', 'updated_at'],
+    defaults: { next_number: 1 }
+  },
+  receipts: {
+    json: ['customer_address', 'guest_data', 'line_items', 'applied_coupons', 'metadata'],
+    boolean: ['is_guest_receipt'],
+    timestamp: ['issue_date', 'created_at', 'updated_at'],
+    defaults: { tax_cents: 0, discount_cents: 0, currency: 'USD', status: 'issued', is_guest_receipt: false }
+  }
+};
+
+/**
+ * Get the conversion type of a column: 'json', 'boolean', 'timestamp' or null
+ */
+function columnType(table, column) {
+  const definition = TABLES[table];
+  if (definition.json.includes(column)) return 'json';
+  if (definition.boolean.includes(column)) return 'boolean';
+  if (definition.timestamp.includes(column)) return 'timestamp';
+  return null;
+}
+
+/**
+ * Convert a value read from (or about to be written to) a column into the
+ * shape every adapter returns
+ */
+function normalizeValue(table, column, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  switch (columnType(table, column)) {
+    case 'json':
+      if (Buffer.isBuffer(value)) return value.toString('utf8');
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    case 'boolean':
+      return value === true || value === 1 || value === '1' || value === 't';
+    case 'timestamp':
+      return toIsoTimestamp(value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Normalize every column of a row
+ */
+function normalizeRow(table, row) {
+  const normalized = {};
+  for (const [column, value] of Object.entries(row)) {
+    normalized[column] = normalizeValue(table, column, value);
+  }
+  return normalized;
+}
+
+/**
+ * Convert a Date or a SQL timestamp string to an ISO 8601 UTC string.
+ * Timestamps without an offset ('2023-06-01 00:00:00', as written by
+ * SQLite's datetime('now')) are read as UTC.
+ */
+function toIsoTimestamp(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  let text = String(value);
+  if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}/.test(text)) {
+    text = text.replace(' ', 'T');
+  }
+  if (/T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) {
+    text += 'Z';
+  }
+
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+}
+
+module.exports = {
+  TABLES,
+  columnType,
+  normalizeValue,
+  normalizeRow,
+  toIsoTimestamp
+};
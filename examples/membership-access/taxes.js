@@ -0,0 +1,340 @@
+/**
+ * Taxes
+ *
+ * Tax on membership and addon purchases, from the rates of `tax_rates`
+ * that apply to the payer's billing address and to what is bought. Rates
+ * of every jurisdiction that matches the address add up (e.g. a state and
+ * a city sales tax); rates with the same name conflict, and the one with
+ * the highest `priority` wins.
+ *
+ * Prices are tax-exclusive by default: tax is added to them. With
+ * tax-inclusive pricing (`inclusive`), the price already includes the tax,
+ * which is taken out of it.
+ *
+ * The rates a purchase is taxed at are kept with its order or subscription
+ * (`metadata.tax`), so later payments of a subscription are taxed the same
+ * way (see recalculateTax).
+ */
+
+/**
+ * Default tax settings; the routes accept overrides as `tax`
+ */
+const DEFAULT_TAX = {
+  // Membership type and addon prices include tax
+  inclusive: false
+};
+
+// Address fields a rate's jurisdiction is matched on, by tax_rates column
+const JURISDICTION_FIELDS = {
+  country: 'country',
+  state_province: 'state',
+  city: 'city',
+  postal_code: 'postal_code'
+};
+
+/**
+ * Find the billing address a purchase is taxed at: the one given with the
+ * request, or else the payer's billing address on file (the default one
+ * first). Guests' addresses are found by their email.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} params
+ * @param {Object} params.billing - { user_id, organization_id } of the payer
+ * @param {Object} params.guest - external_entities row of a guest payer
+ * @param {Object} params.address - { country, state, city, postal_code } from
+ *   the request, if any; the routes check it has a country
+ * @returns {Promise<Object|null>} { country, state, city, postal_code }, or
+ *   null if the payer has no billing address
+ */
+async function findTaxAddress(store, { billing = {}, guest = null, address = null }) {
+  if (address) {
+    return formatAddress(address);
+  }
+
+  let where;
+  if (billing.organization_id) {
+    where = { organization_id: billing.organization_id };
+  } else if (billing.user_id) {
+    where = { user_id: billing.user_id };
+  } else if (guest && guest.external_email) {
+    where = { is_guest: true, guest_email: guest.external_email };
+  } else {
+    return null;
+  }
+
+  const [found] = await store.addresses.findAll({
+    where: { ...where, address_type: ['billing', 'both'] },
+    order: [['is_default', 'DESC'], ['created_at', 'ASC']]
+  });
+  return found ? formatAddress(found) : null;
+}
+
+/**
+ * Find the tax rates that apply to a purchase: active and in effect, for a
+ * jurisdiction that contains the address and for what is bought. Rates
+ * leave the jurisdiction levels they don't set open (a rate with only a
+ * country applies to the whole country).
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} params
+ * @param {Object} params.address - Result of findTaxAddress
+ * @param {string} params.productType - products.product_type of what is bought
+ * @param {string} params.categoryId - products.category_id, if any
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object[]>} tax_rates rows
+ */
+async function resolveTaxRates(store, { address, productType, categoryId = null, now = new Date() }) {
+  if (!address) {
+    return [];
+  }
+
+  const rates = (await store.tax_rates.findAll({ where: { is_active: true } }))
+    .filter(rate => !rate.effective_from || new Date(rate.effective_from) <= now)
+    .filter(rate => !rate.effective_until || new Date(rate.effective_until) > now)
+    .filter(rate => Object.entries(JURISDICTION_FIELDS)
+      .every(([column, field]) => !rate[column] || sameValue(rate[column], address[field])))
+    .filter(rate => appliesTo(rate.applicable_product_types, rate.excluded_product_types, productType))
+    .filter(rate => appliesTo(rate.applicable_categories, rate.excluded_categories, categoryId));
+
+  // Rates with the same name conflict: the highest priority wins, then the
+  // most specific jurisdiction
+  const byName = new Map();
+  for (const rate of rates) {
+    const current = byName.get(rate.name);
+    if (!current || compareRates(rate, current) > 0) {
+      byName.set(rate.name, rate);
+    }
+  }
+
+  return [...byName.values()].sort((a, b) => compareRates(b, a));
+}
+
+/**
+ * Calculate the tax of an amount. Percentage rates tax the amount after
+ * the discount; fixed-amount rates add their `rate` in the currency's major
+ * unit (e.g. 0.50 for $0.50).
+ *
+ * The result has the amounts of an orders or subscriptions row: with
+ * tax-inclusive pricing the tax comes out of the price, so `subtotal_cents`
+ * is the price without it and `total_cents` is the price less the discount.
+ *
+ * @param {Object[]} rates - tax_rates rows, or the `lines` of a calculation
+ * @param {Object} params
+ * @param {number} params.priceCents - The price
+ * @param {number} params.discountCents - Discount on the price
+ * @param {boolean} params.inclusive - The price includes the tax
+ * @returns {Object} { inclusive, price_cents, subtotal_cents, discount_cents,
+ *   tax_cents, total_cents, lines }, with a line per rate:
+ *   { tax_rate_id, name, type, rate, taxable_cents, tax_cents }
+ */
+function calculateTax(rates, { priceCents, discountCents = 0, inclusive = false }) {
+  const amountCents = priceCents - discountCents;
+  const lines = rates.map(rate => ({
+    tax_rate_id: rate.tax_rate_id || rate.id,
+    name: rate.name,
+    type: rate.type,
+    rate: Number(rate.rate),
+    taxable_cents: 0,
+    tax_cents: 0
+  }));
+
+  const percentage = lines.filter(line => line.type === 'percentage');
+  const fixed = lines.filter(line => line.type === 'fixed_amount');
+  for (const line of fixed) {
+    line.tax_cents = amountCents > 0 ? Math.round(line.rate * 100) : 0;
+  }
+  const fixedCents = fixed.reduce((sum, line) => sum + line.tax_cents, 0);
+
+  let taxableCents = amountCents;
+  if (inclusive) {
+    // Take the tax out of the amount; rounding differences go to the
+    // largest percentage rate, so the lines add up to the tax
+    const totalRate = percentage.reduce((sum, line) => sum + line.rate, 0);
+    taxableCents = Math.max(0, Math.round((amountCents - fixedCents) / (1 + totalRate)));
+  }
+
+  for (const line of percentage) {
+    line.taxable_cents = taxableCents;
+    line.tax_cents = Math.round(taxableCents * line.rate);
+  }
+  for (const line of fixed) {
+    line.taxable_cents = taxableCents;
+  }
+
+  let taxCents = lines.reduce((sum, line) => sum + line.tax_cents, 0);
+  if (inclusive && percentage.length > 0) {
+    const largest = percentage.reduce((a, b) => (b.rate > a.rate ? b : a));
+    largest.tax_cents += Math.max(0, amountCents - taxableCents) - taxCents;
+    taxCents = Math.max(0, amountCents - taxableCents);
+  }
+
+  return {
+    inclusive,
+    price_cents: priceCents,
+    subtotal_cents: inclusive ? priceCents - taxCents : priceCents,
+    discount_cents: discountCents,
+    tax_cents: taxCents,
+    total_cents: inclusive ? amountCents : amountCents + taxCents,
+    lines
+  };
+}
+
+/**
+ * Calculate the tax of a purchase: find the payer's billing address and
+ * the rates that apply to it, and tax the price at them
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} params
+ * @param {Object} params.billing - { user_id, organization_id } of the payer
+ * @param {Object} params.guest - external_entities row of a guest payer
+ * @param {Object} params.address - Billing address from the request, if any
+ * @param {string} params.productId - products.id of what is bought; a
+ *   product already on file gives its type and category
+ * @param {string} params.productType - Type of the product if it isn't on file
+ * @param {number} params.priceCents - The price
+ * @param {number} params.discountCents - Coupon discount on the price
+ * @param {Object} params.tax - Overrides of DEFAULT_TAX
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object>} Result of calculateTax, with the `address`
+ */
+async function calculatePurchaseTax(store, {
+  billing,
+  guest = null,
+  address = null,
+  productId,
+  productType,
+  priceCents,
+  discountCents = 0,
+  tax = {},
+  now = new Date()
+}) {
+  const config = { ...DEFAULT_TAX, ...tax };
+  const taxAddress = await findTaxAddress(store, { billing, guest, address });
+  const product = await store.products.findById(productId);
+
+  const rates = await resolveTaxRates(store, {
+    address: taxAddress,
+    productType: product ? product.product_type : productType,
+    categoryId: product ? product.category_id : null,
+    now
+  });
+
+  return {
+    ...calculateTax(rates, { priceCents, discountCents, inclusive: config.inclusive }),
+    address: taxAddress
+  };
+}
+
+/**
+ * Tax another amount at the rates of an earlier calculation, e.g. the full
+ * price of a subscription once its coupon discount ends
+ *
+ * @param {Object} taxed - Result of calculatePurchaseTax, or the `metadata.tax`
+ *   it was kept as; null for purchases without tax
+ * @param {Object} params
+ * @param {number} params.priceCents - The price
+ * @param {number} params.discountCents - Discount on the price
+ * @returns {Object} Result of calculateTax, with the `address`
+ */
+function recalculateTax(taxed, { priceCents, discountCents = 0 }) {
+  if (!taxed) {
+    return { ...calculateTax([], { priceCents, discountCents }), address: null };
+  }
+
+  return {
+    ...calculateTax(taxed.lines, { priceCents, discountCents, inclusive: taxed.inclusive }),
+    address: taxed.address
+  };
+}
+
+/**
+ * Get the amount columns of an orders or subscriptions row
+ */
+function getTaxedAmounts(taxed) {
+  return {
+    subtotal_cents: taxed.subtotal_cents,
+    tax_cents: taxed.tax_cents,
+    discount_cents: taxed.discount_cents,
+    total_cents: taxed.total_cents
+  };
+}
+
+/**
+ * Get what an order or subscription keeps of its tax in `metadata.tax`
+ */
+function getTaxMetadata(taxed) {
+  return {
+    inclusive: taxed.inclusive,
+    price_cents: taxed.price_cents,
+    address: taxed.address,
+    lines: taxed.lines
+  };
+}
+
+/**
+ * Format a tax calculation for API responses
+ */
+function formatTax(taxed) {
+  return {
+    inclusive: taxed.inclusive,
+    address: taxed.address,
+    subtotal_cents: taxed.subtotal_cents,
+    discount_cents: taxed.discount_cents,
+    tax_cents: taxed.tax_cents,
+    total_cents: taxed.total_cents,
+    lines: taxed.lines
+  };
+}
+
+function formatAddress(address) {
+  return {
+    country: String(address.country).toUpperCase(),
+    state: address.state || address.state_province || null,
+    city: address.city || null,
+    postal_code: address.postal_code || null
+  };
+}
+
+function sameValue(a, b) {
+  return Boolean(b) && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * Check a product type or category against a rate's inclusion and exclusion
+ * lists: a rate with an inclusion list only applies to what is on it
+ */
+function appliesTo(included, excluded, value) {
+  const includedList = parseList(included);
+  if (includedList.length > 0 && !includedList.includes(value)) {
+    return false;
+  }
+  return !parseList(excluded).includes(value);
+}
+
+function compareRates(a, b) {
+  return (a.priority || 0) - (b.priority || 0)
+    || getSpecificity(a) - getSpecificity(b);
+}
+
+function getSpecificity(rate) {
+  return Object.keys(JURISDICTION_FIELDS).filter(column => rate[column]).length;
+}
+
+function parseList(value) {
+  if (!value) {
+    return [];
+  }
+  return Array.isArray(value) ? value : JSON.parse(value);
+}
+
+module.exports = {
+  DEFAULT_TAX,
+  findTaxAddress,
+  resolveTaxRates,
+  calculateTax,
+  calculatePurchaseTax,
+  recalculateTax,
+  getTaxedAmounts,
+  getTaxMetadata,
+  formatTax
+};
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../store');
+const { debitBalances, reverseBalanceDebits } = require('../account-balances');
+const { createConcurrentStore } = require('./helpers');
+
+function createBalanceStore() {
+  return createMemoryStore({
+    users: [{ id: 'user_1', email: 'jane@example.com', user_type: 'individual' }],
+    account_balances: [{
+      id: 'balance_1',
+      user_id: 'user_1',
+      organization_id: null,
+      current_balance_cents: 1000,
+      currency: 'USD',
+      status: 'active'
+    }]
+  });
+}
+
+function debit(store, amountCents) {
+  return debitBalances(store, {
+    billing: { user_id: 'user_1', organization_id: null },
+    amountCents,
+    currency: 'USD',
+    description: 'Test purchase',
+    requireFull: true
+  });
+}
+
+test('concurrent debits never take more than the balance has', async () => {
+  const memoryStore = createBalanceStore();
+  const store = createConcurrentStore(memoryStore);
+
+  const results = await Promise.allSettled(Array.from({ length: 5 }, () => debit(store, 300)));
+  const debited = results.filter((result) => result.status === 'fulfilled').length;
+
+  const balance = await memoryStore.account_balances.findById('balance_1');
+  assert.ok(debited > 0 && debited <= 3);
+  assert.equal(balance.current_balance_cents, 1000 - debited * 300);
+
+  const transactions = await memoryStore.account_transactions.findAll({ where: { transaction_type: 'debit' } });
+  assert.equal(transactions.length, debited);
+  assert.deepEqual(
+    transactions.map((transaction) => transaction.balance_before_cents).sort((a, b) => b - a),
+    Array.from({ length: debited }, (_, i) => 1000 - i * 300)
+  );
+});
+
+test('concurrent reversals give a debit back once', async () => {
+  const memoryStore = createBalanceStore();
+  const { payment } = await debit(memoryStore, 400);
+  const store = createConcurrentStore(memoryStore);
+
+  const credited = await Promise.all(Array.from({ length: 3 }, () => reverseBalanceDebits(store, {
+    paymentId: payment.id,
+    reason: 'Payment failed'
+  })));
+
+  assert.deepEqual(credited.sort(), [0, 0, 400]);
+  assert.equal((await memoryStore.account_balances.findById('balance_1')).current_balance_cents, 1000);
+  assert.equal((await memoryStore.payments.findById(payment.id)).status, 'refunded');
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../store');
+const { createProviderRegistry, createFakeProvider } = require('../providers');
+const { migrateMembershipAddons, purchaseAddon } = require('../addon-subscriptions');
+
+const NOW = new Date('2024-01-10T00:00:00.000Z');
+
+function createAddonStore(membershipAddons = null) {
+  return createMemoryStore({
+    users: [{ id: 'user_1', email: 'jane@example.com', user_type: 'individual' }],
+    payment_providers: [{ id: 'fake', display_name: 'Fake', config: JSON.stringify({ is_default: true }) }],
+    payment_methods: [{ id: 'pm_1', user_id: 'user_1', provider_id: 'fake', provider_payment_method_id: 'tok_visa', payment_type: 'credit_card' }],
+    features: [
+      { id: 'hd_streaming', name: 'HD Streaming', is_active: true },
+      { id: 'downloads', name: 'Downloads', is_active: true }
+    ],
+    membership_types: [{ id: 'basic', name: 'Basic', duration_type: 'lifetime', price_cents: 1000, currency: 'USD', features: '[]' }],
+    addons: [{ id: 'addon_hd', feature_id: 'hd_streaming', name: 'HD', duration_days: 30 }],
+    addon_prices: [{ id: 'price_hd', addon_id: 'addon_hd', currency: 'USD', price_cents: 500 }],
+    entity_memberships: [{
+      id: 'membership_1',
+      user_id: 'user_1',
+      membership_type_id: 'basic',
+      status: 'active',
+      start_date: '2024-01-01T00:00:00.000Z',
+      end_date: null,
+      addons: membershipAddons
+    }]
+  });
+}
+
+test('addons kept in a membership\'s JSON column are moved to entity_addons once', async () => {
+  const store = createAddonStore(JSON.stringify([
+    { feature_id: 'hd_streaming', price_cents: 500, currency: 'USD', end_date: '2024-02-01T00:00:00.000Z' },
+    { feature_id: 'downloads', name: 'Downloads', status: 'bogus' }
+  ]));
+
+  assert.deepEqual(await migrateMembershipAddons(store), { memberships: 1, addons: 2 });
+
+  const addons = await store.entity_addons.findAll({ where: { membership_id: 'membership_1' } });
+  const byFeature = Object.fromEntries(addons.map((addon) => [addon.feature_id, addon]));
+  assert.deepEqual(
+    [byFeature.hd_streaming.addon_id, byFeature.hd_streaming.name, byFeature.hd_streaming.end_date],
+    ['addon_hd', 'HD', '2024-02-01T00:00:00.000Z']
+  );
+  // Entries without a catalog addon or a known status keep their feature and are active
+  assert.deepEqual(
+    [byFeature.downloads.addon_id, byFeature.downloads.status, byFeature.downloads.start_date],
+    [null, 'active', '2024-01-01T00:00:00.000Z']
+  );
+  assert.equal((await store.entity_memberships.findById('membership_1')).addons, null);
+
+  // Running it again finds nothing left to move
+  assert.deepEqual(await migrateMembershipAddons(store), { memberships: 0, addons: 0 });
+  assert.equal((await store.entity_addons.findAll({})).length, 2);
+});
+
+test('buying an addon the membership has extends it instead of adding another', async () => {
+  const store = createAddonStore();
+  const providers = createProviderRegistry({ store, adapters: { fake: createFakeProvider() } });
+  const buy = async (now) => purchaseAddon(store, providers, {
+    membership: await store.entity_memberships.findById('membership_1'),
+    owner: { type: 'user', id: 'user_1' },
+    billing: { user_id: 'user_1', organization_id: null },
+    featureId: 'hd_streaming',
+    paymentMethodId: 'pm_1',
+    now
+  });
+
+  const first = await buy(NOW);
+  assert.equal(first.extended, false);
+  assert.equal(first.addon.end_date, '2024-02-09T00:00:00.000Z');
+
+  const second = await buy(new Date('2024-01-20T00:00:00.000Z'));
+  assert.equal(second.extended, true);
+  assert.equal(second.addon.id, first.addon.id);
+  assert.equal(second.addon.end_date, '2024-03-10T00:00:00.000Z');
+
+  assert.equal((await store.entity_addons.findAll({})).length, 1);
+  const [renewal] = await store.payment_events.findAll({ where: { entity_id: first.addon.id, event_type: 'renewed' } });
+  assert.equal(JSON.parse(renewal.data).previous_end_date, '2024-02-09T00:00:00.000Z');
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../store');
+const { createFakeProvider } = require('../providers');
+const { startSubscription } = require('../checkout');
+const { renewMembership } = require('../renewals');
+const { addBillingInterval, getBillingInterval, getRenewalPeriod } = require('../billing-periods');
+
+test('monthly periods clamp to shorter months and go back to the billing day', () => {
+  const dates = ['2023-01-31', '2023-02-28', '2023-03-31', '2023-04-30', '2023-05-31'];
+  for (let i = 1; i < dates.length; i++) {
+    const end = addBillingInterval(`${dates[i - 1]}T00:00:00.000Z`, 'monthly', 1, 31);
+    assert.equal(end.toISOString().slice(0, 10), dates[i]);
+  }
+
+  assert.equal(addBillingInterval('2024-02-29T00:00:00.000Z', 'yearly', 1, 29).toISOString().slice(0, 10), '2025-02-28');
+  assert.equal(addBillingInterval('2025-02-28T00:00:00.000Z', 'yearly', 3, 29).toISOString().slice(0, 10), '2028-02-29');
+});
+
+test('renewals of a subscription started on the 31st keep its billing day', async () => {
+  const start = new Date('2024-01-31T10:00:00.000Z');
+  const store = createMemoryStore({
+    users: [{ id: 'user_1', email: 'jane@example.com', user_type: 'individual' }],
+    payment_providers: [{ id: 'fake', display_name: 'Fake' }],
+    payment_methods: [{ id: 'pm_1', user_id: 'user_1', provider_id: 'fake', provider_payment_method_id: 'tok_visa', payment_type: 'credit_card' }],
+    external_entities: [{ id: 'cust_1', user_id: 'user_1', context_type: 'payment', payment_provider_id: 'fake', payment_provider_customer_id: 'fake_cus_1' }],
+    products: [{ id: 'membership_monthly', name: 'Monthly', product_type: 'subscription', is_recurring: true, subtotal_cents: 1000, currency: 'USD', billing_interval: 'monthly' }]
+  });
+
+  const { subscription } = await startSubscription(store, {
+    provider: await store.payment_providers.findById('fake'),
+    adapter: createFakeProvider({ now: () => start }),
+    customer: await store.external_entities.findById('cust_1'),
+    paymentMethod: await store.payment_methods.findById('pm_1')
+  }, {
+    billing: { user_id: 'user_1', organization_id: null },
+    product: await store.products.findById('membership_monthly'),
+    billingInterval: 'monthly'
+  });
+  assert.equal(JSON.parse(subscription.metadata).billing_day, 31);
+  assert.equal(subscription.current_period_end, '2024-02-29T10:00:00.000Z');
+
+  let membership = await store.entity_memberships.create({
+    user_id: 'user_1',
+    membership_type_id: 'monthly',
+    subscription_id: subscription.id,
+    status: 'active',
+    start_date: start.toISOString(),
+    end_date: subscription.current_period_end
+  });
+
+  const ends = [];
+  for (let i = 0; i < 3; i++) {
+    membership = await renewMembership(store, {
+      membership,
+      subscription: await store.subscriptions.findById(subscription.id)
+    });
+    ends.push(membership.end_date.slice(0, 10));
+  }
+  assert.deepEqual(ends, ['2024-03-31', '2024-04-30', '2024-05-31']);
+});
+
+test('renewal periods start at the later of the membership and period ends', () => {
+  const subscription = {
+    billing_interval: 'monthly',
+    interval_multiplier: 1,
+    current_period_end: '2024-03-31T00:00:00.000Z',
+    metadata: JSON.stringify({ billing_day: 31 })
+  };
+
+  assert.deepEqual(getRenewalPeriod({ end_date: '2024-02-29T00:00:00.000Z' }, subscription), {
+    start: '2024-03-31T00:00:00.000Z',
+    end: '2024-04-30T00:00:00.000Z'
+  });
+  assert.deepEqual(getRenewalPeriod({ end_date: null }, subscription, '2024-05-02T00:00:00.000Z'), {
+    start: '2024-03-31T00:00:00.000Z',
+    end: '2024-05-02T00:00:00.000Z'
+  });
+});
+
+test('durations are billed at the nearest billing interval', () => {
+  const interval = (days) => getBillingInterval({ duration_days: days });
+
+  assert.deepEqual(interval(30), { billingInterval: 'monthly', intervalMultiplier: 1 });
+  assert.deepEqual(interval(90), { billingInterval: 'monthly', intervalMultiplier: 3 });
+  assert.deepEqual(interval(365), { billingInterval: 'yearly', intervalMultiplier: 1 });
+  assert.deepEqual(interval(14), { billingInterval: 'weekly', intervalMultiplier: 2 });
+  assert.deepEqual(interval(10), { billingInterval: 'daily', intervalMultiplier: 10 });
+  assert.deepEqual(interval(45), { billingInterval: 'weekly', intervalMultiplier: 6 });
+  assert.deepEqual(interval(100), { billingInterval: 'monthly', intervalMultiplier: 3 });
+  assert.deepEqual(interval(500), { billingInterval: 'yearly', intervalMultiplier: 1 });
+  assert.equal(interval(0), null);
+});
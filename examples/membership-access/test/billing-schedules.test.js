@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../store');
+const { createProviderRegistry, createFakeProvider, PaymentProviderError } = require('../providers');
+const { runBillingSchedules } = require('../billing-schedules');
+const { createJobRunner } = require('../jobs');
+const { createConcurrentStore } = require('./helpers');
+
+function createScheduleStore(schedules) {
+  return createMemoryStore({
+    users: [{ id: 'user_1', email: 'jane@example.com', user_type: 'individual' }],
+    payment_providers: [{ id: 'fake', display_name: 'Fake', config: JSON.stringify({ is_default: true }) }],
+    payment_methods: [
+      { id: 'pm_visa', user_id: 'user_1', provider_id: 'fake', provider_payment_method_id: 'tok_visa', payment_type: 'credit_card' },
+      { id: 'pm_declined', user_id: 'user_1', provider_id: 'fake', provider_payment_method_id: 'tok_declined', payment_type: 'credit_card' }
+    ],
+    billing_schedules: schedules.map((schedule) => ({
+      user_id: 'user_1',
+      schedule_type: 'recurring',
+      amount_cents: 1000,
+      currency: 'USD',
+      billing_interval: 'monthly',
+      interval_multiplier: 1,
+      status: 'active',
+      payment_priority: 'payment_method_only',
+      retry_count: 0,
+      max_retries: 2,
+      description: 'Installment',
+      ...schedule
+    }))
+  });
+}
+
+test('the job runner charges schedules as of the time it is given', async () => {
+  const store = createScheduleStore([{
+    id: 'schedule_1',
+    payment_method_id: 'pm_visa',
+    start_date: '2024-01-31T10:00:00.000Z',
+    next_billing_date: '2024-01-31T10:00:00.000Z'
+  }]);
+  const fake = createFakeProvider();
+  const runner = createJobRunner({ store, providers: createProviderRegistry({ store, adapters: { fake } }) });
+  const runAt = async (date) => (await runner.run(['billing-schedules'], { now: new Date(date) }))['billing-schedules'];
+
+  assert.deepEqual(await runAt('2024-01-31T09:00:00.000Z'), []);
+
+  const dates = [];
+  for (const date of ['2024-01-31T12:00:00.000Z', '2024-02-29T12:00:00.000Z', '2024-03-31T12:00:00.000Z', '2024-04-30T12:00:00.000Z']) {
+    const [result] = await runAt(date);
+    assert.equal(result.status, 'success');
+    dates.push(result.next_billing_date);
+  }
+
+  // Billed on the 31st, or the month's last day in shorter months
+  assert.deepEqual(dates, [
+    '2024-02-29T10:00:00.000Z',
+    '2024-03-31T10:00:00.000Z',
+    '2024-04-30T10:00:00.000Z',
+    '2024-05-31T10:00:00.000Z'
+  ]);
+  assert.equal(fake.charges.size, 4);
+  assert.equal((await store.billing_schedule_executions.findAll({})).length, 4);
+});
+
+test('dry runs list the charges without making them', async () => {
+  const store = createScheduleStore([
+    { id: 'due', payment_method_id: 'pm_visa', next_billing_date: '2024-01-15T00:00:00.000Z' },
+    { id: 'not_due', payment_method_id: 'pm_visa', next_billing_date: '2024-02-15T00:00:00.000Z' }
+  ]);
+  const fake = createFakeProvider();
+  const providers = createProviderRegistry({ store, adapters: { fake } });
+
+  const results = await runBillingSchedules(store, providers, { dryRun: true, now: new Date('2024-01-20T00:00:00.000Z') });
+
+  assert.deepEqual(results.map((result) => [result.billing_schedule_id, result.status, result.next_billing_date]), [
+    ['due', 'dry_run', '2024-02-15T00:00:00.000Z']
+  ]);
+  assert.equal(fake.charges.size, 0);
+  assert.equal((await store.billing_schedules.findById('due')).next_billing_date, '2024-01-15T00:00:00.000Z');
+});
+
+test('declined charges are retried on the retry intervals, then fail', async () => {
+  const store = createScheduleStore([{
+    id: 'schedule_1',
+    payment_method_id: 'pm_declined',
+    next_billing_date: '2024-01-31T10:00:00.000Z'
+  }]);
+  const providers = createProviderRegistry({ store, adapters: { fake: createFakeProvider() } });
+  const billingSchedules = { retry_intervals_days: [1, 3] };
+
+  let now = new Date('2024-01-31T12:00:00.000Z');
+  const retries = [];
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const [result] = await runBillingSchedules(store, providers, { billingSchedules, now });
+    assert.equal(result.status, 'failed');
+    const schedule = await store.billing_schedules.findById('schedule_1');
+    retries.push([schedule.status, schedule.retry_count, schedule.next_billing_date]);
+    now = new Date(schedule.next_billing_date);
+  }
+
+  assert.deepEqual(retries, [
+    ['active', 1, '2024-02-01T12:00:00.000Z'],
+    ['active', 2, '2024-02-04T12:00:00.000Z'],
+    ['failed', 3, '2024-02-04T12:00:00.000Z']
+  ]);
+  assert.deepEqual(await runBillingSchedules(store, providers, { now: new Date('2024-03-01T00:00:00.000Z') }), []);
+});
+
+test('overlapping runs charge a schedule once', async () => {
+  const memoryStore = createScheduleStore([{
+    id: 'schedule_1',
+    payment_method_id: 'pm_visa',
+    next_billing_date: '2024-01-31T10:00:00.000Z'
+  }]);
+  const store = createConcurrentStore(memoryStore);
+  const fake = createFakeProvider();
+  const providers = createProviderRegistry({ store, adapters: { fake } });
+  const now = new Date('2024-01-31T12:00:00.000Z');
+
+  const runs = await Promise.all([1, 2, 3].map(() => runBillingSchedules(store, providers, { now })));
+
+  assert.deepEqual(runs.flat().map((result) => result.status), ['success']);
+  assert.equal(fake.charges.size, 1);
+  assert.equal((await memoryStore.billing_schedule_executions.findAll({})).length, 1);
+  assert.equal((await memoryStore.billing_schedules.findById('schedule_1')).next_billing_date, '2024-02-29T10:00:00.000Z');
+});
+
+test('provider errors leave the schedule due for the next run', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const store = createScheduleStore([{
+    id: 'schedule_1',
+    payment_method_id: 'pm_visa',
+    next_billing_date: '2024-01-31T10:00:00.000Z'
+  }]);
+  const fake = createFakeProvider();
+  const charge = fake.charge;
+  fake.charge = async () => {
+    throw new PaymentProviderError('Provider unavailable', { provider: 'fake' });
+  };
+  const providers = createProviderRegistry({ store, adapters: { fake } });
+  const now = new Date('2024-01-31T12:00:00.000Z');
+
+  const [failed] = await runBillingSchedules(store, providers, { now });
+  assert.equal(failed.status, 'error');
+  const schedule = await store.billing_schedules.findById('schedule_1');
+  assert.deepEqual([schedule.next_billing_date, schedule.retry_count], ['2024-01-31T10:00:00.000Z', 0]);
+
+  fake.charge = charge;
+  const [charged] = await runBillingSchedules(store, providers, { now });
+  assert.equal(charged.status, 'success');
+  assert.equal(fake.charges.size, 1);
+});
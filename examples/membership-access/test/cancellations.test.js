@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../store');
+const { createProviderRegistry, createFakeProvider } = require('../providers');
+const { CheckoutError } = require('../checkout');
+const { cancelMembership, reactivateMembership } = require('../cancellations');
+
+// Two thirds of the 30-day period are used
+const NOW = new Date('2024-01-21T00:00:00.000Z');
+
+async function createCancellationStore() {
+  const fake = createFakeProvider();
+  const charge = await fake.charge({ provider_payment_method_id: 'tok_visa', amount_cents: 3000, currency: 'USD' });
+  const store = createMemoryStore({
+    users: [{ id: 'user_1', email: 'jane@example.com', user_type: 'individual' }],
+    payment_providers: [{ id: 'fake', display_name: 'Fake', config: JSON.stringify({ is_default: true }) }],
+    subscriptions: [{
+      id: 'subscription_1',
+      user_id: 'user_1',
+      provider_id: 'fake',
+      status: 'active',
+      billing_status: 'active',
+      billing_interval: 'monthly',
+      interval_multiplier: 1,
+      total_cents: 3000,
+      currency: 'USD',
+      current_period_start: '2024-01-01T00:00:00.000Z',
+      current_period_end: '2024-01-31T00:00:00.000Z',
+      next_billing_date: '2024-01-31T00:00:00.000Z'
+    }],
+    payments: [{
+      id: 'payment_1',
+      user_id: 'user_1',
+      subscription_id: 'subscription_1',
+      provider_id: 'fake',
+      provider_payment_id: charge.provider_payment_id,
+      status: 'succeeded',
+      total_cents: 3000,
+      currency: 'USD',
+      completed_at: '2024-01-01T00:00:00.000Z'
+    }],
+    entity_memberships: [{
+      id: 'membership_1',
+      user_id: 'user_1',
+      membership_type_id: 'premium',
+      subscription_id: 'subscription_1',
+      status: 'active',
+      auto_renew: true,
+      start_date: '2024-01-01T00:00:00.000Z',
+      end_date: '2024-01-31T00:00:00.000Z'
+    }]
+  });
+  const providers = createProviderRegistry({ store, adapters: { fake } });
+  return { store, fake, providers, charge };
+}
+
+test('immediate cancellations end access now and refund the unused share of the last payment', async () => {
+  const { store, fake, providers, charge } = await createCancellationStore();
+
+  const { membership, refund } = await cancelMembership(store, providers, {
+    membership: await store.entity_memberships.findById('membership_1'),
+    mode: 'immediate',
+    reason: 'too_expensive',
+    refund: true,
+    now: NOW
+  });
+
+  assert.deepEqual(
+    [membership.status, membership.end_date, membership.cancellation_reason],
+    ['cancelled', NOW.toISOString(), 'too_expensive']
+  );
+  assert.equal(refund.remaining_fraction, 0.3333);
+  assert.equal(refund.amount_cents, 1000);
+  assert.equal(refund.status, 'succeeded');
+  assert.equal(fake.charges.get(charge.provider_payment_id).refunded_cents, 1000);
+
+  // A partial refund leaves the payment succeeded
+  assert.equal((await store.payments.findById('payment_1')).status, 'succeeded');
+  const [event] = await store.payment_events.findAll({ where: { entity_id: 'payment_1' } });
+  assert.equal(event.event_type, 'refunded');
+  assert.equal(JSON.parse(event.data).amount_cents, 1000);
+
+  const subscription = await store.subscriptions.findById('subscription_1');
+  assert.deepEqual([subscription.status, subscription.next_billing_date], ['cancelled', null]);
+});
+
+test('end-of-period cancellations keep access, aren\'t refunded and can be reactivated', async () => {
+  const { store, fake, providers, charge } = await createCancellationStore();
+  const active = await store.entity_memberships.findById('membership_1');
+
+  await assert.rejects(
+    cancelMembership(store, providers, { membership: active, refund: true, now: NOW }),
+    CheckoutError
+  );
+
+  const { membership, refund } = await cancelMembership(store, providers, { membership: active, now: NOW });
+
+  assert.equal(refund, null);
+  assert.equal(fake.charges.get(charge.provider_payment_id).refunded_cents, 0);
+  assert.deepEqual(
+    [membership.status, membership.end_date, membership.cancel_at_period_end],
+    ['active', '2024-01-31T00:00:00.000Z', true]
+  );
+  assert.equal((await store.subscriptions.findById('subscription_1')).next_billing_date, null);
+
+  const reactivated = await reactivateMembership(store, providers, { membership, now: NOW });
+
+  assert.deepEqual([reactivated.cancel_at_period_end, reactivated.cancelled_at, reactivated.auto_renew], [false, null, true]);
+  assert.equal((await store.subscriptions.findById('subscription_1')).next_billing_date, '2024-01-31T00:00:00.000Z');
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../store');
+const { createProviderRegistry, createFakeProvider } = require('../providers');
+const { preparePayment } = require('../checkout');
+
+function createCheckoutStore() {
+  return createMemoryStore({
+    users: [
+      { id: 'user_1', email: 'jane@example.com', user_type: 'individual' },
+      { id: 'user_2', email: 'john@example.com', user_type: 'individual' }
+    ],
+    organizations: [{ id: 'org_1', name: 'Acme', owner_user_id: 'user_1', business_email: 'billing@acme.com' }],
+    payment_providers: [{ id: 'fake', display_name: 'Fake', config: JSON.stringify({ is_default: true }) }],
+    payment_methods: [
+      { id: 'pm_user_1', user_id: 'user_1', provider_id: 'fake', provider_payment_method_id: 'tok_visa', payment_type: 'credit_card' },
+      { id: 'pm_org_1', organization_id: 'org_1', provider_id: 'fake', provider_payment_method_id: 'tok_visa', payment_type: 'credit_card' }
+    ]
+  });
+}
+
+function prepare(store, billing, paymentMethodId) {
+  const providers = createProviderRegistry({ store, adapters: { fake: createFakeProvider() } });
+  return preparePayment(store, providers, { billing, paymentMethodId });
+}
+
+test('payers can use their own payment methods', async () => {
+  const store = createCheckoutStore();
+
+  const { customer, paymentMethod } = await prepare(store, { user_id: 'user_1', organization_id: null }, 'pm_user_1');
+  assert.equal(paymentMethod.customer_id, customer.id);
+
+  const organization = await prepare(store, { user_id: null, organization_id: 'org_1' }, 'pm_org_1');
+  assert.equal(organization.paymentMethod.customer_id, organization.customer.id);
+});
+
+test('payment methods of other payers are not found and stay with their customer', async () => {
+  const store = createCheckoutStore();
+  const { customer } = await prepare(store, { user_id: 'user_1', organization_id: null }, 'pm_user_1');
+
+  await assert.rejects(prepare(store, { user_id: 'user_2', organization_id: null }, 'pm_user_1'), { status: 404 });
+  await assert.rejects(prepare(store, { user_id: 'user_1', organization_id: null }, 'pm_org_1'), { status: 404 });
+  await assert.rejects(prepare(store, { user_id: null, organization_id: 'org_1' }, 'pm_user_1'), { status: 404 });
+
+  assert.equal((await store.payment_methods.findById('pm_user_1')).customer_id, customer.id);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../store');
+const { reserveCoupon, releaseCoupon } = require('../coupons');
+const { createConcurrentStore } = require('./helpers');
+
+function createCouponStore(limits) {
+  return createMemoryStore({
+    users: [
+      { id: 'user_1', email: 'jane@example.com', user_type: 'individual' },
+      { id: 'user_2', email: 'john@example.com', user_type: 'individual' }
+    ],
+    discount_coupons: [{
+      id: 'coupon_1',
+      code: 'SAVE10',
+      name: 'Save 10%',
+      discount_type: 'percentage',
+      discount_value: 10,
+      usage_limit: null,
+      usage_limit_per_customer: null,
+      ...limits
+    }]
+  });
+}
+
+async function reserveAll(store, payers) {
+  const coupon = await store.discount_coupons.findById('coupon_1');
+  const results = await Promise.allSettled(payers.map((userId) => reserveCoupon(store, {
+    coupon,
+    billing: { user_id: userId, organization_id: null },
+    guest: null
+  })));
+  return results.filter((result) => result.status === 'fulfilled').length;
+}
+
+test('concurrent reservations stop at the usage limit', async () => {
+  const memoryStore = createCouponStore({ usage_limit: 3 });
+  const store = createConcurrentStore(memoryStore);
+
+  const reserved = await reserveAll(store, Array.from({ length: 10 }, (_, i) => `user_${i % 2 + 1}`));
+
+  assert.equal(reserved, 3);
+  assert.equal((await memoryStore.discount_coupons.findById('coupon_1')).current_usage_count, 3);
+});
+
+test('concurrent reservations by one payer stop at the limit per customer', async () => {
+  const memoryStore = createCouponStore({ usage_limit_per_customer: 1 });
+  const store = createConcurrentStore(memoryStore);
+
+  const reserved = await reserveAll(store, ['user_1', 'user_1', 'user_1', 'user_1', 'user_2']);
+
+  assert.equal(reserved, 2);
+  const coupon = await memoryStore.discount_coupons.findById('coupon_1');
+  assert.equal(coupon.current_usage_count, 2);
+  assert.deepEqual(JSON.parse(coupon.metadata).reserved_by_payer, { 'user:user_1': 1, 'user:user_2': 1 });
+});
+
+test('released uses can be reserved again', async () => {
+  const store = createCouponStore({ usage_limit: 1, usage_limit_per_customer: 1 });
+  const applied = {
+    coupon: await store.discount_coupons.findById('coupon_1'),
+    billing: { user_id: 'user_1', organization_id: null },
+    guest: null
+  };
+
+  await reserveCoupon(store, applied);
+  await assert.rejects(reserveCoupon(store, applied), { name: 'CouponError', status: 409 });
+  await releaseCoupon(store, applied);
+  await reserveCoupon(store, applied);
+
+  assert.equal((await store.discount_coupons.findById('coupon_1')).current_usage_count, 1);
+});
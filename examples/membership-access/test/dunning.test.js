@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../store');
+const { createProviderRegistry, createFakeProvider } = require('../providers');
+const { retryFailedPayments } = require('../dunning');
+const { createConcurrentStore } = require('./helpers');
+
+function createDunningStore(paymentMethodToken) {
+  return createMemoryStore({
+    users: [{ id: 'user_1', email: 'jane@example.com', user_type: 'individual' }],
+    payment_providers: [{ id: 'fake', display_name: 'Fake', config: JSON.stringify({ is_default: true }) }],
+    external_entities: [{
+      id: 'customer_1',
+      user_id: 'user_1',
+      provider_id: 'fake',
+      payment_provider_customer_id: 'cus_1',
+      external_email: 'jane@example.com'
+    }],
+    payment_methods: [{
+      id: 'pm_1',
+      user_id: 'user_1',
+      customer_id: 'customer_1',
+      provider_id: 'fake',
+      provider_payment_method_id: paymentMethodToken,
+      payment_type: 'credit_card'
+    }],
+    subscriptions: [{
+      id: 'subscription_1',
+      user_id: 'user_1',
+      customer_id: 'customer_1',
+      payment_method_id: 'pm_1',
+      provider_id: 'fake',
+      status: 'past_due',
+      billing_status: 'past_due',
+      billing_interval: 'monthly',
+      interval_multiplier: 1,
+      subtotal_cents: 1000,
+      tax_cents: 0,
+      discount_cents: 0,
+      total_cents: 1000,
+      currency: 'USD',
+      billing_retry_count: 1,
+      max_retry_attempts: 3,
+      current_period_start: '2024-01-01T00:00:00.000Z',
+      current_period_end: '2024-02-01T00:00:00.000Z',
+      next_billing_date: '2024-02-02T00:00:00.000Z'
+    }],
+    entity_memberships: [{
+      id: 'membership_1',
+      user_id: 'user_1',
+      subscription_id: 'subscription_1',
+      status: 'past_due',
+      start_date: '2024-01-01T00:00:00.000Z',
+      end_date: '2024-02-01T00:00:00.000Z',
+      grace_until: '2024-02-11T00:00:00.000Z'
+    }]
+  });
+}
+
+test('overlapping runs charge a retry once', async () => {
+  const memoryStore = createDunningStore('tok_visa');
+  const store = createConcurrentStore(memoryStore);
+  const fake = createFakeProvider();
+  const providers = createProviderRegistry({ store, adapters: { fake } });
+  const now = new Date('2024-02-02T12:00:00.000Z');
+
+  const runs = await Promise.all([1, 2, 3].map(() => retryFailedPayments(store, providers, { now })));
+
+  assert.deepEqual(runs.flat().map((result) => result.status), ['succeeded']);
+  assert.equal(fake.charges.size, 1);
+  assert.equal((await memoryStore.payments.findAll({})).length, 1);
+  const membership = await memoryStore.entity_memberships.findById('membership_1');
+  assert.deepEqual([membership.status, membership.end_date], ['active', '2024-03-01T00:00:00.000Z']);
+});
+
+test('retries keep the grace period until they run out, then suspend the membership', async () => {
+  const store = createDunningStore('tok_declined');
+  const fake = createFakeProvider();
+  const providers = createProviderRegistry({ store, adapters: { fake } });
+
+  const retryDates = [];
+  let subscription = await store.subscriptions.findById('subscription_1');
+  while (subscription.next_billing_date) {
+    retryDates.push(subscription.next_billing_date);
+    const now = new Date(subscription.next_billing_date);
+    const [result] = await retryFailedPayments(store, providers, { now });
+    assert.equal(result.status, 'failed');
+
+    subscription = await store.subscriptions.findById('subscription_1');
+    const membership = await store.entity_memberships.findById('membership_1');
+    if (subscription.billing_status === 'past_due') {
+      assert.deepEqual([membership.status, membership.grace_until], ['past_due', '2024-02-11T00:00:00.000Z']);
+    }
+  }
+
+  // Retried 3, then 5 days after each failure, up to max_retry_attempts in all
+  assert.deepEqual(retryDates, ['2024-02-02T00:00:00.000Z', '2024-02-05T00:00:00.000Z', '2024-02-10T00:00:00.000Z']);
+  assert.deepEqual([subscription.billing_status, subscription.billing_retry_count], ['suspended', 4]);
+  const membership = await store.entity_memberships.findById('membership_1');
+  assert.deepEqual([membership.status, membership.grace_until], ['suspended', null]);
+  assert.equal(fake.charges.size, 3);
+
+  // Suspended subscriptions aren't retried again
+  assert.deepEqual(await retryFailedPayments(store, providers, { now: new Date('2024-03-01T00:00:00.000Z') }), []);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { createMemoryStore } = require('../store');
+const { createMembershipRouter } = require('../standardized-api-routes');
+const { createEntitlementEvents, trackEntitlementChanges } = require('../entitlement-events');
+const { request } = require('./helpers');
+
+function createEventStore() {
+  return createMemoryStore({
+    users: [{ id: 'user_1', email: 'jane@example.com', user_type: 'individual' }],
+    features: [
+      { id: 'hd_streaming', name: 'HD Streaming', is_active: true },
+      { id: 'downloads', name: 'Downloads', is_active: true }
+    ],
+    membership_types: [
+      { id: 'basic', name: 'Basic', duration_type: 'fixed', duration_days: 30, price_cents: 1000, currency: 'USD', features: JSON.stringify(['hd_streaming']) },
+      { id: 'premium', name: 'Premium', duration_type: 'fixed', duration_days: 30, price_cents: 3000, currency: 'USD', features: JSON.stringify(['hd_streaming', 'downloads']) }
+    ],
+    entity_memberships: [{
+      id: 'membership_1',
+      user_id: 'user_1',
+      membership_type_id: 'basic',
+      status: 'active',
+      start_date: '2024-01-01T00:00:00.000Z',
+      end_date: '2999-01-01T00:00:00.000Z'
+    }]
+  });
+}
+
+function collect(events) {
+  const published = [];
+  for (const type of ['entitlement.granted', 'entitlement.revoked']) {
+    events.on(type, (event) => published.push([event.type, event.user_id, event.feature_id]));
+  }
+  return published;
+}
+
+test('changes emit the features users gain and lose', async () => {
+  const store = createEventStore();
+  const events = createEntitlementEvents();
+  const published = collect(events);
+
+  const upgrade = trackEntitlementChanges(store, events);
+  await upgrade.watch({ type: 'user', id: 'user_1' });
+  await store.entity_memberships.update('membership_1', { membership_type_id: 'premium' });
+  await upgrade.publish();
+
+  const cancellation = trackEntitlementChanges(store, events);
+  await cancellation.watch({ type: 'user', id: 'user_1' });
+  await store.entity_memberships.update('membership_1', { status: 'cancelled' });
+  await cancellation.publish();
+
+  assert.deepEqual(published, [
+    ['entitlement.granted', 'user_1', 'downloads'],
+    ['entitlement.revoked', 'user_1', 'downloads'],
+    ['entitlement.revoked', 'user_1', 'hd_streaming']
+  ]);
+});
+
+test('routes emit the changes of the requests that succeed', async () => {
+  const store = createEventStore();
+  const events = createEntitlementEvents();
+  const published = collect(events);
+  const router = createMembershipRouter({ store, events });
+
+  const revoked = once(events, 'entitlement.revoked');
+  const paused = await request(router, 'POST', '/users/user_1/memberships/membership_1/pause');
+  assert.equal(paused.status, 200);
+  await revoked;
+
+  const granted = once(events, 'entitlement.granted');
+  const resumed = await request(router, 'POST', '/users/user_1/memberships/membership_1/resume');
+  assert.equal(resumed.status, 200);
+  await granted;
+
+  assert.deepEqual(published, [
+    ['entitlement.revoked', 'user_1', 'hd_streaming'],
+    ['entitlement.granted', 'user_1', 'hd_streaming']
+  ]);
+});
+
+test('routes that can\'t change entitlements don\'t resolve them', async () => {
+  const store = createEventStore();
+  let resolved = 0;
+  const findFeatures = store.features.findAll;
+  store.features.findAll = (query) => {
+    resolved += 1;
+    return findFeatures(query);
+  };
+  const router = createMembershipRouter({ store, events: createEntitlementEvents() });
+
+  const reactivated = await request(router, 'POST', '/users/user_1/memberships/membership_1/reactivate');
+  assert.equal(reactivated.status, 400);
+  const changed = await request(router, 'POST', '/users/user_1/memberships/membership_1/change', {
+    body: { membership_type_id: 'premium', mode: 'end_of_period' }
+  });
+  assert.equal(changed.status, 400);
+
+  assert.equal(resolved, 0);
+});
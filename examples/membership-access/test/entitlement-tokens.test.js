@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTokenSigner, generateSigningKey } = require('../entitlement-tokens');
+const { createEntitlementVerifier, EntitlementTokenError } = require('../entitlement-verifier');
+
+const NOW = new Date('2024-01-01T00:00:00.000Z');
+const JWKS_URL = 'https://payments.example.com/api/payment/entitlements/jwks';
+
+const ENTITLEMENTS = {
+  user_id: 'user_1',
+  features: [
+    { feature_id: 'streaming', has_access: true, expires: 'never' },
+    { feature_id: 'hd', has_access: true, expires: '2024-01-01T00:02:00.000Z' },
+    { feature_id: '4k', has_access: false, expires: null }
+  ]
+};
+
+/**
+ * A fetch that serves the signer's current JWKS and counts its calls
+ */
+function createJwksFetch(getSigner) {
+  const jwksFetch = async () => {
+    jwksFetch.calls += 1;
+    return { ok: true, status: 200, json: async () => getSigner().getJwks() };
+  };
+  jwksFetch.calls = 0;
+  return jwksFetch;
+}
+
+function reencode(token, change) {
+  const [header, claims, signature] = token.split('.');
+  const decode = segment => JSON.parse(Buffer.from(segment, 'base64url').toString());
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const changed = change({ header: decode(header), claims: decode(claims) });
+  return `${encode(changed.header)}.${encode(changed.claims)}.${signature}`;
+}
+
+test('tokens verify offline and grant the features they carry', async () => {
+  const signer = createTokenSigner({ signing_keys: [generateSigningKey()] });
+  const verifier = createEntitlementVerifier({ jwks: signer.getJwks() });
+  const { token } = signer.sign(ENTITLEMENTS, { now: NOW });
+
+  const claims = await verifier.verify(token, { now: NOW });
+  assert.equal(claims.sub, 'user_1');
+  assert.equal(await verifier.hasFeature(token, 'streaming', { now: NOW }), true);
+  assert.equal(await verifier.hasFeature(token, '4k', { now: NOW }), false);
+  assert.equal(await verifier.hasFeature(token, 'hd', { now: new Date('2024-01-01T00:03:00.000Z') }), false);
+});
+
+test('untrusted tokens are rejected', async () => {
+  const signer = createTokenSigner({ signing_keys: [generateSigningKey()] });
+  const other = createTokenSigner({ signing_keys: [generateSigningKey()] });
+  const verifier = createEntitlementVerifier({ jwks: signer.getJwks() });
+  const { token } = signer.sign(ENTITLEMENTS, { now: NOW });
+  const rejects = (candidate, message, now = NOW) => assert.rejects(
+    verifier.verify(candidate, { now }),
+    { name: 'EntitlementTokenError', message }
+  );
+
+  await rejects(token, 'Token expired', new Date('2024-01-01T00:10:00.000Z'));
+  await rejects(`${token.slice(0, token.lastIndexOf('.'))}.${other.sign(ENTITLEMENTS, { now: NOW }).token.split('.')[2]}`, 'Invalid signature');
+  await rejects(reencode(token, ({ header, claims }) => ({ header: { ...header, alg: 'HS256' }, claims })), 'Unsupported algorithm HS256');
+  await rejects(reencode(token, ({ header, claims }) => ({ header: { ...header, alg: 'none' }, claims })), 'Unsupported algorithm none');
+  await rejects(other.sign(ENTITLEMENTS, { now: NOW }).token, 'Unknown signing key');
+  await rejects(reencode(token, ({ header, claims }) => ({
+    header,
+    claims: { ...claims, features: { ...claims.features, '4k': { exp: null } } }
+  })), 'Invalid signature');
+  await rejects(reencode(token, ({ header, claims }) => ({ header, claims: { ...claims, exp: claims.exp + 3600 } })), 'Invalid signature');
+  await rejects('not-a-token', 'Malformed token');
+});
+
+test('keys rotated in are fetched when a token signed with them arrives', async () => {
+  const oldKey = generateSigningKey();
+  const newKey = generateSigningKey();
+  let signer = createTokenSigner({ signing_keys: [oldKey] });
+  const fetch = createJwksFetch(() => signer);
+  const verifier = createEntitlementVerifier({ jwksUrl: JWKS_URL, jwksMinRefetchSeconds: 0, fetch });
+
+  const oldToken = signer.sign(ENTITLEMENTS, { now: NOW }).token;
+  await verifier.verify(oldToken, { now: NOW });
+  assert.equal(fetch.calls, 1);
+
+  signer = createTokenSigner({ signing_keys: [newKey, oldKey] });
+  const newToken = signer.sign(ENTITLEMENTS, { now: NOW }).token;
+  await verifier.verify(newToken, { now: NOW });
+  await verifier.verify(oldToken, { now: NOW });
+  assert.equal(fetch.calls, 2);
+});
+
+test('tokens with unknown keys do not refetch the JWKS more than once per interval', async () => {
+  const signer = createTokenSigner({ signing_keys: [generateSigningKey()] });
+  const fetch = createJwksFetch(() => signer);
+  const verifier = createEntitlementVerifier({ jwksUrl: JWKS_URL, fetch });
+  const forged = () => createTokenSigner({ signing_keys: [generateSigningKey()] }).sign(ENTITLEMENTS, { now: NOW }).token;
+
+  const concurrent = await Promise.all(Array.from({ length: 5 }, () => verifier.hasFeature(forged(), 'streaming', { now: NOW })));
+  for (let i = 0; i < 5; i += 1) {
+    assert.equal(await verifier.hasFeature(forged(), 'streaming', { now: NOW }), false);
+  }
+
+  assert.deepEqual(concurrent, [false, false, false, false, false]);
+  assert.equal(fetch.calls, 1);
+  assert.equal(await verifier.hasFeature(signer.sign(ENTITLEMENTS, { now: NOW }).token, 'streaming', { now: NOW }), true);
+});
+
+test('JWKS fetch failures reject tokens as untrusted', async () => {
+  const signer = createTokenSigner({ signing_keys: [generateSigningKey()] });
+  const { token } = signer.sign(ENTITLEMENTS, { now: NOW });
+  const unavailable = createEntitlementVerifier({
+    jwksUrl: JWKS_URL,
+    fetch: async () => ({ ok: false, status: 503 })
+  });
+  const unreachable = createEntitlementVerifier({
+    jwksUrl: JWKS_URL,
+    fetch: async () => {
+      throw new Error('getaddrinfo ENOTFOUND');
+    }
+  });
+
+  await assert.rejects(unavailable.verify(token, { now: NOW }), EntitlementTokenError);
+  await assert.rejects(unreachable.verify(token, { now: NOW }), EntitlementTokenError);
+  assert.equal(await unavailable.hasFeature(token, 'streaming', { now: NOW }), false);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../store');
+const { createMembershipRouter } = require('../standardized-api-routes');
+const { matchesETag } = require('../entitlements');
+const { request } = require('./helpers');
+
+function createEntitlementStore() {
+  return createMemoryStore({
+    users: [{ id: 'user_1', email: 'jane@example.com', user_type: 'individual' }],
+    features: [{ id: 'hd_streaming', name: 'HD Streaming', is_active: true }],
+    membership_types: [{
+      id: 'premium',
+      name: 'Premium',
+      duration_type: 'lifetime',
+      price_cents: 5000,
+      currency: 'USD',
+      features: JSON.stringify(['hd_streaming'])
+    }],
+    entity_memberships: [{
+      id: 'membership_1',
+      user_id: 'user_1',
+      membership_type_id: 'premium',
+      status: 'active',
+      start_date: '2024-01-01T00:00:00.000Z',
+      end_date: null
+    }]
+  });
+}
+
+test('If-None-Match matches single, weak, listed and wildcard tags', () => {
+  const etag = '"abc"';
+
+  assert.equal(matchesETag('"abc"', etag), true);
+  assert.equal(matchesETag('W/"abc"', etag), true);
+  assert.equal(matchesETag('"xyz", W/"abc"', etag), true);
+  assert.equal(matchesETag('*', etag), true);
+  assert.equal(matchesETag('"xyz"', etag), false);
+  assert.equal(matchesETag('"ab"', etag), false);
+  assert.equal(matchesETag(undefined, etag), false);
+});
+
+test('entitlements answer 304 while the ETag they were sent still matches', async () => {
+  const store = createEntitlementStore();
+  const router = createMembershipRouter({ store });
+
+  const first = await request(router, 'GET', '/users/user_1/entitlements');
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.features.map((feature) => feature.feature_id), ['hd_streaming']);
+  const { etag } = first.headers;
+
+  for (const ifNoneMatch of [etag, `W/${etag}`, `"stale", ${etag}`]) {
+    const revalidated = await request(router, 'GET', '/users/user_1/entitlements', { headers: { 'if-none-match': ifNoneMatch } });
+    assert.equal(revalidated.status, 304, ifNoneMatch);
+    assert.equal(revalidated.headers.etag, etag);
+  }
+
+  await store.entity_memberships.update('membership_1', { status: 'cancelled' });
+  const changed = await request(router, 'GET', '/users/user_1/entitlements', { headers: { 'if-none-match': etag } });
+  assert.equal(changed.status, 200);
+  assert.deepEqual(changed.body.features, []);
+  assert.notEqual(changed.headers.etag, etag);
+});
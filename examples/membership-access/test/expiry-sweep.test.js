@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../store');
+const { runExpirySweep } = require('../expiry-sweep');
+
+test('memberships renewed while the sweep runs are not expired', async () => {
+  const now = new Date('2024-03-01T00:00:00.000Z');
+  const store = createMemoryStore({
+    users: [{ id: 'user_1', email: 'jane@example.com', user_type: 'individual' }],
+    membership_types: [{ id: 'basic', name: 'Basic', duration_type: 'recurring', duration_days: 30, price_cents: 1000 }],
+    entity_memberships: [
+      { id: 'renewed', user_id: 'user_1', membership_type_id: 'basic', status: 'active', start_date: '2024-01-01T00:00:00.000Z', end_date: '2024-02-29T00:00:00.000Z' },
+      { id: 'lapsed', user_id: 'user_1', membership_type_id: 'basic', status: 'active', start_date: '2024-01-01T00:00:00.000Z', end_date: '2024-02-29T00:00:00.000Z' }
+    ]
+  });
+
+  // A renewal webhook extends a membership right after the sweep found it
+  const findAll = store.entity_memberships.findAll;
+  const sweepStore = {
+    ...store,
+    entity_memberships: {
+      ...store.entity_memberships,
+      async findAll(query) {
+        const rows = await findAll(query);
+        await store.entity_memberships.update('renewed', { end_date: '2024-03-31T00:00:00.000Z' });
+        return rows;
+      }
+    }
+  };
+
+  const result = await runExpirySweep(sweepStore, { now });
+
+  assert.deepEqual(result.expired_memberships, ['lapsed']);
+  assert.equal((await store.entity_memberships.findById('renewed')).status, 'active');
+  assert.equal((await store.entity_memberships.findById('lapsed')).status, 'expired');
+});
@@ -0,0 +1,102 @@
+/**
+ * Test Helpers
+ */
+
+const http = require('http');
+const express = require('express');
+const { TABLES } = require('../store/tables');
+
+/**
+ * Wrap a store so concurrent requests interleave at every query, like a
+ * database whose transactions read committed rows without locking them:
+ * transactions aren't isolated from each other, and each query yields
+ * first. Optional `uniqueKeys` ({ table: [columns] }) make `create` throw
+ * on duplicates, like the schema's UNIQUE constraints; as in PostgreSQL,
+ * the transaction it throws in then fails every later query.
+ *
+ * @param {Object} store - Store to wrap (see ../store)
+ * @param {Object} uniqueKeys - Unique columns by table
+ * @returns {Object} The wrapped store
+ */
+function createConcurrentStore(store, uniqueKeys = {}) {
+  return wrapStore(store, uniqueKeys, null);
+}
+
+function wrapStore(store, uniqueKeys, transaction) {
+  const concurrent = {};
+
+  for (const table of Object.keys(TABLES)) {
+    const repository = {};
+    for (const [name, method] of Object.entries(store[table])) {
+      repository[name] = async (...args) => {
+        await new Promise(setImmediate);
+        if (transaction && transaction.aborted) {
+          throw new Error('current transaction is aborted, commands ignored until end of transaction block');
+        }
+        if (name === 'create' && uniqueKeys[table]) {
+          const where = Object.fromEntries(uniqueKeys[table].map((column) => [column, args[0][column]]));
+          if (await store[table].findOne({ where })) {
+            if (transaction) {
+              transaction.aborted = true;
+            }
+            throw new Error(`Duplicate ${uniqueKeys[table].join(', ')} in ${table}`);
+          }
+        }
+        return method(...args);
+      };
+    }
+    concurrent[table] = repository;
+  }
+
+  // Nested transactions reuse the outer one
+  concurrent.transaction = transaction
+    ? (fn) => fn(concurrent)
+    : (fn) => fn(wrapStore(store, uniqueKeys, { aborted: false }));
+  return concurrent;
+}
+
+/**
+ * Send a request to an Express router mounted at /api/payment, on a server
+ * that only runs for the request
+ *
+ * @param {express.Router} router - Router to mount
+ * @param {string} method - HTTP method
+ * @param {string} path - Path under /api/payment, with the query string
+ * @param {Object} options
+ * @param {Object} options.body - JSON body
+ * @param {Object} options.headers - Request headers
+ * @returns {Promise<Object>} { status, headers, body }, with the body parsed
+ *   as JSON when it is JSON
+ */
+async function request(router, method, path, { body, headers = {} } = {}) {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/payment', router);
+
+  const server = app.listen(0);
+  try {
+    await new Promise((resolve) => server.once('listening', resolve));
+    return await new Promise((resolve, reject) => {
+      const req = http.request({
+        port: server.address().port,
+        method,
+        path: `/api/payment${path}`,
+        headers: { 'content-type': 'application/json', ...headers }
+      }, (res) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => { text += chunk; });
+        res.on('end', () => {
+          const json = (res.headers['content-type'] || '').includes('application/json');
+          resolve({ status: res.statusCode, headers: res.headers, body: json ? JSON.parse(text) : text });
+        });
+      });
+      req.on('error', reject);
+      req.end(body === undefined ? undefined : JSON.stringify(body));
+    });
+  } finally {
+    server.close();
+  }
+}
+
+module.exports = { createConcurrentStore, request };
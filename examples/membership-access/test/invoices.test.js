@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../store');
+const { finalizeInvoice } = require('../invoices');
+const { createConcurrentStore } = require('./helpers');
+
+test('concurrent finalizations take distinct numbers of a new sequence', async () => {
+  const drafts = Array.from({ length: 4 }, (_, i) => ({
+    id: `invoice_${i + 1}`,
+    invoice_number: `DRAFT-${i + 1}`,
+    user_id: 'user_1',
+    status: 'draft',
+    subtotal_cents: 1000,
+    total_cents: 1000,
+    currency: 'USD'
+  }));
+  const memoryStore = createMemoryStore({
+    users: [{ id: 'user_1', email: 'jane@example.com', user_type: 'individual' }],
+    invoices: drafts
+  });
+  const store = createConcurrentStore(memoryStore, { invoice_sequences: ['scope'] });
+
+  const invoices = await Promise.all(drafts.map((draft) => finalizeInvoice(store, draft.id)));
+
+  const numbers = invoices.map((invoice) => invoice.invoice_number);
+  assert.equal(new Set(numbers).size, 4);
+  const sequences = await memoryStore.invoice_sequences.findAll({});
+  assert.equal(sequences.length, 1);
+  assert.equal(sequences[0].next_number, 5);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../store');
+const { createProviderRegistry, createFakeProvider } = require('../providers');
+const { createMembershipRouter } = require('../standardized-api-routes');
+const { request } = require('./helpers');
+
+function createOwnerRouter() {
+  const store = createMemoryStore({
+    users: [
+      { id: 'owner', email: 'owner@example.com', user_type: 'business' },
+      { id: 'member', email: 'member@example.com', user_type: 'individual' },
+      { id: 'outsider', email: 'outsider@example.com', user_type: 'individual' }
+    ],
+    organizations: [{ id: 'org_1', name: 'Acme', owner_user_id: 'owner' }],
+    organization_users: [{ id: 'orgu_1', organization_id: 'org_1', user_id: 'member' }],
+    projects: [
+      { id: 'project_org', name: 'Acme app', organization_id: 'org_1' },
+      { id: 'project_own', name: 'Side project', user_id: 'outsider' }
+    ],
+    payment_providers: [{ id: 'fake', display_name: 'Fake', config: JSON.stringify({ is_default: true }) }],
+    payment_methods: [
+      { id: 'pm_org', organization_id: 'org_1', provider_id: 'fake', provider_payment_method_id: 'tok_visa', payment_type: 'credit_card' },
+      { id: 'pm_outsider', user_id: 'outsider', provider_id: 'fake', provider_payment_method_id: 'tok_visa', payment_type: 'credit_card' }
+    ],
+    features: [
+      { id: 'streaming', name: 'Streaming Access', is_active: true },
+      { id: 'download', name: 'Download Access', is_active: true }
+    ],
+    membership_types: [
+      { id: 'team', name: 'Team', duration_type: 'lifetime', price_cents: 5000, currency: 'USD', features: JSON.stringify(['streaming']) },
+      { id: 'build', name: 'Build', duration_type: 'lifetime', price_cents: 2000, currency: 'USD', features: JSON.stringify(['download']) }
+    ]
+  });
+  const providers = createProviderRegistry({ store, adapters: { fake: createFakeProvider() } });
+  return { store, router: createMembershipRouter({ store, providers }) };
+}
+
+async function hasAccess(router, userId, featureId) {
+  const response = await request(router, 'GET', `/access/verify?user_id=${userId}&feature_id=${featureId}`);
+  assert.equal(response.status, 200);
+  return response.body.has_access;
+}
+
+test('organization memberships are billed to the organization and grant its owner and members access', async () => {
+  const { store, router } = createOwnerRouter();
+
+  const created = await request(router, 'POST', '/organizations/org_1/memberships', {
+    body: { membership_type_id: 'team', payment_method_id: 'pm_org' }
+  });
+
+  assert.equal(created.status, 201);
+  const membership = await store.entity_memberships.findById(created.body.id);
+  assert.equal(membership.organization_id, 'org_1');
+  assert.ok(!membership.user_id && !membership.project_id);
+  const order = await store.orders.findById(membership.order_id);
+  assert.deepEqual([order.organization_id, order.user_id], ['org_1', null]);
+
+  const listed = await request(router, 'GET', '/organizations/org_1/memberships');
+  assert.deepEqual(listed.body.map((item) => item.id), [membership.id]);
+
+  assert.equal(await hasAccess(router, 'owner', 'streaming'), true);
+  assert.equal(await hasAccess(router, 'member', 'streaming'), true);
+  assert.equal(await hasAccess(router, 'outsider', 'streaming'), false);
+});
+
+test('project memberships are billed to the project\'s owner and grant access through it', async () => {
+  const { store, router } = createOwnerRouter();
+
+  const orgProject = await request(router, 'POST', '/projects/project_org/memberships', {
+    body: { membership_type_id: 'build', payment_method_id: 'pm_org' }
+  });
+  assert.equal(orgProject.status, 201);
+  const order = await store.orders.findById((await store.entity_memberships.findById(orgProject.body.id)).order_id);
+  assert.deepEqual([order.organization_id, order.user_id], ['org_1', null]);
+  assert.equal(await hasAccess(router, 'member', 'download'), true);
+  assert.equal(await hasAccess(router, 'outsider', 'download'), false);
+
+  // The outsider's own project is billed to them, and can't use the
+  // organization's payment method
+  const refused = await request(router, 'POST', '/projects/project_own/memberships', {
+    body: { membership_type_id: 'team', payment_method_id: 'pm_org' }
+  });
+  assert.equal(refused.status, 404);
+  const ownProject = await request(router, 'POST', '/projects/project_own/memberships', {
+    body: { membership_type_id: 'team', payment_method_id: 'pm_outsider' }
+  });
+  assert.equal(ownProject.status, 201);
+  const ownOrder = await store.orders.findById((await store.entity_memberships.findById(ownProject.body.id)).order_id);
+  assert.deepEqual([ownOrder.organization_id, ownOrder.user_id], [null, 'outsider']);
+  assert.equal(await hasAccess(router, 'outsider', 'streaming'), true);
+  assert.equal(await hasAccess(router, 'member', 'streaming'), false);
+});
+
+test('memberships of another owner aren\'t found through an owner\'s routes', async () => {
+  const { router } = createOwnerRouter();
+  const created = await request(router, 'POST', '/organizations/org_1/memberships', {
+    body: { membership_type_id: 'team', payment_method_id: 'pm_org' }
+  });
+
+  const fromProject = await request(router, 'GET', `/projects/project_org/memberships/${created.body.id}`);
+  assert.equal(fromProject.status, 404);
+  const fromOrganization = await request(router, 'GET', `/organizations/org_1/memberships/${created.body.id}`);
+  assert.equal(fromOrganization.status, 200);
+});
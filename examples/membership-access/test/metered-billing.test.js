@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../store');
+const { recordMeteredUsage } = require('../metered-billing');
+const { createConcurrentStore } = require('./helpers');
+
+function createMeteredStore() {
+  return createMemoryStore({
+    users: [{ id: 'user_1', email: 'jane@example.com', user_type: 'individual' }],
+    billing_schedules: [{
+      id: 'schedule_1',
+      user_id: 'user_1',
+      schedule_type: 'metered',
+      amount_cents: 0,
+      currency: 'USD',
+      billing_interval: 'monthly',
+      status: 'active',
+      next_billing_date: '2024-02-01T00:00:00.000Z',
+      metadata: JSON.stringify({
+        metering: { aggregation: 'sum', pricing: 'tiered', unit: 'GB', tiers: [{ up_to: null, unit_amount_cents: 4 }] }
+      })
+    }]
+  });
+}
+
+test('concurrent reports with one idempotency key are recorded once', async () => {
+  const memoryStore = createMeteredStore();
+  const store = createConcurrentStore(memoryStore, { usage_records: ['idempotency_key'] });
+  const report = () => recordMeteredUsage(store, {
+    idempotencyKey: 'storage-2024-01-20',
+    billingScheduleId: 'schedule_1',
+    quantity: 120,
+    timestamp: '2024-01-20T00:00:00.000Z',
+    now: new Date('2024-01-21T00:00:00.000Z')
+  });
+
+  const results = await Promise.all(Array.from({ length: 5 }, report));
+
+  const records = await memoryStore.usage_records.findAll({});
+  assert.equal(records.length, 1);
+  assert.equal(results.filter((result) => result.created).length, 1);
+  assert.ok(results.every((result) => result.record.id === records[0].id));
+});
+
+test('a concurrent report of other usage with the same key is rejected', async () => {
+  const store = createConcurrentStore(createMeteredStore(), { usage_records: ['idempotency_key'] });
+  const report = (quantity) => recordMeteredUsage(store, {
+    idempotencyKey: 'storage-2024-01-20',
+    billingScheduleId: 'schedule_1',
+    quantity,
+    now: new Date('2024-01-21T00:00:00.000Z')
+  });
+
+  const results = await Promise.allSettled([report(120), report(80)]);
+
+  assert.deepEqual(results.map((result) => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find((result) => result.status === 'rejected').reason.status, 409);
+});
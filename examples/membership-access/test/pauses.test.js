@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../store');
+const { createProviderRegistry, createFakeProvider } = require('../providers');
+const { pauseMembership, resumeMembership } = require('../pauses');
+const { runExpirySweep } = require('../expiry-sweep');
+
+function createPauseStore() {
+  return createMemoryStore({
+    users: [{ id: 'user_1', email: 'jane@example.com', user_type: 'individual' }],
+    payment_providers: [{ id: 'fake', display_name: 'Fake', config: JSON.stringify({ is_default: true }) }],
+    subscriptions: [{
+      id: 'subscription_1',
+      user_id: 'user_1',
+      provider_id: 'fake',
+      status: 'active',
+      billing_status: 'active',
+      billing_interval: 'monthly',
+      interval_multiplier: 1,
+      total_cents: 1000,
+      currency: 'USD',
+      current_period_start: '2024-01-01T00:00:00.000Z',
+      current_period_end: '2024-01-31T00:00:00.000Z',
+      next_billing_date: '2024-01-31T00:00:00.000Z'
+    }],
+    entity_memberships: [{
+      id: 'membership_1',
+      user_id: 'user_1',
+      membership_type_id: 'basic',
+      subscription_id: 'subscription_1',
+      status: 'active',
+      start_date: '2024-01-01T00:00:00.000Z',
+      end_date: '2024-01-31T00:00:00.000Z'
+    }],
+    entity_addons: [
+      { id: 'addon_1', membership_id: 'membership_1', feature_id: 'hd', name: 'HD', status: 'active', start_date: '2024-01-01T00:00:00.000Z', end_date: '2024-01-15T00:00:00.000Z' },
+      { id: 'permanent', membership_id: 'membership_1', feature_id: 'downloads', name: 'Downloads', status: 'active', start_date: '2024-01-01T00:00:00.000Z', end_date: null }
+    ]
+  });
+}
+
+test('resuming moves the membership, its subscription and its addons out by the pause', async () => {
+  const store = createPauseStore();
+  const providers = createProviderRegistry({ store, adapters: { fake: createFakeProvider() } });
+
+  const paused = await pauseMembership(store, providers, {
+    membership: await store.entity_memberships.findById('membership_1'),
+    now: new Date('2024-01-10T00:00:00.000Z')
+  });
+  assert.equal(paused.status, 'paused');
+  assert.equal((await store.subscriptions.findById('subscription_1')).next_billing_date, null);
+
+  // The addon's end date passes during the pause without expiring it
+  const sweep = await runExpirySweep(store, { now: new Date('2024-01-20T00:00:00.000Z') });
+  assert.deepEqual(sweep.expired_addons, []);
+
+  // Paused for 10 days
+  const resumed = await resumeMembership(store, providers, { membership: paused, now: new Date('2024-01-20T00:00:00.000Z') });
+
+  assert.equal(resumed.status, 'active');
+  assert.equal(resumed.end_date, '2024-02-10T00:00:00.000Z');
+  const subscription = await store.subscriptions.findById('subscription_1');
+  assert.deepEqual(
+    [subscription.status, subscription.current_period_end, subscription.next_billing_date],
+    ['active', '2024-02-10T00:00:00.000Z', '2024-02-10T00:00:00.000Z']
+  );
+  assert.equal((await store.entity_addons.findById('addon_1')).end_date, '2024-01-25T00:00:00.000Z');
+  assert.equal((await store.entity_addons.findById('permanent')).end_date, null);
+});
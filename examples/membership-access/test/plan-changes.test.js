@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../store');
+const { createProviderRegistry, createFakeProvider } = require('../providers');
+const { calculatePlanChange, changeMembershipPlan } = require('../plan-changes');
+const { renewMembership } = require('../renewals');
+
+const BASIC = { id: 'basic', name: 'Basic', duration_type: 'recurring', duration_days: 30, price_cents: 1000, currency: 'USD' };
+const PREMIUM = { id: 'premium', name: 'Premium', duration_type: 'recurring', duration_days: 30, price_cents: 3000, currency: 'USD' };
+const PREMIUM_YEARLY = { id: 'premium_yearly', name: 'Premium yearly', duration_type: 'recurring', duration_days: 365, price_cents: 30000, currency: 'USD' };
+
+const MEMBERSHIP = {
+  id: 'membership_1',
+  user_id: 'user_1',
+  membership_type_id: 'basic',
+  subscription_id: 'subscription_1',
+  status: 'active',
+  start_date: '2024-01-01T00:00:00.000Z',
+  end_date: '2024-01-31T00:00:00.000Z'
+};
+
+const SUBSCRIPTION = {
+  id: 'subscription_1',
+  user_id: 'user_1',
+  provider_id: 'fake',
+  product_id: 'membership_basic',
+  payment_method_id: 'pm_1',
+  status: 'active',
+  billing_status: 'active',
+  billing_interval: 'monthly',
+  interval_multiplier: 1,
+  subtotal_cents: 1000,
+  tax_cents: 0,
+  discount_cents: 0,
+  total_cents: 1000,
+  currency: 'USD',
+  current_period_start: '2024-01-01T00:00:00.000Z',
+  current_period_end: '2024-01-31T00:00:00.000Z',
+  next_billing_date: '2024-01-31T00:00:00.000Z'
+};
+
+// A third of the 30-day period is left
+const NOW = new Date('2024-01-21T00:00:00.000Z');
+
+function calculate(newType, { subscription = SUBSCRIPTION, mode = 'immediate' } = {}) {
+  return calculatePlanChange({ membership: MEMBERSHIP, subscription, currentType: BASIC, newType, mode, now: NOW });
+}
+
+test('immediate changes credit the unused time and charge the new plan for it', () => {
+  const change = calculate(PREMIUM);
+
+  assert.equal(change.remaining_fraction, 0.3333);
+  assert.equal(change.credit_cents, 333);
+  assert.equal(change.charge_cents, 1000);
+  assert.equal(change.amount_due_cents, 667);
+  assert.equal(change.total_due_cents, 667);
+  assert.equal(change.unused_credit_cents, 0);
+  assert.equal(change.period_end, '2024-01-31T00:00:00.000Z');
+  assert.deepEqual(change.next_payment, { amount_cents: 3000, date: '2024-01-31T00:00:00.000Z' });
+});
+
+test('downgrades charge nothing and keep the credit beyond the charge unpaid', () => {
+  const change = calculatePlanChange({
+    membership: { ...MEMBERSHIP, membership_type_id: 'premium' },
+    subscription: { ...SUBSCRIPTION, subtotal_cents: 3000, total_cents: 3000 },
+    currentType: PREMIUM,
+    newType: BASIC,
+    now: NOW
+  });
+
+  assert.equal(change.credit_cents, 1000);
+  assert.equal(change.charge_cents, 333);
+  assert.equal(change.amount_due_cents, 0);
+  assert.equal(change.unused_credit_cents, 667);
+});
+
+test('changes of billing interval start a new period now at the full new price', () => {
+  const change = calculate(PREMIUM_YEARLY);
+
+  assert.equal(change.interval_changed, true);
+  assert.equal(change.credit_cents, 333);
+  assert.equal(change.charge_cents, 30000);
+  assert.equal(change.amount_due_cents, 29667);
+  assert.equal(change.period_start, '2024-01-21T00:00:00.000Z');
+  assert.equal(change.period_end, '2025-01-21T00:00:00.000Z');
+});
+
+test('tax-inclusive subscriptions prorate their price with the tax in it', () => {
+  const tax = {
+    inclusive: true,
+    price_cents: 1200,
+    address: { country: 'DE' },
+    lines: [{ tax_rate_id: 'vat', name: 'VAT', type: 'percentage', rate: 0.2 }]
+  };
+  const subscription = {
+    ...SUBSCRIPTION,
+    subtotal_cents: 1000,
+    tax_cents: 200,
+    total_cents: 1200,
+    metadata: JSON.stringify({ tax })
+  };
+
+  const change = calculate({ ...PREMIUM, price_cents: 3600 }, { subscription });
+
+  assert.equal(change.credit_cents, 400);
+  assert.equal(change.charge_cents, 1200);
+  // The amount due has the tax in it
+  assert.equal(change.amount_due_cents, 800);
+  assert.equal(change.tax_cents, 133);
+  assert.equal(change.total_due_cents, 800);
+  assert.equal(change.next_payment.amount_cents, 3600);
+});
+
+test('end-of-period changes take effect when the period ends, without a charge', () => {
+  const change = calculate(PREMIUM_YEARLY, { mode: 'end_of_period' });
+
+  assert.equal(change.effective_at, '2024-01-31T00:00:00.000Z');
+  assert.equal(change.total_due_cents, 0);
+  assert.equal(change.period_start, '2024-01-31T00:00:00.000Z');
+  assert.equal(change.period_end, '2025-01-31T00:00:00.000Z');
+  assert.deepEqual(change.next_payment, { amount_cents: 30000, date: '2024-01-31T00:00:00.000Z' });
+});
+
+function createPlanStore() {
+  return createMemoryStore({
+    users: [{ id: 'user_1', email: 'jane@example.com', user_type: 'individual' }],
+    payment_providers: [{ id: 'fake', display_name: 'Fake', config: JSON.stringify({ is_default: true }) }],
+    payment_methods: [{ id: 'pm_1', user_id: 'user_1', provider_id: 'fake', provider_payment_method_id: 'tok_visa', payment_type: 'credit_card' }],
+    membership_types: [BASIC, PREMIUM, PREMIUM_YEARLY],
+    products: [{ id: 'membership_basic', name: 'Basic', product_type: 'subscription', is_recurring: true, subtotal_cents: 1000, currency: 'USD' }],
+    subscriptions: [SUBSCRIPTION],
+    entity_memberships: [MEMBERSHIP]
+  });
+}
+
+function changePlan(store, newType, mode) {
+  const providers = createProviderRegistry({ store, adapters: { fake: createFakeProvider() } });
+  return changeMembershipPlan(store, providers, {
+    membership: MEMBERSHIP,
+    subscription: SUBSCRIPTION,
+    currentType: BASIC,
+    newType,
+    mode,
+    billing: { user_id: 'user_1', organization_id: null },
+    now: NOW
+  });
+}
+
+test('immediate changes move the membership and subscription to the new plan', async () => {
+  const store = createPlanStore();
+
+  const { membership, charge } = await changePlan(store, PREMIUM, 'immediate');
+
+  assert.equal(charge.status, 'succeeded');
+  assert.equal(charge.amount_cents, 667);
+  assert.equal(membership.membership_type_id, 'premium');
+  const subscription = await store.subscriptions.findById('subscription_1');
+  assert.equal(subscription.product_id, 'membership_premium');
+  assert.equal(subscription.total_cents, 3000);
+  assert.equal(JSON.parse(subscription.metadata).membership_type_id, 'premium');
+});
+
+test('end-of-period changes keep the current plan until the subscription renews', async () => {
+  const store = createPlanStore();
+
+  const { membership, charge } = await changePlan(store, PREMIUM_YEARLY, 'end_of_period');
+
+  assert.equal(charge, null);
+  assert.equal(membership.membership_type_id, 'basic');
+  assert.deepEqual(JSON.parse(membership.metadata).pending_plan_change, {
+    membership_type_id: 'premium_yearly',
+    effective_at: '2024-01-31T00:00:00.000Z'
+  });
+  let subscription = await store.subscriptions.findById('subscription_1');
+  assert.deepEqual(
+    [subscription.product_id, subscription.total_cents, subscription.billing_interval],
+    ['membership_basic', 1000, 'monthly']
+  );
+
+  const renewed = await renewMembership(store, { membership, subscription });
+
+  assert.equal(renewed.membership_type_id, 'premium_yearly');
+  assert.equal(JSON.parse(renewed.metadata).pending_plan_change, undefined);
+  assert.equal(renewed.end_date, '2025-01-31T00:00:00.000Z');
+  subscription = await store.subscriptions.findById('subscription_1');
+  assert.deepEqual(
+    [subscription.product_id, subscription.total_cents, subscription.billing_interval, subscription.current_period_end],
+    ['membership_premium_yearly', 30000, 'yearly', '2025-01-31T00:00:00.000Z']
+  );
+  const metadata = JSON.parse(subscription.metadata);
+  assert.equal(metadata.membership_type_id, 'premium_yearly');
+  assert.equal(metadata.pending_plan_change, undefined);
+});
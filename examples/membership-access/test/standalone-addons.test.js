@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../store');
+const { createProviderRegistry, createFakeProvider } = require('../providers');
+const { createMembershipRouter } = require('../standardized-api-routes');
+const { purchaseAddon } = require('../addon-subscriptions');
+const { CheckoutError } = require('../checkout');
+const { request } = require('./helpers');
+
+const GUEST_BILLING = { user_id: null, organization_id: null };
+
+function createStandaloneStore() {
+  const store = createMemoryStore({
+    users: [{ id: 'user_1', email: 'jane@example.com', user_type: 'individual' }],
+    payment_providers: [{ id: 'fake', display_name: 'Fake', config: JSON.stringify({ is_default: true }) }],
+    external_entities: [{
+      id: 'guest_1',
+      context_type: 'payment',
+      payment_provider_id: 'fake',
+      payment_provider_customer_id: 'cus_guest',
+      external_email: 'guest@example.com'
+    }],
+    payment_methods: [
+      { id: 'pm_guest', customer_id: 'guest_1', is_guest: true, guest_email: 'guest@example.com', provider_id: 'fake', provider_payment_method_id: 'tok_visa', payment_type: 'credit_card' },
+      { id: 'pm_user', user_id: 'user_1', provider_id: 'fake', provider_payment_method_id: 'tok_visa', payment_type: 'credit_card' }
+    ],
+    features: [
+      { id: 'lifetime_downloads', name: 'Lifetime downloads', is_active: true },
+      { id: 'hd_streaming', name: 'HD Streaming', is_active: true }
+    ],
+    addons: [
+      { id: 'addon_downloads', feature_id: 'lifetime_downloads', name: 'Lifetime downloads', duration_days: null, requires_membership: false },
+      { id: 'addon_hd', feature_id: 'hd_streaming', name: 'HD', duration_days: 30 }
+    ],
+    addon_prices: [
+      { id: 'price_downloads', addon_id: 'addon_downloads', currency: 'USD', price_cents: 2500 },
+      { id: 'price_hd', addon_id: 'addon_hd', currency: 'USD', price_cents: 500 }
+    ]
+  });
+  const providers = createProviderRegistry({ store, adapters: { fake: createFakeProvider() } });
+  return { store, providers, router: createMembershipRouter({ store, providers }) };
+}
+
+test('guests own the standalone addons they buy, and have access through them', async () => {
+  const { store, providers, router } = createStandaloneStore();
+  const verify = () => request(router, 'GET', '/access/verify?guest_id=guest_1&feature_id=lifetime_downloads');
+
+  const before = await verify();
+  assert.equal(before.body.has_access, false);
+  assert.deepEqual(before.body.addon_options.map((option) => option.addon_id), ['addon_downloads']);
+
+  const { addon } = await purchaseAddon(store, providers, {
+    owner: { type: 'guest', id: 'guest_1' },
+    billing: GUEST_BILLING,
+    featureId: 'lifetime_downloads',
+    paymentMethodId: 'pm_guest'
+  });
+
+  assert.deepEqual([addon.customer_id, addon.membership_id || null, addon.status, addon.end_date], ['guest_1', null, 'active', null]);
+  const order = await store.orders.findById(addon.order_id);
+  assert.deepEqual([order.customer_id, order.total_cents], ['guest_1', 2500]);
+
+  const after = await verify();
+  assert.equal(after.body.has_access, true);
+  assert.deepEqual(after.body.addon.owner, { type: 'guest', id: 'guest_1' });
+  assert.equal(after.body.addon.expires, 'never');
+});
+
+test('addons that require a membership aren\'t sold without one', async () => {
+  const { store, providers } = createStandaloneStore();
+
+  await assert.rejects(
+    purchaseAddon(store, providers, {
+      owner: { type: 'guest', id: 'guest_1' },
+      billing: GUEST_BILLING,
+      featureId: 'hd_streaming',
+      paymentMethodId: 'pm_guest'
+    }),
+    (error) => error instanceof CheckoutError && error.message === 'Addon hd_streaming requires an active membership'
+  );
+  assert.equal((await store.entity_addons.findAll({})).length, 0);
+  assert.equal((await store.orders.findAll({})).length, 0);
+});
+
+test('users without a membership have access through their standalone addons', async () => {
+  const { store, providers, router } = createStandaloneStore();
+
+  await purchaseAddon(store, providers, {
+    owner: { type: 'user', id: 'user_1' },
+    billing: { user_id: 'user_1', organization_id: null },
+    featureId: 'lifetime_downloads',
+    paymentMethodId: 'pm_user'
+  });
+
+  const access = await request(router, 'GET', '/access/verify?user_id=user_1&feature_id=lifetime_downloads');
+  assert.equal(access.body.has_access, true);
+  assert.equal(access.body.access_source, 'addon');
+  // Guests don't have the user's addons
+  const guest = await request(router, 'GET', '/access/verify?guest_id=guest_1&feature_id=lifetime_downloads');
+  assert.equal(guest.body.has_access, false);
+});
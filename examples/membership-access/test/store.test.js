@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore, createSqliteStore } = require('../store');
+
+test('memory store: a failed transaction undoes its own writes only', async () => {
+  const store = createMemoryStore({
+    users: [
+      { id: 'user_1', email: 'one@example.com', user_type: 'individual' },
+      { id: 'user_2', email: 'two@example.com', user_type: 'individual' }
+    ]
+  });
+
+  let resume;
+  const waiting = new Promise((resolve) => { resume = resolve; });
+
+  const failed = store.transaction(async (tx) => {
+    await tx.users.update('user_1', { name: 'Changed' });
+    await tx.users.create({ id: 'user_3', email: 'three@example.com', user_type: 'individual' });
+    await waiting;
+    throw new Error('Provider call failed');
+  });
+
+  // Written while the transaction waits
+  await new Promise(setImmediate);
+  await store.users.update('user_2', { name: 'Outside' });
+  await store.users.create({ id: 'user_4', email: 'four@example.com', user_type: 'individual' });
+  resume();
+
+  await assert.rejects(failed, /Provider call failed/);
+  assert.notEqual((await store.users.findById('user_1')).name, 'Changed');
+  assert.equal(await store.users.findById('user_3'), null);
+  assert.equal((await store.users.findById('user_2')).name, 'Outside');
+  assert.ok(await store.users.findById('user_4'));
+});
+
+test('memory store: transactions run one after another', async () => {
+  const store = createMemoryStore();
+  const order = [];
+
+  await Promise.all([1, 2].map((n) => store.transaction(async () => {
+    order.push(`start ${n}`);
+    await new Promise(setImmediate);
+    order.push(`end ${n}`);
+  })));
+
+  assert.deepEqual(order, ['start 1', 'end 1', 'start 2', 'end 2']);
+});
+
+test('sqlite store: queries outside a transaction wait until it ends', async () => {
+  const log = [];
+  const db = {
+    exec: (sql) => log.push(sql),
+    prepare: (sql) => ({
+      all: () => { log.push(sql); return []; },
+      run: () => { log.push(sql); return { changes: 0 }; }
+    })
+  };
+  const store = createSqliteStore(db);
+
+  let resume;
+  const waiting = new Promise((resolve) => { resume = resolve; });
+
+  const failed = store.transaction(async (tx) => {
+    await tx.users.updateWhere({ id: 'user_1' }, { name: 'Changed' });
+    await waiting;
+    throw new Error('Provider call failed');
+  });
+
+  await new Promise(setImmediate);
+  const outside = store.users.findAll({ where: { id: 'user_2' } });
+  resume();
+
+  await assert.rejects(failed, /Provider call failed/);
+  await outside;
+  assert.deepEqual(log.map((sql) => sql.split(' ')[0]), ['BEGIN', 'UPDATE', 'ROLLBACK', 'SELECT']);
+});
+
+test('memory store: createIfAbsent skips rows whose unique key exists', async () => {
+  const store = createMemoryStore();
+
+  const created = await store.invoice_sequences.createIfAbsent({ scope: 'default', prefix: 'INV', next_number: 1 }, ['scope']);
+  const duplicate = await store.invoice_sequences.createIfAbsent({ scope: 'default', prefix: 'INV', next_number: 7 }, ['scope']);
+
+  assert.equal(created.scope, 'default');
+  assert.equal(duplicate, null);
+  assert.equal((await store.invoice_sequences.findAll({}))[0].next_number, 1);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../store');
+const { resolveTaxRates, calculateTax, calculatePurchaseTax } = require('../taxes');
+
+const NOW = new Date('2024-06-01T00:00:00.000Z');
+
+function createTaxStore() {
+  return createMemoryStore({
+    users: [{ id: 'user_1', email: 'jane@example.com', user_type: 'individual' }],
+    addresses: [{
+      id: 'address_1',
+      user_id: 'user_1',
+      address_type: 'billing',
+      is_default: true,
+      country: 'US',
+      state_province: 'CA',
+      city: 'Los Angeles',
+      postal_code: '90001'
+    }],
+    tax_rates: [
+      { id: 'ca_state', name: 'Sales Tax', rate: 0.06, type: 'percentage', country: 'US', state_province: 'CA', priority: 0 },
+      // Same name, more specific: replaces the state rate in Los Angeles
+      { id: 'la_sales', name: 'Sales Tax', rate: 0.07, type: 'percentage', country: 'US', state_province: 'CA', city: 'Los Angeles', priority: 0 },
+      // Same name, lower priority and more specific still: loses
+      { id: 'la_zip', name: 'Sales Tax', rate: 0.05, type: 'percentage', country: 'US', state_province: 'CA', city: 'Los Angeles', postal_code: '90001', priority: -1 },
+      { id: 'la_district', name: 'District Tax', rate: 0.0225, type: 'percentage', country: 'US', city: 'Los Angeles' },
+      { id: 'digital_fee', name: 'Digital Fee', rate: 0.5, type: 'fixed_amount', country: 'US', applicable_product_types: JSON.stringify(['digital']) },
+      { id: 'services_exempt', name: 'Service Tax', rate: 0.01, type: 'percentage', country: 'US', excluded_product_types: JSON.stringify(['service']) },
+      { id: 'expired', name: 'Old Tax', rate: 0.1, type: 'percentage', country: 'US', effective_until: '2024-01-01T00:00:00.000Z' },
+      { id: 'future', name: 'New Tax', rate: 0.1, type: 'percentage', country: 'US', effective_from: '2025-01-01T00:00:00.000Z' },
+      { id: 'inactive', name: 'Inactive Tax', rate: 0.1, type: 'percentage', country: 'US', is_active: false },
+      { id: 'ny', name: 'Sales Tax', rate: 0.08, type: 'percentage', country: 'US', state_province: 'NY', priority: 10 }
+    ]
+  });
+}
+
+const LOS_ANGELES = { country: 'US', state: 'CA', city: 'Los Angeles', postal_code: '90001' };
+
+test('rates of every matching jurisdiction add up, and conflicting ones resolve by priority then specificity', async () => {
+  const store = createTaxStore();
+  const resolve = (productType) => resolveTaxRates(store, { address: LOS_ANGELES, productType, now: NOW })
+    .then((rates) => rates.map((rate) => rate.id).sort());
+
+  assert.deepEqual(await resolve('subscription'), ['la_district', 'la_sales', 'services_exempt']);
+  assert.deepEqual(await resolve('digital'), ['digital_fee', 'la_district', 'la_sales', 'services_exempt']);
+  assert.deepEqual(await resolve('service'), ['la_district', 'la_sales']);
+  assert.deepEqual(await resolveTaxRates(store, { address: null, productType: 'service', now: NOW }), []);
+});
+
+test('tax-exclusive prices have the tax added, tax-inclusive ones have it taken out', () => {
+  const rates = [
+    { id: 'state', name: 'State', type: 'percentage', rate: 0.06 },
+    { id: 'city', name: 'City', type: 'percentage', rate: 0.02 },
+    { id: 'fee', name: 'Fee', type: 'fixed_amount', rate: 0.5 }
+  ];
+
+  const exclusive = calculateTax(rates, { priceCents: 10000, discountCents: 1000 });
+  assert.deepEqual(exclusive.lines.map((line) => line.tax_cents), [540, 180, 50]);
+  assert.deepEqual(
+    [exclusive.subtotal_cents, exclusive.discount_cents, exclusive.tax_cents, exclusive.total_cents],
+    [10000, 1000, 770, 9770]
+  );
+
+  const inclusive = calculateTax(rates, { priceCents: 10850, inclusive: true });
+  assert.equal(inclusive.lines[0].taxable_cents, 10000);
+  assert.deepEqual(inclusive.lines.map((line) => line.tax_cents), [600, 200, 50]);
+  assert.deepEqual([inclusive.subtotal_cents, inclusive.tax_cents, inclusive.total_cents], [10000, 850, 10850]);
+
+  // Rounding differences go to the largest rate, so the lines add up
+  const rounded = calculateTax(rates.slice(0, 2), { priceCents: 999, inclusive: true });
+  assert.equal(rounded.lines.reduce((sum, line) => sum + line.tax_cents, 0), rounded.tax_cents);
+  assert.equal(rounded.subtotal_cents + rounded.tax_cents, 999);
+});
+
+test('purchases are taxed at the address given, or else the payer\'s billing address on file', async () => {
+  const store = createTaxStore();
+  const purchase = { billing: { user_id: 'user_1', organization_id: null }, productId: 'membership_basic', productType: 'service', priceCents: 1000, now: NOW };
+
+  const onFile = await calculatePurchaseTax(store, purchase);
+  assert.deepEqual(onFile.address, LOS_ANGELES);
+  assert.deepEqual([onFile.tax_cents, onFile.total_cents], [93, 1093]);
+
+  const given = await calculatePurchaseTax(store, { ...purchase, address: { country: 'us', state: 'NY' } });
+  assert.deepEqual([given.tax_cents, given.total_cents], [80, 1080]);
+
+  const inclusive = await calculatePurchaseTax(store, { ...purchase, tax: { inclusive: true } });
+  assert.deepEqual([inclusive.subtotal_cents, inclusive.tax_cents, inclusive.total_cents], [915, 85, 1000]);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../store');
+const { createProviderRegistry, createFakeProvider } = require('../providers');
+const { createMembershipRouter } = require('../standardized-api-routes');
+const { renewMembership } = require('../renewals');
+const { runExpirySweep } = require('../expiry-sweep');
+const { request } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createTrialRouter() {
+  const store = createMemoryStore({
+    users: [{ id: 'user_1', email: 'jane@example.com', user_type: 'individual' }],
+    payment_providers: [{ id: 'fake', display_name: 'Fake', config: JSON.stringify({ is_default: true }) }],
+    payment_methods: [{ id: 'pm_1', user_id: 'user_1', provider_id: 'fake', provider_payment_method_id: 'tok_visa', payment_type: 'credit_card' }],
+    features: [{ id: 'hd_streaming', name: 'HD Streaming', is_active: true }],
+    membership_types: [{
+      id: 'premium',
+      name: 'Premium',
+      duration_type: 'recurring',
+      duration_days: 30,
+      price_cents: 1000,
+      currency: 'USD',
+      trial_days: 14,
+      features: JSON.stringify(['hd_streaming'])
+    }]
+  });
+  const fake = createFakeProvider();
+  const providers = createProviderRegistry({ store, adapters: { fake } });
+  return { store, fake, router: createMembershipRouter({ store, providers }) };
+}
+
+function subscribe(router) {
+  return request(router, 'POST', '/users/user_1/memberships', {
+    body: { membership_type_id: 'premium', payment_method_id: 'pm_1' }
+  });
+}
+
+test('trials grant access without a charge until their first payment converts them', async () => {
+  const { store, fake, router } = createTrialRouter();
+
+  const started = await subscribe(router);
+
+  assert.equal(started.status, 201);
+  assert.equal(started.body.status, 'trialing');
+  const membership = await store.entity_memberships.findById(started.body.id);
+  const trialDays = (new Date(membership.trial_end) - new Date(membership.start_date)) / DAY_MS;
+  assert.equal(Math.round(trialDays), 14);
+  assert.equal(membership.end_date, membership.trial_end);
+  assert.equal(fake.charges.size, 0);
+
+  const access = await request(router, 'GET', '/access/verify?user_id=user_1&feature_id=hd_streaming');
+  assert.equal(access.body.has_access, true);
+
+  // The first payment when the trial ends
+  const subscription = await store.subscriptions.findById(membership.subscription_id);
+  assert.equal(subscription.trial_end, membership.trial_end);
+  const converted = await renewMembership(store, { membership, subscription });
+
+  assert.equal(converted.status, 'active');
+  assert.ok(converted.trial_converted_at);
+  assert.equal(converted.trial_end, membership.trial_end);
+});
+
+test('customers get one trial; later subscriptions are charged right away', async () => {
+  const { fake, router } = createTrialRouter();
+
+  assert.equal((await subscribe(router)).body.status, 'trialing');
+  const again = await subscribe(router);
+
+  assert.equal(again.status, 201);
+  assert.equal(again.body.status, 'active');
+  assert.equal(again.body.trial_end, null);
+  assert.equal(fake.charges.size, 1);
+});
+
+test('trials that end without a payment expire', async () => {
+  const { store, router } = createTrialRouter();
+  const started = await subscribe(router);
+  const { trial_end: trialEnd } = await store.entity_memberships.findById(started.body.id);
+
+  const during = await runExpirySweep(store, { now: new Date(new Date(trialEnd).getTime() - DAY_MS) });
+  assert.deepEqual(during.expired_memberships, []);
+
+  await runExpirySweep(store, { now: new Date(trialEnd) });
+  assert.equal((await store.entity_memberships.findById(started.body.id)).status, 'expired');
+
+  const access = await request(router, 'GET', '/access/verify?user_id=user_1&feature_id=hd_streaming');
+  assert.equal(access.body.has_access, false);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../store');
+const { recordUsage, getUsageStatus } = require('../usage-limits');
+const { createConcurrentStore } = require('./helpers');
+
+function createUsageStore() {
+  return createMemoryStore({
+    users: [{ id: 'user_1', email: 'jane@example.com', user_type: 'individual' }],
+    features: [{ id: 'download', name: 'Downloads', unit: 'downloads', reset_period: 'monthly' }],
+    membership_types: [{
+      id: 'basic',
+      name: 'Basic',
+      duration_type: 'lifetime',
+      price_cents: 1000,
+      features: JSON.stringify(['download']),
+      feature_limits: JSON.stringify({ download: 3 })
+    }],
+    entity_memberships: [{
+      id: 'membership_1',
+      user_id: 'user_1',
+      membership_type_id: 'basic',
+      status: 'active',
+      start_date: '2024-01-01T00:00:00.000Z'
+    }]
+  });
+}
+
+test('concurrent usage reports stop at the limit and lose no counts', async () => {
+  const memoryStore = createUsageStore();
+  const store = createConcurrentStore(memoryStore, { feature_usage: ['user_id', 'feature_id', 'period'] });
+  const feature = await store.features.findById('download');
+  const memberships = await store.entity_memberships.findAll({});
+
+  const results = await Promise.all(Array.from({ length: 10 }, () => recordUsage(store, {
+    userId: 'user_1',
+    feature,
+    memberships,
+    quantity: 1
+  })));
+
+  assert.equal(results.filter((result) => result.recorded).length, 3);
+  const rows = await memoryStore.feature_usage.findAll({});
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].quantity, 3);
+});
+
+test('released usage makes room for more', async () => {
+  const store = createUsageStore();
+  const feature = await store.features.findById('download');
+  const memberships = await store.entity_memberships.findAll({});
+  const report = (quantity) => recordUsage(store, { userId: 'user_1', feature, memberships, quantity });
+
+  assert.equal((await report(3)).usage.remaining, 0);
+  assert.equal((await report(1)).recorded, false);
+  assert.equal((await report(-2)).usage.used, 1);
+  assert.equal((await report(2)).recorded, true);
+
+  const status = await getUsageStatus(store, { userId: 'user_1', feature, memberships });
+  assert.equal(status.used, 3);
+});
+
+test('usage of features the user is not granted is refused', async () => {
+  const store = createUsageStore();
+  const feature = await store.features.findById('download');
+
+  await assert.rejects(
+    recordUsage(store, { userId: 'user_1', feature, memberships: [], quantity: 1 }),
+    { status: 403 }
+  );
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createStripeProvider,
+  createPayPalProvider,
+  createAuthorizeNetProvider,
+  createFakeProvider
+} = require('../providers');
+
+const ADAPTERS = {
+  stripe: createStripeProvider(),
+  paypal: createPayPalProvider(),
+  'authorize-net': createAuthorizeNetProvider(),
+  fake: createFakeProvider()
+};
+
+// Canonical events of each fixture in providers/fixtures
+const EXPECTED = {
+  stripe: {
+    'invoice.paid.json': [{
+      type: 'subscription.renewed',
+      provider_subscription_id: 'sub_1PNcB2LkdIwHu7ixV3pQ8sTr',
+      provider_payment_id: 'pi_3PqR8rLkdIwHu7ix0d1GxY7e',
+      current_period_end: '2024-07-21T12:00:00.000Z'
+    }],
+    'invoice.payment_failed.json': [{ type: 'subscription.payment_failed', provider_subscription_id: 'sub_1PNcB2LkdIwHu7ixV3pQ8sTr' }],
+    'customer.subscription.updated.json': [{ type: 'subscription.cancelled', provider_subscription_id: 'sub_1PNcB2LkdIwHu7ixV3pQ8sTr' }],
+    'customer.subscription.deleted.json': [{ type: 'subscription.deleted', provider_subscription_id: 'sub_1PNcB2LkdIwHu7ixV3pQ8sTr' }],
+    'payment_intent.succeeded.json': [{ type: 'order.payment_succeeded', provider_payment_id: 'pi_3PqT1xLkdIwHu7ix0bT2uLmA' }],
+    'charge.refunded.json': [{ type: 'order.refunded', provider_payment_id: 'pi_3PqT1xLkdIwHu7ix0bT2uLmA' }]
+  },
+  paypal: {
+    'PAYMENT.SALE.COMPLETED.json': [{
+      type: 'subscription.renewed',
+      provider_subscription_id: 'I-BW452GLLEP1G',
+      provider_payment_id: '80021663DE681814L'
+    }],
+    'BILLING.SUBSCRIPTION.PAYMENT.FAILED.json': [{ type: 'subscription.payment_failed', provider_subscription_id: 'I-BW452GLLEP1G' }],
+    'BILLING.SUBSCRIPTION.CANCELLED.json': [{ type: 'subscription.cancelled', provider_subscription_id: 'I-BW452GLLEP1G' }],
+    'PAYMENT.CAPTURE.COMPLETED.json': [{ type: 'order.payment_succeeded', provider_payment_id: ['42311647XV020574X', '5O190127TN364715T'] }],
+    'PAYMENT.CAPTURE.REFUNDED.json': [{ type: 'order.refunded', provider_payment_id: '42311647XV020574X' }]
+  },
+  'authorize-net': {
+    'net.authorize.payment.authcapture.created.json': [{ type: 'order.payment_succeeded', provider_payment_id: '60123456789' }],
+    'net.authorize.customer.subscription.cancelled.json': [{ type: 'subscription.cancelled', provider_subscription_id: '9203456' }],
+    'net.authorize.customer.subscription.suspended.json': [{ type: 'subscription.payment_failed', provider_subscription_id: '9203456' }],
+    'arb-silent-post.json': [{ type: 'subscription.renewed', provider_subscription_id: '9203456', provider_payment_id: '60123459876' }],
+    'arb-silent-post-declined.json': [{ type: 'subscription.payment_failed', provider_subscription_id: '9203456' }]
+  },
+  fake: {
+    'subscription.renewed.json': [{ type: 'subscription.renewed', provider_subscription_id: 'fake_sub_1' }],
+    'order.refunded.json': [{ type: 'order.refunded', provider_payment_id: 'fake_ch_1' }]
+  }
+};
+
+for (const [provider, fixtures] of Object.entries(EXPECTED)) {
+  for (const [fixture, events] of Object.entries(fixtures)) {
+    test(`${provider}: ${fixture} translates to ${events.map((event) => event.type).join(', ')}`, () => {
+      const payload = require(`../providers/fixtures/${provider}/${fixture}`);
+      // Fields an event doesn't have may be left undefined
+      const translated = JSON.parse(JSON.stringify(ADAPTERS[provider].translateWebhookEvent(payload)));
+      assert.deepEqual(translated, events);
+    });
+  }
+}
+
+test('every fixture has an expected translation', () => {
+  const fs = require('fs');
+  const path = require('path');
+
+  for (const provider of Object.keys(ADAPTERS)) {
+    const files = fs.readdirSync(path.join(__dirname, '../providers/fixtures', provider));
+    assert.deepEqual(files.sort(), Object.keys(EXPECTED[provider]).sort());
+  }
+});
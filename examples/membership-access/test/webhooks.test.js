@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createMemoryStore } = require('../store');
+const {
+  createFakeProvider,
+  createStripeProvider,
+  WebhookSignatureError,
+  WebhookPayloadError
+} = require('../providers');
+const { recordWebhook, processWebhook } = require('../webhooks');
+const { createConcurrentStore } = require('./helpers');
+
+const EVENT = { id: 'evt_1', type: 'subscription.renewed', data: { provider_subscription_id: 'sub_1' } };
+
+test('webhooks with a missing or wrong signature are rejected', async () => {
+  const fake = createFakeProvider();
+  const rawBody = JSON.stringify(EVENT);
+
+  await assert.rejects(fake.verifyWebhook({ rawBody, headers: {} }), WebhookSignatureError);
+  await assert.rejects(
+    fake.verifyWebhook({ rawBody, headers: { 'x-fake-signature': createFakeProvider({ webhook_secret: 'other' }).signWebhook(rawBody) } }),
+    WebhookSignatureError
+  );
+  // Signed, then changed
+  await assert.rejects(
+    fake.verifyWebhook({ rawBody: rawBody.replace('sub_1', 'sub_2'), headers: { 'x-fake-signature': fake.signWebhook(rawBody) } }),
+    WebhookSignatureError
+  );
+
+  const event = await fake.verifyWebhook({ rawBody, headers: { 'x-fake-signature': fake.signWebhook(rawBody) } });
+  assert.deepEqual(event, { provider_event_id: 'evt_1', event_type: 'subscription.renewed', payload: EVENT });
+});
+
+test('Stripe webhooks outside the timestamp tolerance are rejected', async () => {
+  const stripe = createStripeProvider({ webhook_secret: 'whsec_test' });
+  const rawBody = JSON.stringify(EVENT);
+  const sign = (timestamp) => {
+    const signature = crypto.createHmac('sha256', 'whsec_test').update(`${timestamp}.${rawBody}`).digest('hex');
+    return { 'stripe-signature': `t=${timestamp},v1=${signature}` };
+  };
+  const now = Math.floor(Date.now() / 1000);
+
+  assert.equal((await stripe.verifyWebhook({ rawBody, headers: sign(now) })).provider_event_id, 'evt_1');
+  await assert.rejects(stripe.verifyWebhook({ rawBody, headers: sign(now - 600) }), WebhookSignatureError);
+});
+
+test('validly signed webhooks that aren\'t JSON are rejected as invalid payloads', async () => {
+  const fake = createFakeProvider();
+  const rawBody = 'not json';
+
+  await assert.rejects(
+    fake.verifyWebhook({ rawBody, headers: { 'x-fake-signature': fake.signWebhook(rawBody) } }),
+    WebhookPayloadError
+  );
+});
+
+test('duplicate deliveries of an event are handled once', async () => {
+  const memoryStore = createMemoryStore({
+    payment_providers: [{ id: 'fake', display_name: 'Fake', config: JSON.stringify({ is_default: true }) }]
+  });
+  const store = createConcurrentStore(memoryStore, { payment_webhooks: ['provider_id', 'provider_event_id'] });
+  const event = { provider_event_id: 'evt_1', event_type: 'subscription.renewed', payload: EVENT };
+  let handled = 0;
+
+  const deliver = async () => {
+    const webhook = await recordWebhook(store, 'fake', event);
+    return processWebhook(store, webhook, async () => {
+      handled += 1;
+    });
+  };
+  const processed = await Promise.all([deliver(), deliver(), deliver()]);
+
+  assert.deepEqual(processed.sort(), [false, false, true]);
+  assert.equal(handled, 1);
+  assert.equal((await memoryStore.payment_webhooks.findAll({})).length, 1);
+
+  // A replay later is acknowledged without being handled again
+  assert.equal(await deliver(), false);
+  assert.equal(handled, 1);
+});
@@ -0,0 +1,89 @@
+/**
+ * Trials
+ *
+ * Free trials for recurring membership types (`membership_types.trial_days`).
+ * A trial membership is created with status 'trialing' and a provider
+ * subscription whose first payment is due when the trial ends. The payment
+ * converts the membership into a paid one (`trial_converted_at`); a trial
+ * that ends without it expires like any other membership past its end date.
+ *
+ * Each customer gets one trial: owners that already had a trial membership,
+ * and payers that already had a trial subscription, are charged right away.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get when a trial of a membership type would end
+ *
+ * @param {Object} membershipType - membership_types row
+ * @param {Date} now - Start of the trial (defaults to the current time)
+ * @returns {string|null} ISO end of the trial, or null if the type has none
+ */
+function getTrialEnd(membershipType, now = new Date()) {
+  if (membershipType.duration_type !== 'recurring' || !(membershipType.trial_days > 0)) {
+    return null;
+  }
+  return new Date(now.getTime() + membershipType.trial_days * DAY_MS).toISOString();
+}
+
+/**
+ * Check whether an owner can start a trial: neither the owner nor whoever
+ * pays for it has had one before
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} params
+ * @param {string} params.column - Owner column of entity_memberships ('user_id', ...)
+ * @param {string} params.ownerId - ID of the owner
+ * @param {Object} params.billing - { user_id, organization_id } of the payer
+ * @returns {Promise<boolean>}
+ */
+async function isTrialEligible(store, { column, ownerId, billing }) {
+  const trialMemberships = await store.entity_memberships.count({
+    where: { [column]: ownerId, trial_end: { ne: null } }
+  });
+  if (trialMemberships > 0) {
+    return false;
+  }
+
+  const trialSubscriptions = await store.subscriptions.count({
+    where: { ...billing, trial_end: { ne: null } }
+  });
+  return trialSubscriptions === 0;
+}
+
+/**
+ * Check whether a subscription's trial is still running. Payments reported
+ * during the trial (e.g. Stripe's $0 first invoice) don't convert it.
+ *
+ * @param {Object} subscription - subscriptions row
+ * @param {Date} now - Defaults to the current time
+ * @returns {boolean}
+ */
+function isInTrial(subscription, now = new Date()) {
+  return subscription.status === 'trialing'
+    && Boolean(subscription.trial_end)
+    && new Date(subscription.trial_end) > now;
+}
+
+/**
+ * Get the membership changes that record a trial's conversion to a paid
+ * membership, for the first successful payment after the trial
+ *
+ * @param {Object} membership - entity_memberships row
+ * @param {Date} now - Time of the payment (defaults to the current time)
+ * @returns {Object} { trial_converted_at } for unconverted trials, else {}
+ */
+function getTrialConversion(membership, now = new Date()) {
+  if (!membership.trial_end || membership.trial_converted_at) {
+    return {};
+  }
+  return { trial_converted_at: now.toISOString() };
+}
+
+module.exports = {
+  getTrialEnd,
+  isTrialEligible,
+  isInTrial,
+  getTrialConversion
+};
@@ -0,0 +1,354 @@
+/**
+ * Usage Limits
+ *
+ * Quantitative features: features with a `unit` (GB, downloads, members)
+ * that memberships and addons grant up to a limit. A membership type sets
+ * its limits in `feature_limits` ({ "cloud_storage": 50 }) and an addon in
+ * `limit_value`; a user's limit is the sum over the memberships and addons
+ * that grant them the feature, and a source without a limit makes it
+ * unlimited. Consumption is counted per user in `feature_usage`, for the
+ * current calendar month (UTC) when the feature's `reset_period` is
+ * 'monthly', or for good otherwise.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { CheckoutError } = require('./checkout');
+const { isInGracePeriod } = require('./dunning');
+const { ADDON_OWNERS, getMembershipOwner, getAddonOwner } = require('./membership-owners');
+
+const USAGE_RESET_PERIODS = ['monthly'];
+
+// Period of usage that never resets
+const LIFETIME_PERIOD = 'lifetime';
+
+// Attempts at recording consumption when concurrent reports change it first
+const MAX_USAGE_ATTEMPTS = 5;
+
+/**
+ * Get the usage period a feature's consumption is counted in
+ *
+ * @param {Object} feature - features row
+ * @param {Date} now - Defaults to the current time
+ * @returns {Object} { period, resets_at }: 'YYYY-MM' and the start of the
+ *   next month for monthly features, 'lifetime' and null otherwise
+ */
+function getUsagePeriod(feature, now = new Date()) {
+  if (feature.reset_period !== 'monthly') {
+    return { period: LIFETIME_PERIOD, resets_at: null };
+  }
+
+  return {
+    period: now.toISOString().slice(0, 7),
+    resets_at: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString()
+  };
+}
+
+/**
+ * Find what grants a feature among a user's memberships and standalone
+ * addons: the membership types that include it and the paid addons for it
+ * that haven't expired
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} params
+ * @param {Object[]} params.memberships - entity_memberships rows the user has access to
+ * @param {Object[]} params.owners - Owners whose standalone addons the user has
+ *   access to (see findAccessibleOwners in ./membership-owners)
+ * @param {Object} params.feature - features row
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object[]>} Grants (see getGrantsByFeature)
+ */
+async function getFeatureGrants(store, { memberships, owners = [], feature, now = new Date() }) {
+  const grants = await getGrantsByFeature(store, { memberships, owners, now });
+  return grants.get(feature.id) || [];
+}
+
+/**
+ * Find everything a user's memberships and standalone addons grant, by
+ * feature. Membership types and addons are loaded with a query each (and
+ * one per owner type for standalone addons).
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} params
+ * @param {Object[]} params.memberships - entity_memberships rows the user has access to
+ * @param {Object[]} params.owners - Owners whose standalone addons the user has
+ *   access to (see findAccessibleOwners in ./membership-owners)
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Map>} Feature ID => [{ type: 'membership' | 'addon',
+ *   owner, membership, membership_type, addon, limit, expires }]: `addon` is
+ *   the entity_addons row for addon grants, `membership` and
+ *   `membership_type` are null for standalone addons, `limit` is null for
+ *   unlimited and `expires` null for grants that don't expire
+ */
+async function getGrantsByFeature(store, { memberships, owners = [], now = new Date() }) {
+  const current = memberships.filter(membership => grantsAccess(membership, now));
+
+  const typeIds = [...new Set(current.map(membership => membership.membership_type_id))];
+  const membershipTypes = new Map((await store.membership_types.findAll({ where: { id: typeIds } }))
+    .map(membershipType => [membershipType.id, membershipType]));
+
+  // Active addons (see ./addon-subscriptions) before their end date: those
+  // of the memberships, and the standalone addons of the owners
+  const isCurrent = addon => !addon.end_date || new Date(addon.end_date) > now;
+  const purchased = (await store.entity_addons.findAll({
+    where: { membership_id: current.map(membership => membership.id), status: 'active' },
+    order: [['start_date', 'ASC']]
+  })).filter(isCurrent);
+  const standalone = [];
+  for (const owner of Object.values(ADDON_OWNERS)) {
+    const ids = owners.filter(candidate => candidate.type === owner.type).map(candidate => candidate.id);
+    if (ids.length > 0) {
+      standalone.push(...(await store.entity_addons.findAll({
+        where: { [owner.column]: ids, membership_id: null, status: 'active' },
+        order: [['start_date', 'ASC']]
+      })).filter(isCurrent));
+    }
+  }
+  const addonFeatureIds = [...new Set([...purchased, ...standalone].map(entry => entry.feature_id))];
+  const addonLimits = new Map((await store.addons.findAll({ where: { feature_id: addonFeatureIds } }))
+    .map(addon => [addon.feature_id, toLimit(addon.limit_value)]));
+
+  const grants = new Map();
+  const grant = (featureId, values) => {
+    if (!grants.has(featureId)) {
+      grants.set(featureId, []);
+    }
+    grants.get(featureId).push(values);
+  };
+
+  for (const membership of current) {
+    const membershipType = membershipTypes.get(membership.membership_type_id);
+    if (membershipType) {
+      const limits = JSON.parse(membershipType.feature_limits || '{}');
+      for (const featureId of JSON.parse(membershipType.features || '[]')) {
+        grant(featureId, {
+          type: 'membership',
+          owner: getMembershipOwner(membership),
+          membership,
+          membership_type: membershipType,
+          addon: null,
+          limit: toLimit(limits[featureId]),
+          expires: membership.end_date || null
+        });
+      }
+    }
+
+    for (const entry of purchased.filter(addon => addon.membership_id === membership.id)) {
+      grant(entry.feature_id, {
+        type: 'addon',
+        owner: getMembershipOwner(membership),
+        membership,
+        membership_type: membershipType || null,
+        addon: entry,
+        limit: addonLimits.has(entry.feature_id) ? addonLimits.get(entry.feature_id) : null,
+        expires: entry.end_date || null
+      });
+    }
+  }
+
+  for (const entry of standalone) {
+    grant(entry.feature_id, {
+      type: 'addon',
+      owner: getAddonOwner(entry),
+      membership: null,
+      membership_type: null,
+      addon: entry,
+      limit: addonLimits.has(entry.feature_id) ? addonLimits.get(entry.feature_id) : null,
+      expires: entry.end_date || null
+    });
+  }
+
+  return grants;
+}
+
+/**
+ * Get a user's limit and consumption of a feature
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} params
+ * @param {string} params.userId - The ID of the user
+ * @param {Object} params.feature - features row
+ * @param {Object[]} params.memberships - entity_memberships rows the user has access to
+ * @param {Object[]} params.owners - Owners whose standalone addons the user has access to
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object|null>} { feature_id, unit, limit, used, remaining,
+ *   period, resets_at } (`limit` and `remaining` null when unlimited), or null
+ *   for features without a unit or a limit, and features the user isn't granted
+ */
+async function getUsageStatus(store, { userId, feature, memberships, owners = [], now = new Date() }) {
+  const grants = await getFeatureGrants(store, { memberships, owners, feature, now });
+  if (grants.length === 0) {
+    return null;
+  }
+
+  const { period } = getUsagePeriod(feature, now);
+  const usage = await store.feature_usage.findOne({
+    where: { user_id: userId, feature_id: feature.id, period }
+  });
+
+  return summarizeUsage({ feature, grants, usage, now });
+}
+
+/**
+ * Combine the limits of a feature's grants with its consumption
+ *
+ * @param {Object} params
+ * @param {Object} params.feature - features row
+ * @param {Object[]} params.grants - The feature's grants (see getGrantsByFeature)
+ * @param {Object} params.usage - feature_usage row of the current period, if any
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Object|null} Usage status (see getUsageStatus), or null for
+ *   features without a unit or a limit
+ */
+function summarizeUsage({ feature, grants, usage = null, now = new Date() }) {
+  const limit = grants.some(grant => grant.limit === null)
+    ? null
+    : grants.reduce((total, grant) => total + grant.limit, 0);
+  if (limit === null && !feature.unit) {
+    return null;
+  }
+
+  const { period, resets_at } = getUsagePeriod(feature, now);
+  const used = usage ? usage.quantity : 0;
+
+  return {
+    feature_id: feature.id,
+    unit: feature.unit || null,
+    limit,
+    used,
+    remaining: limit === null ? null : Math.max(0, limit - used),
+    period,
+    resets_at
+  };
+}
+
+/**
+ * Whether a usage status leaves no room for more consumption: nothing is
+ * remaining, or less than `quantity` if given
+ *
+ * @param {Object|null} usage - See getUsageStatus
+ * @param {number} quantity - Consumption about to happen, if known
+ * @returns {boolean}
+ */
+function isOverLimit(usage, quantity = null) {
+  if (!usage || usage.remaining === null) {
+    return false;
+  }
+  return quantity ? usage.remaining < quantity : usage.remaining <= 0;
+}
+
+/**
+ * Add to (or, with a negative quantity, take back from) a user's
+ * consumption of a feature in the current period. Consumption beyond the
+ * user's limit isn't recorded.
+ *
+ * The period's row is written with a conditional update on the quantity
+ * that was read, so concurrent reports can't both pass the limit or
+ * overwrite each other; a report that loses the race reads the new
+ * quantity and tries again.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} params
+ * @param {string} params.userId - The ID of the user
+ * @param {Object} params.feature - features row
+ * @param {Object[]} params.memberships - entity_memberships rows the user has access to
+ * @param {Object[]} params.owners - Owners whose standalone addons the user has access to
+ * @param {number} params.quantity - Consumption to add; negative to release it
+ * @param {Date} params.now - Defaults to the current time
+ * @returns {Promise<Object>} { recorded, usage }: `recorded` is false when
+ *   the consumption would exceed the limit; `usage` is the status after it
+ */
+async function recordUsage(store, { userId, feature, memberships, owners = [], quantity, now = new Date() }) {
+  if (typeof quantity !== 'number' || !Number.isFinite(quantity) || quantity === 0) {
+    throw new CheckoutError('quantity must be a non-zero number');
+  }
+
+  const grants = await getFeatureGrants(store, { memberships, owners, feature, now });
+  if (grants.length === 0) {
+    throw new CheckoutError('User does not have access to this feature', 403);
+  }
+  if (!summarizeUsage({ feature, grants, now })) {
+    throw new CheckoutError(`Feature ${feature.id} has no usage limits`);
+  }
+
+  const { period } = getUsagePeriod(feature, now);
+  const where = { user_id: userId, feature_id: feature.id, period };
+  await findOrCreateUsage(store, where);
+
+  for (let attempt = 1; attempt <= MAX_USAGE_ATTEMPTS; attempt += 1) {
+    // Each attempt reads the quantity in a transaction of its own, so it
+    // sees what the report that won the race wrote
+    const result = await store.transaction(async (tx) => {
+      const row = await tx.feature_usage.findOne({ where });
+      const usage = summarizeUsage({ feature, grants, usage: row, now });
+      if (quantity > 0 && isOverLimit(usage, quantity)) {
+        return { recorded: false, usage };
+      }
+
+      const used = Math.max(0, usage.used + quantity);
+      const updated = await tx.feature_usage.updateWhere(
+        { id: row.id, quantity: row.quantity },
+        { quantity: used }
+      );
+      if (updated === 0) {
+        return null;
+      }
+
+      return {
+        recorded: true,
+        usage: { ...usage, used, remaining: usage.limit === null ? null : Math.max(0, usage.limit - used) }
+      };
+    });
+
+    if (result) {
+      return result;
+    }
+  }
+
+  throw new CheckoutError('Usage is being recorded by another request; try again', 409);
+}
+
+/**
+ * Find a user's feature_usage row of a period, creating it empty if it
+ * doesn't exist yet. Rows are unique per user, feature and period; when a
+ * concurrent report creates it first, that row is returned.
+ */
+async function findOrCreateUsage(store, where) {
+  try {
+    return await store.transaction(async (tx) => {
+      return await tx.feature_usage.findOne({ where })
+        || await tx.feature_usage.create({ id: uuidv4(), ...where, quantity: 0 });
+    });
+  } catch (error) {
+    const created = await store.feature_usage.findOne({ where });
+    if (created) {
+      return created;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Whether a membership still grants access: past-due memberships during
+ * their grace period, others until their end date
+ */
+function grantsAccess(membership, now) {
+  if (membership.status === 'past_due') {
+    return isInGracePeriod(membership, now);
+  }
+  return !membership.end_date || new Date(membership.end_date) >= now;
+}
+
+function toLimit(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+module.exports = {
+  USAGE_RESET_PERIODS,
+  getUsagePeriod,
+  getFeatureGrants,
+  getGrantsByFeature,
+  getUsageStatus,
+  summarizeUsage,
+  isOverLimit,
+  recordUsage
+};
@@ -0,0 +1,128 @@
+/**
+ * Webhooks
+ *
+ * Recording and idempotent processing of verified provider webhooks. Every
+ * event is stored in `payment_webhooks` before it is handled, keyed by
+ * provider and provider event ID, so duplicate deliveries and replays of an
+ * event are handled only once.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Store a verified webhook event, or return the stored row if the provider
+ * already delivered it
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {string} providerId - The payment provider ID
+ * @param {Object} event - Verified event: { provider_event_id, event_type, payload }
+ * @returns {Promise<Object>} The payment_webhooks row
+ */
+async function recordWebhook(store, providerId, event) {
+  const where = { provider_id: providerId, provider_event_id: event.provider_event_id };
+
+  const existing = await store.payment_webhooks.findOne({ where });
+  if (existing) {
+    return existing;
+  }
+
+  try {
+    return await store.payment_webhooks.create({
+      id: uuidv4(),
+      provider_id: providerId,
+      provider_event_id: event.provider_event_id,
+      event_type: event.event_type,
+      payload: JSON.stringify(event.payload),
+      processed: false
+    });
+  } catch (error) {
+    // A concurrent delivery of the same event stored it first
+    const stored = await store.payment_webhooks.findOne({ where });
+    if (stored) {
+      return stored;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Handle a stored webhook unless it was already processed. The webhook is
+ * claimed and handled in one transaction, so a failed handler leaves it
+ * unprocessed for the provider's next retry, and concurrent deliveries wait
+ * for the claim and then skip it.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {Object} webhook - payment_webhooks row
+ * @param {Function} handle - async (tx) => void, called with the transaction's store
+ * @returns {Promise<boolean>} true if the webhook was processed by this call,
+ *   false if it had already been processed
+ */
+async function processWebhook(store, webhook, handle) {
+  return store.transaction(async (tx) => {
+    const claimed = await tx.payment_webhooks.updateWhere(
+      { id: webhook.id, processed: false },
+      { processed: true, processed_at: new Date().toISOString() }
+    );
+
+    if (claimed === 0) {
+      return false;
+    }
+
+    await handle(tx);
+    return true;
+  });
+}
+
+/**
+ * Translate a provider's native webhook payload into canonical events, as
+ * handled by handleWebhookEvent in ./api-integration.js. The provider
+ * subscription and payment IDs the adapter reports are resolved to the
+ * subscription and order they belong to, and the original payload is
+ * attached to each event. Events for subscriptions and payments this
+ * application didn't create are dropped.
+ *
+ * @param {Object} store - Data-access layer (see ./store)
+ * @param {string} providerId - The payment provider ID
+ * @param {Object} adapter - The provider's adapter (see ./providers)
+ * @param {Object} payload - The verified webhook payload
+ * @returns {Promise<Array>} Canonical events:
+ *   { type, data: { subscription: { id, current_period_end, provider_payment_id } } | { order: { id } },
+ *     provider_id, original_payload }
+ */
+async function translateWebhookEvent(store, providerId, adapter, payload) {
+  const events = [];
+
+  for (const translated of adapter.translateWebhookEvent(payload)) {
+    let data = null;
+
+    if (translated.provider_subscription_id) {
+      const subscription = await store.subscriptions.findOne({
+        where: { provider_id: providerId, provider_subscription_id: translated.provider_subscription_id }
+      });
+      data = subscription && {
+        subscription: {
+          id: subscription.id,
+          current_period_end: translated.current_period_end || null,
+          provider_payment_id: translated.provider_payment_id || null
+        }
+      };
+    } else if (translated.provider_payment_id) {
+      const payment = await store.payments.findOne({
+        where: { provider_id: providerId, provider_payment_id: translated.provider_payment_id }
+      });
+      data = payment && payment.order_id && { order: { id: payment.order_id } };
+    }
+
+    if (data) {
+      events.push({ type: translated.type, data, provider_id: providerId, original_payload: payload });
+    }
+  }
+
+  return events;
+}
+
+module.exports = {
+  recordWebhook,
+  processWebhook,
+  translateWebhookEvent
+};
@@ -537,12 +537,14 @@ CREATE TABLE IF NOT EXISTS invoices (
 CREATE TABLE IF NOT EXISTS payment_webhooks (
     id VARCHAR(255) PRIMARY KEY,
     provider_id VARCHAR(50) NOT NULL,
+    provider_event_id VARCHAR(255), -- Event ID from the provider, for idempotent processing
     event_type VARCHAR(100) NOT NULL, -- 'payment.succeeded', 'subscription.created', etc.
     payload JSON NOT NULL,
     processed BOOLEAN NOT NULL DEFAULT false,
     created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
     processed_at TIMESTAMP,
-    FOREIGN KEY (provider_id) REFERENCES payment_providers(id) ON DELETE CASCADE
+    FOREIGN KEY (provider_id) REFERENCES payment_providers(id) ON DELETE CASCADE,
+    UNIQUE (provider_id, provider_event_id)
 );
 
 CREATE TABLE IF NOT EXISTS payment_events (
@@ -563,13 +565,72 @@ CREATE TABLE IF NOT EXISTS membership_types (
     duration_days INT, -- NULL for 'lifetime' memberships
     price_cents BIGINT NOT NULL,
     currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+    trial_days INT NOT NULL DEFAULT 0, -- Free trial length for recurring memberships (0 = no trial)
     features JSON, -- JSON array of features included in this membership
+    feature_limits JSON, -- JSON object of usage limits per feature, e.g. {"cloud_storage": 50}; features without one are unlimited
     is_active BOOLEAN NOT NULL DEFAULT true,
     metadata JSON, -- JSON object for additional membership type information
     created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
 
+-- Features: the catalog of features memberships include and addons sell
+CREATE TABLE IF NOT EXISTS features (
+    id VARCHAR(255) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    unit VARCHAR(50), -- Unit of usage limits (e.g. 'GB', 'downloads'); NULL for on/off features
+    reset_period VARCHAR(20), -- 'monthly' if usage resets every calendar month, NULL if it never resets
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    metadata JSON, -- JSON object for additional feature information
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Addons: features sold separately from memberships
+CREATE TABLE IF NOT EXISTS addons (
+    id VARCHAR(255) PRIMARY KEY,
+    feature_id VARCHAR(255) NOT NULL UNIQUE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    duration_days INT, -- NULL for permanent addons
+    limit_value DOUBLE, -- Usage added to the feature's limit (e.g. 5 members); NULL for unlimited
+    requires_membership BOOLEAN NOT NULL DEFAULT true, -- Only sold with an active membership; otherwise also sold standalone
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    metadata JSON, -- JSON object for additional addon information
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (feature_id) REFERENCES features(id) ON DELETE RESTRICT
+);
+
+-- Addon Prices: one price per addon and currency; price changes add a new version
+CREATE TABLE IF NOT EXISTS addon_prices (
+    id VARCHAR(255) PRIMARY KEY,
+    addon_id VARCHAR(255) NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    price_cents BIGINT NOT NULL,
+    version INT NOT NULL DEFAULT 1,
+    is_current BOOLEAN NOT NULL DEFAULT true, -- The price new purchases are charged
+    superseded_at TIMESTAMP NULL, -- When a newer version replaced this price
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (addon_id) REFERENCES addons(id) ON DELETE CASCADE,
+    UNIQUE (addon_id, currency, version)
+);
+
+-- Feature Usage: consumption of limited features per user and period
+CREATE TABLE IF NOT EXISTS feature_usage (
+    id VARCHAR(255) PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL,
+    feature_id VARCHAR(255) NOT NULL,
+    period VARCHAR(20) NOT NULL, -- 'YYYY-MM' for monthly limits, 'lifetime' for limits that never reset
+    quantity DOUBLE NOT NULL DEFAULT 0,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (feature_id) REFERENCES features(id) ON DELETE CASCADE,
+    UNIQUE (user_id, feature_id, period)
+);
+
 -- Entity Memberships (formerly User Memberships)
 CREATE TABLE IF NOT EXISTS entity_memberships (
     id VARCHAR(255) PRIMARY KEY,
@@ -579,11 +640,18 @@ CREATE TABLE IF NOT EXISTS entity_memberships (
     membership_type_id VARCHAR(255) NOT NULL,
     subscription_id VARCHAR(255), -- For recurring memberships
     order_id VARCHAR(255), -- For one-time purchases
-    status VARCHAR(50) NOT NULL, -- 'active', 'expired', 'cancelled', 'pending'
+    billing_schedule_id VARCHAR(255), -- For memberships billed by a billing schedule
+    status VARCHAR(50) NOT NULL, -- 'active', 'trialing', 'past_due', 'suspended', 'paused', 'expired', 'cancelled', 'pending'
     start_date TIMESTAMP NOT NULL,
     end_date TIMESTAMP, -- NULL for lifetime memberships
+    trial_end TIMESTAMP NULL, -- End of the free trial, if the membership started with one
+    trial_converted_at TIMESTAMP NULL, -- When the first payment after the trial succeeded
+    grace_until TIMESTAMP NULL, -- Access kept until then while a failed payment is retried
+    paused_at TIMESTAMP NULL, -- When the membership was paused
+    resumes_at TIMESTAMP NULL, -- When a paused membership resumes automatically
     auto_renew BOOLEAN NOT NULL DEFAULT false,
-    addons JSON, -- JSON array of purchased addons with their expiration dates
+    cancel_at_period_end BOOLEAN NOT NULL DEFAULT false, -- Cancelled; access ends at end_date
+    addons JSON, -- Legacy JSON array of purchased addons, moved to entity_addons by migrateMembershipAddons
     cancelled_at TIMESTAMP NULL, -- When the membership was cancelled
     cancellation_reason VARCHAR(255) NULL, -- Reason for cancellation
     metadata JSON, -- JSON object for additional membership information
@@ -598,6 +666,43 @@ CREATE TABLE IF NOT EXISTS entity_memberships (
     CHECK (user_id IS NOT NULL OR organization_id IS NOT NULL OR project_id IS NOT NULL)
 );
 
+-- Entity Addons: addons bought for memberships, with their own lifecycle
+CREATE TABLE IF NOT EXISTS entity_addons (
+    id VARCHAR(255) PRIMARY KEY,
+    membership_id VARCHAR(255), -- The membership the addon was bought for; NULL for standalone addons
+    user_id VARCHAR(255), -- Owner of a standalone addon: a user,
+    organization_id VARCHAR(255), -- an organization,
+    customer_id VARCHAR(255), -- or a guest (external_entities)
+    addon_id VARCHAR(255), -- The catalog addon
+    feature_id VARCHAR(255) NOT NULL,
+    addon_price_id VARCHAR(255), -- The price it was bought at
+    name VARCHAR(255) NOT NULL,
+    price_cents BIGINT,
+    currency VARCHAR(3),
+    subscription_id VARCHAR(255), -- For recurring addons
+    order_id VARCHAR(255), -- For one-time addons (the order of the last purchase or extension)
+    status VARCHAR(50) NOT NULL, -- 'pending', 'active', 'expired', 'cancelled'
+    start_date TIMESTAMP NOT NULL,
+    end_date TIMESTAMP NULL, -- NULL for permanent addons
+    auto_renew BOOLEAN NOT NULL DEFAULT false,
+    cancel_at_period_end BOOLEAN NOT NULL DEFAULT false, -- Cancelled; access ends at end_date
+    cancelled_at TIMESTAMP NULL, -- When the addon was cancelled
+    renewed_at TIMESTAMP NULL, -- When the addon was last renewed or extended
+    metadata JSON, -- JSON object for additional addon information
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (membership_id) REFERENCES entity_memberships(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+    FOREIGN KEY (customer_id) REFERENCES external_entities(id) ON DELETE CASCADE,
+    FOREIGN KEY (addon_id) REFERENCES addons(id) ON DELETE SET NULL,
+    FOREIGN KEY (feature_id) REFERENCES features(id) ON DELETE RESTRICT,
+    FOREIGN KEY (addon_price_id) REFERENCES addon_prices(id) ON DELETE SET NULL,
+    FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE SET NULL,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+    CHECK (membership_id IS NOT NULL OR user_id IS NOT NULL OR organization_id IS NOT NULL OR customer_id IS NOT NULL) -- Bought for a membership or owned directly
+);
+
 -- ========================================
 -- OPTIMIZED INDEXES FOR USERS TABLE
 -- ========================================
@@ -742,6 +847,7 @@ CREATE INDEX idx_payments_concept ON payments(concept);
 CREATE INDEX idx_invoices_order_id ON invoices(order_id);
 CREATE INDEX idx_invoices_subscription_id ON invoices(subscription_id);
 CREATE INDEX idx_invoices_customer_id ON invoices(customer_id);
+CREATE INDEX idx_invoices_payment_id ON invoices(payment_id);
 CREATE INDEX idx_invoices_status ON invoices(status);
 
 CREATE INDEX idx_payment_webhooks_provider_id ON payment_webhooks(provider_id);
@@ -758,6 +864,17 @@ CREATE INDEX idx_user_memberships_end_date ON user_memberships(end_date);
 CREATE INDEX idx_user_memberships_cancelled_at ON user_memberships(cancelled_at);
 
 CREATE INDEX idx_membership_types_is_active ON membership_types(is_active);
+CREATE INDEX idx_features_is_active ON features(is_active);
+CREATE INDEX idx_addons_is_active ON addons(is_active);
+CREATE INDEX idx_addon_prices_addon_currency ON addon_prices(addon_id, currency, is_current);
+CREATE INDEX idx_feature_usage_feature_period ON feature_usage(feature_id, period);
+CREATE INDEX idx_entity_addons_membership_feature ON entity_addons(membership_id, feature_id);
+CREATE INDEX idx_entity_addons_status_end_date ON entity_addons(status, end_date);
+CREATE INDEX idx_entity_addons_subscription_id ON entity_addons(subscription_id);
+CREATE INDEX idx_entity_addons_order_id ON entity_addons(order_id);
+CREATE INDEX idx_entity_addons_user_id ON entity_addons(user_id);
+CREATE INDEX idx_entity_addons_organization_id ON entity_addons(organization_id);
+CREATE INDEX idx_entity_addons_customer_id ON entity_addons(customer_id);
 
 -- Analytics Tables (Optional Feature)
 -- These tables can be added to enable advanced analytics and reporting
@@ -842,6 +959,10 @@ CREATE TABLE IF NOT EXISTS discount_coupons (
     usage_limit_per_customer INTEGER, -- Limit per customer (NULL = unlimited per customer)
     current_usage_count INTEGER NOT NULL DEFAULT 0, -- Current usage counter
 
+    -- Duration of subscription discounts
+    duration VARCHAR(20) NOT NULL DEFAULT 'once', -- 'once' (first payment), 'repeating' (first duration_cycles payments), 'forever'
+    duration_cycles INTEGER, -- Number of discounted payments of 'repeating' coupons
+
     -- Validity dates
     starts_at TIMESTAMP, -- Start date (NULL = immediate)
     expires_at TIMESTAMP, -- Expiration date (NULL = no expiration)
@@ -883,6 +1004,8 @@ CREATE TABLE IF NOT EXISTS discount_coupons (
     CHECK (usage_limit IS NULL OR usage_limit > 0),
     CHECK (usage_limit_per_customer IS NULL OR usage_limit_per_customer > 0),
     CHECK (current_usage_count >= 0),
+    CHECK (duration IN ('once', 'repeating', 'forever')),
+    CHECK (duration <> 'repeating' OR duration_cycles > 0),
     CHECK (starts_at IS NULL OR expires_at IS NULL OR starts_at < expires_at)
 );
 
@@ -1376,6 +1499,29 @@ CREATE INDEX idx_billing_executions_schedule ON billing_schedule_executions(bill
 CREATE INDEX idx_billing_executions_status ON billing_schedule_executions(execution_status);
 CREATE INDEX idx_billing_executions_executed ON billing_schedule_executions(executed_at);
 
+-- Usage Records - Metered usage of subscriptions and billing schedules
+CREATE TABLE IF NOT EXISTS usage_records (
+    id VARCHAR(255) PRIMARY KEY,
+    idempotency_key VARCHAR(255) UNIQUE NOT NULL, -- Set by the reporter; a report sent again returns the first record
+    subscription_id VARCHAR(255), -- Usage billed when the subscription's period ends
+    billing_schedule_id VARCHAR(255), -- Usage billed by a 'metered' billing schedule
+    quantity DOUBLE NOT NULL,
+    occurred_at TIMESTAMP NOT NULL, -- When the usage happened
+    billed_at TIMESTAMP NULL, -- When the period it falls in was billed
+    period_end TIMESTAMP NULL, -- End of the billing period it was billed in
+    metadata JSON, -- JSON object
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE CASCADE,
+    FOREIGN KEY (billing_schedule_id) REFERENCES billing_schedules(id) ON DELETE CASCADE,
+
+    CHECK (subscription_id IS NOT NULL OR billing_schedule_id IS NOT NULL),
+    CHECK (quantity >= 0)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE INDEX idx_usage_records_subscription ON usage_records(subscription_id, billed_at, occurred_at);
+CREATE INDEX idx_usage_records_schedule ON usage_records(billing_schedule_id, billed_at, occurred_at);
+
 -- Billing Schedules Integration with Core Tables
 -- Note: The invoices table (core schema) includes billing_schedule_id column for tracking
 -- which billing schedule generated the invoice. This enables automatic invoice generation.
@@ -1385,7 +1531,20 @@ CREATE INDEX idx_billing_executions_executed ON billing_schedule_executions(exec
 -- ============================================
 -- Add these tables to enable universal billing system
 -- Invoices = pre-payment documents, Receipts = post-payment proof
--- Note: invoices table already exists in core schema, we only add receipts here
+-- Note: invoices table already exists in core schema, we only add its number
+-- sequences and receipts here
+
+-- Invoice Sequences - Gap-free invoice numbers, one sequence per organization
+CREATE TABLE IF NOT EXISTS invoice_sequences (
+    id VARCHAR(255) PRIMARY KEY,
+    scope VARCHAR(255) UNIQUE NOT NULL, -- organizations.id, or 'default' for invoices without an organization
+    prefix VARCHAR(100) NOT NULL, -- Invoice numbers are <prefix>-<number>, e.g. INV-000042
+    next_number INT NOT NULL DEFAULT 1, -- Taken when an invoice is finalized
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    CHECK (next_number >= 1)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- Receipts - Post-payment proof (generated after successful payment)
 CREATE TABLE IF NOT EXISTS receipts (
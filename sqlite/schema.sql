@@ -703,12 +703,14 @@ END;
 CREATE TABLE IF NOT EXISTS payment_webhooks (
     id TEXT PRIMARY KEY,
     provider_id TEXT NOT NULL,
+    provider_event_id TEXT, -- Event ID from the provider, for idempotent processing
     event_type TEXT NOT NULL, -- 'payment.succeeded', 'subscription.created', etc.
     payload TEXT NOT NULL, -- JSON string
     processed INTEGER NOT NULL DEFAULT 0,
     created_at TEXT NOT NULL DEFAULT (datetime('now')),
     processed_at TEXT,
-    FOREIGN KEY (provider_id) REFERENCES payment_providers(id) ON DELETE CASCADE
+    FOREIGN KEY (provider_id) REFERENCES payment_providers(id) ON DELETE CASCADE,
+    UNIQUE (provider_id, provider_event_id)
 );
 
 CREATE TABLE IF NOT EXISTS payment_events (
@@ -729,7 +731,9 @@ CREATE TABLE IF NOT EXISTS membership_types (
     duration_days INTEGER, -- NULL for 'lifetime' memberships
     price_cents INTEGER NOT NULL,
     currency TEXT NOT NULL DEFAULT 'USD',
+    trial_days INTEGER NOT NULL DEFAULT 0, -- Free trial length for recurring memberships (0 = no trial)
     features TEXT, -- JSON array of features included in this membership
+    feature_limits TEXT, -- JSON object of usage limits per feature, e.g. {"cloud_storage": 50}; features without one are unlimited
     is_active INTEGER NOT NULL DEFAULT 1,
     metadata TEXT, -- JSON object for additional membership type information
     created_at TEXT NOT NULL DEFAULT (datetime('now')),
@@ -743,6 +747,84 @@ BEGIN
     UPDATE membership_types SET updated_at = datetime('now') WHERE id = NEW.id;
 END;
 
+-- Features: the catalog of features memberships include and addons sell
+CREATE TABLE IF NOT EXISTS features (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    unit TEXT, -- Unit of usage limits (e.g. 'GB', 'downloads'); NULL for on/off features
+    reset_period TEXT, -- 'monthly' if usage resets every calendar month, NULL if it never resets
+    is_active INTEGER NOT NULL DEFAULT 1,
+    metadata TEXT, -- JSON object for additional feature information
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Trigger for updated_at on features
+CREATE TRIGGER IF NOT EXISTS update_features_timestamp
+AFTER UPDATE ON features
+BEGIN
+    UPDATE features SET updated_at = datetime('now') WHERE id = NEW.id;
+END;
+
+-- Addons: features sold separately from memberships
+CREATE TABLE IF NOT EXISTS addons (
+    id TEXT PRIMARY KEY,
+    feature_id TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    description TEXT,
+    duration_days INTEGER, -- NULL for permanent addons
+    limit_value REAL, -- Usage added to the feature's limit (e.g. 5 members); NULL for unlimited
+    requires_membership INTEGER NOT NULL DEFAULT 1, -- Only sold with an active membership; otherwise also sold standalone
+    is_active INTEGER NOT NULL DEFAULT 1,
+    metadata TEXT, -- JSON object for additional addon information
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (feature_id) REFERENCES features(id) ON DELETE RESTRICT
+);
+
+-- Trigger for updated_at on addons
+CREATE TRIGGER IF NOT EXISTS update_addons_timestamp
+AFTER UPDATE ON addons
+BEGIN
+    UPDATE addons SET updated_at = datetime('now') WHERE id = NEW.id;
+END;
+
+-- Addon Prices: one price per addon and currency; price changes add a new version
+CREATE TABLE IF NOT EXISTS addon_prices (
+    id TEXT PRIMARY KEY,
+    addon_id TEXT NOT NULL,
+    currency TEXT NOT NULL,
+    price_cents INTEGER NOT NULL,
+    version INTEGER NOT NULL DEFAULT 1,
+    is_current INTEGER NOT NULL DEFAULT 1, -- The price new purchases are charged
+    superseded_at TEXT, -- When a newer version replaced this price
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (addon_id) REFERENCES addons(id) ON DELETE CASCADE,
+    UNIQUE (addon_id, currency, version)
+);
+
+-- Feature Usage: consumption of limited features per user and period
+CREATE TABLE IF NOT EXISTS feature_usage (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    feature_id TEXT NOT NULL,
+    period TEXT NOT NULL, -- 'YYYY-MM' for monthly limits, 'lifetime' for limits that never reset
+    quantity REAL NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (feature_id) REFERENCES features(id) ON DELETE CASCADE,
+    UNIQUE (user_id, feature_id, period)
+);
+
+-- Trigger for updated_at on feature_usage
+CREATE TRIGGER IF NOT EXISTS update_feature_usage_timestamp
+AFTER UPDATE ON feature_usage
+BEGIN
+    UPDATE feature_usage SET updated_at = datetime('now') WHERE id = NEW.id;
+END;
+
 -- Entity Memberships (formerly User Memberships)
 CREATE TABLE IF NOT EXISTS entity_memberships (
     id TEXT PRIMARY KEY,
@@ -752,11 +834,18 @@ CREATE TABLE IF NOT EXISTS entity_memberships (
     membership_type_id TEXT NOT NULL,
     subscription_id TEXT, -- For recurring memberships
     order_id TEXT, -- For one-time purchases
-    status TEXT NOT NULL, -- 'active', 'expired', 'cancelled', 'pending'
+    billing_schedule_id TEXT, -- For memberships billed by a billing schedule
+    status TEXT NOT NULL, -- 'active', 'trialing', 'past_due', 'suspended', 'paused', 'expired', 'cancelled', 'pending'
     start_date TEXT NOT NULL,
     end_date TEXT, -- NULL for lifetime memberships
+    trial_end TEXT, -- End of the free trial, if the membership started with one
+    trial_converted_at TEXT, -- When the first payment after the trial succeeded
+    grace_until TEXT, -- Access kept until then while a failed payment is retried
+    paused_at TEXT, -- When the membership was paused
+    resumes_at TEXT, -- When a paused membership resumes automatically
     auto_renew INTEGER NOT NULL DEFAULT 0,
-    addons TEXT, -- JSON array of purchased addons with their expiration dates
+    cancel_at_period_end INTEGER NOT NULL DEFAULT 0, -- Cancelled; access ends at end_date
+    addons TEXT, -- Legacy JSON array of purchased addons, moved to entity_addons by migrateMembershipAddons
     cancelled_at TEXT, -- When the membership was cancelled
     cancellation_reason TEXT, -- Reason for cancellation
     metadata TEXT, -- JSON object for additional membership information
@@ -778,6 +867,50 @@ BEGIN
     UPDATE entity_memberships SET updated_at = datetime('now') WHERE id = NEW.id;
 END;
 
+-- Entity Addons: addons bought for memberships, with their own lifecycle
+CREATE TABLE IF NOT EXISTS entity_addons (
+    id TEXT PRIMARY KEY,
+    membership_id TEXT, -- The membership the addon was bought for; NULL for standalone addons
+    user_id TEXT, -- Owner of a standalone addon: a user,
+    organization_id TEXT, -- an organization,
+    customer_id TEXT, -- or a guest (external_entities)
+    addon_id TEXT, -- The catalog addon
+    feature_id TEXT NOT NULL,
+    addon_price_id TEXT, -- The price it was bought at
+    name TEXT NOT NULL,
+    price_cents INTEGER,
+    currency TEXT,
+    subscription_id TEXT, -- For recurring addons
+    order_id TEXT, -- For one-time addons (the order of the last purchase or extension)
+    status TEXT NOT NULL, -- 'pending', 'active', 'expired', 'cancelled'
+    start_date TEXT NOT NULL,
+    end_date TEXT, -- NULL for permanent addons
+    auto_renew INTEGER NOT NULL DEFAULT 0,
+    cancel_at_period_end INTEGER NOT NULL DEFAULT 0, -- Cancelled; access ends at end_date
+    cancelled_at TEXT, -- When the addon was cancelled
+    renewed_at TEXT, -- When the addon was last renewed or extended
+    metadata TEXT, -- JSON object for additional addon information
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (membership_id) REFERENCES entity_memberships(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+    FOREIGN KEY (customer_id) REFERENCES external_entities(id) ON DELETE CASCADE,
+    FOREIGN KEY (addon_id) REFERENCES addons(id) ON DELETE SET NULL,
+    FOREIGN KEY (feature_id) REFERENCES features(id) ON DELETE RESTRICT,
+    FOREIGN KEY (addon_price_id) REFERENCES addon_prices(id) ON DELETE SET NULL,
+    FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE SET NULL,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+    CHECK (membership_id IS NOT NULL OR user_id IS NOT NULL OR organization_id IS NOT NULL OR customer_id IS NOT NULL) -- Bought for a membership or owned directly
+);
+
+-- Trigger for updated_at on entity_addons
+CREATE TRIGGER IF NOT EXISTS update_entity_addons_timestamp
+AFTER UPDATE ON entity_addons
+BEGIN
+    UPDATE entity_addons SET updated_at = datetime('now') WHERE id = NEW.id;
+END;
+
 -- Indexes for performance
 -- Token indexes
 CREATE INDEX idx_token_lookup ON tokens(token, status, expires_at);
@@ -851,6 +984,7 @@ CREATE INDEX idx_payments_concept ON payments(concept);
 CREATE INDEX idx_invoices_order_id ON invoices(order_id);
 CREATE INDEX idx_invoices_subscription_id ON invoices(subscription_id);
 CREATE INDEX idx_invoices_customer_id ON invoices(customer_id);
+CREATE INDEX idx_invoices_payment_id ON invoices(payment_id);
 CREATE INDEX idx_invoices_status ON invoices(status);
 
 CREATE INDEX idx_payment_webhooks_provider_id ON payment_webhooks(provider_id);
@@ -866,6 +1000,17 @@ CREATE INDEX idx_entity_memberships_subscription_id ON entity_memberships(subscr
 CREATE INDEX idx_entity_memberships_end_date ON entity_memberships(end_date);
 CREATE INDEX idx_entity_memberships_cancelled_at ON entity_memberships(cancelled_at);
 CREATE INDEX idx_membership_types_is_active ON membership_types(is_active);
+CREATE INDEX idx_features_is_active ON features(is_active);
+CREATE INDEX idx_addons_is_active ON addons(is_active);
+CREATE INDEX idx_addon_prices_addon_currency ON addon_prices(addon_id, currency, is_current);
+CREATE INDEX idx_feature_usage_feature_period ON feature_usage(feature_id, period);
+CREATE INDEX idx_entity_addons_membership_feature ON entity_addons(membership_id, feature_id);
+CREATE INDEX idx_entity_addons_status_end_date ON entity_addons(status, end_date);
+CREATE INDEX idx_entity_addons_subscription_id ON entity_addons(subscription_id);
+CREATE INDEX idx_entity_addons_order_id ON entity_addons(order_id);
+CREATE INDEX idx_entity_addons_user_id ON entity_addons(user_id);
+CREATE INDEX idx_entity_addons_organization_id ON entity_addons(organization_id);
+CREATE INDEX idx_entity_addons_customer_id ON entity_addons(customer_id);
 
 -- Analytics Tables (Optional Feature)
 -- These tables can be added to enable advanced analytics and reporting
@@ -957,6 +1102,10 @@ CREATE TABLE IF NOT EXISTS discount_coupons (
     usage_limit_per_customer INTEGER, -- Limit per customer (NULL = unlimited per customer)
     current_usage_count INTEGER NOT NULL DEFAULT 0, -- Current usage counter
 
+    -- Duration of subscription discounts
+    duration TEXT NOT NULL DEFAULT 'once', -- 'once' (first payment), 'repeating' (first duration_cycles payments), 'forever'
+    duration_cycles INTEGER, -- Number of discounted payments of 'repeating' coupons
+
     -- Validity dates
     starts_at TEXT, -- Start date (NULL = immediate)
     expires_at TEXT, -- Expiration date (NULL = no expiration)
@@ -996,7 +1145,9 @@ CREATE TABLE IF NOT EXISTS discount_coupons (
     CHECK (discount_value >= 0),
     CHECK (usage_limit IS NULL OR usage_limit > 0),
     CHECK (usage_limit_per_customer IS NULL OR usage_limit_per_customer > 0),
-    CHECK (current_usage_count >= 0)
+    CHECK (current_usage_count >= 0),
+    CHECK (duration IN ('once', 'repeating', 'forever')),
+    CHECK (duration <> 'repeating' OR duration_cycles > 0)
 );
 
 -- Trigger for updated_at on discount_coupons
@@ -1523,6 +1674,29 @@ CREATE INDEX idx_billing_executions_schedule ON billing_schedule_executions(bill
 CREATE INDEX idx_billing_executions_status ON billing_schedule_executions(execution_status);
 CREATE INDEX idx_billing_executions_executed ON billing_schedule_executions(executed_at);
 
+-- Usage Records - Metered usage of subscriptions and billing schedules
+CREATE TABLE IF NOT EXISTS usage_records (
+    id TEXT PRIMARY KEY,
+    idempotency_key TEXT UNIQUE NOT NULL, -- Set by the reporter; a report sent again returns the first record
+    subscription_id TEXT, -- Usage billed when the subscription's period ends
+    billing_schedule_id TEXT, -- Usage billed by a 'metered' billing schedule
+    quantity REAL NOT NULL,
+    occurred_at TEXT NOT NULL, -- When the usage happened
+    billed_at TEXT, -- When the period it falls in was billed
+    period_end TEXT, -- End of the billing period it was billed in
+    metadata TEXT, -- JSON string
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+
+    FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE CASCADE,
+    FOREIGN KEY (billing_schedule_id) REFERENCES billing_schedules(id) ON DELETE CASCADE,
+
+    CHECK (subscription_id IS NOT NULL OR billing_schedule_id IS NOT NULL),
+    CHECK (quantity >= 0)
+);
+
+CREATE INDEX idx_usage_records_subscription ON usage_records(subscription_id, billed_at, occurred_at);
+CREATE INDEX idx_usage_records_schedule ON usage_records(billing_schedule_id, billed_at, occurred_at);
+
 -- Billing Schedules Integration with Core Tables
 -- Note: The invoices table (core schema) includes billing_schedule_id column for tracking
 -- which billing schedule generated the invoice. This enables automatic invoice generation.
@@ -1532,7 +1706,27 @@ CREATE INDEX idx_billing_executions_executed ON billing_schedule_executions(exec
 -- ============================================
 -- Add these tables to enable universal billing system
 -- Invoices = pre-payment documents, Receipts = post-payment proof
--- Note: invoices table already exists in core schema, we only add receipts here
+-- Note: invoices table already exists in core schema, we only add its number
+-- sequences and receipts here
+
+-- Invoice Sequences - Gap-free invoice numbers, one sequence per organization
+CREATE TABLE IF NOT EXISTS invoice_sequences (
+    id TEXT PRIMARY KEY,
+    scope TEXT UNIQUE NOT NULL, -- organizations.id, or 'default' for invoices without an organization
+    prefix TEXT NOT NULL, -- Invoice numbers are <prefix>-<number>, e.g. INV-000042
+    next_number INTEGER NOT NULL DEFAULT 1, -- Taken when an invoice is finalized
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+
+    CHECK (next_number >= 1)
+);
+
+-- Trigger for updated_at on invoice_sequences
+CREATE TRIGGER IF NOT EXISTS update_invoice_sequences_timestamp
+AFTER UPDATE ON invoice_sequences
+BEGIN
+    UPDATE invoice_sequences SET updated_at = datetime('now') WHERE id = NEW.id;
+END;
 
 -- Receipts - Post-payment proof (generated after successful payment)
 CREATE TABLE IF NOT EXISTS receipts (